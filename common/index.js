@@ -0,0 +1,27 @@
+/**
+ * Shared helpers for the S3 and DynamoDB samples.
+ */
+export { resolveClientConfig, configFlagsFromArgv } from "./lib/config.js";
+export { ConfigurationError, UsageError } from "./lib/errors.js";
+export {
+    AwsServiceError,
+    ThrottlingError,
+    AccessDeniedError,
+    ResourceNotFoundError,
+    NoSuchBucketError,
+    PreconditionFailedError,
+    translateAwsError,
+    withErrorTranslation,
+} from "./lib/service-errors.js";
+export { formatOutput, formatCsv, formatTable, OUTPUT_FORMATS } from "./lib/output.js";
+export { mapConcurrent } from "./lib/concurrency.js";
+export { CsvParser, parseCsv } from "./lib/csv.js";
+export { configureLogging, getLogger, logFormat, LOG_LEVELS, LOG_FORMATS } from "./lib/logging.js";
+export {
+    OperationMetrics,
+    operationMetrics,
+    withMetrics,
+    instrumentClient,
+    logMetricsSummary,
+} from "./lib/metrics.js";
+export { backoffDelay, sleep, createRetryStrategy, RETRY_DEFAULTS } from "./lib/retry.js";
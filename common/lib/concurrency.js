@@ -0,0 +1,47 @@
+/**
+ * Map over a (possibly async) iterable with at most `limit` mappers running
+ * at once.
+ *
+ * Items are pulled from the iterable lazily, so a generator that reads file
+ * parts or builds request batches only produces as many items as there are
+ * free slots. When a mapper fails no new items are started; the mappers
+ * already running are allowed to settle and then the first error is thrown.
+ *
+ * @param {Iterable|AsyncIterable} iterable The items to process
+ * @param {number} limit Maximum number of mappers in flight
+ * @param {Function} mapper Called as mapper(item, index); may return a promise
+ * @returns {Promise<Array>} The mapper results, in the order of the items
+ */
+export async function mapConcurrent(iterable, limit, mapper) {
+    const iterator = iterable[Symbol.asyncIterator]
+        ? iterable[Symbol.asyncIterator]()
+        : iterable[Symbol.iterator]();
+    const results = [];
+    let nextIndex = 0;
+    let failed = false;
+
+    const worker = async () => {
+        while (!failed) {
+            const { value, done } = await iterator.next();
+            if (done) {
+                return;
+            }
+            const index = nextIndex++;
+            try {
+                results[index] = await mapper(value, index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, limit) }, worker);
+    const outcomes = await Promise.allSettled(workers);
+    const rejection = outcomes.find((outcome) => outcome.status === "rejected");
+    if (rejection) {
+        await iterator.return?.();
+        throw rejection.reason;
+    }
+    return results;
+}
@@ -0,0 +1,144 @@
+import { parseArgs } from "util";
+import { fromNodeProviderChain } from "@aws-sdk/credential-providers";
+import { loadSharedConfigFiles } from "@aws-sdk/shared-ini-file-loader";
+import { ConfigurationError } from "./errors.js";
+import { createRetryStrategy } from "./retry.js";
+
+/**
+ * Read the client configuration flags (--profile, --region, --endpoint,
+ * --max-attempts) from a command line.
+ *
+ * Unknown flags and positional arguments are ignored so this can run over the
+ * full command line of any sample.
+ *
+ * @param {string[]} argv The command line arguments, without the node binary and script
+ * @returns {{profile?: string, region?: string, endpoint?: string, maxAttempts?: string}} The flags that were given
+ */
+export function configFlagsFromArgv(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            profile: { type: "string" },
+            region: { type: "string" },
+            endpoint: { type: "string" },
+            "max-attempts": { type: "string" },
+        },
+        strict: false,
+        allowPositionals: true,
+    });
+    const flags = {};
+    for (const name of ["profile", "region", "endpoint"]) {
+        if (typeof values[name] === "string") {
+            flags[name] = values[name];
+        }
+    }
+    if (typeof values["max-attempts"] === "string") {
+        flags.maxAttempts = values["max-attempts"];
+    }
+    return flags;
+}
+
+/**
+ * Resolve the configuration for an AWS SDK client.
+ *
+ * Each setting is taken from the first source that provides it:
+ *  1. The explicit options passed in
+ *  2. Command line flags (--profile, --region, --endpoint), only when a
+ *     command line is passed as `sources.argv`
+ *  3. Environment variables (AWS_PROFILE, AWS_REGION / AWS_DEFAULT_REGION,
+ *     AWS_ENDPOINT_URL_<SERVICE> / AWS_ENDPOINT_URL)
+ *  4. The shared ini files (~/.aws/config and ~/.aws/credentials) for the
+ *     selected profile, or the 'default' profile when none was selected
+ *
+ * Credentials come from the explicit provider if one is given, otherwise from
+ * the SDK's default provider chain for the selected profile, which covers
+ * environment credentials, static and assume-role profiles, SSO and
+ * container/instance metadata.
+ *
+ * Requests are retried with the policy in `options.retry` (see
+ * RETRY_DEFAULTS); the number of attempts can also come from --max-attempts
+ * or AWS_MAX_ATTEMPTS.
+ *
+ * The process command line is never read implicitly, since it may belong to
+ * a program with flags of its own. Pass `{ argv: process.argv.slice(2) }` as
+ * `sources` to take the flags from it, or parse them yourself (see
+ * configFlagsFromArgv) and pass them as options.
+ *
+ * The result can be passed straight to a client constructor, e.g.
+ * `new DynamoDBClient(await resolveClientConfig({ serviceId: "DYNAMODB" }))`.
+ *
+ * @param {object} [options]
+ * @param {string} [options.profile] Named profile to use
+ * @param {string} [options.region] Region to use
+ * @param {string} [options.endpoint] Endpoint override, e.g. http://localhost:8000 for DynamoDB Local
+ * @param {Function} [options.credentials] Credentials provider to use instead of the default chain
+ * @param {string} [options.serviceId] Service name used for AWS_ENDPOINT_URL_<SERVICE>, e.g. "S3"
+ * @param {object} [options.retry] Retry policy: maxAttempts, baseDelay and maxDelay
+ * @param {object} [sources] Where to look for settings
+ * @param {string[]} [sources.argv] Command line arguments to read flags from (defaults to none)
+ * @param {object} [sources.env] Environment variables (defaults to process.env)
+ * @param {Function} [sources.loadConfigFiles] Loader for the shared ini files
+ * @returns {Promise<object>} Client configuration with region, credentials, retryStrategy and optionally
+ *     endpoint and profile
+ * @throws {ConfigurationError} If no region can be determined, or the number of attempts is invalid
+ */
+export async function resolveClientConfig(options = {}, sources = {}) {
+    const {
+        argv = [],
+        env = process.env,
+        loadConfigFiles = loadSharedConfigFiles,
+    } = sources;
+    const flags = configFlagsFromArgv(argv);
+    const serviceEndpointVariable = options.serviceId
+        ? `AWS_ENDPOINT_URL_${options.serviceId.toUpperCase()}`
+        : undefined;
+
+    const profile = firstDefined(options.profile, flags.profile, env.AWS_PROFILE);
+    const endpoint = firstDefined(
+        options.endpoint,
+        flags.endpoint,
+        serviceEndpointVariable && env[serviceEndpointVariable],
+        env.AWS_ENDPOINT_URL,
+    );
+
+    let region = firstDefined(options.region, flags.region, env.AWS_REGION, env.AWS_DEFAULT_REGION);
+    if (!region) {
+        const { configFile = {}, credentialsFile = {} } = await loadConfigFiles();
+        const profileName = profile ?? "default";
+        region = firstDefined(configFile[profileName]?.region, credentialsFile[profileName]?.region);
+    }
+    if (!region) {
+        const source = profile ? `profile '${profile}'` : "the default profile";
+        throw new ConfigurationError(
+            `Unable to determine the AWS region. Pass --region, set AWS_REGION, ` +
+            `or add a region to ${source} in ~/.aws/config.`
+        );
+    }
+
+    const attempts = firstDefined(options.retry?.maxAttempts, flags.maxAttempts, env.AWS_MAX_ATTEMPTS);
+    const maxAttempts = attempts === undefined ? undefined : Number(attempts);
+    if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1)) {
+        throw new ConfigurationError(`The number of attempts must be a positive integer, got '${attempts}'.`);
+    }
+
+    const config = {
+        region,
+        credentials: options.credentials ?? fromNodeProviderChain(profile ? { profile } : {}),
+        retryStrategy: createRetryStrategy({ ...options.retry, maxAttempts }),
+    };
+    if (profile) {
+        config.profile = profile;
+    }
+    if (endpoint) {
+        config.endpoint = endpoint;
+    }
+    return config;
+}
+
+/**
+ * @param {...*} values Candidate values in order of precedence
+ * @returns {*} The first value that is neither undefined, null nor an empty string
+ */
+function firstDefined(...values) {
+    return values.find((value) => value !== undefined && value !== null && value !== "");
+}
@@ -0,0 +1,121 @@
+/**
+ * Incremental CSV parsing.
+ *
+ * Text can be pushed in arbitrary chunks (for example straight off a network
+ * stream); records are returned as soon as they are complete. Quoted fields
+ * may contain delimiters, doubled quotes and line breaks.
+ */
+export class CsvParser {
+    #delimiter;
+    #quote;
+    #columns;
+    #header;
+    #field = "";
+    #record = [];
+    #inQuotes = false;
+    #quotePending = false;
+    #fieldStarted = false;
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.delimiter] Field delimiter (default ',')
+     * @param {string} [options.quote] Quote character (default '"')
+     * @param {boolean|string[]} [options.columns] true to use the first record as column names,
+     *     or the column names to use; records are then returned as objects
+     */
+    constructor({ delimiter = ",", quote = '"', columns = false } = {}) {
+        this.#delimiter = delimiter;
+        this.#quote = quote;
+        this.#columns = columns;
+        this.#header = Array.isArray(columns) ? columns : undefined;
+    }
+
+    /**
+     * Parse the next chunk of text.
+     *
+     * @param {string} text
+     * @returns {Array<string[]|object>} The records completed by this chunk
+     */
+    push(text) {
+        const records = [];
+        for (const char of text) {
+            if (this.#quotePending) {
+                this.#quotePending = false;
+                if (char === this.#quote) {
+                    this.#field += char;
+                    continue;
+                }
+                this.#inQuotes = false;
+            }
+            if (this.#inQuotes) {
+                if (char === this.#quote) {
+                    this.#quotePending = true;
+                } else {
+                    this.#field += char;
+                }
+            } else if (char === this.#quote && !this.#fieldStarted) {
+                this.#inQuotes = true;
+                this.#fieldStarted = true;
+            } else if (char === this.#delimiter) {
+                this.#endField();
+            } else if (char === "\n") {
+                this.#endRecord(records);
+            } else if (char !== "\r") {
+                this.#field += char;
+                this.#fieldStarted = true;
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Finish parsing; returns the last record if the text did not end with a
+     * line break.
+     *
+     * @returns {Array<string[]|object>}
+     */
+    end() {
+        this.#quotePending = false;
+        this.#inQuotes = false;
+        const records = [];
+        if (this.#fieldStarted || this.#record.length > 0) {
+            this.#endRecord(records);
+        }
+        return records;
+    }
+
+    #endField() {
+        this.#record.push(this.#field);
+        this.#field = "";
+        this.#fieldStarted = false;
+    }
+
+    #endRecord(records) {
+        this.#endField();
+        const record = this.#record;
+        this.#record = [];
+        // Skip blank lines
+        if (record.length === 1 && record[0] === "") {
+            return;
+        }
+        if (!this.#columns) {
+            records.push(record);
+        } else if (!this.#header) {
+            this.#header = record;
+        } else {
+            records.push(Object.fromEntries(this.#header.map((name, i) => [name, record[i] ?? ""])));
+        }
+    }
+}
+
+/**
+ * Parse a complete CSV text.
+ *
+ * @param {string} text
+ * @param {object} [options] See CsvParser
+ * @returns {Array<string[]|object>}
+ */
+export function parseCsv(text, options) {
+    const parser = new CsvParser(options);
+    return [...parser.push(text), ...parser.end()];
+}
@@ -0,0 +1,29 @@
+/**
+ * Raised when the samples cannot work out how to configure an AWS client,
+ * for example when no region is set anywhere.
+ */
+export class ConfigurationError extends Error {
+    /**
+     * @param {string} message Description of what is missing and how to provide it
+     * @param {object} [options]
+     * @param {Error} [options.cause] The underlying error
+     */
+    constructor(message, options) {
+        super(message, options);
+        this.name = "ConfigurationError";
+    }
+}
+
+/**
+ * Raised by the command line tools when the arguments are invalid. The
+ * message is meant to be shown to the user together with the usage text.
+ */
+export class UsageError extends Error {
+    /**
+     * @param {string} message What is wrong with the command line
+     */
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
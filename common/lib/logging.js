@@ -0,0 +1,126 @@
+/**
+ * Shared logging setup for the samples, built on log4js.
+ *
+ * Log calls take a message and optionally an object of fields:
+ *
+ *     logger.info("Inserted notes", { succeeded: 25, failed: 0 });
+ *
+ * The 'text' format prints one readable line per event with the fields as
+ * key=value pairs; the 'json' format prints one JSON object per line with the
+ * time, level, category, message and fields, for log processing tools.
+ */
+import log4js from "log4js";
+import { parseArgs } from "util";
+
+/**
+ * Log levels, from most to least verbose.
+ */
+export const LOG_LEVELS = ["trace", "debug", "info", "warn", "error", "fatal", "off"];
+
+/**
+ * Output formats for log events.
+ */
+export const LOG_FORMATS = ["text", "json"];
+
+let currentFormat = "text";
+
+log4js.addLayout("samples-text", () => (event) => {
+    const [message, fields] = splitData(event.data);
+    const pairs = Object.entries(fields ?? {})
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${typeof value === "object" && value !== null ? JSON.stringify(value) : value}`);
+    return [event.startTime.toISOString(), event.level.levelStr.padEnd(5), event.categoryName, message, ...pairs].join(" ");
+});
+
+log4js.addLayout("samples-json", () => (event) => {
+    const [message, fields] = splitData(event.data);
+    return JSON.stringify({
+        time: event.startTime.toISOString(),
+        level: event.level.levelStr.toLowerCase(),
+        category: event.categoryName,
+        message,
+        ...fields,
+    });
+});
+
+/**
+ * Configure logging for the whole process.
+ *
+ * Each setting is taken from the options, then the --log-level and
+ * --log-format flags, then the LOG_LEVEL and LOG_FORMAT environment
+ * variables.
+ *
+ * @param {object} [options]
+ * @param {string} [options.level] One of LOG_LEVELS (default 'info')
+ * @param {string} [options.format] One of LOG_FORMATS (default 'text')
+ * @param {string} [options.stream] 'stdout' or 'stderr' (default 'stdout'); command line tools
+ *     log to stderr so their results on stdout stay machine-readable
+ * @param {object} [sources] Where to look for settings; mainly useful for testing
+ * @param {string[]} [sources.argv] Command line arguments (defaults to process.argv)
+ * @param {object} [sources.env] Environment variables (defaults to process.env)
+ * @returns {{level: string, format: string}} The settings in effect
+ * @throws {Error} If the level or format is unknown
+ */
+export function configureLogging(options = {}, sources = {}) {
+    const { argv = process.argv.slice(2), env = process.env } = sources;
+    const { values: flags } = parseArgs({
+        args: argv,
+        options: { "log-level": { type: "string" }, "log-format": { type: "string" } },
+        strict: false,
+        allowPositionals: true,
+    });
+    const level = (options.level ?? stringFlag(flags["log-level"]) ?? env.LOG_LEVEL ?? "info").toLowerCase();
+    const format = (options.format ?? stringFlag(flags["log-format"]) ?? env.LOG_FORMAT ?? "text").toLowerCase();
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Unknown log level '${level}', expected one of ${LOG_LEVELS.join(", ")}`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Unknown log format '${format}', expected one of ${LOG_FORMATS.join(", ")}`);
+    }
+
+    log4js.configure({
+        appenders: {
+            out: {
+                type: options.stream === "stderr" ? "stderr" : "stdout",
+                layout: { type: `samples-${format}` },
+            },
+        },
+        categories: { default: { appenders: ["out"], level } },
+    });
+    currentFormat = format;
+    return { level, format };
+}
+
+/**
+ * @param {string} [category] The logger category, e.g. 'notes' or 'aws'
+ * @returns {log4js.Logger}
+ */
+export function getLogger(category = "default") {
+    return log4js.getLogger(category);
+}
+
+/**
+ * @returns {string} The format set by the last configureLogging call
+ */
+export function logFormat() {
+    return currentFormat;
+}
+
+function splitData(data) {
+    const [first, ...rest] = data;
+    if (typeof first === "string") {
+        return [first, Object.assign({}, ...rest.map(toFields))];
+    }
+    return ["", Object.assign({}, ...data.map(toFields))];
+}
+
+function toFields(value) {
+    if (value instanceof Error) {
+        return { error: value.message, errorName: value.name };
+    }
+    return value !== null && typeof value === "object" ? value : { value };
+}
+
+function stringFlag(value) {
+    return typeof value === "string" ? value : undefined;
+}
@@ -0,0 +1,251 @@
+/**
+ * Per-command metrics for the SDK clients.
+ *
+ * `withMetrics(client)` adds a middleware that times every command and
+ * records its outcome: duration (including retries), the number of retries,
+ * the request ID, DynamoDB consumed capacity and S3 bytes sent and received.
+ * Each command is logged at debug level, and the totals per command are kept
+ * in an OperationMetrics so a run can end with a summary of where the time
+ * and capacity went.
+ */
+import { performance } from "perf_hooks";
+import { getLogger, logFormat } from "./logging.js";
+import { formatTable } from "./output.js";
+import { withErrorTranslation } from "./service-errors.js";
+
+// DynamoDB only reports consumed capacity for these operations when asked to
+const CAPACITY_OPERATIONS = new Set([
+    "GetItem",
+    "PutItem",
+    "UpdateItem",
+    "DeleteItem",
+    "Query",
+    "Scan",
+    "BatchGetItem",
+    "BatchWriteItem",
+    "TransactGetItems",
+    "TransactWriteItems",
+    "ExecuteStatement",
+    "BatchExecuteStatement",
+    "ExecuteTransaction",
+]);
+
+/**
+ * Totals per command.
+ */
+export class OperationMetrics {
+    #commands = new Map();
+
+    /**
+     * Add the outcome of one command.
+     *
+     * @param {object} record
+     * @param {string} record.command The operation, e.g. 'PutItem'
+     * @param {number} record.durationMs Time taken including retries
+     * @param {number} [record.retries] Attempts beyond the first
+     * @param {boolean} [record.failed] Whether the command failed
+     * @param {{read?: number, write?: number, total?: number}} [record.capacity] Consumed capacity units
+     * @param {number} [record.bytesSent] Request body bytes
+     * @param {number} [record.bytesReceived] Response body bytes
+     */
+    record({ command, durationMs, retries = 0, failed = false, capacity, bytesSent = 0, bytesReceived = 0 }) {
+        let totals = this.#commands.get(command);
+        if (!totals) {
+            totals = {
+                command,
+                calls: 0,
+                errors: 0,
+                retries: 0,
+                totalMs: 0,
+                maxMs: 0,
+                readCapacity: 0,
+                writeCapacity: 0,
+                capacity: 0,
+                bytesSent: 0,
+                bytesReceived: 0,
+            };
+            this.#commands.set(command, totals);
+        }
+        totals.calls++;
+        totals.errors += failed ? 1 : 0;
+        totals.retries += retries;
+        totals.totalMs += durationMs;
+        totals.maxMs = Math.max(totals.maxMs, durationMs);
+        totals.readCapacity += capacity?.read ?? 0;
+        totals.writeCapacity += capacity?.write ?? 0;
+        totals.capacity += capacity?.total ?? 0;
+        totals.bytesSent += bytesSent;
+        totals.bytesReceived += bytesReceived;
+    }
+
+    /**
+     * The totals per command, slowest first, and across all commands.
+     *
+     * @returns {{commands: object[], totals: object}}
+     */
+    summary() {
+        const commands = [...this.#commands.values()]
+            .map((totals) => ({
+                ...totals,
+                totalMs: Math.round(totals.totalMs),
+                avgMs: Math.round(totals.totalMs / totals.calls),
+                maxMs: Math.round(totals.maxMs),
+            }))
+            .sort((a, b) => b.totalMs - a.totalMs);
+        const totals = { calls: 0, errors: 0, retries: 0, totalMs: 0, capacity: 0, bytesSent: 0, bytesReceived: 0 };
+        for (const row of commands) {
+            for (const key of Object.keys(totals)) {
+                totals[key] += row[key];
+            }
+        }
+        return { commands, totals };
+    }
+
+    /**
+     * Forget everything recorded so far.
+     */
+    reset() {
+        this.#commands.clear();
+    }
+}
+
+/**
+ * The metrics shared by every client instrumented with the defaults.
+ */
+export const operationMetrics = new OperationMetrics();
+
+/**
+ * Add the metrics middleware to a client. Installing it twice has no further
+ * effect. Objects without a middleware stack (such as test doubles) are
+ * returned unchanged.
+ *
+ * For DynamoDB operations that support it, `ReturnConsumedCapacity` is set to
+ * TOTAL unless the command already asks for something else.
+ *
+ * @param {object} client An AWS SDK v3 client
+ * @param {object} [options]
+ * @param {OperationMetrics} [options.metrics] Where to add the totals (defaults to operationMetrics)
+ * @param {object} [options.logger] Logger for the per-command debug events (defaults to category 'aws')
+ * @returns {object} The same client
+ */
+export function withMetrics(client, { metrics = operationMetrics, logger = getLogger("aws") } = {}) {
+    client.middlewareStack?.add(
+        (next, context) => async (args) => {
+            const command = context.commandName?.replace(/Command$/, "") ?? "Unknown";
+            if (context.clientName === "DynamoDBClient" && CAPACITY_OPERATIONS.has(command)) {
+                args = { ...args, input: { ReturnConsumedCapacity: "TOTAL", ...args.input } };
+            }
+            const started = performance.now();
+            let output;
+            let failure;
+            try {
+                output = await next(args);
+                return output;
+            } catch (error) {
+                failure = error;
+                throw error;
+            } finally {
+                const metadata = (output?.output ?? failure)?.$metadata ?? {};
+                const record = {
+                    command,
+                    durationMs: performance.now() - started,
+                    retries: Math.max(0, (metadata.attempts ?? 1) - 1),
+                    failed: failure !== undefined,
+                    capacity: consumedCapacity(output?.output?.ConsumedCapacity),
+                    bytesSent: byteLength(args.input),
+                    bytesReceived: output?.output?.ContentLength ?? 0,
+                };
+                metrics.record(record);
+                logger.debug(failure ? `${command} failed` : command, {
+                    durationMs: Math.round(record.durationMs),
+                    retries: record.retries,
+                    requestId: metadata.requestId,
+                    capacity: record.capacity,
+                    bytesSent: record.bytesSent || undefined,
+                    bytesReceived: record.bytesReceived || undefined,
+                    error: failure?.name,
+                });
+            }
+        },
+        { step: "initialize", name: "operationMetrics", override: true },
+    );
+    return client;
+}
+
+/**
+ * Prepare a client the way the samples use it: failures raise the typed
+ * errors of translateAwsError and every command is recorded by withMetrics.
+ *
+ * @param {object} client An AWS SDK v3 client
+ * @param {object} [options] See withMetrics
+ * @returns {object} The same client
+ */
+export function instrumentClient(client, options) {
+    return withMetrics(withErrorTranslation(client), options);
+}
+
+/**
+ * Log the summary of an OperationMetrics at info level: a table in the text
+ * format, or one event with the totals as fields in the JSON format.
+ *
+ * @param {object} [options]
+ * @param {OperationMetrics} [options.metrics] The metrics to summarize (defaults to operationMetrics)
+ * @param {object} [options.logger] The logger to use (defaults to category 'metrics')
+ */
+export function logMetricsSummary({ metrics = operationMetrics, logger = getLogger("metrics") } = {}) {
+    const summary = metrics.summary();
+    if (summary.commands.length === 0) {
+        return;
+    }
+    if (logFormat() === "json") {
+        logger.info("AWS operation summary", summary);
+        return;
+    }
+    const rows = summary.commands.map((row) => ({
+        command: row.command,
+        calls: row.calls,
+        errors: row.errors,
+        retries: row.retries,
+        "total ms": row.totalMs,
+        "avg ms": row.avgMs,
+        "max ms": row.maxMs,
+        RCU: round(row.readCapacity),
+        WCU: round(row.writeCapacity),
+        "capacity units": round(row.capacity),
+        "bytes sent": row.bytesSent,
+        "bytes received": row.bytesReceived,
+    }));
+    const { totals } = summary;
+    logger.info(`AWS operation summary: ${totals.calls} calls, ${totals.errors} errors, ${totals.retries} retries, ` +
+        `${totals.totalMs} ms, ${round(totals.capacity)} capacity units\n${formatTable(rows)}`);
+}
+
+function consumedCapacity(consumed) {
+    if (!consumed) {
+        return undefined;
+    }
+    // Batch and transaction operations report one entry per table
+    const entries = Array.isArray(consumed) ? consumed : [consumed];
+    const capacity = { read: 0, write: 0, total: 0 };
+    for (const entry of entries) {
+        capacity.read += entry.ReadCapacityUnits ?? 0;
+        capacity.write += entry.WriteCapacityUnits ?? 0;
+        capacity.total += entry.CapacityUnits ?? 0;
+    }
+    return capacity;
+}
+
+function byteLength(input = {}) {
+    if (input.ContentLength !== undefined) {
+        return input.ContentLength;
+    }
+    const body = input.Body;
+    if (typeof body === "string") {
+        return Buffer.byteLength(body);
+    }
+    return body instanceof Uint8Array ? body.byteLength : 0;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
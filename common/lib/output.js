@@ -0,0 +1,107 @@
+/**
+ * Output formats supported by the sample command line tools.
+ */
+export const OUTPUT_FORMATS = ["json", "table", "csv"];
+
+/**
+ * Format a result for printing on the command line.
+ *
+ * Arrays of objects are rendered as rows; a single object is treated as a
+ * one-row result for the 'table' and 'csv' formats. The 'json' format prints
+ * the value as-is.
+ *
+ * @param {*} value The result to format
+ * @param {string} format One of 'json', 'table' or 'csv'
+ * @returns {string} The formatted output, without a trailing newline
+ */
+export function formatOutput(value, format = "json") {
+    switch (format) {
+        case "json":
+            return JSON.stringify(value, jsonReplacer, 2);
+        case "table":
+            return formatTable(toRows(value));
+        case "csv":
+            return formatCsv(toRows(value));
+        default:
+            throw new Error(`Unknown output format '${format}'. Expected one of: ${OUTPUT_FORMATS.join(", ")}`);
+    }
+}
+
+/**
+ * Render rows as CSV with a header line built from all keys seen.
+ *
+ * Pass `columns` to fix the columns and their order, for example when rows
+ * are written in several pieces; `header: false` leaves out the header line.
+ *
+ * @param {object[]} rows
+ * @param {object} [options]
+ * @param {string[]} [options.columns] The columns to write (defaults to all keys seen)
+ * @param {boolean} [options.header] Whether to start with a header line (default true)
+ * @returns {string}
+ */
+export function formatCsv(rows, { columns = columnsOf(rows), header = true } = {}) {
+    const lines = header ? [columns.map(csvField).join(",")] : [];
+    for (const row of rows) {
+        lines.push(columns.map((column) => csvField(cellText(row[column]))).join(","));
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Render rows as a plain text table with aligned columns.
+ *
+ * @param {object[]} rows
+ * @returns {string}
+ */
+export function formatTable(rows) {
+    const columns = columnsOf(rows);
+    if (columns.length === 0) {
+        return "(no results)";
+    }
+    const cells = rows.map((row) => columns.map((column) => cellText(row[column])));
+    const widths = columns.map((column, i) =>
+        Math.max(column.length, ...cells.map((line) => line[i].length)));
+    const render = (line) => line.map((text, i) => text.padEnd(widths[i])).join("  ").trimEnd();
+    return [
+        render(columns),
+        render(widths.map((width) => "-".repeat(width))),
+        ...cells.map(render),
+    ].join("\n");
+}
+
+function jsonReplacer(key, value) {
+    if (value instanceof Set) {
+        return [...value];
+    }
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+function toRows(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    const rows = Array.isArray(value) ? value : [value];
+    return rows.map((row) => (row !== null && typeof row === "object" ? row : { value: row }));
+}
+
+function columnsOf(rows) {
+    const columns = new Set();
+    for (const row of rows) {
+        Object.keys(row).forEach((key) => columns.add(key));
+    }
+    return [...columns];
+}
+
+function cellText(value) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    if (value instanceof Set) {
+        return JSON.stringify([...value]);
+    }
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function csvField(text) {
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
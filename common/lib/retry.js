@@ -0,0 +1,61 @@
+import { ConfiguredRetryStrategy } from "@smithy/util-retry";
+
+/**
+ * Defaults for the retry policy of the SDK clients: attempts per request,
+ * including the first one, and the backoff between them in milliseconds.
+ */
+export const RETRY_DEFAULTS = {
+    maxAttempts: 3,
+    baseDelay: 100,
+    maxDelay: 20000,
+};
+
+/**
+ * Delay before a retry, using exponential backoff with "full jitter": a
+ * random delay between zero and the exponential ceiling. Jitter keeps many
+ * concurrent clients from retrying in lockstep.
+ *
+ * The defaults of 50 and 5000 milliseconds suit retries inside the samples,
+ * such as unprocessed batch items. They are not RETRY_DEFAULTS (100 and
+ * 20000), which createRetryStrategy passes in for the SDK clients.
+ *
+ * @param {number} attempt The retry number, starting at 1
+ * @param {object} [options]
+ * @param {number} [options.baseDelay] Ceiling for the first retry in milliseconds (default 50)
+ * @param {number} [options.maxDelay] Upper bound for any delay in milliseconds (default 5000)
+ * @param {function(): number} [options.random] Source of randomness in [0, 1)
+ * @returns {number} The delay in milliseconds
+ */
+export function backoffDelay(attempt, { baseDelay = 50, maxDelay = 5000, random = Math.random } = {}) {
+    const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.floor(random() * ceiling);
+}
+
+/**
+ * @param {number} ms Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create the retry strategy for an SDK client.
+ *
+ * The SDK retries throttling errors, timeouts and 5xx responses on its own;
+ * this sets how often it tries and how long it waits in between, using the
+ * same jittered exponential backoff as the samples' batch retries.
+ *
+ * @param {object} [policy] See RETRY_DEFAULTS
+ * @param {number} [policy.maxAttempts] Attempts per request, including the first
+ * @param {number} [policy.baseDelay] Ceiling for the first retry delay in milliseconds
+ * @param {number} [policy.maxDelay] Upper bound for any retry delay in milliseconds
+ * @returns {ConfiguredRetryStrategy} A strategy to pass as the client's `retryStrategy`
+ */
+export function createRetryStrategy({
+    maxAttempts = RETRY_DEFAULTS.maxAttempts,
+    baseDelay = RETRY_DEFAULTS.baseDelay,
+    maxDelay = RETRY_DEFAULTS.maxDelay,
+} = {}) {
+    return new ConfiguredRetryStrategy(maxAttempts, (attempt) => backoffDelay(attempt, { baseDelay, maxDelay }));
+}
@@ -0,0 +1,214 @@
+/**
+ * Typed errors for the AWS service failures the samples care about.
+ *
+ * The SDK reports failures as exceptions whose `name` is the service's error
+ * code, with a message that rarely says what to do next. `translateAwsError`
+ * turns the common ones into the classes below with a message naming the
+ * operation, the resource and the likely fix. The translated error keeps the
+ * SDK error name, `$metadata`, the fields the service returned with the error
+ * (such as the `Item` of a failed DynamoDB condition) and the original error
+ * as `cause`, so code (and SDK waiters) that check `error.name` keep working;
+ * new code can use `instanceof` instead.
+ *
+ * `withErrorTranslation(client)` installs the translation on a client, so
+ * every command sent through it fails with a typed error.
+ */
+import { ConfigurationError } from "./errors.js";
+
+/**
+ * Base class for translated service errors.
+ */
+export class AwsServiceError extends Error {
+    /**
+     * @param {string} message What went wrong and what to do about it
+     * @param {object} details
+     * @param {string} details.code The service error code, e.g. 'AccessDeniedException'
+     * @param {string} [details.operation] The operation that failed, e.g. 'PutItem'
+     * @param {string} [details.resource] The table, bucket or object involved
+     * @param {Error} [details.cause] The SDK error
+     */
+    constructor(message, { code, operation, resource, cause }) {
+        super(message, { cause });
+        this.name = code;
+        this.code = code;
+        this.operation = operation;
+        this.resource = resource;
+        this.requestId = cause?.$metadata?.requestId;
+        this.statusCode = cause?.$metadata?.httpStatusCode;
+        this.$metadata = cause?.$metadata;
+        this.retryable = false;
+        // Service-specific fields start with a capital letter, e.g. Item or BucketName
+        for (const [field, value] of Object.entries(cause ?? {})) {
+            if (/^[A-Z]/.test(field)) {
+                this[field] = value;
+            }
+        }
+    }
+}
+
+/**
+ * The request rate or the provisioned capacity was exceeded, and the SDK's
+ * retries did not get through.
+ */
+export class ThrottlingError extends AwsServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.retryable = true;
+    }
+}
+
+/**
+ * The credentials were rejected, or do not allow the operation.
+ */
+export class AccessDeniedError extends AwsServiceError {}
+
+/**
+ * The table, object or other resource does not exist.
+ */
+export class ResourceNotFoundError extends AwsServiceError {}
+
+/**
+ * The bucket does not exist (or is in another partition).
+ */
+export class NoSuchBucketError extends ResourceNotFoundError {}
+
+/**
+ * A conditional request was rejected: a DynamoDB condition expression or an
+ * S3 precondition (If-Match, If-None-Match) did not hold.
+ */
+export class PreconditionFailedError extends AwsServiceError {}
+
+const THROTTLING_CODES = new Set([
+    "ThrottlingException",
+    "Throttling",
+    "ThrottledException",
+    "RequestThrottled",
+    "RequestThrottledException",
+    "TooManyRequestsException",
+    "ProvisionedThroughputExceededException",
+    "RequestLimitExceeded",
+    "BandwidthLimitExceeded",
+    "SlowDown",
+]);
+
+const CREDENTIAL_CODES = new Set([
+    "InvalidAccessKeyId",
+    "InvalidClientTokenId",
+    "UnrecognizedClientException",
+    "SignatureDoesNotMatch",
+    "ExpiredToken",
+    "ExpiredTokenException",
+    "InvalidToken",
+]);
+
+const ACCESS_DENIED_CODES = new Set(["AccessDenied", "AccessDeniedException", "Forbidden"]);
+
+const NOT_FOUND_CODES = new Set(["ResourceNotFoundException", "NoSuchKey", "NotFound", "NoSuchUpload", "NoSuchVersion"]);
+
+const PRECONDITION_CODES = new Set(["ConditionalCheckFailedException", "PreconditionFailed"]);
+
+/**
+ * Turn an SDK error into a typed error with an actionable message.
+ *
+ * Errors that are already translated, and errors this module does not know,
+ * are returned unchanged.
+ *
+ * @param {Error} error The error thrown by `client.send`
+ * @param {object} [context]
+ * @param {string} [context.commandName] The command that failed, e.g. 'PutItemCommand'
+ * @param {object} [context.input] The command input, used to name the table, bucket or key
+ * @returns {Error} The typed error, or `error` itself
+ */
+export function translateAwsError(error, { commandName, input = {} } = {}) {
+    if (!(error instanceof Error) || error instanceof AwsServiceError) {
+        return error;
+    }
+    const code = error.name;
+    const operation = commandName?.replace(/Command$/, "");
+    const resource = describeResource(input);
+    const details = { code, operation, resource, cause: error };
+    const action = [operation ?? "The request", resource && `on ${resource}`].filter(Boolean).join(" ");
+
+    if (code === "CredentialsProviderError") {
+        return new ConfigurationError(
+            `No AWS credentials found (${error.message}). Pass --profile, set AWS_PROFILE or the ` +
+            "AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY variables, or run 'aws sso login' for SSO profiles.",
+            { cause: error });
+    }
+    if (THROTTLING_CODES.has(code) || error.$metadata?.httpStatusCode === 429) {
+        const advice = code === "ProvisionedThroughputExceededException"
+            ? "Lower the concurrency, raise the provisioned capacity of the table or switch it to on-demand billing"
+            : "Lower the request rate, or allow more retries with --max-attempts / AWS_MAX_ATTEMPTS";
+        return new ThrottlingError(`${action} was throttled (${code}) and still failed after retrying. ${advice}.`, details);
+    }
+    if (CREDENTIAL_CODES.has(code)) {
+        return new AccessDeniedError(
+            `${action} was rejected because the credentials are not valid (${code}: ${error.message}). ` +
+            "Check the access key or profile, or refresh an expired session.", details);
+    }
+    if (ACCESS_DENIED_CODES.has(code)) {
+        return new AccessDeniedError(
+            `${action} was denied (${code}: ${error.message}). ` +
+            `Check that the policies of the current identity allow ${operation ? `the ${operation} action` : "it"}` +
+            `${resource ? ` on ${resource}` : ""}.`, details);
+    }
+    if (code === "NoSuchBucket") {
+        return new NoSuchBucketError(
+            `Bucket ${input.Bucket ?? error.BucketName} does not exist. Check the bucket name, or create the bucket first.`,
+            details);
+    }
+    if (NOT_FOUND_CODES.has(code)) {
+        let message;
+        if (input.TableName) {
+            message = `Table ${input.TableName} does not exist in this region` +
+                `${input.IndexName ? ` or has no index ${input.IndexName}` : ""}. ` +
+                "Check the table name and region, or create the table first.";
+        } else if (code === "NoSuchUpload") {
+            message = `Multipart upload ${input.UploadId} of ${resource} no longer exists; it was completed or aborted.`;
+        } else if (input.Key) {
+            message = `Object ${resource}${input.VersionId ? ` (version ${input.VersionId})` : ""} does not exist.`;
+        } else {
+            message = `${action} failed because the resource does not exist (${code}: ${error.message}).`;
+        }
+        return new ResourceNotFoundError(message, details);
+    }
+    if (PRECONDITION_CODES.has(code)) {
+        return new PreconditionFailedError(
+            `The condition of ${action} was not met: the item or object was changed or created by someone else.`,
+            details);
+    }
+    return error;
+}
+
+/**
+ * Install `translateAwsError` on a client, so that every command sent
+ * through it fails with a typed error. Installing it twice has no further
+ * effect. Objects without a middleware stack (such as test doubles) are
+ * returned unchanged.
+ *
+ * @param {object} client An AWS SDK v3 client
+ * @returns {object} The same client
+ */
+export function withErrorTranslation(client) {
+    client.middlewareStack?.add(
+        (next, context) => async (args) => {
+            try {
+                return await next(args);
+            } catch (error) {
+                throw translateAwsError(error, { commandName: context.commandName, input: args.input });
+            }
+        },
+        { step: "initialize", name: "translateAwsErrors", override: true },
+    );
+    return client;
+}
+
+function describeResource({ TableName, Bucket, Key } = {}) {
+    if (TableName) {
+        return `table ${TableName}`;
+    }
+    if (Bucket && Key) {
+        return `s3://${Bucket}/${Key}`;
+    }
+    return Bucket ? `bucket ${Bucket}` : undefined;
+}
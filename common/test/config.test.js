@@ -0,0 +1,89 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { ConfigurationError, configFlagsFromArgv, resolveClientConfig } from "../index.js";
+
+// Fixed sources, so the tests never read the real command line, environment or ~/.aws
+function sources({ argv = [], env = {}, configFile = {}, credentialsFile = {} } = {}) {
+    return { argv, env, loadConfigFiles: async () => ({ configFile, credentialsFile }) };
+}
+
+const credentials = async () => ({ accessKeyId: "a", secretAccessKey: "b" });
+
+describe("configFlagsFromArgv", () => {
+    test("reads the client flags and ignores everything else", () => {
+        assert.deepEqual(configFlagsFromArgv(["list", "--region", "eu-west-1", "--verbose", "--max-attempts=5"]),
+            { region: "eu-west-1", maxAttempts: "5" });
+        assert.deepEqual(configFlagsFromArgv([]), {});
+    });
+});
+
+describe("resolveClientConfig", () => {
+    test("prefers options over flags over environment over the shared files", async () => {
+        const all = sources({
+            argv: ["--region", "flag-region", "--profile", "flag-profile", "--endpoint", "http://flag"],
+            env: { AWS_REGION: "env-region", AWS_PROFILE: "env-profile", AWS_ENDPOINT_URL: "http://env" },
+            configFile: { "flag-profile": { region: "file-region" } },
+        });
+
+        const fromOptions = await resolveClientConfig(
+            { region: "option-region", profile: "option-profile", endpoint: "http://option", credentials }, all);
+        assert.deepEqual([fromOptions.region, fromOptions.profile, fromOptions.endpoint],
+            ["option-region", "option-profile", "http://option"]);
+
+        const fromFlags = await resolveClientConfig({ credentials }, all);
+        assert.deepEqual([fromFlags.region, fromFlags.profile, fromFlags.endpoint], ["flag-region", "flag-profile", "http://flag"]);
+
+        const fromEnv = await resolveClientConfig({ credentials }, { ...all, argv: [] });
+        assert.deepEqual([fromEnv.region, fromEnv.profile, fromEnv.endpoint], ["env-region", "env-profile", "http://env"]);
+    });
+
+    test("reads flags only from the command line it is given", async () => {
+        const { argv } = process;
+        process.argv = [argv[0], "script.js", "--region", "process-region"];
+        try {
+            const { env, loadConfigFiles } = sources({ env: { AWS_REGION: "env-region" } });
+            assert.equal((await resolveClientConfig({ credentials }, { env, loadConfigFiles })).region, "env-region");
+        } finally {
+            process.argv = argv;
+        }
+    });
+
+    test("takes the region of the selected profile from the shared files", async () => {
+        const files = { configFile: { default: { region: "default-region" } }, credentialsFile: { work: { region: "work-region" } } };
+
+        assert.equal((await resolveClientConfig({ credentials }, sources(files))).region, "default-region");
+        assert.equal((await resolveClientConfig({ credentials, profile: "work" }, sources(files))).region, "work-region");
+        assert.equal((await resolveClientConfig({ credentials },
+            sources({ ...files, env: { AWS_DEFAULT_REGION: "env-default" } }))).region, "env-default");
+    });
+
+    test("prefers the service endpoint variable and treats empty values as unset", async () => {
+        const env = { AWS_REGION: "", AWS_DEFAULT_REGION: "us-west-2", AWS_ENDPOINT_URL: "http://all", AWS_ENDPOINT_URL_S3: "http://s3" };
+
+        const config = await resolveClientConfig({ credentials, serviceId: "s3" }, sources({ env }));
+
+        assert.equal(config.region, "us-west-2");
+        assert.equal(config.endpoint, "http://s3");
+        assert.equal(config.profile, undefined);
+        assert.equal(config.credentials, credentials);
+    });
+
+    test("explains how to set a missing region", async () => {
+        await assert.rejects(resolveClientConfig({ credentials, profile: "work" }, sources()),
+            (error) => error instanceof ConfigurationError && /add a region to profile 'work' in ~\/.aws\/config/.test(error.message));
+    });
+
+    test("takes the number of attempts from the options, flags or environment", async () => {
+        const env = { AWS_REGION: "us-east-1", AWS_MAX_ATTEMPTS: "4" };
+
+        const fromEnv = await resolveClientConfig({ credentials }, sources({ env }));
+        assert.equal(await fromEnv.retryStrategy.maxAttempts(), 4);
+        const fromFlags = await resolveClientConfig({ credentials }, sources({ env, argv: ["--max-attempts", "6"] }));
+        assert.equal(await fromFlags.retryStrategy.maxAttempts(), 6);
+        const fromOptions = await resolveClientConfig({ credentials, retry: { maxAttempts: 2 } }, sources({ env }));
+        assert.equal(await fromOptions.retryStrategy.maxAttempts(), 2);
+
+        await assert.rejects(resolveClientConfig({ credentials }, sources({ env: { ...env, AWS_MAX_ATTEMPTS: "0" } })),
+            /number of attempts must be a positive integer, got '0'/);
+    });
+});
@@ -0,0 +1,45 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { CsvParser, parseCsv } from "../index.js";
+
+describe("CsvParser", () => {
+    test("parses quoted fields with delimiters, doubled quotes and line breaks", () => {
+        assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n"multi\nline",,x\n'), [
+            ["a", "b, c", 'say "hi"'],
+            ["multi\nline", "", "x"],
+        ]);
+    });
+
+    test("returns records as soon as a chunk completes them", () => {
+        const parser = new CsvParser();
+
+        assert.deepEqual(parser.push('one,"tw'), []);
+        assert.deepEqual(parser.push('o"'), []);
+        assert.deepEqual(parser.push('"",three\nfour'), [["one", 'two"', "three"]]);
+        assert.deepEqual(parser.push(",five"), []);
+        assert.deepEqual(parser.end(), [["four", "five"]]);
+    });
+
+    test("handles a quote split from the quote that escapes it", () => {
+        const parser = new CsvParser();
+
+        assert.deepEqual([...parser.push('"a"'), ...parser.push('"b"\n')], [['a"b']]);
+    });
+
+    test("skips blank lines and keeps empty fields", () => {
+        assert.deepEqual(parseCsv("a,b\n\n,\n"), [["a", "b"], ["", ""]]);
+        assert.deepEqual(parseCsv(""), []);
+    });
+
+    test("turns records into objects using the header or the given columns", () => {
+        assert.deepEqual(parseCsv("UserId,NoteId\nstudent,1\nteacher\n", { columns: true }), [
+            { UserId: "student", NoteId: "1" },
+            { UserId: "teacher", NoteId: "" },
+        ]);
+        assert.deepEqual(parseCsv("student,1", { columns: ["UserId", "NoteId"] }), [{ UserId: "student", NoteId: "1" }]);
+    });
+
+    test("uses another delimiter and quote", () => {
+        assert.deepEqual(parseCsv("a;'b;c'\n", { delimiter: ";", quote: "'" }), [["a", "b;c"]]);
+    });
+});
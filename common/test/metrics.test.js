@@ -0,0 +1,133 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { OperationMetrics, ThrottlingError, instrumentClient, withMetrics } from "../index.js";
+
+// A client whose middleware stack only collects what is added to it
+function fakeClient() {
+    const middlewares = [];
+    return { middlewares, middlewareStack: { add: (middleware, options) => middlewares.push({ middleware, options }) } };
+}
+
+function recordingLogger() {
+    const events = [];
+    return { events, debug: (message, fields) => events.push({ message, fields }) };
+}
+
+function handlerOf(client, name, next, context) {
+    return client.middlewares.find(({ options }) => options.name === name).middleware(next, context);
+}
+
+describe("withMetrics", () => {
+    test("records the duration, retries and capacity of a command", async () => {
+        const client = fakeClient();
+        const metrics = new OperationMetrics();
+        const logger = recordingLogger();
+        withMetrics(client, { metrics, logger });
+        let sent;
+        const handler = handlerOf(client, "operationMetrics", async (args) => {
+            sent = args;
+            return {
+                output: {
+                    $metadata: { attempts: 3, requestId: "req-1" },
+                    ConsumedCapacity: { CapacityUnits: 1.5, ReadCapacityUnits: 1.5 },
+                },
+            };
+        }, { clientName: "DynamoDBClient", commandName: "GetItemCommand" });
+
+        await handler({ input: { TableName: "Notes" } });
+
+        assert.deepEqual(sent.input, { ReturnConsumedCapacity: "TOTAL", TableName: "Notes" });
+        const { commands } = metrics.summary();
+        assert.equal(commands.length, 1);
+        const { command, calls, errors, retries, capacity, readCapacity } = commands[0];
+        assert.deepEqual({ command, calls, errors, retries, capacity, readCapacity },
+            { command: "GetItem", calls: 1, errors: 0, retries: 2, capacity: 1.5, readCapacity: 1.5 });
+        assert.equal(logger.events[0].message, "GetItem");
+        assert.equal(logger.events[0].fields.requestId, "req-1");
+    });
+
+    test("records the bytes S3 sends and receives", async () => {
+        const client = fakeClient();
+        const metrics = new OperationMetrics();
+        withMetrics(client, { metrics, logger: recordingLogger() });
+        const next = async () => ({ output: { $metadata: {}, ContentLength: 42 } });
+
+        await handlerOf(client, "operationMetrics", next, { clientName: "S3Client", commandName: "PutObjectCommand" })(
+            { input: { Bucket: "notes", Key: "a.txt", Body: "héllo" } });
+
+        const { bytesSent, bytesReceived } = metrics.summary().totals;
+        assert.deepEqual({ bytesSent, bytesReceived }, { bytesSent: 6, bytesReceived: 42 });
+    });
+
+    test("keeps a capacity setting the command asked for and leaves other services alone", async () => {
+        const client = fakeClient();
+        withMetrics(client, { metrics: new OperationMetrics(), logger: recordingLogger() });
+        const inputs = [];
+        const next = async (args) => {
+            inputs.push(args.input);
+            return { output: { $metadata: {} } };
+        };
+
+        await handlerOf(client, "operationMetrics", next, { clientName: "DynamoDBClient", commandName: "QueryCommand" })(
+            { input: { ReturnConsumedCapacity: "INDEXES" } });
+        await handlerOf(client, "operationMetrics", next, { clientName: "DynamoDBClient", commandName: "DescribeTableCommand" })(
+            { input: {} });
+        await handlerOf(client, "operationMetrics", next, { clientName: "S3Client", commandName: "GetObjectCommand" })(
+            { input: {} });
+
+        assert.deepEqual(inputs, [{ ReturnConsumedCapacity: "INDEXES" }, {}, {}]);
+    });
+
+    test("counts failed commands and rethrows the error", async () => {
+        const client = fakeClient();
+        const metrics = new OperationMetrics();
+        const logger = recordingLogger();
+        withMetrics(client, { metrics, logger });
+        const failure = Object.assign(new Error("slow down"), { name: "SlowDown", $metadata: { attempts: 4 } });
+        const handler = handlerOf(client, "operationMetrics", async () => {
+            throw failure;
+        }, { clientName: "S3Client", commandName: "PutObjectCommand" });
+
+        await assert.rejects(handler({ input: { Bucket: "notes" } }), (error) => error === failure);
+
+        const [row] = metrics.summary().commands;
+        assert.deepEqual([row.command, row.errors, row.retries], ["PutObject", 1, 3]);
+        assert.equal(logger.events[0].message, "PutObject failed");
+        assert.equal(logger.events[0].fields.error, "SlowDown");
+    });
+});
+
+describe("OperationMetrics", () => {
+    test("sums the commands, slowest first, and resets", () => {
+        const metrics = new OperationMetrics();
+        metrics.record({ command: "Query", durationMs: 10, capacity: { total: 2 } });
+        metrics.record({ command: "Query", durationMs: 30, retries: 1, failed: true });
+        metrics.record({ command: "PutItem", durationMs: 5, bytesSent: 100 });
+
+        const { commands, totals } = metrics.summary();
+
+        assert.deepEqual(commands.map(({ command, calls, avgMs, maxMs }) => [command, calls, avgMs, maxMs]),
+            [["Query", 2, 20, 30], ["PutItem", 1, 5, 5]]);
+        assert.deepEqual(totals, { calls: 3, errors: 1, retries: 1, totalMs: 45, capacity: 2, bytesSent: 100, bytesReceived: 0 });
+        metrics.reset();
+        assert.deepEqual(metrics.summary().commands, []);
+    });
+});
+
+describe("instrumentClient", () => {
+    test("installs both the error translation and the metrics", async () => {
+        const client = fakeClient();
+        const metrics = new OperationMetrics();
+
+        instrumentClient(client, { metrics, logger: recordingLogger() });
+
+        assert.deepEqual(client.middlewares.map(({ options }) => options.name), ["translateAwsErrors", "operationMetrics"]);
+        const context = { clientName: "DynamoDBClient", commandName: "ScanCommand" };
+        const translating = handlerOf(client, "translateAwsErrors", async () => {
+            throw Object.assign(new Error("throttled"), { name: "ThrottlingException", $metadata: {} });
+        }, context);
+        const handler = handlerOf(client, "operationMetrics", translating, context);
+        await assert.rejects(handler({ input: { TableName: "Notes" } }), ThrottlingError);
+        assert.equal(metrics.summary().totals.errors, 1);
+    });
+});
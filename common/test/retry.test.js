@@ -0,0 +1,44 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { RETRY_DEFAULTS, backoffDelay, createRetryStrategy, sleep } from "../index.js";
+
+describe("backoffDelay", () => {
+    test("doubles the ceiling with every retry up to maxDelay", () => {
+        const highest = (attempt, options) => backoffDelay(attempt, { ...options, random: () => 0.999999 });
+
+        assert.deepEqual([1, 2, 3, 4].map((attempt) => highest(attempt, { baseDelay: 100, maxDelay: 500 })), [99, 199, 399, 499]);
+        assert.equal(highest(1), 49);
+        assert.equal(highest(20), 4999);
+    });
+
+    test("picks a random delay between zero and the ceiling", () => {
+        assert.equal(backoffDelay(3, { baseDelay: 100, random: () => 0 }), 0);
+        assert.equal(backoffDelay(3, { baseDelay: 100, random: () => 0.5 }), 200);
+    });
+});
+
+describe("sleep", () => {
+    test("resolves after the delay", async () => {
+        const started = Date.now();
+        await sleep(20);
+        assert.ok(Date.now() - started >= 15);
+    });
+});
+
+describe("createRetryStrategy", () => {
+    test("uses RETRY_DEFAULTS unless told otherwise", async () => {
+        const strategy = createRetryStrategy();
+
+        assert.equal(await strategy.maxAttempts(), RETRY_DEFAULTS.maxAttempts);
+        for (let attempt = 1; attempt <= 20; attempt++) {
+            assert.ok(strategy.computeNextBackoffDelay(attempt) < RETRY_DEFAULTS.maxDelay);
+        }
+    });
+
+    test("applies the given policy", async () => {
+        const strategy = createRetryStrategy({ maxAttempts: 5, baseDelay: 1, maxDelay: 2 });
+
+        assert.equal(await strategy.maxAttempts(), 5);
+        assert.ok(strategy.computeNextBackoffDelay(10) < 2);
+    });
+});
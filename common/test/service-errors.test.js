@@ -0,0 +1,113 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+    AccessDeniedError,
+    AwsServiceError,
+    ConfigurationError,
+    NoSuchBucketError,
+    PreconditionFailedError,
+    ResourceNotFoundError,
+    ThrottlingError,
+    translateAwsError,
+    withErrorTranslation,
+} from "../index.js";
+
+// An error shaped like the ones the SDK throws
+function sdkError(name, fields = {}, message = "service message") {
+    return Object.assign(new Error(message), { name, $metadata: { requestId: "req-1", httpStatusCode: 400 }, ...fields });
+}
+
+describe("translateAwsError", () => {
+    test("keeps the code, metadata, service fields and cause", () => {
+        const cause = sdkError("ConditionalCheckFailedException", { Item: { Version: { N: "2" } } });
+
+        const error = translateAwsError(cause, { commandName: "PutItemCommand", input: { TableName: "Notes" } });
+
+        assert.ok(error instanceof PreconditionFailedError);
+        assert.ok(error instanceof AwsServiceError);
+        assert.equal(error.name, "ConditionalCheckFailedException");
+        assert.equal(error.operation, "PutItem");
+        assert.equal(error.resource, "table Notes");
+        assert.equal(error.requestId, "req-1");
+        assert.equal(error.statusCode, 400);
+        assert.deepEqual(error.Item, { Version: { N: "2" } });
+        assert.equal(error.cause, cause);
+        assert.equal(error.retryable, false);
+        assert.match(error.message, /^The condition of PutItem on table Notes was not met/);
+    });
+
+    test("marks throttling as retryable and advises on capacity for DynamoDB", () => {
+        const throttled = translateAwsError(sdkError("ProvisionedThroughputExceededException"),
+            { commandName: "QueryCommand", input: { TableName: "Notes" } });
+        const tooMany = translateAwsError(sdkError("Unknown", { $metadata: { httpStatusCode: 429 } }));
+
+        assert.ok(throttled instanceof ThrottlingError);
+        assert.equal(throttled.retryable, true);
+        assert.match(throttled.message, /Query on table Notes was throttled.*raise the provisioned capacity/);
+        assert.ok(tooMany instanceof ThrottlingError);
+        assert.match(tooMany.message, /^The request was throttled.*--max-attempts/);
+    });
+
+    test("tells invalid credentials from missing permissions", () => {
+        const invalid = translateAwsError(sdkError("ExpiredToken"), { commandName: "ListBucketsCommand" });
+        const denied = translateAwsError(sdkError("AccessDenied"),
+            { commandName: "GetObjectCommand", input: { Bucket: "notes", Key: "a.txt" } });
+
+        assert.ok(invalid instanceof AccessDeniedError);
+        assert.match(invalid.message, /credentials are not valid \(ExpiredToken/);
+        assert.ok(denied instanceof AccessDeniedError);
+        assert.match(denied.message, /allow the GetObject action on s3:\/\/notes\/a.txt\.$/);
+    });
+
+    test("names the missing table, bucket, object or upload", () => {
+        const table = translateAwsError(sdkError("ResourceNotFoundException"),
+            { input: { TableName: "Notes", IndexName: "ByTag" } });
+        const bucket = translateAwsError(sdkError("NoSuchBucket", { BucketName: "notes" }));
+        const object = translateAwsError(sdkError("NoSuchKey"), { input: { Bucket: "notes", Key: "a.txt", VersionId: "v1" } });
+        const upload = translateAwsError(sdkError("NoSuchUpload"), { input: { Bucket: "notes", Key: "a.txt", UploadId: "u1" } });
+
+        assert.ok(table instanceof ResourceNotFoundError);
+        assert.match(table.message, /^Table Notes does not exist in this region or has no index ByTag/);
+        assert.ok(bucket instanceof NoSuchBucketError);
+        assert.ok(bucket instanceof ResourceNotFoundError);
+        assert.match(bucket.message, /^Bucket notes does not exist/);
+        assert.equal(object.message, "Object s3://notes/a.txt (version v1) does not exist.");
+        assert.match(upload.message, /^Multipart upload u1 of s3:\/\/notes\/a.txt no longer exists/);
+    });
+
+    test("turns missing credentials into a ConfigurationError", () => {
+        const error = translateAwsError(sdkError("CredentialsProviderError", {}, "Could not load credentials"));
+
+        assert.ok(error instanceof ConfigurationError);
+        assert.match(error.message, /^No AWS credentials found \(Could not load credentials\)/);
+    });
+
+    test("returns unknown and already translated errors unchanged", () => {
+        const unknown = sdkError("ValidationException");
+        const translated = translateAwsError(sdkError("AccessDenied"));
+
+        assert.equal(translateAwsError(unknown), unknown);
+        assert.equal(translateAwsError(translated), translated);
+        assert.equal(translateAwsError("not an error"), "not an error");
+    });
+});
+
+describe("withErrorTranslation", () => {
+    test("translates the failures of every command sent through the client", async () => {
+        const middlewares = [];
+        const client = { middlewareStack: { add: (middleware, options) => middlewares.push({ middleware, options }) } };
+
+        assert.equal(withErrorTranslation(client), client);
+        assert.equal(middlewares[0].options.name, "translateAwsErrors");
+        const handler = middlewares[0].middleware(async () => {
+            throw sdkError("ResourceNotFoundException");
+        }, { commandName: "GetItemCommand" });
+        await assert.rejects(handler({ input: { TableName: "Notes" } }),
+            (error) => error instanceof ResourceNotFoundError && error.operation === "GetItem");
+    });
+
+    test("leaves objects without a middleware stack alone", () => {
+        const double = { send: async () => ({}) };
+        assert.equal(withErrorTranslation(double), double);
+    });
+});
@@ -0,0 +1,96 @@
+import { readFileSync } from "fs";
+import { configFlagsFromArgv, configureLogging, getLogger, logMetricsSummary, resolveClientConfig } from "aws-samples-common";
+import { ConditionalCheckFailedError, NotesRepository } from "./index.js";
+
+configureLogging();
+const logger = getLogger("demo");
+
+/**
+ * Walkthrough of the NotesRepository.
+ *
+ * Creates the Notes table, loads notes.json, updates and queries a few notes
+ * and finally deletes the table again.
+ *
+ * The client configuration comes from --profile, --region and --endpoint
+ * flags, AWS_PROFILE / AWS_REGION, or the shared config files, e.g.
+ * `npm run demo -- --endpoint http://localhost:8000` for DynamoDB Local.
+ * --log-level debug logs every AWS request; --log-format json prints JSON
+ * lines. The run ends with a summary of the requests it made.
+ */
+async function main() {
+    const flags = configFlagsFromArgv(process.argv.slice(2));
+    const clientConfig = await resolveClientConfig({
+        serviceId: "DYNAMODB",
+        profile: flags.profile,
+        region: flags.region,
+        endpoint: flags.endpoint,
+        retry: { maxAttempts: flags.maxAttempts },
+    });
+    const notes = new NotesRepository({ tableName: "Notes", clientConfig });
+
+    const jsonFileName = new URL("./notes.json", import.meta.url);
+    const tableName = notes.tableName;
+
+    logger.info("Preparing to create table");
+    if (! await notes.tableExists()) {
+        logger.info(`Table '${tableName}' does not currently exist. Creating now.`);
+        await notes.createTable();
+        logger.info(`Waiting for table '${tableName}' creation completion ...`);
+        await notes.waitUntilTableExists();
+    } else {
+        logger.info(`Table '${tableName}' already exists. Proceeding...`);
+    }
+
+    // Now, load some data from notes.json
+    const records = JSON.parse(readFileSync(jsonFileName));
+    logger.info(`Loaded ${records.length} notes from notes.json`);
+    logger.info("Inserting notes into table");
+    const { succeeded, failed } = await notes.batchInsertNotes(records);
+    logger.info("Inserted notes", { succeeded, failed: failed.length });
+    if (failed.length > 0) {
+        throw new Error(`${failed.length} notes could not be inserted, first error: ${failed[0].error}`);
+    }
+
+    const updateResponse = await notes.updateNote("student", 5);
+    logger.info("Updated note", { note: updateResponse });
+
+    // Writing back a stale copy fails instead of silently overwriting the update above
+    const stale = { ...updateResponse, Version: updateResponse.Version - 1 };
+    try {
+        await notes.saveNote(stale);
+    } catch (error) {
+        if (!(error instanceof ConditionalCheckFailedError)) {
+            throw error;
+        }
+        logger.info("Stale write rejected", { error: error.message });
+    }
+
+    // Find all notes for the student having userId: 'student'
+    let queryResults = await notes.queryNotes("student");
+    logger.info("Results of simple query", { count: queryResults.length });
+    for (const note of queryResults) {
+        logger.info("Note", { note });
+    }
+
+    // Perform a PartiQL query
+    queryResults = await notes.partiqlQuery("student", 5);
+    logger.info("Results of PartiQL query", { count: queryResults.length });
+    for (const note of queryResults) {
+        logger.info("Note", { note });
+    }
+
+    logger.info("Deleting table");
+    await notes.deleteTable();
+}
+
+main()
+    .then(() => {
+        logMetricsSummary();
+        process.exit(0);
+    })
+    .catch((error) => {
+        // A failed step must fail the run, so scripts and CI can detect it
+        logger.error(`${error.name}: ${error.message}`);
+        logMetricsSummary();
+        process.exit(1);
+    });
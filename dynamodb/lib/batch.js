@@ -0,0 +1,136 @@
+import {
+    BatchWriteItemCommand,
+    BatchGetItemCommand,
+    DynamoDBClient,
+} from "@aws-sdk/client-dynamodb";
+import { backoffDelay, mapConcurrent, sleep } from "aws-samples-common";
+
+/**
+ * BatchWriteItem accepts at most 25 put or delete requests per call.
+ */
+export const WRITE_BATCH_SIZE = 25;
+
+/**
+ * BatchGetItem accepts at most 100 keys per call.
+ */
+export const GET_BATCH_SIZE = 100;
+
+/**
+ * Defaults for the batch options.
+ */
+export const BATCH_DEFAULTS = {
+    concurrency: 4,
+    maxAttempts: 8,
+    baseDelay: 50,
+    maxDelay: 5000,
+};
+
+/**
+ * Write items in batches of 25 with BatchWriteItem.
+ *
+ * Batches run concurrently up to `concurrency`. DynamoDB may accept only part
+ * of a batch and return the rest as `UnprocessedItems` (usually because of
+ * throttling); those are retried with exponential backoff and jitter until
+ * they succeed or `maxAttempts` is reached. A batch rejected as a whole (for
+ * example a validation error) is reported as failed without retrying.
+ *
+ * @param {DynamoDBClient} client Initialized client (including the designed region)
+ * @param {string} tableName Name of the table to write to
+ * @param {object[]} requests Write requests in BatchWriteItem form, e.g. {PutRequest: {Item}}
+ * @param {object} [options] See BATCH_DEFAULTS
+ * @returns {Promise<{succeeded: number, failed: Array<{request: object, error: string}>}>}
+ */
+export async function batchWriteItems(client, tableName, requests, options = {}) {
+    const settings = { ...BATCH_DEFAULTS, ...options };
+    const summary = { succeeded: 0, failed: [] };
+
+    await mapConcurrent(chunk(requests, WRITE_BATCH_SIZE), settings.concurrency, async (batch) => {
+        let pending = batch;
+        for (let attempt = 1; pending.length > 0; attempt++) {
+            if (attempt > settings.maxAttempts) {
+                summary.failed.push(...pending.map((request) => ({
+                    request,
+                    error: `Still unprocessed after ${settings.maxAttempts} attempts`,
+                })));
+                return;
+            }
+            if (attempt > 1) {
+                await sleep(backoffDelay(attempt - 1, settings));
+            }
+            let response;
+            try {
+                response = await client.send(new BatchWriteItemCommand({
+                    RequestItems: { [tableName]: pending },
+                }));
+            } catch (error) {
+                summary.failed.push(...pending.map((request) => ({ request, error: error.message })));
+                return;
+            }
+            const unprocessed = response.UnprocessedItems?.[tableName] ?? [];
+            summary.succeeded += pending.length - unprocessed.length;
+            pending = unprocessed;
+        }
+    });
+    return summary;
+}
+
+/**
+ * Fetch items in batches of 100 keys with BatchGetItem.
+ *
+ * Batches run concurrently up to `concurrency`. Keys returned as
+ * `UnprocessedKeys` are retried with exponential backoff and jitter until
+ * they succeed or `maxAttempts` is reached. Keys that do not exist are simply
+ * absent from the result.
+ *
+ * @param {DynamoDBClient} client Initialized client (including the designed region)
+ * @param {string} tableName Name of the table to read from
+ * @param {object[]} keys Keys in DynamoDB attribute value format
+ * @param {object} [options] See BATCH_DEFAULTS
+ * @param {boolean} [options.consistentRead] Use strongly consistent reads
+ * @param {string} [options.projectionExpression] Only return these attributes
+ * @param {object} [options.expressionAttributeNames] Names used in the projection
+ * @returns {Promise<{items: object[], failed: Array<{key: object, error: string}>}>}
+ */
+export async function batchGetItems(client, tableName, keys, options = {}) {
+    const settings = { ...BATCH_DEFAULTS, ...options };
+    const summary = { items: [], failed: [] };
+    const request = {
+        ConsistentRead: settings.consistentRead,
+        ProjectionExpression: settings.projectionExpression,
+        ExpressionAttributeNames: settings.expressionAttributeNames,
+    };
+
+    await mapConcurrent(chunk(keys, GET_BATCH_SIZE), settings.concurrency, async (batch) => {
+        let pending = batch;
+        for (let attempt = 1; pending.length > 0; attempt++) {
+            if (attempt > settings.maxAttempts) {
+                summary.failed.push(...pending.map((key) => ({
+                    key,
+                    error: `Still unprocessed after ${settings.maxAttempts} attempts`,
+                })));
+                return;
+            }
+            if (attempt > 1) {
+                await sleep(backoffDelay(attempt - 1, settings));
+            }
+            let response;
+            try {
+                response = await client.send(new BatchGetItemCommand({
+                    RequestItems: { [tableName]: { ...request, Keys: pending } },
+                }));
+            } catch (error) {
+                summary.failed.push(...pending.map((key) => ({ key, error: error.message })));
+                return;
+            }
+            summary.items.push(...(response.Responses?.[tableName] ?? []));
+            pending = response.UnprocessedKeys?.[tableName]?.Keys ?? [];
+        }
+    });
+    return summary;
+}
+
+function* chunk(items, size) {
+    for (let i = 0; i < items.length; i += size) {
+        yield items.slice(i, i + size);
+    }
+}
@@ -0,0 +1,727 @@
+import { readFile } from "fs/promises";
+import { basename } from "path";
+import { parseArgs } from "util";
+import {
+    resolveClientConfig,
+    configureLogging,
+    getLogger,
+    logMetricsSummary,
+    operationMetrics,
+    formatOutput,
+    OUTPUT_FORMATS,
+    UsageError,
+} from "aws-samples-common";
+import { and, attr, update } from "./expressions.js";
+import { NotesRepository } from "./notes-repository.js";
+import { NOTE_STATUSES, NotesService } from "./notes-service.js";
+import { parseNotesText } from "./schema.js";
+import { loadTableDefinition } from "./table-definition.js";
+import { INGEST_FORMATS } from "./s3-ingest.js";
+import { jsonReplacer, TRANSFER_FORMATS } from "./table-transfer.js";
+
+export const USAGE = `Usage: notes <command> [options]
+
+Commands:
+  table create                      Create the notes table and wait until it is active
+  table ensure [--dryrun]           Create the table or update its indexes, billing, stream,
+                                    TTL, point-in-time recovery and tags to match the
+                                    definition; --dryrun only lists the changes
+  table export <location> [--format f] [--segments n] [--columns a,b]
+                                    Export every note with a parallel scan to a file or
+                                    an s3://bucket/key object
+  table import <location> [--format f] [--rename from=to ...] [--concurrency n]
+             [--checkpoint file] [--resume]
+                                    Import notes from a file or S3 object with batch writes,
+                                    saving a checkpoint to resume from if interrupted
+  table stream [--dryrun]           Turn on the table's stream with NEW_AND_OLD_IMAGES
+  table indexes [--dryrun]          Add the IncompleteNotes and RecentNotes indexes and create
+                                    the <table>Index table used by the commands from notes
+                                    create to notes stats
+  table delete                      Delete the notes table
+  table describe                    Show the table description
+  table wait                        Wait until the table exists and is active
+  notes load <file> [--concurrency n] [--on-invalid reject|skip] [--create-only]
+                                    Insert the notes from a JSON array or JSON Lines file in
+                                    batches; invalid notes reject the whole file unless
+                                    --on-invalid skip is given; --create-only leaves
+                                    existing notes unchanged
+  notes ingest <s3://bucket/key> [--select sql] [--format csv|jsonl] [--rename from=to ...]
+             [--errors s3://bucket/key] [--concurrency n] [--checkpoint file] [--resume]
+                                    Stream a CSV or JSON Lines object from S3, optionally
+                                    filtered with S3 Select, into the table; rejected rows
+                                    are written to an errors object
+  notes get <user> <id>             Show a single note
+  notes list <user> [--from id] [--to id] [--where attr=value ...] [--attributes a,b|all]
+             [--desc] [--limit n] [--next-token token] [--consistent]
+                                    List the notes of a user, optionally in a NoteId range,
+                                    filtered, newest first or one page at a time
+  notes update <user> <id> [--set attr=value ...] [--remove attr ...] [--add attr=value ...]
+             [--expect-version n] [--upsert]
+                                    Set, remove or add to attributes of an existing note;
+                                    --add adds a number, or the elements of a JSON list to a set
+  notes delete <user> <id> [--expect-version n]
+                                    Delete a single note
+  notes move <user> <id> <to-user> [--to-id n] [--token token]
+                                    Move a note to another user in one transaction
+  notes complete <user> <id> [<id> ...] [--token token]
+                                    Mark notes of a user complete, all or none
+  notes create <user> <id> "<text>" [--tag t ...] [--status incomplete|complete]
+                                    Create a note with tags and a status, indexing its tags
+                                    and words and counting it for its user
+  notes edit <user> <id> [--text "<text>"] [--tag t ...] [--status s] [--expect-version n]
+                                    Change the text, tags or status of a note and its index
+                                    entries; --tag replaces all tags, --tag "" removes them
+  notes remove <user> <id> [--expect-version n]
+                                    Delete a note with its index entries
+  notes incomplete [--limit n] [--next-token token]
+                                    List the incomplete notes of all users, newest first
+  notes tagged <tag> [--user u] [--limit n] [--next-token token]
+                                    List the notes with a tag
+  notes recent [--limit n] [--days n]
+                                    List the notes changed in the last days (default: 7),
+                                    newest first
+  notes search "<words>" [--user u] [--limit n]
+                                    Find the notes containing all of the words, newest first
+  notes stats <user>                Count the notes of a user and the incomplete ones
+  partiql "<statement>" [--limit n] [--next-token token] [--consistent]
+                                    Run a PartiQL statement
+  stream consume [--checkpoint file | --checkpoint-table name] [--mirror s3://bucket[/prefix]]
+             [--audit s3://bucket[/prefix]] [--start trim-horizon|latest] [--follow]
+                                    Read the table's stream from the checkpoint, mirroring
+                                    notes to S3 as notes/<UserId>/<NoteId>.json and writing
+                                    an audit object per change; without --mirror or --audit
+                                    each change is printed as a JSON line. Stops once caught
+                                    up unless --follow is given (Ctrl-C to stop)
+
+Options:
+  --table <name>                    Notes table name (default: the definition's, or Notes)
+  --definition <file>               Table definition in JSON or YAML for table create/ensure
+  --profile <name>                  Named AWS profile
+  --region <region>                 AWS region
+  --endpoint <url>                  Endpoint override, e.g. http://localhost:8000
+  --max-attempts <n>                Attempts per request before giving up (default: 3,
+                                    or AWS_MAX_ATTEMPTS)
+  --output json|table|csv           Output format (default: json)
+  --log-level <level>               Log level for stderr: debug logs every AWS request and
+                                    info a summary of them at the end (default: warn,
+                                    or LOG_LEVEL)
+  --log-format text|json            Log format (default: text, or LOG_FORMAT)
+  --format jsonl|csv|dynamodb-json  Export, import or ingest format (default: from the
+                                    extension, .jsonl/.ndjson or .csv)
+  --select <sql>                    S3 Select expression to filter ingested rows with
+  --errors <s3://bucket/key>        Where notes ingest writes rejected rows (default: the
+                                    object's key with .errors.jsonl appended)
+  --token <token>                   Idempotency token for transactions; repeating a command
+                                    with the same token within 10 minutes applies it once
+  -h, --help                        Show this help
+
+--set values are parsed as JSON when possible (numbers, booleans, lists),
+otherwise they are stored as strings; --where and --add values are parsed the
+same way. Attribute names may be document paths such as Details.Tags[0].
+With --limit only one page is printed; the token for the next page is written
+to stderr. table import keeps its checkpoint in <name>.checkpoint.json and
+notes ingest in <name>.ingest.json in the current directory unless
+--checkpoint is given, and stream consume in <table>.stream.json; --rename
+maps CSV columns or JSON attributes to note attributes, e.g. --rename
+Notes=Note.`;
+
+const OPTIONS = {
+    table: { type: "string" },
+    definition: { type: "string" },
+    dryrun: { type: "boolean", default: false },
+    profile: { type: "string" },
+    region: { type: "string" },
+    endpoint: { type: "string" },
+    "max-attempts": { type: "string" },
+    output: { type: "string", default: "json" },
+    "log-level": { type: "string" },
+    "log-format": { type: "string" },
+    set: { type: "string", multiple: true },
+    remove: { type: "string", multiple: true },
+    add: { type: "string", multiple: true },
+    concurrency: { type: "string", default: "4" },
+    format: { type: "string" },
+    segments: { type: "string" },
+    columns: { type: "string" },
+    rename: { type: "string", multiple: true },
+    checkpoint: { type: "string" },
+    "checkpoint-table": { type: "string" },
+    mirror: { type: "string" },
+    audit: { type: "string" },
+    start: { type: "string", default: "trim-horizon" },
+    follow: { type: "boolean", default: false },
+    select: { type: "string" },
+    errors: { type: "string" },
+    resume: { type: "boolean", default: false },
+    "on-invalid": { type: "string", default: "reject" },
+    "create-only": { type: "boolean", default: false },
+    "expect-version": { type: "string" },
+    upsert: { type: "boolean", default: false },
+    "to-id": { type: "string" },
+    text: { type: "string" },
+    tag: { type: "string", multiple: true },
+    status: { type: "string" },
+    user: { type: "string" },
+    days: { type: "string" },
+    token: { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+    where: { type: "string", multiple: true },
+    attributes: { type: "string" },
+    desc: { type: "boolean", default: false },
+    limit: { type: "string" },
+    "next-token": { type: "string" },
+    consistent: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Run the notes command line tool.
+ *
+ * @param {string[]} argv Command line arguments, without the node binary and script
+ * @param {object} [io]
+ * @param {object} [io.stdout] Stream for results (defaults to process.stdout)
+ * @param {object} [io.stderr] Stream for errors and usage (defaults to process.stderr)
+ * @param {Function} [io.createRepository] Factory for the repository, given the parsed options
+ * @returns {Promise<number>} The process exit code: 0 on success, 1 on failure, 2 on usage errors
+ */
+export async function run(argv, io = {}) {
+    const {
+        stdout = process.stdout,
+        stderr = process.stderr,
+        createRepository = defaultRepository,
+    } = io;
+
+    let options;
+    let positionals;
+    try {
+        ({ values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+        if (!OUTPUT_FORMATS.includes(options.output)) {
+            throw new UsageError(`--output must be one of: ${OUTPUT_FORMATS.join(", ")}`);
+        }
+        setUpLogging(options);
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (options.help || positionals.length === 0) {
+        (options.help ? stdout : stderr).write(`${USAGE}\n`);
+        return options.help ? 0 : 2;
+    }
+
+    operationMetrics.reset();
+    try {
+        const { handler, args } = resolveHandler(positionals);
+        const repository = await createRepository(options);
+        const result = await handler(repository, args, options, { stdout, stderr });
+        if (result !== undefined) {
+            stdout.write(`${formatOutput(result, options.output)}\n`);
+        }
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            stderr.write(`${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+        stderr.write(`Error: ${error.message}\n`);
+        return 1;
+    } finally {
+        logMetricsSummary();
+    }
+}
+
+// Logs go to stderr so the results on stdout stay machine-readable, and only
+// warnings are logged unless asked for more
+function setUpLogging(options) {
+    try {
+        configureLogging({
+            level: options["log-level"] ?? process.env.LOG_LEVEL ?? "warn",
+            format: options["log-format"],
+            stream: "stderr",
+        }, { argv: [] });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+async function defaultRepository(options) {
+    const clientConfig = await resolveClientConfig({
+        serviceId: "DYNAMODB",
+        profile: options.profile,
+        region: options.region,
+        endpoint: options.endpoint,
+        retry: { maxAttempts: options["max-attempts"] },
+    });
+    const s3ClientConfig = await resolveClientConfig({
+        serviceId: "S3",
+        profile: options.profile,
+        region: options.region,
+        retry: { maxAttempts: options["max-attempts"] },
+    });
+    const tableDefinition = options.definition ? await loadTableDefinition(options.definition) : undefined;
+    return new NotesRepository({
+        tableName: options.table ?? tableDefinition?.tableName,
+        clientConfig,
+        s3ClientConfig,
+        tableDefinition,
+    });
+}
+
+const logger = getLogger("notes");
+
+/**
+ * Command handlers, keyed by command and subcommand. Each handler receives the
+ * repository, the remaining positional arguments, the parsed options and the
+ * output streams, and returns the value to print (or undefined for nothing).
+ */
+const COMMANDS = {
+    table: {
+        async create(repository) {
+            await repository.createTable();
+            await repository.waitUntilTableExists();
+            return repository.describeTable();
+        },
+        async ensure(repository, args, options, { stderr }) {
+            return repository.ensureTable({
+                dryRun: options.dryrun,
+                onStep: (step) => stderr.write(`${step.description}\n`),
+            });
+        },
+        async export(repository, [location], options) {
+            requireArgs("table export <location>", location);
+            const { items, scanned, segments, format } = await repository.exportNotes(location, {
+                format: parseFormat(options.format),
+                segments: options.segments === undefined ? undefined : parseCount(options.segments, "--segments"),
+                columns: options.columns?.split(",").map((name) => name.trim()).filter(Boolean),
+                onProgress: (progress) => logger.debug("Exported page", progress),
+            });
+            return { location, format, segments, exported: items, scanned };
+        },
+        async import(repository, [location], options) {
+            requireArgs("table import <location>", location);
+            const { imported, position, resumedFrom, invalid } = await repository.importNotes(location, {
+                format: parseFormat(options.format),
+                rename: parseRenames(options.rename),
+                concurrency: parseCount(options.concurrency, "--concurrency"),
+                checkpoint: options.checkpoint ?? `${basename(location)}.checkpoint.json`,
+                resume: options.resume,
+                onProgress: (progress) => logger.debug("Imported chunk", progress),
+            });
+            return {
+                imported,
+                read: position - resumedFrom,
+                resumedFrom,
+                skipped: invalid.map(({ position: record, line, errors }) => ({ record, line, errors })),
+            };
+        },
+        async stream(repository, args, options, { stderr }) {
+            return repository.enableStream({
+                dryRun: options.dryrun,
+                onStep: (step) => stderr.write(`${step.description}\n`),
+            });
+        },
+        async indexes(repository, args, options, { stderr }) {
+            return new NotesService({ repository }).ensureTables({
+                dryRun: options.dryrun,
+                onStep: (step) => stderr.write(`${step.description}\n`),
+            });
+        },
+        async delete(repository) {
+            await repository.deleteTable();
+            return { TableName: repository.tableName, deleted: true };
+        },
+        async describe(repository) {
+            return repository.describeTable();
+        },
+        async wait(repository) {
+            await repository.waitUntilTableExists();
+            return { TableName: repository.tableName, status: "ACTIVE" };
+        },
+    },
+    notes: {
+        async load(repository, [file], options) {
+            requireArgs("notes load <file>", file);
+            const concurrency = parseCount(options.concurrency, "--concurrency");
+            const onInvalid = options["on-invalid"];
+            if (!["reject", "skip"].includes(onInvalid)) {
+                throw new UsageError(`--on-invalid must be reject or skip, got '${onInvalid}'`);
+            }
+            const records = parseNotesText(await readFile(file, "utf8"));
+            const { succeeded, failed, invalid, existing } = await repository.batchInsertNotes(records, {
+                concurrency,
+                onInvalid,
+                createOnly: options["create-only"],
+            });
+            if (failed.length > 0) {
+                throw new Error(`Loaded ${succeeded} of ${records.length} notes; ${failed.length} failed: ` +
+                    failed.slice(0, 5).map(({ note, error }) => `${note.UserId}/${note.NoteId} (${error})`).join(", "));
+            }
+            return {
+                loaded: succeeded,
+                existing: existing.map(({ UserId, NoteId }) => ({ UserId, NoteId })),
+                skipped: invalid.map(({ index, line, errors }) => ({ index, line, errors })),
+            };
+        },
+        async ingest(repository, [location], options) {
+            requireArgs("notes ingest <s3://bucket/key>", location);
+            if (!location.startsWith("s3://")) {
+                throw new UsageError(`notes ingest reads from S3; expected an s3://bucket/key location, got '${location}'`);
+            }
+            if (options.format !== undefined && !INGEST_FORMATS.includes(options.format)) {
+                throw new UsageError(`notes ingest --format must be one of: ${INGEST_FORMATS.join(", ")}`);
+            }
+            const { imported, rejected, errors, offset, size, resumedFrom } = await repository.ingestNotes(location, {
+                format: options.format,
+                select: options.select,
+                rename: parseRenames(options.rename),
+                errors: options.errors,
+                concurrency: parseCount(options.concurrency, "--concurrency"),
+                checkpoint: options.checkpoint ?? `${basename(location)}.ingest.json`,
+                resume: options.resume,
+                onProgress: (progress) => logger.debug("Ingested chunk", progress),
+            });
+            return { location, imported, rejected, errors, bytes: offset - resumedFrom, size, resumedFrom };
+        },
+        async get(repository, [userId, noteId]) {
+            requireArgs("notes get <user> <id>", userId, noteId);
+            const note = await repository.getNote(userId, parseNoteId(noteId));
+            if (!note) {
+                throw new Error(`Note ${userId}/${noteId} not found`);
+            }
+            return note;
+        },
+        async list(repository, [userId], options, { stderr }) {
+            requireArgs("notes list <user>", userId);
+            const query = {
+                noteId: noteIdRange(options.from, options.to),
+                filter: options.where ? and(...Object.entries(parseAssignments(options.where, "--where"))
+                    .map(([name, value]) => attr(name).eq(value))) : undefined,
+                projection: parseProjection(options.attributes),
+                scanIndexForward: !options.desc,
+                consistentRead: options.consistent || undefined,
+            };
+            if (options.limit === undefined) {
+                return repository.queryNotes(userId, { ...query, nextToken: options["next-token"] });
+            }
+            const { notes, nextToken } = await repository.queryNotesPage(userId, {
+                ...query,
+                limit: parseLimit(options.limit),
+                nextToken: options["next-token"],
+            });
+            reportNextToken(stderr, nextToken);
+            return notes;
+        },
+        async update(repository, [userId, noteId], options) {
+            requireArgs("notes update <user> <id> --set attr=value", userId, noteId);
+            const changes = update();
+            for (const [path, value] of Object.entries(parseAssignments(options.set ?? []))) {
+                changes.set(path, value);
+            }
+            for (const path of options.remove ?? []) {
+                changes.remove(path);
+            }
+            for (const [path, value] of Object.entries(parseAssignments(options.add ?? [], "--add"))) {
+                if (typeof value !== "number" && !Array.isArray(value)) {
+                    throw new UsageError(`--add expects a number or a JSON list, got '${path}=${value}'`);
+                }
+                changes.add(path, Array.isArray(value) ? new Set(value) : value);
+            }
+            if (changes.isEmpty()) {
+                throw new UsageError("notes update needs at least one --set, --remove or --add");
+            }
+            return repository.updateNote(userId, parseNoteId(noteId), changes, {
+                expectedVersion: parseVersion(options["expect-version"]),
+                upsert: options.upsert,
+            });
+        },
+        async delete(repository, [userId, noteId], options) {
+            requireArgs("notes delete <user> <id>", userId, noteId);
+            const note = await repository.deleteNote(userId, parseNoteId(noteId), {
+                expectedVersion: parseVersion(options["expect-version"]),
+            });
+            if (!note) {
+                throw new Error(`Note ${userId}/${noteId} not found`);
+            }
+            return note;
+        },
+        async move(repository, [userId, noteId, toUserId], options) {
+            requireArgs("notes move <user> <id> <to-user>", userId, noteId, toUserId);
+            return repository.moveNote(userId, parseNoteId(noteId), toUserId, {
+                toNoteId: options["to-id"] === undefined ? undefined : parseNoteId(options["to-id"]),
+                clientRequestToken: options.token,
+            });
+        },
+        async complete(repository, [userId, ...noteIds], options) {
+            requireArgs("notes complete <user> <id> [<id> ...]", userId, noteIds[0]);
+            const keys = noteIds.map((noteId) => ({ UserId: userId, NoteId: parseNoteId(noteId) }));
+            const { operations } = await repository.markNotesComplete(keys, { clientRequestToken: options.token });
+            return operations.map(({ key }) => ({ ...key, Is_Incomplete: "No" }));
+        },
+        async create(repository, [userId, noteId, text], options) {
+            requireArgs('notes create <user> <id> "<text>"', userId, noteId, text);
+            return new NotesService({ repository }).createNote({
+                UserId: userId,
+                NoteId: parseNoteId(noteId),
+                Note: text,
+                Tags: parseTags(options.tag) ?? [],
+                Status: parseStatus(options.status) ?? "incomplete",
+            }, { clientRequestToken: options.token });
+        },
+        async edit(repository, [userId, noteId], options) {
+            requireArgs("notes edit <user> <id> [--text t] [--tag t ...] [--status s]", userId, noteId);
+            const changes = { Note: options.text, Tags: parseTags(options.tag), Status: parseStatus(options.status) };
+            if (Object.values(changes).every((value) => value === undefined)) {
+                throw new UsageError("notes edit needs --text, --tag or --status");
+            }
+            return new NotesService({ repository }).updateNote(userId, parseNoteId(noteId), changes, {
+                expectedVersion: parseVersion(options["expect-version"]),
+                clientRequestToken: options.token,
+            });
+        },
+        async remove(repository, [userId, noteId], options) {
+            requireArgs("notes remove <user> <id>", userId, noteId);
+            const note = await new NotesService({ repository }).deleteNote(userId, parseNoteId(noteId), {
+                expectedVersion: parseVersion(options["expect-version"]),
+                clientRequestToken: options.token,
+            });
+            if (!note) {
+                throw new Error(`Note ${userId}/${noteId} not found`);
+            }
+            return note;
+        },
+        async incomplete(repository, args, options, { stderr }) {
+            const { notes, nextToken } = await new NotesService({ repository }).incompleteNotes({
+                limit: options.limit === undefined ? undefined : parseLimit(options.limit),
+                nextToken: options["next-token"],
+            });
+            reportNextToken(stderr, nextToken);
+            return notes;
+        },
+        async tagged(repository, [tag], options, { stderr }) {
+            requireArgs("notes tagged <tag>", tag);
+            const { notes, nextToken } = await new NotesService({ repository }).notesByTag(tag, {
+                userId: options.user,
+                limit: options.limit === undefined ? undefined : parseLimit(options.limit),
+                nextToken: options["next-token"],
+            });
+            reportNextToken(stderr, nextToken);
+            return notes;
+        },
+        async recent(repository, args, options) {
+            return new NotesService({ repository }).recentNotes({
+                limit: options.limit === undefined ? undefined : parseLimit(options.limit),
+                days: options.days === undefined ? undefined : parseCount(options.days, "--days"),
+            });
+        },
+        async search(repository, [text], options, { stderr }) {
+            requireArgs('notes search "<words>"', text);
+            const { tokens, matches, notes } = await new NotesService({ repository }).searchNotes(text, {
+                userId: options.user,
+                limit: options.limit === undefined ? undefined : parseLimit(options.limit),
+            });
+            if (tokens.length === 0) {
+                throw new UsageError(`notes search needs words to search for; '${text}' only has common words`);
+            }
+            if (matches > notes.length) {
+                stderr.write(`Showing the newest ${notes.length} of ${matches} matching notes\n`);
+            }
+            return notes;
+        },
+        async stats(repository, [userId]) {
+            requireArgs("notes stats <user>", userId);
+            return new NotesService({ repository }).userStats(userId);
+        },
+    },
+    partiql: async (repository, [statement], options, { stderr }) => {
+        requireArgs('partiql "<statement>"', statement);
+        const read = { nextToken: options["next-token"], consistentRead: options.consistent || undefined };
+        if (options.limit === undefined) {
+            return repository.executeStatement(statement, [], read);
+        }
+        const { items, nextToken } = await repository.executeStatementPage(statement, [], {
+            ...read,
+            limit: parseLimit(options.limit),
+        });
+        reportNextToken(stderr, nextToken);
+        return items;
+    },
+    stream: {
+        async consume(repository, args, options, { stdout }) {
+            const iteratorType = { "trim-horizon": "TRIM_HORIZON", latest: "LATEST" }[options.start];
+            if (!iteratorType) {
+                throw new UsageError(`--start must be trim-horizon or latest, got '${options.start}'`);
+            }
+            if (options.checkpoint !== undefined && options["checkpoint-table"] !== undefined) {
+                throw new UsageError("--checkpoint and --checkpoint-table cannot be used together");
+            }
+            for (const flag of ["mirror", "audit"]) {
+                if (options[flag] !== undefined && !options[flag].startsWith("s3://")) {
+                    throw new UsageError(`--${flag} expects an s3://bucket[/prefix] location, got '${options[flag]}'`);
+                }
+            }
+            const consumer = repository.streamConsumer({
+                checkpoint: options["checkpoint-table"] ? undefined : options.checkpoint ?? `${repository.tableName}.stream.json`,
+                checkpointTable: options["checkpoint-table"],
+                mirror: options.mirror,
+                audit: options.audit,
+                iteratorType,
+            });
+            const print = !options.mirror && !options.audit;
+            consumer.on("*", (event) => {
+                logger.debug("Stream change", { eventName: event.eventName, keys: event.keys });
+                if (print) {
+                    stdout.write(`${JSON.stringify(event, jsonReplacer)}\n`);
+                }
+            });
+            // Ctrl-C stops a following consumer after the page it is on, checkpointed
+            const stop = new AbortController();
+            const abort = () => stop.abort();
+            process.once("SIGINT", abort);
+            try {
+                const summary = await consumer.run({ follow: options.follow, signal: stop.signal });
+                return print ? undefined : summary;
+            } finally {
+                process.off("SIGINT", abort);
+            }
+        },
+    },
+};
+
+function resolveHandler([command, subcommand, ...rest]) {
+    const entry = Object.hasOwn(COMMANDS, command) ? COMMANDS[command] : undefined;
+    if (typeof entry === "function") {
+        return { handler: entry, args: subcommand === undefined ? rest : [subcommand, ...rest] };
+    }
+    if (entry && Object.hasOwn(entry, subcommand ?? "")) {
+        return { handler: entry[subcommand], args: rest };
+    }
+    if (entry) {
+        throw new UsageError(`Unknown subcommand '${command} ${subcommand ?? ""}'`.trimEnd());
+    }
+    throw new UsageError(`Unknown command '${command}'`);
+}
+
+function requireArgs(synopsis, ...values) {
+    if (values.some((value) => value === undefined || value === "")) {
+        throw new UsageError(`Missing arguments. Usage: notes ${synopsis}`);
+    }
+}
+
+function parseNoteId(text) {
+    const noteId = Number(text);
+    if (!Number.isFinite(noteId)) {
+        throw new UsageError(`Note id must be a number, got '${text}'`);
+    }
+    return noteId;
+}
+
+function parseVersion(text) {
+    if (text === undefined) {
+        return undefined;
+    }
+    const version = Number(text);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new UsageError(`--expect-version must be a positive integer, got '${text}'`);
+    }
+    return version;
+}
+
+// --tag '' clears the tags
+function parseTags(values) {
+    return values === undefined ? undefined : values.filter((tag) => tag.trim() !== "");
+}
+
+function parseStatus(text) {
+    if (text !== undefined && !NOTE_STATUSES.includes(text)) {
+        throw new UsageError(`--status must be one of: ${NOTE_STATUSES.join(", ")}, got '${text}'`);
+    }
+    return text;
+}
+
+function noteIdRange(from, to) {
+    const low = from === undefined ? undefined : parseNoteId(from);
+    const high = to === undefined ? undefined : parseNoteId(to);
+    if (low !== undefined && high !== undefined) {
+        return { between: [low, high] };
+    }
+    if (low !== undefined) {
+        return { gte: low };
+    }
+    return high === undefined ? undefined : { lte: high };
+}
+
+function parseProjection(text) {
+    if (text === undefined) {
+        return undefined;
+    }
+    if (text === "all") {
+        return null;
+    }
+    const names = text.split(",").map((name) => name.trim()).filter(Boolean);
+    if (names.length === 0) {
+        throw new UsageError("--attributes needs a comma-separated list of attributes or 'all'");
+    }
+    return names;
+}
+
+function parseLimit(text) {
+    const limit = Number(text);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new UsageError(`--limit must be a positive integer, got '${text}'`);
+    }
+    return limit;
+}
+
+function parseCount(text, flag) {
+    const count = Number(text);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new UsageError(`${flag} must be a positive integer, got '${text}'`);
+    }
+    return count;
+}
+
+function parseRenames(assignments = []) {
+    return Object.fromEntries(Object.entries(parseAssignments(assignments, "--rename"))
+        .map(([from, to]) => [from, String(to)]));
+}
+
+function parseFormat(text) {
+    if (text !== undefined && !TRANSFER_FORMATS.includes(text)) {
+        throw new UsageError(`--format must be one of: ${TRANSFER_FORMATS.join(", ")}`);
+    }
+    return text;
+}
+
+function reportNextToken(stderr, nextToken) {
+    if (nextToken) {
+        stderr.write(`More results available, continue with --next-token ${nextToken}\n`);
+    }
+}
+
+/**
+ * Turn `attr=value` strings into an attributes object. Values that parse as
+ * JSON keep their JSON type; anything else is a string.
+ *
+ * @param {string[]} assignments
+ * @param {string} [flag] The flag the assignments came from, for error messages
+ * @returns {object}
+ */
+export function parseAssignments(assignments, flag = "--set") {
+    const attributes = {};
+    for (const assignment of assignments) {
+        const separator = assignment.indexOf("=");
+        if (separator <= 0) {
+            throw new UsageError(`${flag} expects attr=value, got '${assignment}'`);
+        }
+        const name = assignment.slice(0, separator);
+        const text = assignment.slice(separator + 1);
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch {
+            value = text;
+        }
+        attributes[name] = value;
+    }
+    return attributes;
+}
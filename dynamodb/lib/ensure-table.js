@@ -0,0 +1,471 @@
+/**
+ * Create or migrate a table to match its declarative definition.
+ *
+ * `ensureTable` creates a missing table from the definition. For an existing
+ * table it compares the live DescribeTable output (and the TTL, backup and tag
+ * settings) with the definition and plans the calls that close the gap:
+ *  - UpdateTable for billing mode and throughput
+ *  - UpdateTable for each global index to delete, create or resize; DynamoDB
+ *    allows one index creation or deletion per call, and an index whose key or
+ *    projection changed is deleted and created again
+ *  - UpdateTable for the stream, UpdateTimeToLive for TTL,
+ *    UpdateContinuousBackups for point-in-time recovery
+ *  - TagResource / UntagResource for tags
+ * After every UpdateTable the table and all of its indexes must be ACTIVE
+ * before the next step starts. Key schemas and local indexes cannot change
+ * after creation; such differences are reported as a TableDefinitionError
+ * before anything is changed.
+ */
+import {
+    CreateTableCommand,
+    DescribeContinuousBackupsCommand,
+    DescribeTableCommand,
+    DescribeTimeToLiveCommand,
+    DynamoDBClient,
+    ListTagsOfResourceCommand,
+    TagResourceCommand,
+    UntagResourceCommand,
+    UpdateContinuousBackupsCommand,
+    UpdateTableCommand,
+    UpdateTimeToLiveCommand,
+} from "@aws-sdk/client-dynamodb";
+import { sleep } from "aws-samples-common";
+import { TableDefinitionError } from "./errors.js";
+import {
+    attributeDefinitions,
+    createTableInput,
+    globalIndexInput,
+    keySchema,
+    normalizeTableDefinition,
+    projectionInput,
+    STREAM_VIEW_TYPES,
+    throughput,
+} from "./table-definition.js";
+
+/**
+ * Defaults for waiting on table and index status.
+ */
+export const WAIT_DEFAULTS = {
+    maxWaitTime: 1800,
+    pollInterval: 5000,
+};
+
+/**
+ * Create the table if it is missing, otherwise bring it in line with the definition.
+ *
+ * @param {DynamoDBClient} client Initialized client
+ * @param {object} definition The table definition (normalized here)
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] Only plan the changes, do not apply them
+ * @param {number} [options.maxWaitTime] Seconds to wait for the table to become active after each step
+ * @param {number} [options.pollInterval] Milliseconds between status checks
+ * @param {Function} [options.onStep] Called with each step before it is applied
+ * @returns {Promise<{tableName: string, created: boolean, dryRun: boolean, changes: Array<{action: string, description: string}>}>}
+ * @throws {TableDefinitionError} If the definition is invalid or needs a change DynamoDB cannot make
+ */
+export async function ensureTable(client, definition, options = {}) {
+    const { dryRun = false, onStep } = options;
+    const table = normalizeTableDefinition(definition);
+    const live = await describeTable(client, table.tableName);
+    const steps = live ? await planChanges(client, table, live) : planCreate(table);
+
+    if (!dryRun) {
+        await applySteps(client, table.tableName, steps, options);
+    }
+    return {
+        tableName: table.tableName,
+        created: !live,
+        dryRun,
+        changes: steps.map(({ action, description }) => ({ action, description })),
+    };
+}
+
+/**
+ * Turn on the stream of an existing table, leaving the rest of the table as it is.
+ *
+ * A stream that is already on with the same view type is left alone. One with
+ * another view type is turned off and on again, since the view type cannot
+ * change; the new stream has a new ARN and starts empty.
+ *
+ * @param {DynamoDBClient} client Initialized client
+ * @param {string} tableName The table
+ * @param {string} [viewType] One of STREAM_VIEW_TYPES (default: NEW_AND_OLD_IMAGES)
+ * @param {object} [options] dryRun, maxWaitTime, pollInterval and onStep, as for ensureTable
+ * @returns {Promise<{tableName: string, viewType: string, streamArn?: string, dryRun: boolean,
+ *     changes: Array<{action: string, description: string}>}>}
+ * @throws {Error} If the table does not exist or the view type is unknown
+ */
+export async function enableStream(client, tableName, viewType = "NEW_AND_OLD_IMAGES", options = {}) {
+    const { dryRun = false } = options;
+    if (!STREAM_VIEW_TYPES.includes(viewType)) {
+        throw new Error(`Stream view type must be one of ${STREAM_VIEW_TYPES.join(", ")}, got '${viewType}'`);
+    }
+    const live = await describeTable(client, tableName);
+    if (!live) {
+        throw new Error(`Table ${tableName} does not exist`);
+    }
+    const steps = streamSteps(tableName, live, viewType);
+    let table = live;
+    if (!dryRun && steps.length > 0) {
+        await applySteps(client, tableName, steps, options);
+        table = await describeTable(client, tableName);
+    }
+    return {
+        tableName,
+        viewType,
+        streamArn: steps.length > 0 && dryRun ? undefined : table.LatestStreamArn,
+        dryRun,
+        changes: steps.map(({ action, description }) => ({ action, description })),
+    };
+}
+
+/**
+ * Describe a table, or return undefined if it does not exist.
+ *
+ * @param {DynamoDBClient} client
+ * @param {string} tableName
+ * @returns {Promise<object|undefined>} The table description
+ */
+export async function describeTable(client, tableName) {
+    try {
+        const response = await client.send(new DescribeTableCommand({ TableName: tableName }));
+        return response.Table;
+    } catch (error) {
+        if (error.name === "ResourceNotFoundException") {
+            return undefined;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Wait until the table and all of its global indexes are ACTIVE.
+ *
+ * @param {DynamoDBClient} client
+ * @param {string} tableName
+ * @param {object} [options] See WAIT_DEFAULTS
+ * @returns {Promise<object>} The table description
+ */
+export async function waitForTableActive(client, tableName, options = {}) {
+    const { maxWaitTime, pollInterval } = { ...WAIT_DEFAULTS, ...options };
+    const deadline = Date.now() + maxWaitTime * 1000;
+    for (;;) {
+        const table = await describeTable(client, tableName);
+        const pending = [
+            ...(table ? [] : ["table (not found)"]),
+            ...(table && table.TableStatus !== "ACTIVE" ? [`table (${table.TableStatus})`] : []),
+            ...(table?.GlobalSecondaryIndexes ?? [])
+                .filter((index) => index.IndexStatus !== "ACTIVE")
+                .map((index) => `index ${index.IndexName} (${index.IndexStatus})`),
+        ];
+        if (pending.length === 0) {
+            return table;
+        }
+        if (Date.now() >= deadline) {
+            throw new Error(`${tableName} is not active after ${maxWaitTime}s, waiting for: ${pending.join(", ")}`);
+        }
+        await sleep(pollInterval);
+    }
+}
+
+async function applySteps(client, tableName, steps, options) {
+    for (const step of steps) {
+        options.onStep?.(step);
+        await client.send(step.command);
+        if (step.wait) {
+            await waitForTableActive(client, tableName, options);
+        }
+    }
+}
+
+function planCreate(table) {
+    const steps = [{
+        action: "create-table",
+        description: `create table ${table.tableName}`,
+        command: new CreateTableCommand(createTableInput(table)),
+        wait: true,
+    }];
+    if (table.ttl) {
+        steps.push(ttlStep(table.tableName, table.ttl, true));
+    }
+    if (table.pointInTimeRecovery) {
+        steps.push(pitrStep(table.tableName, true));
+    }
+    return steps;
+}
+
+/**
+ * Compare the live table with the definition and plan the updates.
+ */
+async function planChanges(client, table, live) {
+    const problems = unsupportedChanges(table, live);
+    if (problems.length > 0) {
+        throw new TableDefinitionError(problems);
+    }
+    const tableName = table.tableName;
+    const steps = [];
+    const liveMode = live.BillingModeSummary?.BillingMode ?? "PROVISIONED";
+    const provisioned = table.billing.mode === "PROVISIONED";
+    const liveIndexes = new Map((live.GlobalSecondaryIndexes ?? []).map((index) => [index.IndexName, index]));
+    const wantedIndexes = table.globalIndexes ? new Map(table.globalIndexes.map((index) => [index.name, index])) : undefined;
+
+    // indexes whose key or projection changed are replaced
+    const replaced = new Set();
+    for (const [name, index] of wantedIndexes ?? []) {
+        const current = liveIndexes.get(name);
+        if (current && !sameIndex(index, current)) {
+            replaced.add(name);
+        }
+    }
+
+    const billingChanged = liveMode !== table.billing.mode;
+    const throughputChanged = provisioned && !billingChanged &&
+        !sameThroughput(table.billing, live.ProvisionedThroughput);
+    if (billingChanged || throughputChanged) {
+        const input = { TableName: tableName, BillingMode: table.billing.mode };
+        if (provisioned) {
+            input.ProvisionedThroughput = throughput(table.billing);
+        }
+        if (billingChanged && provisioned) {
+            // switching to provisioned needs the capacity of every index that stays
+            const updates = [...liveIndexes.keys()]
+                .filter((name) => !replaced.has(name) && (!wantedIndexes || wantedIndexes.has(name)))
+                .map((name) => ({
+                    Update: {
+                        IndexName: name,
+                        ProvisionedThroughput: throughput(wantedIndexes?.get(name) ?? table.billing),
+                    },
+                }));
+            if (updates.length > 0) {
+                input.GlobalSecondaryIndexUpdates = updates;
+            }
+        }
+        steps.push({
+            action: "update-billing",
+            description: billingChanged
+                ? `switch billing from ${liveMode} to ${table.billing.mode}`
+                : `set throughput to ${table.billing.read} read / ${table.billing.write} write units`,
+            command: new UpdateTableCommand(input),
+            wait: true,
+        });
+    }
+
+    if (wantedIndexes) {
+        for (const name of liveIndexes.keys()) {
+            if (!wantedIndexes.has(name) || replaced.has(name)) {
+                steps.push({
+                    action: "delete-index",
+                    description: replaced.has(name)
+                        ? `delete index ${name} to recreate it with a new key or projection`
+                        : `delete index ${name}`,
+                    command: new UpdateTableCommand({
+                        TableName: tableName,
+                        GlobalSecondaryIndexUpdates: [{ Delete: { IndexName: name } }],
+                    }),
+                    wait: true,
+                });
+            }
+        }
+        for (const [name, index] of wantedIndexes) {
+            const current = liveIndexes.get(name);
+            if (!current || replaced.has(name)) {
+                steps.push({
+                    action: "create-index",
+                    description: `create index ${name}`,
+                    command: new UpdateTableCommand({
+                        TableName: tableName,
+                        AttributeDefinitions: attributeDefinitions(table),
+                        GlobalSecondaryIndexUpdates: [{ Create: globalIndexInput(index, provisioned) }],
+                    }),
+                    wait: true,
+                });
+            } else if (provisioned && !billingChanged && !sameThroughput(index, current.ProvisionedThroughput)) {
+                steps.push({
+                    action: "update-index",
+                    description: `set throughput of index ${name} to ${index.read} read / ${index.write} write units`,
+                    command: new UpdateTableCommand({
+                        TableName: tableName,
+                        GlobalSecondaryIndexUpdates: [{
+                            Update: { IndexName: name, ProvisionedThroughput: throughput(index) },
+                        }],
+                    }),
+                    wait: true,
+                });
+            }
+        }
+    }
+
+    if (table.stream !== undefined) {
+        steps.push(...streamSteps(tableName, live, table.stream));
+    }
+
+    if (table.ttl !== undefined) {
+        const { TimeToLiveDescription: ttl = {} } = await client.send(new DescribeTimeToLiveCommand({ TableName: tableName }));
+        const enabled = ["ENABLED", "ENABLING"].includes(ttl.TimeToLiveStatus);
+        const liveTtl = enabled ? ttl.AttributeName : null;
+        // DynamoDB takes up to an hour to disable TTL and rejects any other TTL change until it is done,
+        // so moving TTL to another attribute cannot be planned as one run
+        if (table.ttl && ttl.TimeToLiveStatus === "DISABLING") {
+            throw new TableDefinitionError([`TTL on ${tableName} is still being disabled; ` +
+                `run again to enable it on ${table.ttl} once the TTL status is DISABLED`]);
+        }
+        if (table.ttl && liveTtl && liveTtl !== table.ttl) {
+            throw new TableDefinitionError([`TTL on ${tableName} is enabled on ${liveTtl}; moving it to ` +
+                `${table.ttl} takes two changes: set ttl to null to disable it, then set it to ${table.ttl} ` +
+                "once the TTL status is DISABLED (this can take up to an hour)"]);
+        }
+        if (liveTtl !== table.ttl) {
+            steps.push(liveTtl ? ttlStep(tableName, liveTtl, false) : ttlStep(tableName, table.ttl, true));
+        }
+    }
+
+    if (table.pointInTimeRecovery !== undefined) {
+        const response = await client.send(new DescribeContinuousBackupsCommand({ TableName: tableName }));
+        const status = response.ContinuousBackupsDescription?.PointInTimeRecoveryDescription?.PointInTimeRecoveryStatus;
+        if ((status === "ENABLED") !== table.pointInTimeRecovery) {
+            steps.push(pitrStep(tableName, table.pointInTimeRecovery));
+        }
+    }
+
+    if (table.tags !== undefined) {
+        steps.push(...await tagSteps(client, live.TableArn, table.tags));
+    }
+    return steps;
+}
+
+/**
+ * Differences DynamoDB cannot apply to an existing table.
+ */
+function unsupportedChanges(table, live) {
+    const problems = [];
+    if (!sameKeySchema(keySchema(table.key), live.KeySchema)) {
+        problems.push(`the key schema of ${table.tableName} cannot change ` +
+            `(live: ${describeKeySchema(live.KeySchema)}, definition: ${describeKeySchema(keySchema(table.key))})`);
+    }
+    const liveTypes = new Map((live.AttributeDefinitions ?? []).map((a) => [a.AttributeName, a.AttributeType]));
+    for (const [name, type] of Object.entries(table.attributes)) {
+        if (liveTypes.has(name) && liveTypes.get(name) !== type) {
+            problems.push(`attribute '${name}' is ${liveTypes.get(name)} in the table, not ${type}`);
+        }
+    }
+    if (table.localIndexes !== undefined) {
+        const liveLocal = new Map((live.LocalSecondaryIndexes ?? []).map((index) => [index.IndexName, index]));
+        const names = new Set([...liveLocal.keys(), ...table.localIndexes.map((index) => index.name)]);
+        for (const name of names) {
+            const wanted = table.localIndexes.find((index) => index.name === name);
+            const current = liveLocal.get(name);
+            if (!wanted || !current || !sameIndex(wanted, current)) {
+                problems.push(`local index ${name} can only be ${current ? "changed or removed" : "added"} by recreating the table`);
+            }
+        }
+    }
+    return problems;
+}
+
+function sameIndex(index, live) {
+    return sameKeySchema(keySchema(index.key), live.KeySchema) &&
+        sameProjection(projectionInput(index.projection), live.Projection ?? {});
+}
+
+function sameKeySchema(a, b = []) {
+    return a.length === b.length &&
+        a.every((element) => b.some((other) => other.AttributeName === element.AttributeName && other.KeyType === element.KeyType));
+}
+
+function sameProjection(a, b) {
+    const attributes = (projection) => [...(projection.NonKeyAttributes ?? [])].sort().join(",");
+    return a.ProjectionType === b.ProjectionType && attributes(a) === attributes(b);
+}
+
+function sameThroughput(capacity, live = {}) {
+    return capacity.read === live.ReadCapacityUnits && capacity.write === live.WriteCapacityUnits;
+}
+
+function describeKeySchema(schema = []) {
+    return schema.map((element) => `${element.AttributeName} ${element.KeyType}`).join(", ");
+}
+
+function streamSteps(tableName, live, viewType) {
+    const liveStream = live.StreamSpecification?.StreamEnabled ? live.StreamSpecification.StreamViewType : null;
+    if (liveStream === viewType) {
+        return [];
+    }
+    // the view type of an enabled stream cannot change; turn it off first
+    return [
+        ...(liveStream ? [streamStep(tableName, null)] : []),
+        ...(viewType ? [streamStep(tableName, viewType)] : []),
+    ];
+}
+
+function streamStep(tableName, viewType) {
+    return {
+        action: viewType ? "enable-stream" : "disable-stream",
+        description: viewType ? `enable stream with ${viewType}` : "disable stream",
+        command: new UpdateTableCommand({
+            TableName: tableName,
+            StreamSpecification: viewType ? { StreamEnabled: true, StreamViewType: viewType } : { StreamEnabled: false },
+        }),
+        wait: true,
+    };
+}
+
+function ttlStep(tableName, attributeName, enabled) {
+    return {
+        action: enabled ? "enable-ttl" : "disable-ttl",
+        description: `${enabled ? "enable" : "disable"} TTL on ${attributeName}`,
+        command: new UpdateTimeToLiveCommand({
+            TableName: tableName,
+            TimeToLiveSpecification: { AttributeName: attributeName, Enabled: enabled },
+        }),
+        wait: false,
+    };
+}
+
+function pitrStep(tableName, enabled) {
+    return {
+        action: enabled ? "enable-pitr" : "disable-pitr",
+        description: `${enabled ? "enable" : "disable"} point-in-time recovery`,
+        command: new UpdateContinuousBackupsCommand({
+            TableName: tableName,
+            PointInTimeRecoverySpecification: { PointInTimeRecoveryEnabled: enabled },
+        }),
+        wait: false,
+    };
+}
+
+async function tagSteps(client, tableArn, tags) {
+    const live = {};
+    let NextToken;
+    do {
+        const response = await client.send(new ListTagsOfResourceCommand({ ResourceArn: tableArn, NextToken }));
+        for (const { Key, Value } of response.Tags ?? []) {
+            live[Key] = Value;
+        }
+        NextToken = response.NextToken;
+    } while (NextToken);
+
+    const steps = [];
+    const changed = Object.entries(tags).filter(([name, value]) => live[name] !== value);
+    if (changed.length > 0) {
+        steps.push({
+            action: "tag",
+            description: `set tags ${changed.map(([name, value]) => `${name}=${value}`).join(", ")}`,
+            command: new TagResourceCommand({
+                ResourceArn: tableArn,
+                Tags: changed.map(([Key, Value]) => ({ Key, Value })),
+            }),
+            wait: false,
+        });
+    }
+    // tags with the reserved 'aws:' prefix are managed by AWS
+    const removed = Object.keys(live).filter((name) => !Object.hasOwn(tags, name) && !name.startsWith("aws:"));
+    if (removed.length > 0) {
+        steps.push({
+            action: "untag",
+            description: `remove tags ${removed.join(", ")}`,
+            command: new UntagResourceCommand({ ResourceArn: tableArn, TagKeys: removed }),
+            wait: false,
+        });
+    }
+    return steps;
+}
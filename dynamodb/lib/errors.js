@@ -0,0 +1,68 @@
+import { PreconditionFailedError } from "aws-samples-common";
+
+/**
+ * Raised when a conditional write is rejected: the note already exists on a
+ * create-only insert, does not exist on an update, or was changed by someone
+ * else since it was read.
+ *
+ * `current` is the note as it is stored now (undefined if it does not exist),
+ * so callers can merge their change and retry without another read. It is a
+ * PreconditionFailedError, like any other rejected condition.
+ */
+export class ConditionalCheckFailedError extends PreconditionFailedError {
+    /**
+     * @param {string} message Description of the conflict
+     * @param {object} details
+     * @param {{UserId: string, NoteId: number}} details.key The key of the note
+     * @param {object} [details.current] The stored note, if any
+     * @param {number} [details.expectedVersion] The version the write expected
+     * @param {Error} [details.cause] The SDK error
+     */
+    constructor(message, { key, current, expectedVersion, cause }) {
+        super(message, { code: "ConditionalCheckFailedException", cause });
+        this.name = "ConditionalCheckFailedError";
+        this.key = key;
+        this.current = current;
+        this.expectedVersion = expectedVersion;
+    }
+}
+
+/**
+ * Raised when DynamoDB cancels a transaction.
+ *
+ * `reasons` has one entry per operation, in the order they were added, with
+ * the cancellation code DynamoDB reported ('None' for operations that were
+ * fine but rolled back with the rest). `failures` holds only the operations
+ * that caused the cancellation; a failed condition carries a
+ * ConditionalCheckFailedError with the stored note in `error`.
+ */
+export class TransactionCanceledError extends Error {
+    /**
+     * @param {Array<{index: number, type: string, key: object, code: string, message?: string, error?: Error}>} reasons
+     * @param {Error} [cause] The SDK error
+     */
+    constructor(reasons, cause) {
+        const failures = reasons.filter((reason) => reason.code !== "None");
+        const details = failures.map(({ index, type, key, code, message, error }) =>
+            `#${index} ${type} ${Object.values(key).join("/")}: ${error?.message ?? `${code}${message ? ` (${message})` : ""}`}`);
+        super(`Transaction cancelled: ${details.join("; ") || cause?.message}`, { cause });
+        this.name = "TransactionCanceledError";
+        this.reasons = reasons;
+        this.failures = failures;
+    }
+}
+
+/**
+ * Raised when a table definition is invalid, or asks for a change DynamoDB
+ * cannot make to an existing table (such as a different key schema).
+ */
+export class TableDefinitionError extends Error {
+    /**
+     * @param {string[]} problems Everything that is wrong with the definition
+     */
+    constructor(problems) {
+        super(`Invalid table definition:\n${problems.map((problem) => `  ${problem}`).join("\n")}`);
+        this.name = "TableDefinitionError";
+        this.problems = problems;
+    }
+}
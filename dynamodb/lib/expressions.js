@@ -0,0 +1,621 @@
+/**
+ * Building blocks for DynamoDB expressions.
+ *
+ * Expressions refer to attributes and values through placeholders
+ * (`#n0`, `:v0`) so that reserved words such as `Status`, names with special
+ * characters and any value are always safe. An ExpressionContext hands out the
+ * placeholders and collects the `ExpressionAttributeNames` and
+ * `ExpressionAttributeValues` maps for the request.
+ *
+ * Conditions (for ConditionExpression, FilterExpression and the sort key
+ * part of KeyConditionExpression) are built with `attr(path)` and `size(path)`
+ * and combined with `and`, `or` and `not`. Updates are built with `update()`.
+ * A path is a string such as 'Details.Tags[0]', or an array of segments such
+ * as `["Details", "Tags", 0]` for names that contain '.' or brackets:
+ * `attr(["a.b"])` is the top-level attribute named 'a.b'.
+ * `buildExpressions` renders any combination of them into request input:
+ *
+ *     const input = buildExpressions({
+ *         update: update().set("Note", "text").add("Edits", 1).remove("Is_Incomplete"),
+ *         condition: and(attr("NoteId").exists(), size("Note").lt(400)),
+ *     });
+ *     // { UpdateExpression, ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues }
+ */
+import { marshall } from "@aws-sdk/util-dynamodb";
+
+/**
+ * Allocates placeholders and collects the names and values they stand for.
+ */
+export class ExpressionContext {
+    #names = new Map();
+    #values = new Map();
+
+    /**
+     * Get the placeholder for an attribute name, reusing it if the name was seen before.
+     *
+     * @param {string} name A single attribute name (not a path)
+     * @returns {string} The placeholder, e.g. '#n0'
+     */
+    name(name) {
+        if (!this.#names.has(name)) {
+            this.#names.set(name, `#n${this.#names.size}`);
+        }
+        return this.#names.get(name);
+    }
+
+    /**
+     * Get the placeholder for a document path such as 'Details.Tags[0]'.
+     *
+     * Every path element becomes a name placeholder; list indexes are kept.
+     *
+     * @param {string|Array<string|number>} path The attribute path, or its names and list indexes
+     * @returns {string} The path with placeholders, e.g. '#n0.#n1[0]'
+     */
+    path(path) {
+        return parsePath(path)
+            .map(({ name, indexes }) => this.name(name) + indexes.map((i) => `[${i}]`).join(""))
+            .join(".");
+    }
+
+    /**
+     * Get a new placeholder for a value.
+     *
+     * @param {*} value A plain JavaScript value
+     * @returns {string} The placeholder, e.g. ':v0'
+     */
+    value(value) {
+        const placeholder = `:v${this.#values.size}`;
+        this.#values.set(placeholder, value);
+        return placeholder;
+    }
+
+    /**
+     * The placeholder maps for the request, omitting empty ones.
+     *
+     * @returns {{ExpressionAttributeNames?: object, ExpressionAttributeValues?: object}}
+     */
+    toInput() {
+        const input = {};
+        if (this.#names.size > 0) {
+            input.ExpressionAttributeNames = Object.fromEntries([...this.#names].map(([name, key]) => [key, name]));
+        }
+        if (this.#values.size > 0) {
+            input.ExpressionAttributeValues = marshall(Object.fromEntries(this.#values), {
+                removeUndefinedValues: true,
+                convertClassInstanceToMap: true,
+            });
+        }
+        return input;
+    }
+}
+
+/**
+ * A condition that renders itself into an expression string.
+ */
+export class Condition {
+    #render;
+
+    /**
+     * @param {function(ExpressionContext): string} render
+     */
+    constructor(render) {
+        this.#render = render;
+    }
+
+    /**
+     * Render the condition, registering its placeholders with the context.
+     *
+     * @param {ExpressionContext} context
+     * @returns {string}
+     */
+    build(context) {
+        return this.#render(context);
+    }
+}
+
+/**
+ * Something that can be compared in a condition: an attribute path or the
+ * size of one.
+ */
+export class Operand {
+    /**
+     * Render the operand, registering its placeholders with the context.
+     *
+     * @param {ExpressionContext} context
+     * @returns {string}
+     */
+    render(context) {
+        throw new Error(`${this.constructor.name} must implement render()`);
+    }
+
+    // comparison values may be plain values or other operands, e.g. attr("a").lt(attr("b"))
+    eq(value) { return this.#compare("=", value); }
+    ne(value) { return this.#compare("<>", value); }
+    lt(value) { return this.#compare("<", value); }
+    lte(value) { return this.#compare("<=", value); }
+    gt(value) { return this.#compare(">", value); }
+    gte(value) { return this.#compare(">=", value); }
+
+    between(low, high) {
+        return new Condition((c) => `${this.render(c)} BETWEEN ${operand(low, c)} AND ${operand(high, c)}`);
+    }
+
+    /**
+     * The operand equals one of the values (at most 100).
+     *
+     * @param {...*} values
+     * @returns {Condition}
+     */
+    in(...values) {
+        if (values.length === 0 || values.length > 100) {
+            throw new Error(`IN takes between 1 and 100 values, got ${values.length}`);
+        }
+        return new Condition((c) => `${this.render(c)} IN (${values.map((value) => operand(value, c)).join(", ")})`);
+    }
+
+    #compare(operator, value) {
+        return new Condition((c) => `${this.render(c)} ${operator} ${operand(value, c)}`);
+    }
+}
+
+/**
+ * An attribute (or document path) that conditions are built on.
+ */
+export class AttributePath extends Operand {
+    /**
+     * @param {string|Array<string|number>} path The attribute name or document path, or its segments
+     */
+    constructor(path) {
+        super();
+        parsePath(path);
+        this.path = path;
+    }
+
+    render(context) {
+        return context.path(this.path);
+    }
+
+    beginsWith(prefix) {
+        return new Condition((c) => `begins_with(${this.render(c)}, ${operand(prefix, c)})`);
+    }
+
+    contains(value) {
+        return new Condition((c) => `contains(${this.render(c)}, ${operand(value, c)})`);
+    }
+
+    exists() {
+        return new Condition((c) => `attribute_exists(${this.render(c)})`);
+    }
+
+    notExists() {
+        return new Condition((c) => `attribute_not_exists(${this.render(c)})`);
+    }
+
+    /**
+     * The attribute has the given DynamoDB type.
+     *
+     * @param {string} type One of S, SS, N, NS, B, BS, BOOL, NULL, L or M
+     * @returns {Condition}
+     */
+    attributeType(type) {
+        if (!ATTRIBUTE_VALUE_TYPES.includes(type)) {
+            throw new Error(`Unknown attribute type '${type}', expected one of ${ATTRIBUTE_VALUE_TYPES.join(", ")}`);
+        }
+        return new Condition((c) => `attribute_type(${this.render(c)}, ${c.value(type)})`);
+    }
+}
+
+/**
+ * The size of an attribute: string length, binary length or the number of
+ * elements in a set, list or map.
+ */
+export class Size extends Operand {
+    /**
+     * @param {string|Array<string|number>} path The attribute name or document path, or its segments
+     */
+    constructor(path) {
+        super();
+        this.attribute = new AttributePath(path);
+    }
+
+    render(context) {
+        return `size(${this.attribute.render(context)})`;
+    }
+}
+
+const ATTRIBUTE_VALUE_TYPES = ["S", "SS", "N", "NS", "B", "BS", "BOOL", "NULL", "L", "M"];
+
+/**
+ * Start a condition on an attribute or document path.
+ *
+ * @param {string|Array<string|number>} path e.g. 'Note', 'Details.Tags[0]' or ["Details", "Tags", 0]
+ * @returns {AttributePath}
+ */
+export function attr(path) {
+    return new AttributePath(path);
+}
+
+/**
+ * Start a condition on the size of an attribute, e.g. `size("Note").lt(400)`.
+ *
+ * @param {string|Array<string|number>} path The attribute name or document path, or its segments
+ * @returns {Size}
+ */
+export function size(path) {
+    return new Size(path);
+}
+
+/**
+ * All of the conditions must hold.
+ *
+ * @param {...Condition} conditions
+ * @returns {Condition}
+ */
+export function and(...conditions) {
+    return combine("AND", conditions);
+}
+
+/**
+ * At least one of the conditions must hold.
+ *
+ * @param {...Condition} conditions
+ * @returns {Condition}
+ */
+export function or(...conditions) {
+    return combine("OR", conditions);
+}
+
+/**
+ * The condition must not hold.
+ *
+ * @param {Condition} condition
+ * @returns {Condition}
+ */
+export function not(condition) {
+    return new Condition((c) => `NOT (${condition.build(c)})`);
+}
+
+/**
+ * Render a projection expression for the given attribute paths.
+ *
+ * @param {Array<string|Array<string|number>>} paths The attributes to return
+ * @param {ExpressionContext} context
+ * @returns {string}
+ */
+export function buildProjection(paths, context) {
+    if (paths.length === 0) {
+        throw new Error("A projection needs at least one attribute");
+    }
+    return paths.map((path) => context.path(path)).join(", ");
+}
+
+/**
+ * The actions of an UpdateExpression.
+ *
+ * Each method adds one action and returns the builder, so updates can be
+ * chained. Values are plain JavaScript values; use `attr(path)` to refer to
+ * another attribute and `ifNotExists`, `listAppend`, `plus` and `minus` for
+ * computed values in SET actions.
+ */
+export class UpdateBuilder {
+    #set = [];
+    #remove = [];
+    #add = [];
+    #delete = [];
+
+    /**
+     * SET an attribute to a value.
+     *
+     * @param {string|Array<string|number>} path The attribute to set
+     * @param {*} value A value, an AttributePath or a computed value
+     * @returns {UpdateBuilder}
+     */
+    set(path, value) {
+        this.#set.push({ path: new AttributePath(path), value });
+        return this;
+    }
+
+    /**
+     * SET several top-level attributes from an object.
+     *
+     * The keys are attribute names, not paths: `{ "a.b": 1 }` sets the
+     * attribute named 'a.b'.
+     *
+     * @param {object} attributes Attribute names and their values
+     * @returns {UpdateBuilder}
+     */
+    setAll(attributes) {
+        for (const [name, value] of Object.entries(attributes)) {
+            this.#set.push({ path: new AttributePath([name]), value });
+        }
+        return this;
+    }
+
+    /**
+     * REMOVE an attribute (or a list element, e.g. 'Tags[2]').
+     *
+     * @param {string|Array<string|number>} path
+     * @returns {UpdateBuilder}
+     */
+    remove(path) {
+        this.#remove.push(new AttributePath(path));
+        return this;
+    }
+
+    /**
+     * ADD a number to a numeric attribute, or elements to a set.
+     *
+     * A missing attribute starts from 0 or the empty set.
+     *
+     * @param {string|Array<string|number>} path
+     * @param {number|Set} value
+     * @returns {UpdateBuilder}
+     */
+    add(path, value) {
+        if (typeof value !== "number" && typeof value !== "bigint" && !(value instanceof Set)) {
+            throw new Error(`ADD needs a number or a Set for '${path}'`);
+        }
+        this.#add.push({ path: new AttributePath(path), value });
+        return this;
+    }
+
+    /**
+     * DELETE elements from a set attribute.
+     *
+     * @param {string|Array<string|number>} path
+     * @param {Set} value The elements to delete
+     * @returns {UpdateBuilder}
+     */
+    delete(path, value) {
+        if (!(value instanceof Set)) {
+            throw new Error(`DELETE needs a Set for '${path}'`);
+        }
+        this.#delete.push({ path: new AttributePath(path), value });
+        return this;
+    }
+
+    /**
+     * A copy of the builder, so actions can be added without changing the original.
+     *
+     * @returns {UpdateBuilder}
+     */
+    clone() {
+        const copy = new UpdateBuilder();
+        copy.#set = [...this.#set];
+        copy.#remove = [...this.#remove];
+        copy.#add = [...this.#add];
+        copy.#delete = [...this.#delete];
+        return copy;
+    }
+
+    /**
+     * Whether no action was added yet.
+     *
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.#set.length + this.#remove.length + this.#add.length + this.#delete.length === 0;
+    }
+
+    /**
+     * The actions added so far, grouped as SET, REMOVE, ADD and DELETE, with
+     * each path split into its names and list indexes.
+     *
+     * @returns {Array<{action: string, path: Array<{name: string, indexes: number[]}>, value?: *}>}
+     */
+    actions() {
+        return [
+            ...this.#set.map(({ path, value }) => ({ action: "SET", path: parsePath(path.path), value })),
+            ...this.#remove.map((path) => ({ action: "REMOVE", path: parsePath(path.path) })),
+            ...this.#add.map(({ path, value }) => ({ action: "ADD", path: parsePath(path.path), value })),
+            ...this.#delete.map(({ path, value }) => ({ action: "DELETE", path: parsePath(path.path), value })),
+        ];
+    }
+
+    /**
+     * Render the UpdateExpression, registering its placeholders with the context.
+     *
+     * @param {ExpressionContext} context
+     * @returns {string}
+     */
+    build(context) {
+        if (this.isEmpty()) {
+            throw new Error("An update needs at least one action");
+        }
+        const clauses = [];
+        if (this.#set.length > 0) {
+            clauses.push("SET " + this.#set
+                .map(({ path, value }) => `${path.render(context)} = ${updateValue(value, context)}`).join(", "));
+        }
+        if (this.#remove.length > 0) {
+            clauses.push("REMOVE " + this.#remove.map((path) => path.render(context)).join(", "));
+        }
+        if (this.#add.length > 0) {
+            clauses.push("ADD " + this.#add
+                .map(({ path, value }) => `${path.render(context)} ${context.value(value)}`).join(", "));
+        }
+        if (this.#delete.length > 0) {
+            clauses.push("DELETE " + this.#delete
+                .map(({ path, value }) => `${path.render(context)} ${context.value(value)}`).join(", "));
+        }
+        return clauses.join(" ");
+    }
+}
+
+/**
+ * Start an update expression.
+ *
+ * @returns {UpdateBuilder}
+ */
+export function update() {
+    return new UpdateBuilder();
+}
+
+/**
+ * A value computed by DynamoDB in a SET action.
+ */
+export class UpdateValue {
+    #render;
+
+    /**
+     * @param {function(ExpressionContext): string} render
+     */
+    constructor(render) {
+        this.#render = render;
+    }
+
+    render(context) {
+        return this.#render(context);
+    }
+}
+
+/**
+ * The attribute's current value, or `value` if it does not exist yet.
+ *
+ * @param {string|Array<string|number>} path
+ * @param {*} value
+ * @returns {UpdateValue}
+ */
+export function ifNotExists(path, value) {
+    const attribute = new AttributePath(path);
+    return new UpdateValue((c) => `if_not_exists(${attribute.render(c)}, ${updateValue(value, c)})`);
+}
+
+/**
+ * Two lists joined together; either may be an attribute, e.g.
+ * `listAppend(ifNotExists("Tags", []), ["new"])`.
+ *
+ * @param {*} first
+ * @param {*} second
+ * @returns {UpdateValue}
+ */
+export function listAppend(first, second) {
+    return new UpdateValue((c) => `list_append(${updateValue(first, c)}, ${updateValue(second, c)})`);
+}
+
+/**
+ * The sum of two numbers; either may be an attribute, e.g. `plus(attr("Views"), 1)`.
+ *
+ * @param {*} left
+ * @param {*} right
+ * @returns {UpdateValue}
+ */
+export function plus(left, right) {
+    return new UpdateValue((c) => `${updateValue(left, c)} + ${updateValue(right, c)}`);
+}
+
+/**
+ * The difference of two numbers; either may be an attribute.
+ *
+ * @param {*} left
+ * @param {*} right
+ * @returns {UpdateValue}
+ */
+export function minus(left, right) {
+    return new UpdateValue((c) => `${updateValue(left, c)} - ${updateValue(right, c)}`);
+}
+
+/**
+ * Render the expressions of a request with one shared set of placeholders.
+ *
+ * @param {object} expressions
+ * @param {Condition} [expressions.keyCondition] KeyConditionExpression (Query only)
+ * @param {UpdateBuilder} [expressions.update] UpdateExpression
+ * @param {Condition} [expressions.condition] ConditionExpression
+ * @param {Condition} [expressions.filter] FilterExpression
+ * @param {string[]} [expressions.projection] ProjectionExpression
+ * @param {ExpressionContext} [context] Context to add to, for expressions rendered separately
+ * @returns {object} The expression strings and placeholder maps, ready to spread into a command input
+ */
+export function buildExpressions({ keyCondition, update, condition, filter, projection }, context = new ExpressionContext()) {
+    const input = {
+        KeyConditionExpression: keyCondition?.build(context),
+        UpdateExpression: update?.build(context),
+        ConditionExpression: condition?.build(context),
+        FilterExpression: filter?.build(context),
+        ProjectionExpression: projection ? buildProjection(projection, context) : undefined,
+    };
+    for (const [name, value] of Object.entries(input)) {
+        if (value === undefined) {
+            delete input[name];
+        }
+    }
+    return { ...input, ...context.toInput() };
+}
+
+/**
+ * Quote a table or index name for use in a PartiQL statement.
+ *
+ * DynamoDB names only contain letters, digits, '_', '-' and '.', so anything
+ * else is rejected rather than escaped.
+ *
+ * @param {string} name
+ * @returns {string} The double-quoted name
+ */
+export function partiqlIdentifier(name) {
+    if (typeof name !== "string" || !/^[A-Za-z0-9_.-]{3,255}$/.test(name)) {
+        throw new Error(`Invalid table or index name: ${JSON.stringify(name)}`);
+    }
+    return `"${name}"`;
+}
+
+function operand(value, context) {
+    return value instanceof Operand ? value.render(context) : context.value(value);
+}
+
+function updateValue(value, context) {
+    if (value instanceof UpdateValue || value instanceof AttributePath) {
+        return value.render(context);
+    }
+    return context.value(value);
+}
+
+function combine(operator, conditions) {
+    const parts = conditions.filter(Boolean);
+    if (parts.length === 0) {
+        throw new Error(`${operator} needs at least one condition`);
+    }
+    if (parts.length === 1) {
+        return parts[0];
+    }
+    return new Condition((c) => parts.map((part) => `(${part.build(c)})`).join(` ${operator} `));
+}
+
+/**
+ * Split a document path into names and list indexes.
+ *
+ * An array of segments is taken as is: strings are names, whatever
+ * characters they contain, and integers are list indexes of the name before.
+ *
+ * @param {string|Array<string|number>} path e.g. 'Details.Tags[0]' or ["Details", "Tags", 0]
+ * @returns {Array<{name: string, indexes: number[]}>}
+ */
+function parsePath(path) {
+    if (Array.isArray(path)) {
+        const elements = [];
+        for (const segment of path) {
+            if (typeof segment === "string" && segment !== "") {
+                elements.push({ name: segment, indexes: [] });
+            } else if (Number.isInteger(segment) && segment >= 0 && elements.length > 0) {
+                elements.at(-1).indexes.push(segment);
+            } else {
+                throw new Error(`Invalid attribute path: ${JSON.stringify(path)}`);
+            }
+        }
+        if (elements.length === 0) {
+            throw new Error("Invalid attribute path: []");
+        }
+        return elements;
+    }
+    if (typeof path !== "string" || path === "") {
+        throw new Error(`Invalid attribute path: ${JSON.stringify(path)}`);
+    }
+    return path.split(".").map((element) => {
+        const match = /^([^[\]]+)((?:\[\d+\])*)$/.exec(element);
+        if (!match) {
+            throw new Error(`Invalid attribute path: ${JSON.stringify(path)}`);
+        }
+        const indexes = [...match[2].matchAll(/\[(\d+)\]/g)].map((m) => Number(m[1]));
+        return { name: match[1], indexes };
+    });
+}
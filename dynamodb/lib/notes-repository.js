@@ -0,0 +1,1217 @@
+import {
+    CreateTableCommand,
+    DeleteTableCommand,
+    DescribeTableCommand,
+    DynamoDBClient,
+    waitUntilTableExists,
+    ExecuteStatementCommand,
+    TransactGetItemsCommand,
+    PutItemCommand,
+    GetItemCommand,
+    DeleteItemCommand,
+    UpdateItemCommand,
+    QueryCommand,
+} from "@aws-sdk/client-dynamodb";
+import { DynamoDBStreamsClient } from "@aws-sdk/client-dynamodb-streams";
+import { S3Client } from "@aws-sdk/client-s3";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { instrumentClient, mapConcurrent } from "aws-samples-common";
+import { BATCH_DEFAULTS, batchGetItems, batchWriteItems } from "./batch.js";
+import { ConditionalCheckFailedError } from "./errors.js";
+import { MAX_TRANSACTION_ITEMS, NotesTransaction } from "./transactions.js";
+import { describeTable, enableStream, ensureTable } from "./ensure-table.js";
+import { exportTable, importTable } from "./table-transfer.js";
+import { ingestFromS3 } from "./s3-ingest.js";
+import { FileCheckpointStore, StreamConsumer, TableCheckpointStore } from "./stream-consumer.js";
+import { s3AuditHandler, s3MirrorHandler } from "./stream-handlers.js";
+import { NOTES_TABLE_DEFINITION, createTableInput, normalizeTableDefinition } from "./table-definition.js";
+import {
+    AttributePath,
+    Condition,
+    UpdateBuilder,
+    and,
+    attr,
+    buildExpressions,
+    partiqlIdentifier,
+    update,
+} from "./expressions.js";
+import {
+    NOTE_SCHEMA,
+    NoteValidationError,
+    validateChanges,
+    validateNote,
+    validateNotes,
+    validateUpdate,
+} from "./schema.js";
+
+/**
+ * Data access for the Notes table.
+ *
+ * The repository owns the DynamoDB client, the table name and the key schema
+ * for the notes table. Callers work with plain JavaScript note objects such as
+ * `{ UserId: "student", NoteId: 5, Note: "..." }` and never see the raw
+ * `{ S: ... }` / `{ N: ... }` attribute maps used on the wire.
+ *
+ * The table uses a composite primary key:
+ *  - UserId: String (partition key)
+ *  - NoteId: Number (sort key)
+ *
+ * Writes are conditional where it matters: inserts do not overwrite existing
+ * notes, updates require the note to exist, and every write increments a
+ * version attribute (`Version` by default) that `saveNote`, `updateNote` and
+ * `deleteNote` can check for optimistic locking. A rejected condition raises a
+ * ConditionalCheckFailedError carrying the stored note.
+ */
+export class NotesRepository {
+    static DEFAULT_TABLE_NAME = "Notes";
+
+    static DEFAULT_VERSION_ATTRIBUTE = "Version";
+
+    static ATTRIBUTE_DEFINITIONS = [
+        { AttributeName: "UserId", AttributeType: "S" },
+        { AttributeName: "NoteId", AttributeType: "N" },
+    ];
+
+    static KEY_SCHEMA = [
+        { AttributeName: "UserId", KeyType: "HASH" },
+        { AttributeName: "NoteId", KeyType: "RANGE" },
+    ];
+
+    #s3Client;
+
+    #s3ClientConfig;
+
+    #streamsClient;
+
+    #streamsClientConfig;
+
+    /**
+     * Create a repository for the notes table.
+     *
+     * Either pass an existing `client` or the configuration used to build a new
+     * `DynamoDBClient` (region, credentials, endpoint, ...). Clients created
+     * here fail with the typed errors of `translateAwsError` and record their
+     * commands in `operationMetrics`; pass your own client through
+     * `instrumentClient` for the same behavior.
+     *
+     * @param {object} [options]
+     * @param {DynamoDBClient} [options.client] Initialized client to use
+     * @param {string} [options.tableName] Name of the notes table (defaults to 'Notes')
+     * @param {object} [options.clientConfig] Configuration for a new client when `client` is not given
+     * @param {object} [options.schema] Schema notes are validated against before writing (defaults to NOTE_SCHEMA)
+     * @param {string|null} [options.versionAttribute] Attribute used for optimistic locking
+     *     (defaults to 'Version'); null to write notes without a version
+     * @param {object} [options.tableDefinition] Declarative definition used by createTable and
+     *     ensureTable (defaults to NOTES_TABLE_DEFINITION); its tableName is replaced by `tableName`
+     * @param {S3Client} [options.s3Client] Client for exports and imports to and from S3
+     * @param {object} [options.s3ClientConfig] Configuration for a new S3 client when `s3Client` is not
+     *     given (defaults to `clientConfig` without its endpoint)
+     * @param {DynamoDBStreamsClient} [options.streamsClient] Client for the table's stream (defaults
+     *     to a new client with `clientConfig`)
+     */
+    constructor({
+        client,
+        tableName = NotesRepository.DEFAULT_TABLE_NAME,
+        clientConfig = {},
+        schema = NOTE_SCHEMA,
+        versionAttribute = NotesRepository.DEFAULT_VERSION_ATTRIBUTE,
+        tableDefinition = NOTES_TABLE_DEFINITION,
+        s3Client,
+        s3ClientConfig,
+        streamsClient,
+    } = {}) {
+        this.client = client ?? instrumentClient(new DynamoDBClient(clientConfig));
+        this.tableName = tableName;
+        this.schema = schema;
+        this.versionAttribute = versionAttribute;
+        this.tableDefinition = { ...tableDefinition, tableName };
+        this.#s3Client = s3Client;
+        this.#s3ClientConfig = s3ClientConfig ?? { ...clientConfig, endpoint: undefined };
+        this.#streamsClient = streamsClient;
+        this.#streamsClientConfig = clientConfig;
+    }
+
+    /**
+     * Check if the notes table already exists.
+     *
+     * Describes the table in the region configured in the client, so it works
+     * however many tables the account has.
+     *
+     * @returns {Promise<boolean>} True if the table already exists, False otherwise
+     */
+    async tableExists() {
+        return (await describeTable(this.client, this.tableName)) !== undefined;
+    }
+
+    /**
+     * Create the notes table from the table definition.
+     *
+     * With the default definition the table has the UserId/NoteId composite
+     * key and a provisioned throughput of 5 read and write units, in the same
+     * region as the client.
+     *
+     * This does not wait for the table to become active; use
+     * `waitUntilTableExists()` for that.
+     */
+    async createTable() {
+        const input = createTableInput(normalizeTableDefinition(this.tableDefinition));
+        await this.client.send(new CreateTableCommand(input));
+    }
+
+    /**
+     * Create the notes table if it is missing, or update it to match the table definition.
+     *
+     * Indexes, billing, streams, TTL, point-in-time recovery and tags are
+     * changed in place, waiting for the table and its indexes to become active
+     * after each step. See ensureTable in lib/ensure-table.js.
+     *
+     * @param {object} [options] dryRun, maxWaitTime, pollInterval and onStep
+     * @returns {Promise<object>} What was (or with dryRun, would be) changed
+     */
+    async ensureTable(options = {}) {
+        return ensureTable(this.client, this.tableDefinition, options);
+    }
+
+    /**
+     * Turn on the stream of the notes table with NEW_AND_OLD_IMAGES, so that
+     * every change carries the note before and after it. Nothing else about
+     * the table changes. See enableStream in lib/ensure-table.js.
+     *
+     * @param {object} [options] dryRun, maxWaitTime, pollInterval and onStep
+     * @returns {Promise<object>} The stream ARN and what was (or with dryRun, would be) changed
+     */
+    async enableStream(options = {}) {
+        return enableStream(this.client, this.tableName, "NEW_AND_OLD_IMAGES", options);
+    }
+
+    /**
+     * Create a consumer for the stream of the notes table.
+     *
+     * Register handlers on the consumer with `on` and start it with `run`.
+     * `mirror` and `audit` register the built-in S3 handlers: the mirror keeps
+     * every note as `<prefix><UserId>/<NoteId>.json` (prefix 'notes/' unless
+     * the location has one) and the audit trail adds an object per change.
+     *
+     *     const consumer = repository.streamConsumer({
+     *         checkpoint: "notes.stream.json",
+     *         mirror: "s3://notes-mirror",
+     *     });
+     *     consumer.on("REMOVE", ({ oldImage }) => console.log("deleted", oldImage.NoteId));
+     *     await consumer.run({ follow: true });
+     *
+     * @param {object} [options] iteratorType, limit and pollInterval (see StreamConsumer) and:
+     * @param {string} [options.checkpoint] Keep checkpoints in this local file
+     * @param {string} [options.checkpointTable] Keep checkpoints in this DynamoDB table, created if missing
+     * @param {string} [options.mirror] Mirror notes to this `s3://bucket[/prefix]`
+     * @param {string} [options.audit] Write an audit trail to this `s3://bucket[/prefix]`
+     * @returns {StreamConsumer}
+     */
+    streamConsumer({ checkpoint, checkpointTable, mirror, audit, ...options } = {}) {
+        if (checkpoint && checkpointTable) {
+            throw new Error("Give either a checkpoint file or a checkpoint table, not both");
+        }
+        let checkpoints;
+        if (checkpointTable) {
+            checkpoints = new TableCheckpointStore(this.client, checkpointTable);
+        } else if (checkpoint) {
+            checkpoints = new FileCheckpointStore(checkpoint);
+        }
+        const consumer = new StreamConsumer({
+            ...options,
+            client: this.client,
+            streamsClient: this.#streams(),
+            tableName: this.tableName,
+            checkpoints,
+        });
+        if (mirror) {
+            const { bucket, prefix = "notes/" } = parseS3Prefix(mirror);
+            consumer.on("*", s3MirrorHandler(this.#s3(mirror), bucket, { prefix }));
+        }
+        if (audit) {
+            const { bucket, prefix = "audit/" } = parseS3Prefix(audit);
+            consumer.on("*", s3AuditHandler(this.#s3(audit), bucket, { prefix }));
+        }
+        return consumer;
+    }
+
+    /**
+     * Wait until the notes table exists and is active.
+     *
+     * @param {number} [maxWaitTime] Maximum time to wait, in seconds
+     */
+    async waitUntilTableExists(maxWaitTime = 120) {
+        await waitUntilTableExists({ client: this.client, maxWaitTime }, { TableName: this.tableName });
+    }
+
+    /**
+     * Describe the notes table.
+     *
+     * @returns {Promise<object>} The table description (status, key schema, item count, ...)
+     */
+    async describeTable() {
+        const response = await this.client.send(new DescribeTableCommand({ TableName: this.tableName }));
+        return response.Table;
+    }
+
+    /**
+     * Deletes the notes table.
+     */
+    async deleteTable() {
+        await this.client.send(new DeleteTableCommand({ TableName: this.tableName }));
+    }
+
+    /**
+     * Inserts a note into the table.
+     *
+     * The note is validated against the repository schema first. With the
+     * default schema it must have at least the following attributes:
+     *  - UserId: String
+     *  - NoteId: Number (numeric strings such as "001" are converted)
+     *  - Note: String
+     *
+     * Any other attributes are written too, with their type inferred from
+     * the JavaScript value.
+     *
+     * The insert is create-only: if a note with the same key exists, a
+     * ConditionalCheckFailedError with the existing note is raised. The new
+     * note starts at version 1. With `overwrite` the note is written
+     * unconditionally, one version above the version it carries.
+     *
+     * @param {object} note The note to insert
+     * @param {object} [options]
+     * @param {boolean} [options.overwrite] Replace an existing note instead of failing
+     * @returns {Promise<object>} The note as written, including its version
+     * @throws {NoteValidationError} If the note does not match the schema
+     * @throws {ConditionalCheckFailedError} If the note already exists
+     */
+    async insertNote(note, { overwrite = false } = {}) {
+        const write = this.#putWrite(note, { overwrite });
+        await this.#conditionalWrite(new PutItemCommand(write.input), write);
+        return write.note;
+    }
+
+    /**
+     * Write back a note that was read earlier, if nobody changed it since.
+     *
+     * The note's version attribute is the version it was read at; the write
+     * only succeeds if the stored note still has that version, and stores the
+     * note with the next version. A note without a version is inserted
+     * create-only, like insertNote.
+     *
+     *     const note = await repository.getNote("student", 5);
+     *     note.Note = "Maximum size of an item is 400 KB";
+     *     await repository.saveNote(note); // ConditionalCheckFailedError if it changed meanwhile
+     *
+     * @param {object} note The complete note
+     * @returns {Promise<object>} The note as written, including its new version
+     * @throws {NoteValidationError} If the note does not match the schema
+     * @throws {ConditionalCheckFailedError} If the note was changed or deleted since it was read
+     */
+    async saveNote(note) {
+        const value = this.#validate(note);
+        if (this.versionAttribute && value[this.versionAttribute] === undefined) {
+            return this.insertNote(value);
+        }
+        const write = this.#putWrite(value, {
+            replace: true,
+            expectedVersion: this.versionAttribute ? value[this.versionAttribute] : undefined,
+        });
+        await this.#conditionalWrite(new PutItemCommand(write.input), write);
+        return write.note;
+    }
+
+    /**
+     * Inserts many notes using BatchWriteItem.
+     *
+     * All notes are validated before anything is written. By default one
+     * invalid note rejects the whole load with a NoteValidationError listing
+     * every problem; with `onInvalid: 'skip'` the invalid notes are left out
+     * and reported in `invalid`.
+     *
+     * Valid notes are written in batches of 25, several batches at a time.
+     * Notes DynamoDB leaves unprocessed are retried with exponential backoff;
+     * notes that still fail are returned instead of aborting the load. A batch
+     * must not contain the same UserId/NoteId twice.
+     *
+     * BatchWriteItem cannot be conditional, so batches overwrite existing
+     * notes. With `createOnly` every note is inserted on its own with
+     * insertNote instead (still `concurrency` at a time), and notes that
+     * already exist are left unchanged and reported in `existing`, which
+     * makes re-running a load safe.
+     *
+     * @param {Array<object|SourceRecord>} notes The notes to insert, optionally with their source line
+     * @param {object} [options] Batch options (concurrency, maxAttempts, baseDelay, maxDelay), onInvalid and createOnly
+     * @returns {Promise<{succeeded: number, failed: Array<{note: object, error: string}>, invalid: object[], existing: object[]}>}
+     * @throws {NoteValidationError} If a note is invalid and onInvalid is 'reject'
+     */
+    async batchInsertNotes(notes, options = {}) {
+        const { onInvalid = "reject", createOnly = false, ...batchOptions } = options;
+        const { valid, invalid } = validateNotes(notes, { schema: this.schema, onInvalid });
+        if (createOnly) {
+            return { ...await this.#insertEach(valid, batchOptions.concurrency ?? BATCH_DEFAULTS.concurrency), invalid };
+        }
+        const requests = valid.map((note) => ({
+            PutRequest: { Item: this.#toItem(this.#withVersion(note, this.#nextVersion(note))) },
+        }));
+        const { succeeded, failed } = await batchWriteItems(this.client, this.tableName, requests, batchOptions);
+        return {
+            succeeded,
+            failed: failed.map(({ request, error }) => ({ note: unmarshall(request.PutRequest.Item), error })),
+            invalid,
+            existing: [],
+        };
+    }
+
+    /**
+     * Fetch a single note.
+     *
+     * @param {string} userId The partition key of the note
+     * @param {number} noteId The sort key of the note
+     * @param {object} [options]
+     * @param {boolean} [options.consistentRead] Use a strongly consistent read
+     * @returns {Promise<object|undefined>} The note, or undefined if it does not exist
+     */
+    async getNote(userId, noteId, { consistentRead } = {}) {
+        const command = new GetItemCommand({
+            TableName: this.tableName,
+            Key: this.#key(userId, noteId),
+            ConsistentRead: consistentRead,
+        });
+        const response = await this.client.send(command);
+        return response.Item ? unmarshall(response.Item) : undefined;
+    }
+
+    /**
+     * Fetch many notes using BatchGetItem.
+     *
+     * Keys are fetched in batches of 100, several batches at a time, with
+     * unprocessed keys retried using exponential backoff. Notes that do not
+     * exist are left out of the result; the order of the notes is not
+     * guaranteed.
+     *
+     * @param {Array<{UserId: string, NoteId: number}>} keys The notes to fetch
+     * @param {object} [options] Batch options: concurrency, maxAttempts, baseDelay, maxDelay, consistentRead
+     * @returns {Promise<{notes: object[], failed: Array<{key: object, error: string}>}>}
+     */
+    async batchGetNotes(keys, options = {}) {
+        const marshalled = keys.map(({ UserId, NoteId }) => this.#key(UserId, NoteId));
+        const { items, failed } = await batchGetItems(this.client, this.tableName, marshalled, options);
+        return {
+            notes: items.map((item) => unmarshall(item)),
+            failed: failed.map(({ key, error }) => ({ key: unmarshall(key), error })),
+        };
+    }
+
+    /**
+     * Export every note to a local file or an S3 object.
+     *
+     * The table is read with a parallel Scan and written as JSON Lines, CSV or
+     * DynamoDB JSON (see exportTable). CSV exports have one column per schema
+     * attribute unless `columns` is given; other attributes are left out.
+     *
+     *     await repository.exportNotes("s3://backups/notes.jsonl", { segments: 8 });
+     *
+     * @param {string} location A file name or an `s3://bucket/key` URL
+     * @param {object} [options] format, segments, columns, pageSize, consistentRead and onProgress
+     * @returns {Promise<{location: string, format: string, segments: number, items: number, scanned: number}>}
+     */
+    async exportNotes(location, options = {}) {
+        return exportTable(this.client, this.tableName, location, {
+            ...options,
+            columns: options.columns ?? Object.keys(this.schema.attributes),
+            s3Client: this.#s3(location),
+        });
+    }
+
+    /**
+     * Import notes from a local file or an S3 object in any of the export
+     * formats, with BatchWriteItem.
+     *
+     * JSON Lines and CSV records are validated against the schema like
+     * batchInsertNotes does, after `rename` has mapped their column names;
+     * invalid records are skipped and reported in `invalid`. DynamoDB JSON
+     * items are written unchanged. Unlike batchInsertNotes the import keeps
+     * the versions it reads, so a restored table matches the exported one.
+     *
+     *     await repository.importNotes("notes.csv", { rename: { Notes: "Note" } });
+     *
+     * @param {string} location A file name or an `s3://bucket/key` URL
+     * @param {object} [options] format, rename, checkpoint, resume, checkpointEvery, onProgress and
+     *     batch options (see importTable)
+     * @returns {Promise<object>} location, format, resumedFrom, position, imported and invalid
+     * @throws {ImportInterruptedError} If notes could not be written; resume from the checkpoint
+     */
+    async importNotes(location, options = {}) {
+        return importTable(this.client, this.tableName, location, {
+            ...options,
+            s3Client: this.#s3(location),
+            toItem: (record) => {
+                const { value, errors } = validateNote(record, this.schema);
+                return errors.length > 0 ? { errors } : { item: this.#toItem(value) };
+            },
+        });
+    }
+
+    /**
+     * Ingest notes from a CSV or JSON Lines object in S3, optionally filtered
+     * with S3 Select.
+     *
+     * Rows are validated against the schema like imported records; rows that
+     * fail validation are written to an errors object in S3 instead. The
+     * ingest tracks how far into the object it got, so with a checkpoint an
+     * interrupted ingest resumes from that byte offset:
+     *
+     *     await repository.ingestNotes("s3://uploads/notes.csv", {
+     *         rename: { Notes: "Note" },
+     *         select: "SELECT * FROM S3Object s WHERE s.UserId = 'student'",
+     *         checkpoint: "notes.csv.ingest.json",
+     *     });
+     *
+     * @param {string} location The `s3://bucket/key` object to ingest
+     * @param {object} [options] format, select, rename, errors, checkpoint, resume, checkpointEvery,
+     *     scanRangeSize, onProgress and batch options (see ingestFromS3)
+     * @returns {Promise<object>} location, format, size, resumedFrom, offset, imported, rejected and errors
+     * @throws {IngestInterruptedError} If notes could not be written; resume from the checkpoint
+     */
+    async ingestNotes(location, options = {}) {
+        return ingestFromS3(this.client, this.tableName, location, {
+            ...options,
+            s3Client: this.#s3(location),
+            toItem: (record) => {
+                const { value, errors } = validateNote(record, this.schema);
+                return errors.length > 0 ? { errors } : { item: this.#toItem(value) };
+            },
+        });
+    }
+
+    /**
+     * Update the note with the specified userId and noteId.
+     *
+     * `changes` is either an object of attribute names and the values to set,
+     * or an UpdateBuilder for anything else (REMOVE, ADD, DELETE, nested
+     * paths, `if_not_exists`, `list_append`, ...). Both are checked and coerced
+     * against the schema (see validateUpdate): keys and the version attribute
+     * cannot be changed, and an upsert must set the required attributes.
+     *
+     *     await repository.updateNote("student", 5, { Note: "new text" });
+     *     await repository.updateNote("student", 5, update()
+     *         .set("Tags", listAppend(ifNotExists("Tags", []), ["exam"]))
+     *         .add("Edits", 1)
+     *         .remove("Is_Incomplete"));
+     *
+     * Without explicit changes the note is marked as incomplete by setting
+     * an attribute called 'Is_Incomplete' to the string value 'Yes'.
+     *
+     * The note must exist unless `upsert` is set, and its version is
+     * incremented. With `expectedVersion` the update only succeeds if the
+     * stored note still has that version.
+     *
+     * @param {string} userId The partition key of the note
+     * @param {number} noteId The sort key of the note
+     * @param {object|UpdateBuilder} [changes] Attributes to set, or the update to apply
+     * @param {object} [options]
+     * @param {Condition} [options.condition] Only update if this condition holds
+     * @param {number} [options.expectedVersion] Only update if the note has this version
+     * @param {boolean} [options.upsert] Create the note if it does not exist
+     * @returns {Promise<object>} The updated note
+     * @throws {NoteValidationError} If the changes do not match the schema or change a key
+     *     attribute or the version attribute
+     * @throws {ConditionalCheckFailedError} If the note does not exist, has another version or the condition fails
+     */
+    async updateNote(userId, noteId, changes = { Is_Incomplete: "Yes" }, options = {}) {
+        const write = this.#updateWrite(userId, noteId, changes, options);
+        const response = await this.#conditionalWrite(new UpdateItemCommand({
+            ...write.input,
+            ReturnValues: "ALL_NEW",
+        }), write);
+        return unmarshall(response.Attributes);
+    }
+
+    /**
+     * Delete a single note.
+     *
+     * @param {string} userId The partition key of the note
+     * @param {number} noteId The sort key of the note
+     * @param {object} [options]
+     * @param {Condition} [options.condition] Only delete if this condition holds
+     * @param {number} [options.expectedVersion] Only delete if the note has this version
+     * @returns {Promise<object|undefined>} The deleted note, or undefined if it did not exist
+     * @throws {ConditionalCheckFailedError} If the note has another version or the condition fails
+     */
+    async deleteNote(userId, noteId, options = {}) {
+        const write = this.#deleteWrite(userId, noteId, options);
+        const response = await this.#conditionalWrite(new DeleteItemCommand({
+            ...write.input,
+            ReturnValues: "ALL_OLD",
+        }), write);
+        return response.Attributes ? unmarshall(response.Attributes) : undefined;
+    }
+
+    /**
+     * Start a transaction over notes.
+     *
+     * Add operations with `put`, `update`, `delete` and `conditionCheck`, then
+     * call `commit()` to apply them all or none with TransactWriteItems.
+     *
+     * @param {object} [options]
+     * @param {string} [options.clientRequestToken] Idempotency token for the commit
+     * @returns {NotesTransaction}
+     */
+    transaction(options = {}) {
+        return new NotesTransaction(this.client, {
+            put: (note, putOptions) => this.#putWrite(note, putOptions),
+            update: (userId, noteId, changes, updateOptions) => this.#updateWrite(userId, noteId, changes, updateOptions),
+            delete: (userId, noteId, deleteOptions) => this.#deleteWrite(userId, noteId, deleteOptions),
+            conditionCheck: (userId, noteId, checkOptions) => this.#conditionCheckWrite(userId, noteId, checkOptions),
+            conflict: (write, current, cause) => this.#conflictError(write, current, cause),
+        }, options);
+    }
+
+    /**
+     * Read up to 100 notes as one consistent snapshot with TransactGetItems.
+     *
+     * Unlike batchGetNotes, no note can change between the individual reads.
+     *
+     * @param {Array<{UserId: string, NoteId: number}>} keys The notes to read
+     * @param {object} [options]
+     * @param {string[]} [options.projection] Only return these attributes
+     * @returns {Promise<Array<object|undefined>>} The notes in the order of the keys, undefined where missing
+     */
+    async transactGetNotes(keys, { projection } = {}) {
+        if (keys.length === 0 || keys.length > MAX_TRANSACTION_ITEMS) {
+            throw new Error(`transactGetNotes takes between 1 and ${MAX_TRANSACTION_ITEMS} keys, got ${keys.length}`);
+        }
+        const response = await this.client.send(new TransactGetItemsCommand({
+            TransactItems: keys.map(({ UserId, NoteId }) => ({
+                Get: {
+                    TableName: this.tableName,
+                    Key: this.#key(UserId, NoteId),
+                    ...(projection ? buildExpressions({ projection }) : {}),
+                },
+            })),
+        }));
+        return (response.Responses ?? []).map(({ Item }) => (Item ? unmarshall(Item) : undefined));
+    }
+
+    /**
+     * Move a note to another user (and optionally another NoteId).
+     *
+     * Reads the note, then deletes it and inserts the copy in one transaction.
+     * The delete requires the version that was read and the insert is
+     * create-only, so the move fails instead of losing a concurrent change or
+     * overwriting a note of the other user.
+     *
+     * @param {string} userId The current owner
+     * @param {number} noteId The current NoteId
+     * @param {string} toUserId The new owner
+     * @param {object} [options]
+     * @param {number} [options.toNoteId] The new NoteId (defaults to the current one)
+     * @param {string} [options.clientRequestToken] Idempotency token for the transaction
+     * @returns {Promise<object>} The note under its new key
+     * @throws {ConditionalCheckFailedError} If the note does not exist
+     * @throws {TransactionCanceledError} If the note changed or the target already exists
+     */
+    async moveNote(userId, noteId, toUserId, { toNoteId = noteId, clientRequestToken } = {}) {
+        const note = await this.getNote(userId, noteId, { consistentRead: true });
+        if (!note) {
+            throw this.#conflictError({ key: { UserId: userId, NoteId: noteId } });
+        }
+        const { [this.versionAttribute ?? ""]: version, ...content } = note;
+        const { notes } = await this.transaction({ clientRequestToken })
+            .delete(userId, noteId, this.versionAttribute
+                ? { expectedVersion: version }
+                : { condition: attr("UserId").exists() })
+            .put({ ...content, UserId: toUserId, NoteId: toNoteId })
+            .commit();
+        return notes[0];
+    }
+
+    /**
+     * Mark notes as complete in one transaction, setting 'Is_Incomplete' to 'No'.
+     *
+     * Every note must exist; if one does not, none is changed.
+     *
+     * @param {Array<{UserId: string, NoteId: number}>} keys Up to 100 notes
+     * @param {object} [options]
+     * @param {string} [options.clientRequestToken] Idempotency token for the transaction
+     * @returns {Promise<object>} The commit result
+     * @throws {TransactionCanceledError} If a note does not exist
+     */
+    async markNotesComplete(keys, { clientRequestToken } = {}) {
+        const transaction = this.transaction({ clientRequestToken });
+        for (const { UserId, NoteId } of keys) {
+            transaction.update(UserId, NoteId, { Is_Incomplete: "No" });
+        }
+        return transaction.commit();
+    }
+
+    /**
+     * Query for all notes for the specified userId.
+     *
+     * Follows every page of results, so use `queryNotesPage` or
+     * `queryNotesPages` for users with many notes. By default returns the
+     * 'NoteId' and 'Note' attributes of each matching note in ascending
+     * NoteId order.
+     *
+     * @param {string} userId The user to query notes for
+     * @param {QueryOptions} [options] Sort key condition, filter, projection and read options
+     * @returns {Promise<object[]>} The matching notes
+     */
+    async queryNotes(userId, options = {}) {
+        const notes = [];
+        for await (const page of this.queryNotesPages(userId, options)) {
+            notes.push(...page.notes);
+        }
+        return notes;
+    }
+
+    /**
+     * Query one page of notes for the specified userId.
+     *
+     * With `limit`, the page holds up to that many matching notes: DynamoDB
+     * applies its own Limit before the filter, so the query is repeated until
+     * the page is full or there are no more notes. Without `limit` the page is
+     * whatever a single Query returns (at most 1 MB of data).
+     *
+     * Pass the returned `nextToken` as `options.nextToken` to fetch the next
+     * page, e.g. the latest 20 notes of a user and then the 20 before them:
+     *
+     *     const first = await repository.queryNotesPage("student", { limit: 20, scanIndexForward: false });
+     *     const second = await repository.queryNotesPage("student", {
+     *         limit: 20, scanIndexForward: false, nextToken: first.nextToken,
+     *     });
+     *
+     * @param {string} userId The user to query notes for
+     * @param {QueryOptions} [options]
+     * @returns {Promise<{notes: object[], nextToken?: string}>} The notes and, if there are more, the token for the next page
+     */
+    async queryNotesPage(userId, options = {}) {
+        const { limit, nextToken } = options;
+        checkLimit(limit);
+        const input = this.#queryInput(userId, options);
+        const notes = [];
+        let startKey = nextToken === undefined ? undefined : decodePageToken(nextToken, userId);
+        do {
+            const response = await this.client.send(new QueryCommand({
+                ...input,
+                Limit: limit === undefined ? undefined : limit - notes.length,
+                ExclusiveStartKey: startKey,
+            }));
+            notes.push(...(response.Items ?? []).map((item) => unmarshall(item)));
+            startKey = response.LastEvaluatedKey;
+        } while (startKey && limit !== undefined && notes.length < limit);
+        return { notes, nextToken: startKey ? encodePageToken(startKey) : undefined };
+    }
+
+    /**
+     * Iterate over the pages of a notes query.
+     *
+     * @param {string} userId The user to query notes for
+     * @param {QueryOptions} [options] As for queryNotesPage; `limit` is the page size
+     * @yields {{notes: object[], nextToken?: string}} One page of notes
+     */
+    async *queryNotesPages(userId, options = {}) {
+        let { nextToken } = options;
+        do {
+            const page = await this.queryNotesPage(userId, { ...options, nextToken });
+            yield page;
+            nextToken = page.nextToken;
+        } while (nextToken);
+    }
+
+    /**
+     * Query a single note using a PartiQL statement.
+     *
+     * @param {string} userId The partition key of the note
+     * @param {number} noteId The sort key of the note
+     * @param {object} [options] Read options, see executeStatementPage
+     * @returns {Promise<object[]>} The matching notes
+     */
+    async partiqlQuery(userId, noteId, options = {}) {
+        return this.executeStatement(
+            `SELECT * FROM ${partiqlIdentifier(this.tableName)} WHERE UserId = ? AND NoteId = ?`,
+            [userId, Number(noteId)],
+            options,
+        );
+    }
+
+    /**
+     * Run an arbitrary PartiQL statement and collect the items of every page.
+     *
+     * @param {string} statement The PartiQL statement, using '?' for parameters
+     * @param {Array} [parameters] Plain JavaScript values bound to the '?' placeholders
+     * @param {object} [options] Read options, see executeStatementPage
+     * @returns {Promise<object[]>} The items returned by the statement
+     */
+    async executeStatement(statement, parameters = [], options = {}) {
+        const items = [];
+        let { nextToken } = options;
+        do {
+            const page = await this.executeStatementPage(statement, parameters, { ...options, nextToken });
+            items.push(...page.items);
+            nextToken = page.nextToken;
+        } while (nextToken);
+        return items;
+    }
+
+    /**
+     * Run a PartiQL statement and return one page of its results.
+     *
+     * Like queryNotesPage, a `limit` is filled across several requests when
+     * the statement has a WHERE clause that DynamoDB evaluates after its own
+     * Limit.
+     *
+     * @param {string} statement The PartiQL statement, using '?' for parameters
+     * @param {Array} [parameters] Plain JavaScript values bound to the '?' placeholders
+     * @param {object} [options]
+     * @param {number} [options.limit] Maximum number of items in the page
+     * @param {string} [options.nextToken] Token from the previous page
+     * @param {boolean} [options.consistentRead] Use a strongly consistent read
+     * @returns {Promise<{items: object[], nextToken?: string}>} The items and, if there are more, the token for the next page
+     */
+    async executeStatementPage(statement, parameters = [], { limit, nextToken, consistentRead } = {}) {
+        checkLimit(limit);
+        const items = [];
+        let token = nextToken;
+        do {
+            const response = await this.client.send(new ExecuteStatementCommand({
+                Statement: statement,
+                Parameters: parameters.length > 0 ? parameters.map((value) => marshall({ value }).value) : undefined,
+                ConsistentRead: consistentRead,
+                Limit: limit === undefined ? undefined : limit - items.length,
+                NextToken: token,
+            }));
+            items.push(...(response.Items ?? []).map((item) => unmarshall(item)));
+            token = response.NextToken;
+        } while (token && limit !== undefined && items.length < limit);
+        return { items, nextToken: token };
+    }
+
+    /**
+     * Build the parts of a Query request shared by every page.
+     *
+     * @param {string} userId
+     * @param {QueryOptions} options
+     * @returns {object} The QueryCommand input without Limit and ExclusiveStartKey
+     */
+    #queryInput(userId, { noteId, filter, projection = ["NoteId", "Note"], scanIndexForward = true, consistentRead }) {
+        const partition = attr("UserId").eq(userId);
+        // key conditions are a plain 'pk = :v AND sk-condition'; and() would add parentheses
+        const keyCondition = noteId === undefined
+            ? partition
+            : new Condition((c) => `${partition.build(c)} AND ${sortKeyCondition(noteId).build(c)}`);
+        return {
+            TableName: this.tableName,
+            ...buildExpressions({ keyCondition, filter, projection: projection ?? undefined }),
+            ScanIndexForward: scanIndexForward,
+            ConsistentRead: consistentRead,
+        };
+    }
+
+    /**
+     * Build a conditional put of a note.
+     *
+     * Create-only by default; with `overwrite` unconditional, and with
+     * `replace` only if the note exists with `expectedVersion` (or exists at
+     * all when notes are not versioned).
+     *
+     * @param {object} note The note, validated here
+     * @param {object} [options]
+     * @param {boolean} [options.overwrite]
+     * @param {boolean} [options.replace]
+     * @param {number} [options.expectedVersion]
+     * @returns {NoteWrite} The write; `note` is the note as it will be stored
+     */
+    #putWrite(note, { overwrite = false, replace = false, expectedVersion } = {}) {
+        const value = this.#validate(note);
+        const create = !overwrite && !replace;
+        const written = this.#withVersion(value, create ? 1 : this.#nextVersion(value));
+        let condition;
+        if (create) {
+            condition = attr("UserId").notExists();
+        } else if (replace) {
+            condition = this.versionAttribute ? this.#versionCondition(expectedVersion) : attr("UserId").exists();
+        }
+        return {
+            input: {
+                TableName: this.tableName,
+                Item: this.#toItem(written),
+                ...this.#conditionInput(condition),
+            },
+            key: { UserId: value.UserId, NoteId: value.NoteId },
+            note: written,
+            create,
+            expectedVersion,
+        };
+    }
+
+    /**
+     * Build an update of a note that must exist (unless `upsert`) and gets the next version.
+     *
+     * @returns {NoteWrite}
+     */
+    #updateWrite(userId, noteId, changes, { condition, expectedVersion, upsert = false } = {}) {
+        const builder = this.#validateUpdate(changes instanceof UpdateBuilder
+            ? changes
+            : update().setAll(this.#validateChanges(changes)), upsert);
+        if (builder.isEmpty()) {
+            throw new Error("updateNote needs at least one attribute to change");
+        }
+        if (this.versionAttribute) {
+            builder.add(this.versionAttribute, 1);
+        }
+        const conditions = [
+            condition,
+            upsert ? undefined : attr("UserId").exists(),
+            this.#versionCondition(expectedVersion),
+        ].filter(Boolean);
+        return {
+            input: {
+                TableName: this.tableName,
+                Key: this.#key(userId, noteId),
+                ...buildExpressions({ update: builder, condition: conditions.length > 0 ? and(...conditions) : undefined }),
+                ...(conditions.length > 0 ? { ReturnValuesOnConditionCheckFailure: "ALL_OLD" } : {}),
+            },
+            key: { UserId: userId, NoteId: noteId },
+            expectedVersion,
+        };
+    }
+
+    /**
+     * Build a delete of a note, conditional when a condition or version is given.
+     *
+     * @returns {NoteWrite}
+     */
+    #deleteWrite(userId, noteId, { condition, expectedVersion } = {}) {
+        return {
+            input: {
+                TableName: this.tableName,
+                Key: this.#key(userId, noteId),
+                ...this.#conditionInput([condition, this.#versionCondition(expectedVersion)].filter(Boolean)),
+            },
+            key: { UserId: userId, NoteId: noteId },
+            expectedVersion,
+        };
+    }
+
+    /**
+     * Build a condition check on a note, for transactions.
+     *
+     * @returns {NoteWrite}
+     */
+    #conditionCheckWrite(userId, noteId, { condition, expectedVersion } = {}) {
+        const conditions = [condition, this.#versionCondition(expectedVersion)].filter(Boolean);
+        if (conditions.length === 0) {
+            throw new Error("A condition check needs a condition or an expectedVersion");
+        }
+        return {
+            input: {
+                TableName: this.tableName,
+                Key: this.#key(userId, noteId),
+                ...this.#conditionInput(conditions),
+            },
+            key: { UserId: userId, NoteId: noteId },
+            expectedVersion,
+        };
+    }
+
+    /**
+     * The ConditionExpression fields for one or more conditions, asking for the
+     * stored item when the condition fails.
+     *
+     * @param {Condition|Condition[]|undefined} condition
+     * @returns {object}
+     */
+    #conditionInput(condition) {
+        const conditions = [condition].flat().filter(Boolean);
+        if (conditions.length === 0) {
+            return {};
+        }
+        return {
+            ...buildExpressions({ condition: and(...conditions) }),
+            ReturnValuesOnConditionCheckFailure: "ALL_OLD",
+        };
+    }
+
+    /**
+     * Send a conditional write, turning a failed condition into a ConditionalCheckFailedError.
+     *
+     * @param {object} command The PutItem, UpdateItem or DeleteItem command
+     * @param {NoteWrite} write The write the command was built from
+     * @returns {Promise<object>} The response
+     */
+    async #conditionalWrite(command, write) {
+        try {
+            return await this.client.send(command);
+        } catch (error) {
+            if (error.name !== "ConditionalCheckFailedException") {
+                throw error;
+            }
+            throw this.#conflictError(write, error.Item ? unmarshall(error.Item) : undefined, error);
+        }
+    }
+
+    /**
+     * Describe why a conditional write on a note was rejected.
+     *
+     * @param {NoteWrite} write The rejected write
+     * @param {object} [current] The stored note, if any
+     * @param {Error} [cause] The SDK error
+     * @returns {ConditionalCheckFailedError}
+     */
+    #conflictError({ key, create = false, expectedVersion }, current, cause) {
+        const note = `Note ${key.UserId}/${key.NoteId}`;
+        const currentVersion = current && this.versionAttribute ? current[this.versionAttribute] : undefined;
+        let message;
+        if (!current) {
+            message = `${note} does not exist`;
+        } else if (create) {
+            message = `${note} already exists`;
+        } else if (expectedVersion !== undefined && currentVersion !== expectedVersion) {
+            message = `${note} was changed by someone else: expected version ${expectedVersion}, ` +
+                `found ${currentVersion ?? "none"}`;
+        } else {
+            message = `${note} does not meet the write condition`;
+        }
+        return new ConditionalCheckFailedError(message, { key, current, expectedVersion, cause });
+    }
+
+    /**
+     * Insert notes one at a time, create-only, reporting the ones that already exist.
+     *
+     * @param {object[]} notes Validated notes
+     * @param {number} concurrency Inserts running at once
+     * @returns {Promise<{succeeded: number, failed: object[], existing: object[]}>}
+     */
+    async #insertEach(notes, concurrency) {
+        const summary = { succeeded: 0, failed: [], existing: [] };
+        await mapConcurrent(notes, concurrency, async (note) => {
+            try {
+                await this.insertNote(note);
+                summary.succeeded++;
+            } catch (error) {
+                if (error instanceof ConditionalCheckFailedError && error.current) {
+                    summary.existing.push(note);
+                } else {
+                    summary.failed.push({ note, error: error.message });
+                }
+            }
+        });
+        return summary;
+    }
+
+    #versionCondition(expectedVersion) {
+        if (expectedVersion === undefined) {
+            return undefined;
+        }
+        if (!this.versionAttribute) {
+            throw new Error("expectedVersion needs a repository with a versionAttribute");
+        }
+        return attr(this.versionAttribute).eq(expectedVersion);
+    }
+
+    #nextVersion(note) {
+        return (this.versionAttribute ? note[this.versionAttribute] ?? 0 : 0) + 1;
+    }
+
+    #withVersion(note, version) {
+        return this.versionAttribute ? { ...note, [this.versionAttribute]: version } : note;
+    }
+
+    /**
+     * The S3 client for an s3:// location, created on first use; undefined for local files.
+     */
+    #s3(location) {
+        if (!location.startsWith("s3://")) {
+            return undefined;
+        }
+        this.#s3Client ??= instrumentClient(new S3Client(this.#s3ClientConfig));
+        return this.#s3Client;
+    }
+
+    /**
+     * The DynamoDB Streams client, created on first use.
+     */
+    #streams() {
+        this.#streamsClient ??= instrumentClient(new DynamoDBStreamsClient(this.#streamsClientConfig));
+        return this.#streamsClient;
+    }
+
+    /**
+     * Validate a note against the schema and return the coerced note.
+     *
+     * @param {object} note
+     * @returns {object}
+     * @throws {NoteValidationError}
+     */
+    #validate(note) {
+        const { value, errors } = validateNote(note, this.schema);
+        if (errors.length > 0) {
+            throw new NoteValidationError([{ index: 0, errors }]);
+        }
+        return value;
+    }
+
+    /**
+     * Validate the attributes of a plain-object update and return them coerced.
+     *
+     * @param {object} changes
+     * @returns {object}
+     * @throws {NoteValidationError} If a value does not match the schema, or
+     *     the update sets a key attribute or the version attribute
+     */
+    #validateChanges(changes) {
+        const { value, errors } = validateChanges(changes, this.schema, {
+            managed: this.versionAttribute ? [this.versionAttribute] : [],
+        });
+        if (errors.length > 0) {
+            throw new NoteValidationError([{ index: 0, errors }]);
+        }
+        return value;
+    }
+
+    /**
+     * Validate an update expression and return a copy with coerced values.
+     *
+     * @param {UpdateBuilder} changes
+     * @param {boolean} upsert Whether the update may create the note
+     * @returns {UpdateBuilder}
+     * @throws {NoteValidationError} If the update does not match the schema
+     */
+    #validateUpdate(changes, upsert) {
+        const { value, errors } = validateUpdate(changes, this.schema, {
+            managed: this.versionAttribute ? [this.versionAttribute] : [],
+            upsert,
+        });
+        if (errors.length > 0) {
+            throw new NoteValidationError([{ index: 0, errors }]);
+        }
+        return value;
+    }
+
+    /**
+     * Convert a validated note into a DynamoDB item.
+     *
+     * @param {object} note
+     * @returns {object} The item in DynamoDB attribute value format
+     */
+    #toItem(note) {
+        return marshall(note, { removeUndefinedValues: true });
+    }
+
+    /**
+     * Build the marshalled primary key for a note.
+     *
+     * @param {string} userId
+     * @param {number|string} noteId
+     * @returns {object} The key in DynamoDB attribute value format
+     */
+    #key(userId, noteId) {
+        return {
+            UserId: { S: userId },
+            NoteId: { N: noteId.toString() },
+        };
+    }
+}
+
+/**
+ * @typedef {object} QueryOptions
+ * @property {object|Condition} [noteId] Condition on the NoteId sort key, one of
+ *     `{eq: n}`, `{lt: n}`, `{lte: n}`, `{gt: n}`, `{gte: n}`, `{between: [low, high]}`
+ *     or `{beginsWith: prefix}` (string sort keys only), or a Condition built with `attr("NoteId")`
+ * @property {Condition} [filter] Filter on other attributes, built with `attr`, `and`, `or` and `not`
+ * @property {string[]|null} [projection] Attributes to return (defaults to NoteId and Note); null for all
+ * @property {boolean} [scanIndexForward] Ascending NoteId order when true (default), descending when false
+ * @property {number} [limit] Maximum number of notes per page
+ * @property {string} [nextToken] Token from the previous page to continue from
+ * @property {boolean} [consistentRead] Use a strongly consistent read
+ */
+
+/**
+ * A write request built for a single command or a transaction.
+ *
+ * @typedef {object} NoteWrite
+ * @property {object} input The command input (or transaction item body)
+ * @property {{UserId: string, NoteId: number}} key The key of the note
+ * @property {object} [note] For puts, the note as it will be stored
+ * @property {boolean} [create] The write expects the note not to exist
+ * @property {number} [expectedVersion] The version the write expects
+ */
+
+const SORT_KEY_OPERATORS = ["eq", "lt", "lte", "gt", "gte", "between", "beginsWith"];
+
+/**
+ * Turn a sort key condition object such as `{between: [1, 10]}` into a Condition on NoteId.
+ *
+ * @param {object|Condition} spec
+ * @returns {Condition}
+ */
+function sortKeyCondition(spec) {
+    if (spec instanceof Condition) {
+        return spec;
+    }
+    const operators = spec && typeof spec === "object" ? Object.keys(spec) : [];
+    if (operators.length !== 1 || !SORT_KEY_OPERATORS.includes(operators[0])) {
+        throw new Error(`noteId condition must have exactly one of: ${SORT_KEY_OPERATORS.join(", ")}`);
+    }
+    const [operator] = operators;
+    const noteId = new AttributePath("NoteId");
+    if (operator === "between") {
+        if (!Array.isArray(spec.between) || spec.between.length !== 2) {
+            throw new Error("noteId.between must be a [low, high] pair");
+        }
+        return noteId.between(...spec.between);
+    }
+    return noteId[operator](spec[operator]);
+}
+
+/**
+ * Split an `s3://bucket[/prefix]` location; the prefix gets a trailing slash.
+ *
+ * @param {string} location
+ * @returns {{bucket: string, prefix?: string}} No prefix if the location has none
+ */
+function parseS3Prefix(location) {
+    const match = /^s3:\/\/([^/]+)(?:\/(.*))?$/.exec(location);
+    if (!match) {
+        throw new Error(`Expected an s3://bucket[/prefix] location, got '${location}'`);
+    }
+    const [, bucket, prefix] = match;
+    return { bucket, prefix: prefix ? prefix.replace(/\/?$/, "/") : undefined };
+}
+
+function checkLimit(limit) {
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        throw new Error(`limit must be a positive integer, got ${limit}`);
+    }
+}
+
+/**
+ * Encode a LastEvaluatedKey as an opaque, URL-safe page token.
+ *
+ * @param {object} key The key in DynamoDB attribute value format
+ * @returns {string}
+ */
+function encodePageToken(key) {
+    return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+/**
+ * Decode a page token back into an ExclusiveStartKey for the given user.
+ *
+ * @param {string} token
+ * @param {string} userId The user being queried; the token must belong to the same user
+ * @returns {object} The key in DynamoDB attribute value format
+ */
+function decodePageToken(token, userId) {
+    let key;
+    try {
+        key = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+    } catch {
+        throw new Error("Invalid page token");
+    }
+    if (key?.UserId?.S !== userId || key?.NoteId?.N === undefined) {
+        throw new Error(`Page token does not belong to a query for user '${userId}'`);
+    }
+    return key;
+}
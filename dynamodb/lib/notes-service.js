@@ -0,0 +1,717 @@
+/**
+ * Notes with tags, a status and timestamps, and the queries that go with them.
+ *
+ * NotesService sits on top of a NotesRepository and keeps a few extra
+ * attributes on every note it writes:
+ *  - Tags: a sorted list of lowercase tags
+ *  - Is_Incomplete: 'Yes' or 'No', shown to callers as Status 'incomplete' or 'complete'
+ *  - CreatedAt, UpdatedAt: ISO timestamps; UpdatedDay: the date part of UpdatedAt
+ *
+ * Two global secondary indexes on the notes table answer "all incomplete
+ * notes, across users" (IncompleteNotes) and "recently changed notes"
+ * (RecentNotes, one partition per day). Tags, search words and per-user
+ * counters live in a companion index table:
+ *
+ *     PK                       SK                UserId, NoteId, Total, Incomplete
+ *     NOTE#<UserId>#<NoteId>   TAG#<tag>         the note carries this tag
+ *     NOTE#<UserId>#<NoteId>   TOKEN#<word>      the note's text contains this word
+ *     USER#<UserId>            STATS             the user's note counters
+ *
+ * and its ByTerm index (partition SK, sort PK) turns a tag or word into the
+ * notes that have it. Every write updates the note, its index entries and
+ * the user's counters in one transaction, so they never disagree and no
+ * query has to scan a table.
+ *
+ * Only notes written through the service are indexed. A note written by
+ * other means (notes load, notes update, ...) is picked up the first time
+ * the service updates it.
+ */
+import { randomUUID } from "crypto";
+import { DynamoDBClient, GetItemCommand, QueryCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { backoffDelay, sleep } from "aws-samples-common";
+import { ConditionalCheckFailedError, TransactionCanceledError } from "./errors.js";
+import { ensureTable } from "./ensure-table.js";
+import { Condition, attr, buildExpressions, update } from "./expressions.js";
+import { NoteValidationError, validateNote } from "./schema.js";
+
+export const NOTE_STATUSES = ["incomplete", "complete"];
+
+/**
+ * Tags per note and indexed words per note, chosen so that replacing every
+ * tag and word of a note still fits in one transaction of 100 items:
+ * 2 * (8 + 40) entries, the note and the user's counters.
+ */
+export const MAX_NOTE_TAGS = 8;
+export const MAX_SEARCH_TOKENS = 40;
+
+/**
+ * Defaults for page sizes, the days recentNotes looks back and the attempts
+ * a write makes when another writer changes the note first or a concurrent
+ * transaction conflicts with it.
+ */
+export const SERVICE_DEFAULTS = {
+    limit: 25,
+    days: 7,
+    maxAttempts: 3,
+};
+
+/**
+ * The indexes NotesService adds to the notes table. Notes without the sort
+ * key attribute (UpdatedAt) are not in either index.
+ */
+export const NOTES_ACCESS_INDEXES = {
+    attributes: { Is_Incomplete: "S", UpdatedAt: "S", UpdatedDay: "S" },
+    globalIndexes: [
+        { name: "IncompleteNotes", key: { partition: "Is_Incomplete", sort: "UpdatedAt" } },
+        { name: "RecentNotes", key: { partition: "UpdatedDay", sort: "UpdatedAt" } },
+    ],
+};
+
+/**
+ * The companion table holding tag and word entries and per-user counters.
+ */
+export const NOTES_INDEX_TABLE_DEFINITION = {
+    tableName: "NotesIndex",
+    attributes: { PK: "S", SK: "S" },
+    key: { partition: "PK", sort: "SK" },
+    billing: { mode: "PAY_PER_REQUEST" },
+    globalIndexes: [
+        { name: "ByTerm", key: { partition: "SK", sort: "PK" }, projection: ["UserId", "NoteId"] },
+    ],
+};
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TAG_LENGTH = 50;
+const STATS_KEY = "STATS";
+
+// Words too common to narrow down a search
+const STOP_WORDS = new Set([
+    "an", "and", "are", "as", "at", "be", "but", "by", "for", "from", "has", "have", "in", "is", "it", "its",
+    "of", "on", "or", "that", "the", "this", "to", "was", "were", "will", "with",
+]);
+
+/**
+ * Split text into the words it is indexed and searched by: lowercase, without
+ * accents, at least two letters or digits, common words left out, each word
+ * once, in order of appearance.
+ *
+ *     tokenize("The Café opens at 9, the café closes at 17") // ["cafe", "opens", "closes", "17"]
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    const tokens = new Set();
+    const words = text.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase().split(/[^\p{L}\p{N}]+/u);
+    for (const word of words) {
+        if (word.length >= MIN_TOKEN_LENGTH && !STOP_WORDS.has(word)) {
+            tokens.add(word);
+        }
+    }
+    return [...tokens];
+}
+
+/**
+ * Notes with tags, a status and timestamps, searchable by tag and by word.
+ *
+ *     const service = new NotesService({ repository });
+ *     await service.ensureTables();
+ *     await service.createNote({
+ *         UserId: "student", NoteId: 5, Note: "Global secondary indexes", Tags: ["dynamodb"],
+ *     });
+ *     await service.setStatus("student", 5, "complete");
+ *     const { notes } = await service.searchNotes("secondary indexes");
+ *     const { Total, Incomplete } = await service.userStats("student");
+ *
+ * Notes are returned as views: the stored note with `Status` instead of
+ * Is_Incomplete and without UpdatedDay.
+ */
+export class NotesService {
+    /**
+     * @param {object} options
+     * @param {NotesRepository} options.repository The repository of the notes table
+     * @param {string} [options.indexTableName] The companion index table (defaults to the
+     *     notes table's name followed by 'Index')
+     * @param {Function} [options.now] Clock returning the current Date, for tests
+     * @param {number} [options.maxAttempts] Attempts an update or delete makes when the note changes
+     *     between its read and its write, and a write makes when a concurrent transaction conflicts
+     *     with it (see SERVICE_DEFAULTS)
+     */
+    constructor({ repository, indexTableName, now = () => new Date(), maxAttempts = SERVICE_DEFAULTS.maxAttempts }) {
+        this.repository = repository;
+        this.indexTableName = indexTableName ?? `${repository.tableName}Index`;
+        this.now = now;
+        this.maxAttempts = maxAttempts;
+    }
+
+    /**
+     * The DynamoDB client of the repository.
+     *
+     * @returns {DynamoDBClient}
+     */
+    get client() {
+        return this.repository.client;
+    }
+
+    /**
+     * Add the IncompleteNotes and RecentNotes indexes to the notes table and
+     * create the index table, both with ensureTable.
+     *
+     * The notes table keeps the indexes of the repository's table definition;
+     * other live indexes are removed, as with any definition that lists its
+     * indexes.
+     *
+     * @param {object} [options] dryRun, maxWaitTime, pollInterval and onStep, as for ensureTable
+     * @returns {Promise<{notes: object, index: object}>} What was (or with dryRun, would be) changed in each table
+     */
+    async ensureTables(options = {}) {
+        const definition = this.repository.tableDefinition;
+        const names = new Set(NOTES_ACCESS_INDEXES.globalIndexes.map(({ name }) => name));
+        const notes = await ensureTable(this.client, {
+            ...definition,
+            attributes: { ...definition.attributes, ...NOTES_ACCESS_INDEXES.attributes },
+            globalIndexes: [
+                ...(definition.globalIndexes ?? []).filter(({ name }) => !names.has(name)),
+                ...NOTES_ACCESS_INDEXES.globalIndexes,
+            ],
+        }, options);
+        const index = await ensureTable(this.client, {
+            ...NOTES_INDEX_TABLE_DEFINITION,
+            tableName: this.indexTableName,
+        }, options);
+        return { notes, index };
+    }
+
+    /**
+     * Create a note, its tag and word entries and count it for its user.
+     *
+     * @param {object} note UserId, NoteId and Note, and optionally Tags and Status (default 'incomplete')
+     * @param {object} [options]
+     * @param {string} [options.clientRequestToken] Idempotency token for the transaction
+     * @returns {Promise<object>} The note as stored, as a view
+     * @throws {NoteValidationError} If the note, its tags or its status are invalid
+     * @throws {ConditionalCheckFailedError} If the note already exists
+     */
+    async createNote({ Status = "incomplete", Tags = [], ...note }, { clientRequestToken } = {}) {
+        const time = this.now().toISOString();
+        // entries are keyed by the coerced note: NoteId "005" is stored as 5
+        const { value: stored, errors } = validateNote({
+            ...note,
+            ...noteAttributes({ UserId: note.UserId, Status, Tags }),
+            CreatedAt: time,
+            UpdatedAt: time,
+            UpdatedDay: time.slice(0, 10),
+        }, this.repository.schema);
+        if (errors.length > 0) {
+            throw new NoteValidationError([{ index: 0, errors }]);
+        }
+        const transaction = this.repository.transaction({ clientRequestToken }).put(stored);
+        const [written] = await this.#commit(transaction, undefined, stored);
+        return toView(written);
+    }
+
+    /**
+     * Change the text, tags or status of a note.
+     *
+     * Reads the note and writes it back in one transaction with the entries
+     * that changed and the user's counters, provided the note still has the
+     * version that was read. If someone else changed it in between, the
+     * update is retried on the new version, unless `expectedVersion` was given.
+     *
+     * @param {string} userId
+     * @param {number} noteId
+     * @param {{Note?: string, Tags?: string[], Status?: string}} changes Tags replace the note's tags
+     * @param {object} [options]
+     * @param {number} [options.expectedVersion] Only update if the note has this version
+     * @param {string} [options.clientRequestToken] Idempotency token for the transaction
+     * @returns {Promise<object>} The updated note, as a view
+     * @throws {ConditionalCheckFailedError} If the note does not exist or has another version
+     */
+    async updateNote(userId, noteId, { Note, Tags, Status } = {}, { expectedVersion, clientRequestToken } = {}) {
+        if (Note === undefined && Tags === undefined && Status === undefined) {
+            throw new Error("updateNote needs Note, Tags or Status to change");
+        }
+        return this.#retry(userId, noteId, expectedVersion, async (current) => {
+            const time = this.now().toISOString();
+            const next = {
+                ...current,
+                ...(Note === undefined ? {} : { Note }),
+                ...noteAttributes({
+                    UserId: userId,
+                    Status: Status ?? statusOf(current),
+                    Tags: Tags ?? current.Tags ?? [],
+                }),
+                CreatedAt: current.CreatedAt ?? time,
+                UpdatedAt: time,
+                UpdatedDay: time.slice(0, 10),
+            };
+            const transaction = this.repository.transaction({ clientRequestToken })
+                .put(next, { replace: true, expectedVersion: current.Version });
+            const [written] = await this.#commit(transaction, indexed(current) ? current : undefined, next);
+            return toView(written);
+        });
+    }
+
+    /**
+     * Mark a note complete or incomplete.
+     *
+     * @param {string} userId
+     * @param {number} noteId
+     * @param {string} status 'complete' or 'incomplete'
+     * @param {object} [options] As for updateNote
+     * @returns {Promise<object>} The updated note, as a view
+     */
+    async setStatus(userId, noteId, status, options = {}) {
+        return this.updateNote(userId, noteId, { Status: status }, options);
+    }
+
+    /**
+     * Delete a note with its entries, and stop counting it for its user.
+     *
+     * @param {string} userId
+     * @param {number} noteId
+     * @param {object} [options]
+     * @param {number} [options.expectedVersion] Only delete if the note has this version
+     * @param {string} [options.clientRequestToken] Idempotency token for the transaction
+     * @returns {Promise<object|undefined>} The deleted note as a view, or undefined if it did not exist
+     * @throws {ConditionalCheckFailedError} If the note has another version
+     */
+    async deleteNote(userId, noteId, { expectedVersion, clientRequestToken } = {}) {
+        try {
+            return await this.#retry(userId, noteId, expectedVersion, async (current) => {
+                const transaction = this.repository.transaction({ clientRequestToken })
+                    .delete(userId, noteId, { expectedVersion: current.Version });
+                await this.#commit(transaction, indexed(current) ? current : undefined, undefined);
+                return toView(current);
+            });
+        } catch (error) {
+            if (error instanceof ConditionalCheckFailedError && !error.current) {
+                return undefined;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch a single note.
+     *
+     * @param {string} userId
+     * @param {number} noteId
+     * @returns {Promise<object|undefined>} The note as a view, or undefined if it does not exist
+     */
+    async getNote(userId, noteId) {
+        const note = await this.repository.getNote(userId, noteId);
+        return note ? toView(note) : undefined;
+    }
+
+    /**
+     * Incomplete notes of all users, most recently changed first, from the
+     * IncompleteNotes index.
+     *
+     * @param {object} [options]
+     * @param {number} [options.limit] Notes per page (see SERVICE_DEFAULTS)
+     * @param {string} [options.nextToken] Token from the previous page
+     * @returns {Promise<{notes: object[], nextToken?: string}>}
+     */
+    async incompleteNotes({ limit = SERVICE_DEFAULTS.limit, nextToken } = {}) {
+        const { items, nextToken: next } = await this.#queryPage({
+            TableName: this.repository.tableName,
+            IndexName: "IncompleteNotes",
+            ...buildExpressions({ keyCondition: attr("Is_Incomplete").eq("Yes") }),
+            ScanIndexForward: false,
+        }, { limit, nextToken });
+        return { notes: items.map(toView), nextToken: next };
+    }
+
+    /**
+     * Notes carrying a tag, of all users or of one, from the ByTerm index of
+     * the index table.
+     *
+     * @param {string} tag
+     * @param {object} [options]
+     * @param {string} [options.userId] Only notes of this user
+     * @param {number} [options.limit] Notes per page (see SERVICE_DEFAULTS)
+     * @param {string} [options.nextToken] Token from the previous page
+     * @returns {Promise<{notes: object[], nextToken?: string}>} The notes, by user and NoteId
+     */
+    async notesByTag(tag, { userId, limit = SERVICE_DEFAULTS.limit, nextToken } = {}) {
+        const [normalized] = normalizeTags([tag]);
+        const { items, nextToken: next } = await this.#queryPage(this.#termQuery(`TAG#${normalized}`, userId),
+            { limit, nextToken });
+        return { notes: await this.#fetch(items), nextToken: next };
+    }
+
+    /**
+     * Notes changed in the last `days` days, newest first, from the
+     * RecentNotes index.
+     *
+     * RecentNotes has one partition per day, so the query walks back a day at
+     * a time until it has `limit` notes.
+     *
+     * @param {object} [options]
+     * @param {number} [options.limit] The number of notes (see SERVICE_DEFAULTS)
+     * @param {number} [options.days] How many days to look back, today included (see SERVICE_DEFAULTS)
+     * @returns {Promise<object[]>}
+     */
+    async recentNotes({ limit = SERVICE_DEFAULTS.limit, days = SERVICE_DEFAULTS.days } = {}) {
+        checkCount(limit, "limit");
+        checkCount(days, "days");
+        const notes = [];
+        const today = this.now();
+        for (let day = 0; day < days && notes.length < limit; day++) {
+            const date = new Date(today.getTime() - day * 86_400_000).toISOString().slice(0, 10);
+            let nextToken;
+            do {
+                const page = await this.#queryPage({
+                    TableName: this.repository.tableName,
+                    IndexName: "RecentNotes",
+                    ...buildExpressions({ keyCondition: attr("UpdatedDay").eq(date) }),
+                    ScanIndexForward: false,
+                }, { limit: limit - notes.length, nextToken });
+                notes.push(...page.items.map(toView));
+                nextToken = page.nextToken;
+            } while (nextToken && notes.length < limit);
+        }
+        return notes;
+    }
+
+    /**
+     * Find the notes containing every word of `text`, newest first.
+     *
+     * Each word is looked up in the ByTerm index and the matches are
+     * intersected, so the cost grows with the number of notes matching each
+     * word, not with the size of the table. Common words are not indexed and
+     * are ignored in the search text too.
+     *
+     * @param {string} text The words to search for
+     * @param {object} [options]
+     * @param {string} [options.userId] Only notes of this user
+     * @param {number} [options.limit] The number of notes to return (see SERVICE_DEFAULTS)
+     * @returns {Promise<{tokens: string[], matches: number, notes: object[]}>} The words searched for,
+     *     how many notes match them all and the newest `limit` of those notes
+     */
+    async searchNotes(text, { userId, limit = SERVICE_DEFAULTS.limit } = {}) {
+        checkCount(limit, "limit");
+        const tokens = tokenize(text);
+        if (tokens.length === 0) {
+            return { tokens, matches: 0, notes: [] };
+        }
+        let matches;
+        for (const token of tokens) {
+            const found = new Map();
+            let nextToken;
+            do {
+                const page = await this.#queryPage(this.#termQuery(`TOKEN#${token}`, userId), { nextToken });
+                for (const item of page.items) {
+                    if (!matches || matches.has(item.PK)) {
+                        found.set(item.PK, item);
+                    }
+                }
+                nextToken = page.nextToken;
+            } while (nextToken);
+            matches = found;
+            if (matches.size === 0) {
+                break;
+            }
+        }
+        const notes = await this.#fetch([...matches.values()]);
+        notes.sort((a, b) => (b.UpdatedAt ?? "").localeCompare(a.UpdatedAt ?? ""));
+        return { tokens, matches: matches.size, notes: notes.slice(0, limit) };
+    }
+
+    /**
+     * The number of notes of a user, and how many of them are incomplete.
+     *
+     * @param {string} userId
+     * @returns {Promise<{UserId: string, Total: number, Incomplete: number, Complete: number}>}
+     */
+    async userStats(userId) {
+        const response = await this.client.send(new GetItemCommand({
+            TableName: this.indexTableName,
+            Key: marshall({ PK: `USER#${userId}`, SK: STATS_KEY }),
+            ConsistentRead: true,
+        }));
+        const { Total = 0, Incomplete = 0 } = response.Item ? unmarshall(response.Item) : {};
+        return { UserId: userId, Total, Incomplete, Complete: Total - Incomplete };
+    }
+
+    /**
+     * Read the note and run `write` on it, again on the new version when
+     * another writer got there first. With `expectedVersion` nothing is retried.
+     *
+     * @param {string} userId
+     * @param {number} noteId
+     * @param {number} [expectedVersion]
+     * @param {Function} write Called with the current note
+     * @returns {Promise<*>} What `write` returns
+     * @throws {ConditionalCheckFailedError} If the note does not exist, has another version or
+     *     keeps changing for maxAttempts attempts
+     */
+    async #retry(userId, noteId, expectedVersion, write) {
+        const key = { UserId: userId, NoteId: noteId };
+        for (let attempt = 1; ; attempt++) {
+            const current = await this.repository.getNote(userId, noteId, { consistentRead: true });
+            if (!current) {
+                throw new ConditionalCheckFailedError(`Note ${userId}/${noteId} does not exist`, { key, expectedVersion });
+            }
+            if (expectedVersion !== undefined && current.Version !== expectedVersion) {
+                throw new ConditionalCheckFailedError(`Note ${userId}/${noteId} was changed by someone else: ` +
+                    `expected version ${expectedVersion}, found ${current.Version ?? "none"}`,
+                { key, current, expectedVersion });
+            }
+            try {
+                return await write(current);
+            } catch (error) {
+                if (!(error instanceof ConditionalCheckFailedError) || expectedVersion !== undefined ||
+                    attempt >= this.maxAttempts) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Add the entry and counter writes that take the index from `before` to
+     * `after` and commit. The note write must already be in the transaction,
+     * as its first operation; its failed condition is raised on its own.
+     *
+     * @param {NotesTransaction} transaction
+     * @param {object} [before] The note as indexed now, if it is
+     * @param {object} [after] The note as it will be stored, unless deleted
+     * @returns {Promise<object[]>} The notes written
+     */
+    async #commit(transaction, before, after) {
+        const old = new Map(before ? entriesOf(before).map((entry) => [entry.SK, entry]) : []);
+        const next = new Map(after ? entriesOf(after).map((entry) => [entry.SK, entry]) : []);
+        for (const [sk, entry] of old) {
+            if (!next.has(sk)) {
+                transaction.addItem({
+                    Delete: { TableName: this.indexTableName, Key: marshall({ PK: entry.PK, SK: sk }) },
+                }, { PK: entry.PK, SK: sk });
+            }
+        }
+        for (const [sk, entry] of next) {
+            if (!old.has(sk)) {
+                transaction.addItem({ Put: { TableName: this.indexTableName, Item: marshall(entry) } },
+                    { PK: entry.PK, SK: sk });
+            }
+        }
+        const total = (after ? 1 : 0) - (before ? 1 : 0);
+        const incomplete = (after && statusOf(after) === "incomplete" ? 1 : 0) -
+            (before && statusOf(before) === "incomplete" ? 1 : 0);
+        if (total !== 0 || incomplete !== 0) {
+            const userId = (after ?? before).UserId;
+            const key = { PK: `USER#${userId}`, SK: STATS_KEY };
+            transaction.addItem({
+                Update: {
+                    TableName: this.indexTableName,
+                    Key: marshall(key),
+                    ...buildExpressions({
+                        update: update().set("UserId", userId).add("Total", total).add("Incomplete", incomplete),
+                    }),
+                },
+            }, key);
+        }
+        // writes of the same user all update the counters item, so concurrent ones cancel each other
+        // with TransactionConflict; those are committed again with the same token
+        transaction.clientRequestToken ??= randomUUID();
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return (await transaction.commit()).notes;
+            } catch (error) {
+                if (isTransactionConflict(error) && attempt < this.maxAttempts) {
+                    await sleep(backoffDelay(attempt));
+                    continue;
+                }
+                const conflict = error instanceof TransactionCanceledError ? error.failures[0]?.error : undefined;
+                throw conflict ?? error;
+            }
+        }
+    }
+
+    /**
+     * A ByTerm query for one term, optionally of one user.
+     *
+     * @param {string} term The SK of the entries
+     * @param {string} [userId]
+     * @returns {object} The QueryCommand input without Limit and ExclusiveStartKey
+     */
+    #termQuery(term, userId) {
+        checkUserId(userId);
+        const partition = attr("SK").eq(term);
+        const owner = userId === undefined ? undefined : attr("PK").beginsWith(`NOTE#${userId}#`);
+        // key conditions are a plain 'pk = :v AND sk-condition'; and() would add parentheses
+        const keyCondition = owner ? new Condition((c) => `${partition.build(c)} AND ${owner.build(c)}`) : partition;
+        return { TableName: this.indexTableName, IndexName: "ByTerm", ...buildExpressions({ keyCondition }) };
+    }
+
+    /**
+     * Run a query until it has `limit` items or runs out.
+     *
+     * @param {object} input The QueryCommand input
+     * @param {object} options
+     * @param {number} [options.limit] Without a limit, a single Query
+     * @param {string} [options.nextToken]
+     * @returns {Promise<{items: object[], nextToken?: string}>} The unmarshalled items
+     */
+    async #queryPage(input, { limit, nextToken }) {
+        if (limit !== undefined) {
+            checkCount(limit, "limit");
+        }
+        const items = [];
+        let startKey = nextToken === undefined ? undefined : decodePageToken(nextToken);
+        do {
+            const response = await this.client.send(new QueryCommand({
+                ...input,
+                Limit: limit === undefined ? undefined : limit - items.length,
+                ExclusiveStartKey: startKey,
+            }));
+            items.push(...(response.Items ?? []).map((item) => unmarshall(item)));
+            startKey = response.LastEvaluatedKey;
+        } while (startKey && limit !== undefined && items.length < limit);
+        return { items, nextToken: startKey ? encodePageToken(startKey) : undefined };
+    }
+
+    /**
+     * Fetch the notes of index entries, in the order of the entries. Notes
+     * deleted since the (eventually consistent) index was read are left out.
+     *
+     * @param {Array<{UserId: string, NoteId: number}>} entries
+     * @returns {Promise<object[]>} The notes, as views
+     */
+    async #fetch(entries) {
+        if (entries.length === 0) {
+            return [];
+        }
+        const { notes, failed } = await this.repository.batchGetNotes(entries);
+        if (failed.length > 0) {
+            throw new Error(`Could not read ${failed.length} note(s): ${failed[0].error}`);
+        }
+        const byKey = new Map(notes.map((note) => [`${note.UserId}#${note.NoteId}`, note]));
+        return entries.map(({ UserId, NoteId }) => byKey.get(`${UserId}#${NoteId}`)).filter(Boolean).map(toView);
+    }
+}
+
+/**
+ * Validate the user, status and tags of a note and turn the status and tags
+ * into stored attributes.
+ *
+ * @param {{UserId: string, Status: string, Tags: string[]}} fields
+ * @returns {{Is_Incomplete: string, Tags: string[]}}
+ * @throws {NoteValidationError}
+ */
+function noteAttributes({ UserId, Status, Tags }) {
+    const errors = [];
+    try {
+        checkUserId(UserId);
+    } catch (error) {
+        errors.push(error.message);
+    }
+    if (!NOTE_STATUSES.includes(Status)) {
+        errors.push(`Status must be one of ${NOTE_STATUSES.join(", ")}, got ${JSON.stringify(Status)}`);
+    }
+    let tags = [];
+    try {
+        tags = normalizeTags(Tags);
+    } catch (error) {
+        errors.push(error.message);
+    }
+    if (errors.length > 0) {
+        throw new NoteValidationError([{ index: 0, errors }]);
+    }
+    return { Is_Incomplete: Status === "incomplete" ? "Yes" : "No", Tags: tags };
+}
+
+/**
+ * Index keys are built as NOTE#<UserId>#<NoteId>, so a '#' in a user id would
+ * let the entries of user 'a#b' match the queries of user 'a'.
+ *
+ * @param {*} userId
+ */
+function checkUserId(userId) {
+    if (typeof userId === "string" && userId.includes("#")) {
+        throw new Error(`UserId must not contain '#', got ${JSON.stringify(userId)}`);
+    }
+}
+
+/**
+ * Trim, lowercase, deduplicate and sort tags.
+ *
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+        throw new Error(`Tags must be a list, got ${typeof tags}`);
+    }
+    const normalized = new Set();
+    for (const tag of tags) {
+        const value = typeof tag === "string" ? tag.trim().toLowerCase() : "";
+        if (value === "" || value.length > MAX_TAG_LENGTH || value.includes("#")) {
+            throw new Error(`Tags must be 1-${MAX_TAG_LENGTH} characters without '#', got ${JSON.stringify(tag)}`);
+        }
+        normalized.add(value);
+    }
+    if (normalized.size > MAX_NOTE_TAGS) {
+        throw new Error(`A note can have at most ${MAX_NOTE_TAGS} tags, got ${normalized.size}`);
+    }
+    return [...normalized].sort();
+}
+
+/**
+ * The index table entries of a note: one per tag and one per indexed word.
+ *
+ * @param {object} note
+ * @returns {object[]}
+ */
+function entriesOf({ UserId, NoteId, Note, Tags = [] }) {
+    const PK = `NOTE#${UserId}#${NoteId}`;
+    return [
+        ...Tags.map((tag) => `TAG#${tag}`),
+        ...tokenize(Note).slice(0, MAX_SEARCH_TOKENS).map((token) => `TOKEN#${token}`),
+    ].map((SK) => ({ PK, SK, UserId, NoteId }));
+}
+
+function statusOf(note) {
+    return note.Is_Incomplete === "No" ? "complete" : "incomplete";
+}
+
+// Notes the service wrote have a CreatedAt; others have no entries or counters yet
+function indexed(note) {
+    return note.CreatedAt !== undefined;
+}
+
+// Cancelled only because another transaction was writing the same items at the same time
+function isTransactionConflict(error) {
+    return error instanceof TransactionCanceledError && error.failures.length > 0 &&
+        error.failures.every((failure) => failure.code === "TransactionConflict");
+}
+
+/**
+ * The note as callers see it: Status instead of Is_Incomplete, Tags always a list.
+ *
+ * @param {object} note The stored note
+ * @returns {object}
+ */
+function toView({ Is_Incomplete, UpdatedDay, Tags = [], ...note }) {
+    return { ...note, Tags, Status: Is_Incomplete === "No" ? "complete" : "incomplete" };
+}
+
+function checkCount(value, name) {
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${name} must be a positive integer, got ${value}`);
+    }
+}
+
+function encodePageToken(key) {
+    return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodePageToken(token) {
+    try {
+        return JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+    } catch {
+        throw new Error("Invalid page token");
+    }
+}
@@ -0,0 +1,370 @@
+/**
+ * Ingest of CSV and JSON Lines objects from S3 into a table.
+ *
+ * `ingestFromS3` streams an object, optionally filtered through S3 Select,
+ * turns each row into an item and writes the items with the batch writer. It
+ * keeps track of the byte offset up to which every row has been handled, so
+ * an interrupted ingest resumes by reading the object from that offset
+ * rather than from the start. Rows that cannot be turned into items are
+ * collected and written to an "errors" object in S3, one JSON line per row.
+ *
+ * Without S3 Select the object is read with ranged GETs and the offset
+ * advances after every chunk of rows. With S3 Select the object is queried
+ * in scan ranges of `scanRangeSize` bytes (S3 Select returns the rows that
+ * start in each range), and the offset advances after each range. Both work
+ * on uncompressed objects only, since offsets into compressed data cannot be
+ * resumed from.
+ */
+import { GetObjectCommand, HeadObjectCommand, S3Client } from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { instrumentClient, parseCsv } from "aws-samples-common";
+import { selectObject } from "s3-examples";
+import { createReadStream } from "fs";
+import { appendFile, mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { batchWriteItems } from "./batch.js";
+import { parseLocation, readCheckpoint, renameAttributes, writeCheckpoint } from "./table-transfer.js";
+
+/**
+ * Formats ingestFromS3 can read.
+ */
+export const INGEST_FORMATS = ["csv", "jsonl"];
+
+/**
+ * Defaults for the ingest options.
+ */
+export const INGEST_DEFAULTS = {
+    checkpointEvery: 500,
+    scanRangeSize: 8 * 1024 * 1024,
+};
+
+/**
+ * Raised when an ingest stops because items could not be written.
+ *
+ * `offset` is the byte offset up to which the object was completely ingested
+ * (and saved in the checkpoint, if there is one); `failed` lists the items
+ * that could not be written, with the error for each.
+ */
+export class IngestInterruptedError extends Error {
+    /**
+     * @param {{location: string, offset: number, imported: number}} summary The ingest so far
+     * @param {object} details
+     * @param {string} [details.checkpoint] The checkpoint file to resume from
+     * @param {Array<{item: object, error: string}>} details.failed The items that could not be written
+     */
+    constructor({ location, offset, imported }, { checkpoint, failed }) {
+        super(`Ingest of ${location} stopped at byte ${offset}: ${failed.length} item(s) could not be ` +
+            `written (${failed[0].error}); ` +
+            (checkpoint ? `resume with the checkpoint in ${checkpoint}` : `${imported} item(s) were imported`));
+        this.name = "IngestInterruptedError";
+        this.location = location;
+        this.offset = offset;
+        this.imported = imported;
+        this.checkpoint = checkpoint;
+        this.failed = failed;
+    }
+}
+
+/**
+ * Ingest a CSV or JSON Lines object from S3 into a table.
+ *
+ * Each row is renamed with `rename` (e.g. {Notes: "Note"}), with empty CSV
+ * fields left out, and then converted by `toItem`, which also validates it.
+ * Rows that are not valid JSON or that `toItem` rejects are written to the
+ * `errors` object as `{offset, row, errors}` lines, where `offset` is the
+ * byte offset of the row in the source object (with S3 Select, of the scan
+ * range it came from) and `row` the raw text or the selected record.
+ *
+ * With a `checkpoint` file the offset, the CSV header and the rejected rows
+ * so far (in `<checkpoint>.errors.jsonl`) are saved after each completed
+ * chunk, and `resume` continues from there. The checkpoint also records the
+ * object's ETag; resuming fails if the object was replaced since. Once the
+ * ingest completes the errors object holds the rejected rows of all runs,
+ * and the checkpoint is removed.
+ *
+ * @param {DynamoDBClient} client Initialized client (including the designed region)
+ * @param {string} tableName Name of the table to write to
+ * @param {string} location The `s3://bucket/key` object to ingest
+ * @param {object} options Batch options (concurrency, maxAttempts, baseDelay, maxDelay) and:
+ * @param {Function} options.toItem Converts a renamed record to `{item}` or `{errors}`
+ * @param {string} [options.format] 'csv' or 'jsonl' (defaults to the key's extension)
+ * @param {string} [options.select] S3 Select expression to filter the rows with,
+ *     e.g. "SELECT * FROM S3Object s WHERE s.UserId = 'student'"
+ * @param {object} [options.rename] Source names mapped to attribute names
+ * @param {string} [options.errors] The `s3://bucket/key` to write rejected rows to
+ *     (defaults to `<key>.errors.jsonl` next to the source)
+ * @param {string} [options.checkpoint] File to save the ingest position in
+ * @param {boolean} [options.resume] Continue from the position saved in `checkpoint`
+ * @param {number} [options.checkpointEvery] Rows written between checkpoints without S3 Select
+ * @param {number} [options.scanRangeSize] Bytes per S3 Select scan range
+ * @param {S3Client} [options.s3Client] Client for the source and errors objects
+ * @param {Function} [options.onProgress] Called with {offset, size, imported, rejected} after each chunk
+ * @returns {Promise<object>} location, format, size, resumedFrom and offset (bytes), imported,
+ *     rejected and errors (the errors object, if any rows were rejected)
+ * @throws {IngestInterruptedError} If a chunk could not be written completely
+ */
+export async function ingestFromS3(client, tableName, location, options) {
+    const { bucket, key, file } = parseLocation(location);
+    if (file) {
+        throw new Error(`Ingest reads from S3; expected an s3://bucket/key location, got '${location}'`);
+    }
+    const {
+        toItem,
+        format = formatFromKey(key),
+        select,
+        rename: renames = {},
+        errors = `s3://${bucket}/${key}.errors.jsonl`,
+        checkpoint,
+        resume = false,
+        checkpointEvery = INGEST_DEFAULTS.checkpointEvery,
+        scanRangeSize = INGEST_DEFAULTS.scanRangeSize,
+        s3Client = instrumentClient(new S3Client({})),
+        onProgress,
+        ...batchOptions
+    } = options;
+    if (!INGEST_FORMATS.includes(format)) {
+        throw new Error(`Unknown ingest format '${format}', expected one of ${INGEST_FORMATS.join(", ")}`);
+    }
+    const errorsTarget = parseLocation(errors);
+    if (errorsTarget.file) {
+        throw new Error(`The errors object must be an s3://bucket/key location, got '${errors}'`);
+    }
+
+    const { ETag, ContentLength: size } = await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    const job = { location, tableName, format, select: select ?? null, etag: ETag };
+    const saved = resume && checkpoint ? await readCheckpoint(checkpoint, job) : undefined;
+    const spoolDir = checkpoint ? undefined : await mkdtemp(join(tmpdir(), "notes-ingest-"));
+    const spool = checkpoint ? `${checkpoint}.errors.jsonl` : join(spoolDir, "errors.jsonl");
+    if (!saved) {
+        await rm(spool, { force: true });
+    }
+
+    const summary = {
+        location,
+        format,
+        size,
+        resumedFrom: saved?.offset ?? 0,
+        offset: saved?.offset ?? 0,
+        imported: saved?.imported ?? 0,
+        rejected: saved?.rejected ?? 0,
+        errors: undefined,
+    };
+    const state = { header: saved?.header, pending: [], rejects: [] };
+
+    const handle = ({ record, row, offset, error }) => {
+        let result = error ? { errors: [error] } : toItem(renameAttributes(record, renames, format));
+        if (!error && !result.errors?.length && !result.item) {
+            result = { errors: ["toItem returned neither an item nor errors"] };
+        }
+        if (result.errors?.length > 0) {
+            state.rejects.push({ offset, row, errors: result.errors });
+        } else {
+            state.pending.push({ PutRequest: { Item: result.item } });
+        }
+    };
+    const write = async () => {
+        const { succeeded, failed } = await batchWriteItems(client, tableName, state.pending, batchOptions);
+        summary.imported += succeeded;
+        state.pending = [];
+        if (failed.length > 0) {
+            throw new IngestInterruptedError(summary, {
+                checkpoint,
+                failed: failed.map(({ request, error }) => ({ item: unmarshall(request.PutRequest.Item), error })),
+            });
+        }
+    };
+    // Everything before `offset` is written: keep its rejected rows and save the position
+    const commit = async (offset) => {
+        await write();
+        if (state.rejects.length > 0) {
+            await appendFile(spool, state.rejects.map((reject) => `${JSON.stringify(reject)}\n`).join(""));
+            summary.rejected += state.rejects.length;
+            state.rejects = [];
+        }
+        summary.offset = offset;
+        if (checkpoint) {
+            await writeCheckpoint(checkpoint, {
+                ...job,
+                offset,
+                header: state.header,
+                imported: summary.imported,
+                rejected: summary.rejected,
+                updatedAt: new Date().toISOString(),
+            });
+        }
+        onProgress?.({ offset, size, imported: summary.imported, rejected: summary.rejected });
+    };
+
+    const source = { s3Client, bucket, key, etag: ETag, size, format };
+    try {
+        try {
+            if (select) {
+                for (let start = summary.offset; start < size; start += scanRangeSize) {
+                    const end = Math.min(start + scanRangeSize, size);
+                    for await (const row of selectRows(source, select, start, end)) {
+                        handle(row);
+                        if (state.pending.length >= checkpointEvery) {
+                            // Written rows are written again on resume, which batch writes allow
+                            await write();
+                        }
+                    }
+                    await commit(end);
+                }
+            } else if (summary.offset < size) {
+                let rows = 0;
+                for await (const row of readRows(source, summary.offset, state)) {
+                    handle(row);
+                    if (++rows % checkpointEvery === 0) {
+                        await commit(row.end);
+                    }
+                }
+                await commit(size);
+            }
+        } catch (error) {
+            // Keep the rows rejected so far; the ingest error matters more than a failed upload
+            await uploadErrors(s3Client, errorsTarget, spool, summary.rejected).catch(() => {});
+            throw error;
+        }
+        summary.errors = await uploadErrors(s3Client, errorsTarget, spool, summary.rejected);
+    } finally {
+        if (spoolDir) {
+            await rm(spoolDir, { recursive: true, force: true });
+        }
+    }
+    if (checkpoint) {
+        await rm(checkpoint, { force: true });
+        await rm(spool, { force: true });
+    }
+    return summary;
+}
+
+/**
+ * Read the rows of the object from a byte offset, with the offsets each row
+ * starts and ends at. CSV rows are matched to the header, which is read from
+ * the first line or, when resuming, taken from the checkpoint.
+ */
+async function* readRows({ s3Client, bucket, key, etag, format }, start, state) {
+    const { Body } = await s3Client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: `bytes=${start}-`,
+        IfMatch: etag,
+    }));
+    let rowStart = start;
+    let text = "";
+    let quotes = 0;
+    try {
+        for await (const line of readLines(Body, start)) {
+            text += line.text;
+            if (format === "csv") {
+                // A quoted field may span lines: the row ends once the quotes are balanced
+                quotes += line.text.split('"').length - 1;
+                if (quotes % 2 === 1 && !line.last) {
+                    continue;
+                }
+            }
+            const row = text.replace(/\r?\n$/, "");
+            if (row.trim() !== "") {
+                if (format === "jsonl") {
+                    yield parseJsonRow(row, rowStart, line.end);
+                } else if (state.header === undefined) {
+                    [state.header] = parseCsv(row);
+                } else {
+                    yield csvRow(state.header, row, rowStart, line.end);
+                }
+            }
+            text = "";
+            quotes = 0;
+            rowStart = line.end;
+        }
+    } finally {
+        Body.destroy?.();
+    }
+}
+
+/**
+ * Split a byte stream into lines, with the offset after each line. The last
+ * line is flagged, whether or not it ends with a line break.
+ */
+async function* readLines(stream, start) {
+    let offset = start;
+    let buffered = Buffer.alloc(0);
+    let previous;
+    for await (const chunk of stream) {
+        buffered = buffered.length > 0 ? Buffer.concat([buffered, chunk]) : Buffer.from(chunk);
+        let lineStart = 0;
+        let newline;
+        while ((newline = buffered.indexOf(0x0a, lineStart)) !== -1) {
+            if (previous) {
+                yield previous;
+            }
+            previous = { text: buffered.toString("utf8", lineStart, newline + 1), end: offset + newline + 1 };
+            lineStart = newline + 1;
+        }
+        offset += lineStart;
+        buffered = buffered.subarray(lineStart);
+    }
+    if (buffered.length > 0) {
+        if (previous) {
+            yield previous;
+        }
+        previous = { text: buffered.toString("utf8"), end: offset + buffered.length };
+    }
+    if (previous) {
+        yield { ...previous, last: true };
+    }
+}
+
+/**
+ * Query one scan range of the object with S3 Select.
+ */
+async function* selectRows({ s3Client, bucket, key, format }, expression, start, end) {
+    const query = selectObject(s3Client, bucket, key, {
+        expression,
+        input: format === "csv" ? { format: "CSV", fileHeaderInfo: "USE" } : { format: "JSON", jsonType: "LINES" },
+        output: { format: "JSON" },
+        scanRange: { start, end: end - 1 },
+    });
+    for await (const record of query) {
+        yield { record, row: record, offset: start };
+    }
+}
+
+function parseJsonRow(row, offset, end) {
+    try {
+        return { record: JSON.parse(row), row, offset, end };
+    } catch (error) {
+        return { row, offset, end, error: `invalid JSON: ${error.message}` };
+    }
+}
+
+function csvRow(header, row, offset, end) {
+    const [values] = parseCsv(row);
+    if (values.length !== header.length) {
+        return { row, offset, end, error: `expected ${header.length} fields, got ${values.length}` };
+    }
+    return { record: Object.fromEntries(header.map((column, i) => [column, values[i]])), row, offset, end };
+}
+
+async function uploadErrors(s3Client, { bucket, key }, spool, rejected) {
+    if (rejected === 0) {
+        return undefined;
+    }
+    await new Upload({
+        client: s3Client,
+        params: { Bucket: bucket, Key: key, Body: createReadStream(spool), ContentType: "application/x-ndjson" },
+    }).done();
+    return `s3://${bucket}/${key}`;
+}
+
+function formatFromKey(key) {
+    if (/\.(jsonl|ndjson)$/i.test(key)) {
+        return "jsonl";
+    }
+    if (/\.csv$/i.test(key)) {
+        return "csv";
+    }
+    throw new Error(`Cannot tell the format of '${key}'; specify one of ${INGEST_FORMATS.join(", ")}`);
+}
@@ -0,0 +1,357 @@
+/**
+ * Declarative note schema and record validation.
+ *
+ * A schema lists the known attributes with their DynamoDB type and whether
+ * they are required, and says which other attributes may be stored. Records
+ * are checked against it before they are written, so a malformed input file
+ * produces clear per-record errors instead of an SDK serialization error or
+ * silently dropped attributes.
+ */
+import { AttributePath, update, UpdateValue } from "./expressions.js";
+
+/**
+ * Attribute types understood by the schema: string, number, boolean, list and map.
+ */
+export const ATTRIBUTE_TYPES = ["S", "N", "BOOL", "L", "M"];
+
+/**
+ * The schema of a note.
+ *
+ * NoteId is a number in the table; numeric strings such as "001" are accepted
+ * and converted, so "001" and "1" refer to the same note. Attributes that are
+ * not listed are preserved with their type inferred from the JSON value.
+ */
+export const NOTE_SCHEMA = {
+    attributes: {
+        UserId: { type: "S", required: true, key: true },
+        NoteId: { type: "N", required: true, key: true },
+        Note: { type: "S", required: true },
+        Is_Incomplete: { type: "S" },
+        // maintained by NotesRepository for optimistic locking
+        Version: { type: "N" },
+    },
+    // true to keep any other attribute, false to reject them, or a list of allowed names
+    allowExtraAttributes: true,
+};
+
+/**
+ * Raised when one or more records do not match the schema.
+ */
+export class NoteValidationError extends Error {
+    /**
+     * @param {Array<{index: number, line?: number, errors: string[]}>} problems The invalid records
+     */
+    constructor(problems) {
+        const lines = problems.slice(0, 10).map((problem) => `  ${describePosition(problem)}: ${problem.errors.join("; ")}`);
+        if (problems.length > 10) {
+            lines.push(`  ... and ${problems.length - 10} more`);
+        }
+        super(`${problems.length} invalid note(s):\n${lines.join("\n")}`);
+        this.name = "NoteValidationError";
+        this.problems = problems;
+    }
+}
+
+/**
+ * Validate a single record and coerce it to the schema types.
+ *
+ * @param {object} record The record to validate
+ * @param {object} [schema] The schema to validate against (defaults to NOTE_SCHEMA)
+ * @returns {{value?: object, errors: string[]}} The coerced note when valid, and the problems found
+ */
+export function validateNote(record, schema = NOTE_SCHEMA) {
+    if (record === null || typeof record !== "object" || Array.isArray(record)) {
+        return { errors: ["record must be a JSON object"] };
+    }
+    const errors = [];
+    const value = {};
+
+    for (const [name, definition] of Object.entries(schema.attributes)) {
+        const raw = record[name];
+        if (raw === undefined || raw === null) {
+            if (definition.required) {
+                errors.push(`missing required attribute '${name}'`);
+            }
+            continue;
+        }
+        const { value: coerced, error } = coerce(raw, definition.type);
+        if (error) {
+            errors.push(`attribute '${name}' ${error}`);
+        } else if (definition.key && definition.type === "S" && coerced === "") {
+            errors.push(`key attribute '${name}' must not be empty`);
+        } else {
+            value[name] = coerced;
+        }
+    }
+
+    for (const [name, raw] of Object.entries(record)) {
+        if (Object.hasOwn(schema.attributes, name) || raw === undefined) {
+            continue;
+        }
+        const allowed = schema.allowExtraAttributes;
+        if (allowed === true || (Array.isArray(allowed) && allowed.includes(name))) {
+            value[name] = raw;
+        } else {
+            errors.push(`unexpected attribute '${name}'`);
+        }
+    }
+
+    return errors.length > 0 ? { errors } : { value, errors };
+}
+
+/**
+ * Validate the attributes an update sets and coerce them to the schema types.
+ *
+ * Key attributes cannot be changed by an update, and neither can the
+ * attributes in `managed`, such as the version attribute the repository
+ * increments itself.
+ *
+ * @param {object} changes Top-level attribute names and their new values
+ * @param {object} [schema] The schema to validate against (defaults to NOTE_SCHEMA)
+ * @param {object} [options]
+ * @param {string[]} [options.managed] Attributes the caller maintains itself
+ * @returns {{value?: object, errors: string[]}} The coerced changes when valid, and the problems found
+ */
+export function validateChanges(changes, schema = NOTE_SCHEMA, { managed = [] } = {}) {
+    if (changes === null || typeof changes !== "object" || Array.isArray(changes)) {
+        return { errors: ["changes must be an object"] };
+    }
+    const errors = [];
+    const value = {};
+    for (const [name, raw] of Object.entries(changes)) {
+        const definition = Object.hasOwn(schema.attributes, name) ? schema.attributes[name] : undefined;
+        if (definition?.key) {
+            errors.push(`key attribute '${name}' cannot be updated`);
+        } else if (managed.includes(name)) {
+            errors.push(`attribute '${name}' is maintained by the repository and cannot be set`);
+        } else if (raw === undefined) {
+            continue;
+        } else if (definition) {
+            const { value: coerced, error } = coerce(raw, definition.type);
+            if (error) {
+                errors.push(`attribute '${name}' ${error}`);
+            } else {
+                value[name] = coerced;
+            }
+        } else if (schema.allowExtraAttributes === true ||
+            (Array.isArray(schema.allowExtraAttributes) && schema.allowExtraAttributes.includes(name))) {
+            value[name] = raw;
+        } else {
+            errors.push(`unexpected attribute '${name}'`);
+        }
+    }
+    return errors.length > 0 ? { errors } : { value, errors };
+}
+
+/**
+ * Validate the actions of an update expression and coerce the values it sets.
+ *
+ * The same rules as for validateChanges apply to the top-level attribute of
+ * every path. In addition, required attributes cannot be removed, nested
+ * paths need a list or map attribute, ADD needs a number attribute, and an
+ * upsert must set every required attribute that is not a key, since it may
+ * create the note. Computed values (`attr(...)`, `ifNotExists`, ...) are
+ * not checked.
+ *
+ * @param {UpdateBuilder} changes The update to check
+ * @param {object} [schema] The schema to validate against (defaults to NOTE_SCHEMA)
+ * @param {object} [options]
+ * @param {string[]} [options.managed] Attributes the caller maintains itself
+ * @param {boolean} [options.upsert] Whether the update may create the note
+ * @returns {{value?: UpdateBuilder, errors: string[]}} A copy of the update with coerced values when
+ *     valid, and the problems found
+ */
+export function validateUpdate(changes, schema = NOTE_SCHEMA, { managed = [], upsert = false } = {}) {
+    const errors = [];
+    const value = update();
+    const set = new Set();
+    for (const { action, path, value: raw } of changes.actions()) {
+        const [{ name, indexes }] = path;
+        const nested = path.length > 1 || indexes.length > 0;
+        const definition = Object.hasOwn(schema.attributes, name) ? schema.attributes[name] : undefined;
+        const segments = path.flatMap((element) => [element.name, ...element.indexes]);
+        let coerced = raw;
+        if (definition?.key) {
+            errors.push(`key attribute '${name}' cannot be updated`);
+        } else if (managed.includes(name)) {
+            errors.push(`attribute '${name}' is maintained by the repository and cannot be set`);
+        } else if (!definition) {
+            if (schema.allowExtraAttributes !== true &&
+                !(Array.isArray(schema.allowExtraAttributes) && schema.allowExtraAttributes.includes(name))) {
+                errors.push(`unexpected attribute '${name}'`);
+            }
+        } else if (nested) {
+            if (definition.type !== "L" && definition.type !== "M") {
+                errors.push(`attribute '${name}' is not a list or map, so '${segments.join(".")}' cannot be updated`);
+            }
+        } else if (action === "SET" && !(raw instanceof UpdateValue || raw instanceof AttributePath)) {
+            const result = coerce(raw, definition.type);
+            if (result.error) {
+                errors.push(`attribute '${name}' ${result.error}`);
+            }
+            coerced = result.value;
+            set.add(name);
+        } else if (action === "SET") {
+            set.add(name);
+        } else if (action === "REMOVE" && definition.required) {
+            errors.push(`required attribute '${name}' cannot be removed`);
+        } else if ((action === "ADD" && (definition.type !== "N" || raw instanceof Set)) || action === "DELETE") {
+            errors.push(`attribute '${name}' of type ${definition.type} cannot be used with ${action}`);
+        }
+        if (errors.length === 0) {
+            applyAction(value, action, segments, coerced);
+        }
+    }
+    if (upsert) {
+        for (const [name, definition] of Object.entries(schema.attributes)) {
+            if (definition.required && !definition.key && !set.has(name)) {
+                errors.push(`an upsert must set required attribute '${name}'`);
+            }
+        }
+    }
+    return errors.length > 0 ? { errors } : { value, errors };
+}
+
+/**
+ * Validate many records.
+ *
+ * @param {Array<object|{record: object, line?: number}>} records The records, optionally with their line number
+ * @param {object} [options]
+ * @param {object} [options.schema] The schema to validate against (defaults to NOTE_SCHEMA)
+ * @param {string} [options.onInvalid] 'reject' (default) throws if any record is invalid,
+ *     'skip' leaves invalid records out and reports them
+ * @returns {{valid: object[], invalid: Array<{index: number, line?: number, record: *, errors: string[]}>}}
+ * @throws {NoteValidationError} In 'reject' mode, if any record is invalid
+ */
+export function validateNotes(records, { schema = NOTE_SCHEMA, onInvalid = "reject" } = {}) {
+    if (!["reject", "skip"].includes(onInvalid)) {
+        throw new Error(`onInvalid must be 'reject' or 'skip', got '${onInvalid}'`);
+    }
+    const valid = [];
+    const invalid = [];
+    records.forEach((entry, index) => {
+        const { record, line } = entry instanceof SourceRecord ? entry : { record: entry };
+        const result = validateNote(record, schema);
+        if (result.errors.length > 0) {
+            invalid.push({ index, line, record, errors: result.errors });
+        } else {
+            valid.push(result.value);
+        }
+    });
+    if (invalid.length > 0 && onInvalid === "reject") {
+        throw new NoteValidationError(invalid);
+    }
+    return { valid, invalid };
+}
+
+/**
+ * A record read from a file together with the line it started on.
+ */
+export class SourceRecord {
+    /**
+     * @param {*} record The parsed record
+     * @param {number} line The 1-based line number in the source file
+     */
+    constructor(record, line) {
+        this.record = record;
+        this.line = line;
+    }
+}
+
+/**
+ * Parse the text of a notes file.
+ *
+ * Accepts a JSON array of notes or JSON Lines (one note per line). For JSON
+ * Lines each record remembers its line number so errors can point at it.
+ *
+ * @param {string} text The file content
+ * @returns {Array<object|SourceRecord>} The parsed records
+ * @throws {NoteValidationError} If a JSON Lines line is not valid JSON
+ */
+export function parseNotesText(text) {
+    if (text.trimStart().startsWith("[")) {
+        const records = JSON.parse(text);
+        if (!Array.isArray(records)) {
+            throw new Error("Expected a JSON array of notes");
+        }
+        return records;
+    }
+    const records = [];
+    const problems = [];
+    text.split("\n").forEach((content, i) => {
+        if (content.trim() === "") {
+            return;
+        }
+        try {
+            records.push(new SourceRecord(JSON.parse(content), i + 1));
+        } catch (error) {
+            problems.push({ index: records.length + problems.length, line: i + 1, errors: [`invalid JSON: ${error.message}`] });
+        }
+    });
+    if (problems.length > 0) {
+        throw new NoteValidationError(problems);
+    }
+    return records;
+}
+
+function coerce(raw, type) {
+    switch (type) {
+        case "S":
+            return typeof raw === "string" ? { value: raw } : { error: `must be a string, got ${typeName(raw)}` };
+        case "N": {
+            if (typeof raw === "number") {
+                return Number.isFinite(raw) ? { value: raw } : { error: "must be a finite number" };
+            }
+            if (typeof raw === "string" && /^\s*-?\d+(\.\d+)?([eE][-+]?\d+)?\s*$/.test(raw)) {
+                const value = Number(raw);
+                return isExact(raw.trim(), value)
+                    ? { value }
+                    : { error: `must be a number JavaScript can represent exactly, got ${JSON.stringify(raw)}` };
+            }
+            return { error: `must be a number or numeric string, got ${JSON.stringify(raw)}` };
+        }
+        case "BOOL":
+            return typeof raw === "boolean" ? { value: raw } : { error: `must be a boolean, got ${typeName(raw)}` };
+        case "L":
+            return Array.isArray(raw) ? { value: raw } : { error: `must be a list, got ${typeName(raw)}` };
+        case "M":
+            return typeof raw === "object" && raw !== null && !Array.isArray(raw)
+                ? { value: raw }
+                : { error: `must be a map, got ${typeName(raw)}` };
+        default:
+            return { error: `has unknown schema type '${type}'` };
+    }
+}
+
+// Integers must be safe integers; other numbers keep at most 15 significant digits
+function isExact(text, value) {
+    if (/^-?\d+$/.test(text)) {
+        return Number.isSafeInteger(value);
+    }
+    const digits = text.replace(/[eE].*$/, "").replace(/[-.]/g, "").replace(/^0+/, "").replace(/0+$/, "");
+    return Number.isFinite(value) && digits.length <= 15;
+}
+
+function applyAction(builder, action, path, value) {
+    switch (action) {
+        case "SET":
+            return builder.set(path, value);
+        case "REMOVE":
+            return builder.remove(path);
+        case "ADD":
+            return builder.add(path, value);
+        default:
+            return builder.delete(path, value);
+    }
+}
+
+function typeName(value) {
+    if (value === null) {
+        return "null";
+    }
+    return Array.isArray(value) ? "list" : typeof value;
+}
+
+function describePosition({ index, line }) {
+    return line !== undefined ? `line ${line}` : `record ${index}`;
+}
@@ -0,0 +1,477 @@
+/**
+ * A polling consumer for the DynamoDB stream of a table.
+ *
+ * A stream is made of shards. Each shard holds the changes to a range of
+ * partition keys for a few hours, is then closed and replaced by one or more
+ * child shards that carry on where it left off. The changes to one item are
+ * in order only when a shard is read to its end before its children, so the
+ * consumer follows this lineage: a shard is read once its parent has been
+ * read completely (or has been trimmed from the stream after 24 hours).
+ *
+ * Every change is unmarshalled into a plain change event and handed to the
+ * handlers registered for its event name (INSERT, MODIFY or REMOVE). After
+ * each page of records the consumer checkpoints the sequence number of the
+ * last record of the shard, in a local file or a small DynamoDB table, and
+ * a restarted consumer continues after it. A handler that fails stops the
+ * consumer before the page is checkpointed, so delivery is at least once:
+ * handlers should be idempotent.
+ */
+import {
+    DynamoDBStreamsClient,
+    DescribeStreamCommand,
+    GetRecordsCommand,
+    GetShardIteratorCommand,
+} from "@aws-sdk/client-dynamodb-streams";
+import {
+    DynamoDBClient,
+    PutItemCommand,
+    QueryCommand,
+} from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { getLogger, sleep } from "aws-samples-common";
+import { describeTable, ensureTable } from "./ensure-table.js";
+import { readCheckpoint, writeCheckpoint } from "./table-transfer.js";
+
+const logger = getLogger("stream");
+
+/**
+ * The event names of stream records.
+ */
+export const STREAM_EVENT_NAMES = ["INSERT", "MODIFY", "REMOVE"];
+
+/**
+ * Defaults for the consumer options.
+ */
+export const STREAM_DEFAULTS = {
+    iteratorType: "TRIM_HORIZON",
+    limit: 1000,
+    pollInterval: 1000,
+};
+
+/**
+ * Definition of the table `TableCheckpointStore` keeps checkpoints in: one
+ * item per shard, keyed by the stream ARN and the shard ID.
+ */
+export const CHECKPOINT_TABLE_DEFINITION = {
+    tableName: "NotesStreamCheckpoints",
+    attributes: { StreamArn: "S", ShardId: "S" },
+    key: { partition: "StreamArn", sort: "ShardId" },
+    billing: { mode: "PAY_PER_REQUEST" },
+};
+
+/**
+ * Raised when a handler fails on a change event. `event` is the event it
+ * failed on; the consumer checkpointed everything before the page holding
+ * it, so the next run delivers that page again.
+ */
+export class StreamHandlerError extends Error {
+    /**
+     * @param {object} event The change event the handler failed on
+     * @param {Error} cause The handler's error
+     */
+    constructor(event, cause) {
+        super(`Handler failed on ${event.eventName} of ${JSON.stringify(event.keys)} ` +
+            `(shard ${event.shardId}, sequence number ${event.sequenceNumber}): ${cause.message}`, { cause });
+        this.name = "StreamHandlerError";
+        this.event = event;
+    }
+}
+
+/**
+ * Checkpoints kept in a local JSON file, for a consumer that always runs on
+ * the same machine. The file holds the position in each shard, per stream.
+ */
+export class FileCheckpointStore {
+    /**
+     * @param {string} file The checkpoint file; created on the first checkpoint
+     */
+    constructor(file) {
+        this.file = file;
+    }
+
+    /**
+     * @param {string} streamArn
+     * @returns {Promise<Map<string, {sequenceNumber?: string, finished: boolean}>>} The position per shard ID
+     */
+    async load(streamArn) {
+        const saved = await readCheckpoint(this.file, {});
+        return new Map(Object.entries(saved?.streams?.[streamArn] ?? {}));
+    }
+
+    /**
+     * @param {string} streamArn
+     * @param {string} shardId
+     * @param {{sequenceNumber?: string, finished: boolean}} position
+     */
+    async save(streamArn, shardId, position) {
+        const saved = (await readCheckpoint(this.file, {})) ?? { streams: {} };
+        saved.streams[streamArn] = { ...saved.streams[streamArn], [shardId]: position };
+        await writeCheckpoint(this.file, saved);
+    }
+}
+
+/**
+ * Checkpoints kept in a DynamoDB table, for a consumer that may run on any
+ * machine. The table is created (see CHECKPOINT_TABLE_DEFINITION) the first
+ * time checkpoints are loaded from it.
+ */
+export class TableCheckpointStore {
+    /**
+     * @param {DynamoDBClient} client Initialized client
+     * @param {string} [tableName] The checkpoint table (default: NotesStreamCheckpoints)
+     */
+    constructor(client, tableName = CHECKPOINT_TABLE_DEFINITION.tableName) {
+        this.client = client;
+        this.tableName = tableName;
+    }
+
+    /**
+     * @param {string} streamArn
+     * @returns {Promise<Map<string, {sequenceNumber?: string, finished: boolean}>>} The position per shard ID
+     */
+    async load(streamArn) {
+        if (!await describeTable(this.client, this.tableName)) {
+            await ensureTable(this.client, { ...CHECKPOINT_TABLE_DEFINITION, tableName: this.tableName });
+            return new Map();
+        }
+        const positions = new Map();
+        let ExclusiveStartKey;
+        do {
+            const response = await this.client.send(new QueryCommand({
+                TableName: this.tableName,
+                KeyConditionExpression: "StreamArn = :streamArn",
+                ExpressionAttributeValues: { ":streamArn": { S: streamArn } },
+                ConsistentRead: true,
+                ExclusiveStartKey,
+            }));
+            for (const item of response.Items ?? []) {
+                const { ShardId, SequenceNumber, Finished } = unmarshall(item);
+                positions.set(ShardId, { sequenceNumber: SequenceNumber, finished: Finished });
+            }
+            ExclusiveStartKey = response.LastEvaluatedKey;
+        } while (ExclusiveStartKey);
+        return positions;
+    }
+
+    /**
+     * @param {string} streamArn
+     * @param {string} shardId
+     * @param {{sequenceNumber?: string, finished: boolean}} position
+     */
+    async save(streamArn, shardId, position) {
+        await this.client.send(new PutItemCommand({
+            TableName: this.tableName,
+            Item: marshall({
+                StreamArn: streamArn,
+                ShardId: shardId,
+                SequenceNumber: position.sequenceNumber,
+                Finished: position.finished,
+                UpdatedAt: new Date().toISOString(),
+            }, { removeUndefinedValues: true }),
+        }));
+    }
+}
+
+/**
+ * Reads the stream of a table and dispatches its changes to handlers.
+ *
+ *     const consumer = new StreamConsumer({ client, streamsClient, tableName: "Notes",
+ *         checkpoints: new FileCheckpointStore("notes.stream.json") });
+ *     consumer.on("INSERT", async ({ newImage }) => console.log("added", newImage));
+ *     consumer.on("*", s3MirrorHandler(s3Client, "notes-mirror"));
+ *     await consumer.run({ follow: true, signal });
+ *
+ * Handlers are called one at a time, in stream order, and awaited.
+ */
+export class StreamConsumer {
+    #handlers = new Map();
+
+    #iterators = new Map();
+
+    #positions = new Map();
+
+    #latestShards = new Set();
+
+    #streamArn;
+
+    #started = false;
+
+    /**
+     * @param {object} options
+     * @param {DynamoDBClient} options.client Client for the table, to look up its stream
+     * @param {DynamoDBStreamsClient} options.streamsClient Client for the stream
+     * @param {string} [options.tableName] The table whose latest stream is read
+     * @param {string} [options.streamArn] The stream to read, instead of the table's latest
+     * @param {FileCheckpointStore|TableCheckpointStore} [options.checkpoints] Where to keep the
+     *     position in each shard; without one every run starts at `iteratorType`
+     * @param {string} [options.iteratorType] Where to start in the shards that are open, without a
+     *     checkpoint, when the consumer starts: TRIM_HORIZON (the oldest change kept, default) or
+     *     LATEST (only new changes)
+     * @param {number} [options.limit] Records per GetRecords call (at most 1000)
+     * @param {number} [options.pollInterval] Milliseconds between passes over the shards when following
+     */
+    constructor({ client, streamsClient, tableName, streamArn, checkpoints, ...options }) {
+        const settings = { ...STREAM_DEFAULTS, ...options };
+        if (!["TRIM_HORIZON", "LATEST"].includes(settings.iteratorType)) {
+            throw new Error(`iteratorType must be TRIM_HORIZON or LATEST, got '${settings.iteratorType}'`);
+        }
+        if (!tableName && !streamArn) {
+            throw new Error("StreamConsumer needs a tableName or a streamArn");
+        }
+        this.client = client;
+        this.streamsClient = streamsClient;
+        this.tableName = tableName;
+        this.checkpoints = checkpoints;
+        this.iteratorType = settings.iteratorType;
+        this.limit = settings.limit;
+        this.pollInterval = settings.pollInterval;
+        this.#streamArn = streamArn;
+    }
+
+    /**
+     * Register a handler for one event name, or for all of them with '*'.
+     * Handlers for the same event run in the order they were registered.
+     *
+     * @param {string} eventName INSERT, MODIFY, REMOVE or '*'
+     * @param {Function} handler Called with each change event; may return a promise
+     * @returns {StreamConsumer} This consumer, for chaining
+     */
+    on(eventName, handler) {
+        if (eventName !== "*" && !STREAM_EVENT_NAMES.includes(eventName)) {
+            throw new Error(`Event name must be one of ${STREAM_EVENT_NAMES.join(", ")} or '*', got '${eventName}'`);
+        }
+        this.#handlers.set(eventName, [...(this.#handlers.get(eventName) ?? []), handler]);
+        return this;
+    }
+
+    /**
+     * Read the stream and dispatch its changes.
+     *
+     * Without `follow` the consumer returns once it has caught up: a pass over
+     * all readable shards found no new records. With `follow` it keeps polling
+     * every `pollInterval` until `signal` is aborted.
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.follow] Keep polling for new changes
+     * @param {AbortSignal} [options.signal] Stops the consumer after the current page
+     * @returns {Promise<{streamArn: string, records: number, events: object, shards: number, finishedShards: number}>}
+     * @throws {StreamHandlerError} If a handler fails
+     */
+    async run({ follow = false, signal } = {}) {
+        const streamArn = await this.#resolveStreamArn();
+        const summary = { streamArn, records: 0, events: { INSERT: 0, MODIFY: 0, REMOVE: 0 } };
+        if (!this.#started) {
+            this.#positions = this.checkpoints ? await this.checkpoints.load(streamArn) : new Map();
+        }
+        try {
+            for (;;) {
+                const handled = await this.#pass(summary, signal);
+                if (signal?.aborted || (!follow && handled === 0)) {
+                    break;
+                }
+                if (handled === 0) {
+                    await sleep(this.pollInterval);
+                }
+            }
+        } catch (error) {
+            // the next run starts again from the checkpoints
+            this.#iterators.clear();
+            this.#started = false;
+            throw error;
+        }
+        const positions = [...this.#positions.values()];
+        return {
+            ...summary,
+            shards: positions.length,
+            finishedShards: positions.filter((position) => position.finished).length,
+        };
+    }
+
+    async #resolveStreamArn() {
+        if (!this.#streamArn) {
+            const table = await describeTable(this.client, this.tableName);
+            if (!table) {
+                throw new Error(`Table ${this.tableName} does not exist`);
+            }
+            if (!table.StreamSpecification?.StreamEnabled || !table.LatestStreamArn) {
+                throw new Error(`Table ${this.tableName} has no stream; enable one with NEW_AND_OLD_IMAGES first`);
+            }
+            this.#streamArn = table.LatestStreamArn;
+        }
+        return this.#streamArn;
+    }
+
+    /**
+     * Read every shard whose parent is done, until none has new records.
+     * Shards that finish make their children readable in the same pass.
+     */
+    async #pass(summary, signal) {
+        const shards = await this.#describeShards();
+        if (!this.#started) {
+            this.#started = true;
+            if (this.iteratorType === "LATEST") {
+                // shards closed before the consumer first started hold only old changes
+                for (const shard of shards.filter(({ ShardId }) => !this.#positions.has(ShardId))) {
+                    if (isClosed(shard)) {
+                        await this.#checkpoint(shard.ShardId, { finished: true });
+                    } else {
+                        this.#latestShards.add(shard.ShardId);
+                    }
+                }
+            }
+        }
+        const present = new Set(shards.map((shard) => shard.ShardId));
+        const done = new Set();
+        let handled = 0;
+        for (;;) {
+            const ready = shards.filter((shard) => !done.has(shard.ShardId) &&
+                !this.#positions.get(shard.ShardId)?.finished &&
+                (!shard.ParentShardId || !present.has(shard.ParentShardId) ||
+                    this.#positions.get(shard.ParentShardId)?.finished));
+            if (ready.length === 0 || signal?.aborted) {
+                return handled;
+            }
+            for (const shard of ready) {
+                done.add(shard.ShardId);
+                handled += await this.#readShard(shard, summary, signal);
+            }
+        }
+    }
+
+    async #describeShards() {
+        const shards = [];
+        let ExclusiveStartShardId;
+        do {
+            const { StreamDescription } = await this.streamsClient.send(new DescribeStreamCommand({
+                StreamArn: this.#streamArn,
+                ExclusiveStartShardId,
+            }));
+            shards.push(...(StreamDescription.Shards ?? []));
+            ExclusiveStartShardId = StreamDescription.LastEvaluatedShardId;
+        } while (ExclusiveStartShardId);
+        return shards;
+    }
+
+    /**
+     * Read a shard until it has no new records, or to its end if it is
+     * closed, checkpointing after each page.
+     *
+     * @returns {Promise<number>} The number of records handled
+     */
+    async #readShard(shard, summary, signal) {
+        const shardId = shard.ShardId;
+        const closed = isClosed(shard);
+        let iterator = this.#iterators.get(shardId) ?? await this.#shardIterator(shard);
+        let handled = 0;
+        while (iterator) {
+            let response;
+            try {
+                response = await this.streamsClient.send(new GetRecordsCommand({ ShardIterator: iterator, Limit: this.limit }));
+            } catch (error) {
+                if (error.name !== "ExpiredIteratorException") {
+                    throw error;
+                }
+                // iterators expire after 15 minutes; start again from the checkpoint
+                iterator = await this.#shardIterator(shard);
+                continue;
+            }
+            const records = response.Records ?? [];
+            for (const record of records) {
+                await this.#dispatch(toChangeEvent(record, shardId));
+                summary.records++;
+                summary.events[record.eventName]++;
+            }
+            iterator = response.NextShardIterator;
+            handled += records.length;
+            if (records.length > 0 || !iterator) {
+                await this.#checkpoint(shardId, {
+                    sequenceNumber: records.at(-1)?.dynamodb?.SequenceNumber ?? this.#positions.get(shardId)?.sequenceNumber,
+                    finished: !iterator,
+                });
+            }
+            // an open shard returns no records once it is caught up; a closed one may return empty pages before its end
+            if ((records.length === 0 && !closed) || signal?.aborted) {
+                break;
+            }
+        }
+        if (iterator) {
+            this.#iterators.set(shardId, iterator);
+        } else {
+            this.#iterators.delete(shardId);
+        }
+        return handled;
+    }
+
+    async #shardIterator(shard) {
+        const input = { StreamArn: this.#streamArn, ShardId: shard.ShardId };
+        const sequenceNumber = this.#positions.get(shard.ShardId)?.sequenceNumber;
+        if (sequenceNumber) {
+            try {
+                const { ShardIterator } = await this.streamsClient.send(new GetShardIteratorCommand({
+                    ...input,
+                    ShardIteratorType: "AFTER_SEQUENCE_NUMBER",
+                    SequenceNumber: sequenceNumber,
+                }));
+                return ShardIterator;
+            } catch (error) {
+                if (error.name !== "TrimmedDataAccessException") {
+                    throw error;
+                }
+                logger.warn("Checkpoint is older than the stream keeps; changes were missed", {
+                    shardId: shard.ShardId,
+                    sequenceNumber,
+                });
+            }
+        }
+        // shards that appear later, such as the children of a shard, are read from their start
+        const { ShardIterator } = await this.streamsClient.send(new GetShardIteratorCommand({
+            ...input,
+            ShardIteratorType: !sequenceNumber && this.#latestShards.has(shard.ShardId) ? "LATEST" : "TRIM_HORIZON",
+        }));
+        return ShardIterator;
+    }
+
+    async #dispatch(event) {
+        const handlers = [...(this.#handlers.get(event.eventName) ?? []), ...(this.#handlers.get("*") ?? [])];
+        for (const handler of handlers) {
+            try {
+                await handler(event);
+            } catch (error) {
+                throw new StreamHandlerError(event, error);
+            }
+        }
+    }
+
+    async #checkpoint(shardId, position) {
+        this.#positions.set(shardId, position);
+        await this.checkpoints?.save(this.#streamArn, shardId, position);
+    }
+}
+
+/**
+ * Turn a stream record into a change event with plain JavaScript values.
+ *
+ * @param {object} record The record from GetRecords
+ * @param {string} shardId The shard it was read from
+ * @returns {{eventName: string, eventId: string, shardId: string, sequenceNumber: string,
+ *     approximateCreationTime?: Date, keys: object, newImage?: object, oldImage?: object, expired: boolean}}
+ *     `expired` is true for items deleted by TTL
+ */
+export function toChangeEvent(record, shardId) {
+    const data = record.dynamodb ?? {};
+    return {
+        eventName: record.eventName,
+        eventId: record.eventID,
+        shardId,
+        sequenceNumber: data.SequenceNumber,
+        approximateCreationTime: data.ApproximateCreationDateTime,
+        keys: unmarshall(data.Keys ?? {}),
+        newImage: data.NewImage ? unmarshall(data.NewImage) : undefined,
+        oldImage: data.OldImage ? unmarshall(data.OldImage) : undefined,
+        expired: record.userIdentity?.type === "Service" && record.userIdentity?.principalId === "dynamodb.amazonaws.com",
+    };
+}
+
+function isClosed(shard) {
+    return Boolean(shard.SequenceNumberRange?.EndingSequenceNumber);
+}
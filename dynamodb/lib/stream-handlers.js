@@ -0,0 +1,75 @@
+/**
+ * Built-in handlers for StreamConsumer that copy note changes to S3.
+ *
+ * `s3MirrorHandler` keeps one JSON object per note, `notes/<UserId>/<NoteId>.json`,
+ * holding the note as it is now, and deletes it when the note is deleted:
+ * a copy of the table that S3 Select, Athena or a search indexer can read.
+ * `s3AuditHandler` writes every change as its own object, old and new image
+ * included, and never deletes anything: an audit trail of who changed what.
+ *
+ * Both only write what the change event carries, so delivering an event
+ * twice writes the same object twice.
+ */
+import { DeleteObjectCommand, PutObjectCommand, S3Client } from "@aws-sdk/client-s3";
+import { jsonReplacer } from "./table-transfer.js";
+
+/**
+ * Create a handler that mirrors notes to `<prefix><UserId>/<NoteId>.json`.
+ *
+ * INSERT and MODIFY write the new image of the note; REMOVE deletes the
+ * object. Register it for all events: `consumer.on("*", s3MirrorHandler(...))`.
+ *
+ * @param {S3Client} s3Client Initialized S3 client
+ * @param {string} bucket The bucket to mirror to
+ * @param {object} [options]
+ * @param {string} [options.prefix] Key prefix (default: 'notes/')
+ * @returns {Function} The handler, called with each change event
+ */
+export function s3MirrorHandler(s3Client, bucket, { prefix = "notes/" } = {}) {
+    return async (event) => {
+        const Key = `${prefix}${noteKey(event)}.json`;
+        if (event.eventName === "REMOVE") {
+            await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key }));
+            return;
+        }
+        await s3Client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key,
+            Body: `${JSON.stringify(event.newImage, jsonReplacer, 2)}\n`,
+            ContentType: "application/json",
+            Metadata: { "sequence-number": event.sequenceNumber },
+        }));
+    };
+}
+
+/**
+ * Create a handler that records every change as
+ * `<prefix><UserId>/<NoteId>/<time>-<sequence number>.json`, so listing a
+ * note's prefix returns its history in order.
+ *
+ * @param {S3Client} s3Client Initialized S3 client
+ * @param {string} bucket The bucket to write the trail to
+ * @param {object} [options]
+ * @param {string} [options.prefix] Key prefix (default: 'audit/')
+ * @returns {Function} The handler, called with each change event
+ */
+export function s3AuditHandler(s3Client, bucket, { prefix = "audit/" } = {}) {
+    return async (event) => {
+        const time = (event.approximateCreationTime ?? new Date()).toISOString();
+        const { eventName, eventId, sequenceNumber, keys, oldImage, newImage, expired } = event;
+        await s3Client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: `${prefix}${noteKey(event)}/${time}-${sequenceNumber}.json`,
+            Body: `${JSON.stringify({ eventName, eventId, sequenceNumber, time, expired, keys, oldImage, newImage },
+                jsonReplacer, 2)}\n`,
+            ContentType: "application/json",
+        }));
+    };
+}
+
+function noteKey({ keys }) {
+    if (keys.UserId === undefined || keys.NoteId === undefined) {
+        throw new Error(`Change event is not for a note: keys ${JSON.stringify(keys)}`);
+    }
+    return `${keys.UserId}/${keys.NoteId}`;
+}
@@ -0,0 +1,348 @@
+/**
+ * Declarative table definitions.
+ *
+ * A definition describes a table the way it should look: key attributes,
+ * secondary indexes, billing, TTL, streams, point-in-time recovery and tags.
+ * It can be written in JSON or YAML:
+ *
+ *     tableName: Notes
+ *     attributes: { UserId: S, NoteId: N, Is_Incomplete: S }
+ *     key: { partition: UserId, sort: NoteId }
+ *     billing: { mode: PAY_PER_REQUEST }
+ *     globalIndexes:
+ *       - name: IncompleteNotes
+ *         key: { partition: Is_Incomplete, sort: NoteId }
+ *         projection: [Note]        # or ALL / KEYS_ONLY
+ *     ttl: ExpiresAt                 # null turns TTL off
+ *     stream: NEW_AND_OLD_IMAGES     # null turns the stream off
+ *     pointInTimeRecovery: true
+ *     tags: { app: notes }
+ *
+ * `attributes` lists the type of every attribute used in a key. Billing
+ * defaults to PAY_PER_REQUEST. The other settings are only managed when they
+ * are present: `ensureTable` leaves indexes, TTL, streams, point-in-time
+ * recovery and tags that the definition does not mention as they are.
+ */
+import { readFile } from "fs/promises";
+import { extname } from "path";
+import YAML from "yaml";
+import { TableDefinitionError } from "./errors.js";
+
+/**
+ * The notes table as created by the original sample: UserId/NoteId and
+ * 5 read and write units.
+ */
+export const NOTES_TABLE_DEFINITION = {
+    tableName: "Notes",
+    attributes: { UserId: "S", NoteId: "N" },
+    key: { partition: "UserId", sort: "NoteId" },
+    billing: { mode: "PROVISIONED", read: 5, write: 5 },
+};
+
+export const BILLING_MODES = ["PROVISIONED", "PAY_PER_REQUEST"];
+
+export const STREAM_VIEW_TYPES = ["NEW_IMAGE", "OLD_IMAGE", "NEW_AND_OLD_IMAGES", "KEYS_ONLY"];
+
+const KEY_TYPES = ["S", "N", "B"];
+const MAX_GLOBAL_INDEXES = 20;
+const MAX_LOCAL_INDEXES = 5;
+
+/**
+ * Read a table definition from a .json, .yaml or .yml file.
+ *
+ * @param {string} fileName
+ * @returns {Promise<object>} The validated definition (see normalizeTableDefinition)
+ * @throws {TableDefinitionError} If the definition is invalid
+ */
+export async function loadTableDefinition(fileName) {
+    const text = await readFile(fileName, "utf8");
+    const extension = extname(fileName).toLowerCase();
+    let definition;
+    try {
+        definition = extension === ".json" ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+        throw new TableDefinitionError([`${fileName}: ${error.message}`]);
+    }
+    return normalizeTableDefinition(definition);
+}
+
+/**
+ * Validate a definition and fill in the defaults.
+ *
+ * Indexes get their projection ('ALL' unless given) and, for provisioned
+ * tables, the table's throughput unless they set their own.
+ *
+ * @param {object} definition
+ * @returns {object} The normalized definition
+ * @throws {TableDefinitionError} Listing every problem found
+ */
+export function normalizeTableDefinition(definition) {
+    const problems = [];
+    if (definition === null || typeof definition !== "object" || Array.isArray(definition)) {
+        throw new TableDefinitionError(["the definition must be an object"]);
+    }
+    const { tableName, attributes = {}, key, billing = { mode: "PAY_PER_REQUEST" } } = definition;
+    if (typeof tableName !== "string" || !/^[A-Za-z0-9_.-]{3,255}$/.test(tableName)) {
+        problems.push(`tableName must be 3-255 letters, digits, '_', '-' or '.', got ${JSON.stringify(tableName)}`);
+    }
+    for (const [name, type] of Object.entries(attributes)) {
+        if (!KEY_TYPES.includes(type)) {
+            problems.push(`attribute '${name}' must have type ${KEY_TYPES.join(", ")}, got ${JSON.stringify(type)}`);
+        }
+    }
+
+    const normalized = {
+        tableName,
+        attributes: { ...attributes },
+        key: normalizeKey(key, "key", attributes, problems),
+        billing: normalizeBilling(billing, problems),
+    };
+    const used = new Set([normalized.key.partition, normalized.key.sort]);
+
+    if (definition.globalIndexes !== undefined) {
+        normalized.globalIndexes = normalizeIndexes(definition.globalIndexes, "globalIndexes", problems, (index, path) => {
+            const result = {
+                name: index.name,
+                key: normalizeKey(index.key, `${path}.key`, attributes, problems),
+                projection: normalizeProjection(index.projection, `${path}.projection`, problems),
+            };
+            if (normalized.billing.mode === "PROVISIONED") {
+                result.read = index.read ?? normalized.billing.read;
+                result.write = index.write ?? normalized.billing.write;
+                checkCapacity(result, path, problems);
+            } else if (index.read !== undefined || index.write !== undefined) {
+                problems.push(`${path}: read/write capacity needs PROVISIONED billing`);
+            }
+            return result;
+        });
+        if (normalized.globalIndexes.length > MAX_GLOBAL_INDEXES) {
+            problems.push(`a table can have at most ${MAX_GLOBAL_INDEXES} global secondary indexes`);
+        }
+        normalized.globalIndexes.forEach((index) => used.add(index.key.partition).add(index.key.sort));
+    }
+
+    if (definition.localIndexes !== undefined) {
+        normalized.localIndexes = normalizeIndexes(definition.localIndexes, "localIndexes", problems, (index, path) => {
+            const sort = index.key?.sort;
+            const result = {
+                name: index.name,
+                key: normalizeKey({ partition: normalized.key.partition, sort }, `${path}.key`, attributes, problems),
+                projection: normalizeProjection(index.projection, `${path}.projection`, problems),
+            };
+            if (!sort) {
+                problems.push(`${path}: a local index needs a sort key`);
+            }
+            if (index.key?.partition !== undefined && index.key.partition !== normalized.key.partition) {
+                problems.push(`${path}: a local index uses the table's partition key '${normalized.key.partition}'`);
+            }
+            return result;
+        });
+        if (normalized.localIndexes.length > 0 && !normalized.key.sort) {
+            problems.push("local indexes need a table with a sort key");
+        }
+        if (normalized.localIndexes.length > MAX_LOCAL_INDEXES) {
+            problems.push(`a table can have at most ${MAX_LOCAL_INDEXES} local secondary indexes`);
+        }
+        normalized.localIndexes.forEach((index) => used.add(index.key.sort));
+    }
+
+    const names = [...(normalized.globalIndexes ?? []), ...(normalized.localIndexes ?? [])].map((index) => index.name);
+    for (const name of new Set(names.filter((name, i) => names.indexOf(name) !== i))) {
+        problems.push(`index name '${name}' is used more than once`);
+    }
+    for (const name of Object.keys(attributes)) {
+        if (!used.has(name)) {
+            // DynamoDB rejects attribute definitions that no key uses
+            problems.push(`attribute '${name}' is not used by the table or an index key`);
+        }
+    }
+
+    if (definition.ttl !== undefined) {
+        if (definition.ttl !== null && definition.ttl !== false && typeof definition.ttl !== "string") {
+            problems.push("ttl must be an attribute name, or null to turn TTL off");
+        }
+        normalized.ttl = definition.ttl || null;
+    }
+    if (definition.stream !== undefined) {
+        if (definition.stream && !STREAM_VIEW_TYPES.includes(definition.stream)) {
+            problems.push(`stream must be one of ${STREAM_VIEW_TYPES.join(", ")}, or null to turn it off`);
+        }
+        normalized.stream = definition.stream || null;
+    }
+    if (definition.pointInTimeRecovery !== undefined) {
+        if (typeof definition.pointInTimeRecovery !== "boolean") {
+            problems.push("pointInTimeRecovery must be true or false");
+        }
+        normalized.pointInTimeRecovery = definition.pointInTimeRecovery;
+    }
+    if (definition.tags !== undefined) {
+        const tags = definition.tags ?? {};
+        if (typeof tags !== "object" || Array.isArray(tags)) {
+            problems.push("tags must be an object of tag names and values");
+        } else {
+            normalized.tags = Object.fromEntries(Object.entries(tags).map(([name, value]) => [name, String(value)]));
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new TableDefinitionError(problems);
+    }
+    return normalized;
+}
+
+/**
+ * The CreateTable input for a normalized definition.
+ *
+ * TTL and point-in-time recovery cannot be set by CreateTable; `ensureTable`
+ * applies them once the table is active.
+ *
+ * @param {object} definition A normalized definition
+ * @returns {object}
+ */
+export function createTableInput(definition) {
+    const provisioned = definition.billing.mode === "PROVISIONED";
+    return {
+        TableName: definition.tableName,
+        AttributeDefinitions: attributeDefinitions(definition),
+        KeySchema: keySchema(definition.key),
+        BillingMode: definition.billing.mode,
+        ProvisionedThroughput: provisioned ? throughput(definition.billing) : undefined,
+        GlobalSecondaryIndexes: definition.globalIndexes?.length
+            ? definition.globalIndexes.map((index) => globalIndexInput(index, provisioned))
+            : undefined,
+        LocalSecondaryIndexes: definition.localIndexes?.length
+            ? definition.localIndexes.map((index) => ({
+                IndexName: index.name,
+                KeySchema: keySchema(index.key),
+                Projection: projectionInput(index.projection),
+            }))
+            : undefined,
+        StreamSpecification: definition.stream
+            ? { StreamEnabled: true, StreamViewType: definition.stream }
+            : undefined,
+        Tags: definition.tags && Object.keys(definition.tags).length > 0
+            ? Object.entries(definition.tags).map(([Key, Value]) => ({ Key, Value }))
+            : undefined,
+    };
+}
+
+/**
+ * The AttributeDefinitions for every attribute used by the table and index keys.
+ *
+ * @param {object} definition A normalized definition
+ * @returns {Array<{AttributeName: string, AttributeType: string}>}
+ */
+export function attributeDefinitions(definition) {
+    return Object.entries(definition.attributes).map(([AttributeName, AttributeType]) => ({ AttributeName, AttributeType }));
+}
+
+/**
+ * The KeySchema for a key.
+ *
+ * @param {{partition: string, sort?: string}} key
+ * @returns {object[]}
+ */
+export function keySchema(key) {
+    const schema = [{ AttributeName: key.partition, KeyType: "HASH" }];
+    if (key.sort) {
+        schema.push({ AttributeName: key.sort, KeyType: "RANGE" });
+    }
+    return schema;
+}
+
+/**
+ * The Projection for an index projection.
+ *
+ * @param {{type: string, attributes?: string[]}} projection
+ * @returns {object}
+ */
+export function projectionInput(projection) {
+    return projection.type === "INCLUDE"
+        ? { ProjectionType: "INCLUDE", NonKeyAttributes: projection.attributes }
+        : { ProjectionType: projection.type };
+}
+
+/**
+ * The GlobalSecondaryIndex input of CreateTable and UpdateTable.
+ *
+ * @param {object} index A normalized global index
+ * @param {boolean} provisioned Whether the table uses provisioned billing
+ * @returns {object}
+ */
+export function globalIndexInput(index, provisioned) {
+    return {
+        IndexName: index.name,
+        KeySchema: keySchema(index.key),
+        Projection: projectionInput(index.projection),
+        ProvisionedThroughput: provisioned ? throughput(index) : undefined,
+    };
+}
+
+/**
+ * The ProvisionedThroughput for read and write units.
+ *
+ * @param {{read: number, write: number}} capacity
+ * @returns {object}
+ */
+export function throughput({ read, write }) {
+    return { ReadCapacityUnits: read, WriteCapacityUnits: write };
+}
+
+function normalizeKey(key, path, attributes, problems) {
+    if (!key || typeof key.partition !== "string") {
+        problems.push(`${path}.partition must name the partition key attribute`);
+        return { partition: key?.partition };
+    }
+    for (const name of [key.partition, key.sort].filter(Boolean)) {
+        if (!Object.hasOwn(attributes, name)) {
+            problems.push(`${path}: key attribute '${name}' needs a type in 'attributes'`);
+        }
+    }
+    return key.sort ? { partition: key.partition, sort: key.sort } : { partition: key.partition };
+}
+
+function normalizeBilling(billing, problems) {
+    const mode = billing?.mode ?? "PAY_PER_REQUEST";
+    if (!BILLING_MODES.includes(mode)) {
+        problems.push(`billing.mode must be one of ${BILLING_MODES.join(", ")}, got ${JSON.stringify(mode)}`);
+    }
+    if (mode !== "PROVISIONED") {
+        return { mode };
+    }
+    const result = { mode, read: billing.read, write: billing.write };
+    checkCapacity(result, "billing", problems);
+    return result;
+}
+
+function checkCapacity({ read, write }, path, problems) {
+    if (!Number.isInteger(read) || read < 1 || !Number.isInteger(write) || write < 1) {
+        problems.push(`${path}: PROVISIONED billing needs positive integer read and write capacity`);
+    }
+}
+
+function normalizeProjection(projection = "ALL", path, problems) {
+    if (Array.isArray(projection)) {
+        if (projection.length === 0 || !projection.every((name) => typeof name === "string")) {
+            problems.push(`${path} must list attribute names`);
+        }
+        return { type: "INCLUDE", attributes: [...projection] };
+    }
+    if (projection !== "ALL" && projection !== "KEYS_ONLY") {
+        problems.push(`${path} must be ALL, KEYS_ONLY or a list of attributes, got ${JSON.stringify(projection)}`);
+    }
+    return { type: projection };
+}
+
+function normalizeIndexes(indexes, path, problems, normalizeIndex) {
+    if (!Array.isArray(indexes)) {
+        problems.push(`${path} must be a list`);
+        return [];
+    }
+    return indexes.map((index, i) => {
+        const indexPath = `${path}[${i}]`;
+        if (typeof index?.name !== "string" || !/^[A-Za-z0-9_.-]{3,255}$/.test(index.name)) {
+            problems.push(`${indexPath}.name must be 3-255 letters, digits, '_', '-' or '.'`);
+        }
+        return normalizeIndex(index ?? {}, indexPath);
+    });
+}
@@ -0,0 +1,499 @@
+/**
+ * Export and import of whole tables.
+ *
+ * `exportTable` reads a table with a parallel Scan and writes every item to a
+ * local file or streams it straight into an S3 object. `importTable` reads the
+ * same formats back from a file or S3 and writes them with the batch writer,
+ * recording its position in a checkpoint file so an interrupted import can be
+ * resumed where it stopped.
+ *
+ * Supported formats:
+ *  - jsonl: one plain JSON object per line; sets are written as lists
+ *  - csv: a header line and one row per item; lists and maps are written as JSON
+ *  - dynamodb-json: one `{"Item": {...}}` per line in attribute value format,
+ *    as written by DynamoDB's own export to S3; it keeps every type exactly
+ */
+import { DynamoDBClient, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { GetObjectCommand, S3Client } from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { CsvParser, formatCsv, instrumentClient } from "aws-samples-common";
+import { createReadStream, createWriteStream } from "fs";
+import { readFile, rename, rm, writeFile } from "fs/promises";
+import { once } from "events";
+import { createInterface } from "readline";
+import { PassThrough } from "stream";
+import { batchWriteItems } from "./batch.js";
+
+/**
+ * Formats understood by exportTable and importTable.
+ */
+export const TRANSFER_FORMATS = ["jsonl", "csv", "dynamodb-json"];
+
+/**
+ * Defaults for the export and import options.
+ */
+export const TRANSFER_DEFAULTS = {
+    segments: 4,
+    checkpointEvery: 500,
+};
+
+// DynamoDB accepts at most this many segments in a parallel scan
+const MAX_SEGMENTS = 1000000;
+
+const CONTENT_TYPES = {
+    "jsonl": "application/x-ndjson",
+    "csv": "text/csv",
+    "dynamodb-json": "application/json",
+};
+
+/**
+ * Raised when an import stops because items could not be written.
+ *
+ * `position` is the number of records that were completely imported (and
+ * saved in the checkpoint, if there is one); `failed` lists the items of the
+ * next chunk that could not be written, with the error for each.
+ */
+export class ImportInterruptedError extends Error {
+    /**
+     * @param {{location: string, position: number, imported: number}} summary The import so far
+     * @param {object} details
+     * @param {string} [details.checkpoint] The checkpoint file to resume from
+     * @param {Array<{item: object, error: string}>} details.failed The items that could not be written
+     */
+    constructor({ location, position, imported }, { checkpoint, failed }) {
+        super(`Import of ${location} stopped after record ${position}: ${failed.length} item(s) could not be ` +
+            `written (${failed[0].error}); ` +
+            (checkpoint ? `resume with the checkpoint in ${checkpoint}` : `${imported} item(s) were imported`));
+        this.name = "ImportInterruptedError";
+        this.location = location;
+        this.position = position;
+        this.imported = imported;
+        this.checkpoint = checkpoint;
+        this.failed = failed;
+    }
+}
+
+/**
+ * Export a whole table to a local file or an S3 object.
+ *
+ * The table is read with a parallel Scan: `segments` workers each scan their
+ * own part of the table and write pages as they arrive, so the order of the
+ * items in the output is not defined. Nothing is held in memory beyond a page
+ * per segment. A local file is written to `<file>.part` and renamed when the
+ * export is complete; an S3 object is uploaded as it is written and only
+ * appears once the export succeeds.
+ *
+ * @param {DynamoDBClient} client Initialized client (including the designed region)
+ * @param {string} tableName Name of the table to export
+ * @param {string} location A file name or an `s3://bucket/key` URL
+ * @param {object} [options]
+ * @param {string} [options.format] One of TRANSFER_FORMATS (defaults to the location's extension)
+ * @param {number} [options.segments] Number of parallel scan segments
+ * @param {string[]} [options.columns] The CSV columns; required for CSV
+ * @param {number} [options.pageSize] Items per Scan request
+ * @param {boolean} [options.consistentRead] Use strongly consistent reads
+ * @param {S3Client} [options.s3Client] Client for `s3://` locations
+ * @param {Function} [options.onProgress] Called with {items, segment} after each page
+ * @returns {Promise<{location: string, format: string, segments: number, items: number, scanned: number}>}
+ */
+export async function exportTable(client, tableName, location, options = {}) {
+    const {
+        format = formatFromLocation(location),
+        segments = TRANSFER_DEFAULTS.segments,
+        columns,
+        pageSize,
+        consistentRead,
+        s3Client,
+        onProgress,
+    } = options;
+    checkFormat(format);
+    if (!Number.isInteger(segments) || segments < 1 || segments > MAX_SEGMENTS) {
+        throw new Error(`segments must be an integer between 1 and ${MAX_SEGMENTS}, got ${segments}`);
+    }
+    if (format === "csv" && !columns?.length) {
+        throw new Error("A CSV export needs the list of columns");
+    }
+
+    const summary = { location, format, segments, items: 0, scanned: 0 };
+    const target = await openTarget(location, { format, s3Client });
+    try {
+        if (format === "csv") {
+            await write(target.stream, `${formatCsv([], { columns })}\n`);
+        }
+        await Promise.all(Array.from({ length: segments }, async (_, segment) => {
+            let startKey;
+            do {
+                const response = await client.send(new ScanCommand({
+                    TableName: tableName,
+                    Segment: segment,
+                    TotalSegments: segments,
+                    Limit: pageSize,
+                    ConsistentRead: consistentRead,
+                    ExclusiveStartKey: startKey,
+                }));
+                const items = response.Items ?? [];
+                if (items.length > 0) {
+                    await write(target.stream, encodeItems(items, format, columns));
+                }
+                summary.items += items.length;
+                summary.scanned += response.ScannedCount ?? 0;
+                onProgress?.({ items: summary.items, segment });
+                startKey = response.LastEvaluatedKey;
+            } while (startKey && !target.stream.destroyed);
+        }));
+        await target.finish();
+    } catch (error) {
+        await target.abort(error);
+        throw error;
+    }
+    return summary;
+}
+
+/**
+ * Import a file or S3 object written by exportTable (or any file in the same
+ * formats) into a table.
+ *
+ * Records are read as a stream and written with BatchWriteItem, in chunks of
+ * `checkpointEvery` records; items DynamoDB leaves unprocessed are retried
+ * with backoff. If items of a chunk still cannot be written the import stops
+ * with an ImportInterruptedError. Batch writes overwrite existing items, so
+ * writing a chunk again is harmless.
+ *
+ * jsonl and csv records are turned into items by `toItem`, which also
+ * validates them; empty CSV fields are left out and `rename` maps source
+ * columns to attribute names first. dynamodb-json items are written as they
+ * are.
+ *
+ * With a `checkpoint` file the position after each completed chunk is saved
+ * there, and `resume` continues from the saved position instead of starting
+ * over, whether the import stopped on an error or the process was killed.
+ * The checkpoint is removed once the import completes.
+ *
+ * @param {DynamoDBClient} client Initialized client (including the designed region)
+ * @param {string} tableName Name of the table to write to
+ * @param {string} location A file name or an `s3://bucket/key` URL
+ * @param {object} [options] Batch options (concurrency, maxAttempts, baseDelay, maxDelay) and:
+ * @param {string} [options.format] One of TRANSFER_FORMATS (defaults to the location's extension)
+ * @param {Function} [options.toItem] Converts a plain record to `{item}` or `{errors}`; required for jsonl and csv
+ * @param {object} [options.rename] Source names mapped to attribute names, e.g. {Notes: "Note"}
+ * @param {string} [options.checkpoint] File to save the import position in
+ * @param {boolean} [options.resume] Continue from the position saved in `checkpoint`
+ * @param {number} [options.checkpointEvery] Records written between checkpoints
+ * @param {S3Client} [options.s3Client] Client for `s3://` locations
+ * @param {Function} [options.onProgress] Called with {position, imported} after each chunk
+ * @returns {Promise<object>} location, format, resumedFrom, position (records read), imported
+ *     and invalid ({position, line, errors})
+ * @throws {ImportInterruptedError} If a chunk could not be written completely
+ */
+export async function importTable(client, tableName, location, options = {}) {
+    const {
+        format = formatFromLocation(location),
+        toItem,
+        rename: renames = {},
+        checkpoint,
+        resume = false,
+        checkpointEvery = TRANSFER_DEFAULTS.checkpointEvery,
+        s3Client,
+        onProgress,
+        ...batchOptions
+    } = options;
+    checkFormat(format);
+    if (format !== "dynamodb-json" && !toItem) {
+        throw new Error(`Importing ${format} needs a toItem function`);
+    }
+
+    const saved = resume && checkpoint ? await readCheckpoint(checkpoint, { location, tableName, format }) : undefined;
+    const summary = {
+        location,
+        format,
+        resumedFrom: saved?.position ?? 0,
+        position: saved?.position ?? 0,
+        imported: saved?.imported ?? 0,
+        invalid: [],
+    };
+    let invalidCount = saved?.invalid ?? 0;
+    let pending = [];
+    let read = 0;
+
+    const flush = async () => {
+        const { succeeded, failed } = await batchWriteItems(client, tableName, pending, batchOptions);
+        summary.imported += succeeded;
+        if (failed.length > 0) {
+            throw new ImportInterruptedError(summary, {
+                checkpoint,
+                failed: failed.map(({ request, error }) => ({ item: unmarshall(request.PutRequest.Item), error })),
+            });
+        }
+        summary.position = read;
+        pending = [];
+        if (checkpoint) {
+            await writeCheckpoint(checkpoint, {
+                location,
+                tableName,
+                format,
+                position: summary.position,
+                imported: summary.imported,
+                invalid: invalidCount,
+                updatedAt: new Date().toISOString(),
+            });
+        }
+        onProgress?.({ position: summary.position, imported: summary.imported });
+    };
+
+    const stream = await openSource(location, s3Client);
+    try {
+        for await (const { record, line, error } of readRecords(stream, format)) {
+            read++;
+            if (read <= summary.resumedFrom) {
+                continue;
+            }
+            const { item, errors } = error
+                ? { errors: [error] }
+                : format === "dynamodb-json" ? fromDynamoDbJson(record) : toItem(renameAttributes(record, renames, format));
+            if (errors?.length > 0) {
+                summary.invalid.push({ position: read, line, errors });
+                invalidCount++;
+            } else {
+                pending.push({ PutRequest: { Item: item } });
+            }
+            if (read - summary.position >= checkpointEvery) {
+                await flush();
+            }
+        }
+        if (read > summary.position) {
+            await flush();
+        }
+    } finally {
+        stream.destroy();
+    }
+    if (checkpoint) {
+        await rm(checkpoint, { force: true });
+    }
+    return summary;
+}
+
+/**
+ * Split an export or import location into a bucket and key, or a file name.
+ *
+ * @param {string} location A file name or an `s3://bucket/key` URL
+ * @returns {{bucket: string, key: string}|{file: string}}
+ */
+export function parseLocation(location) {
+    const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(location);
+    if (match) {
+        return { bucket: match[1], key: match[2] };
+    }
+    if (location.startsWith("s3://")) {
+        throw new Error(`S3 locations must look like s3://bucket/key, got '${location}'`);
+    }
+    return { file: location };
+}
+
+/**
+ * Guess the format from the extension of a location: `.jsonl` and `.ndjson`
+ * are JSON Lines and `.csv` is CSV. DynamoDB JSON must be asked for
+ * explicitly.
+ *
+ * @param {string} location A file name or an `s3://bucket/key` URL
+ * @returns {string} One of TRANSFER_FORMATS
+ */
+export function formatFromLocation(location) {
+    if (/\.(jsonl|ndjson)$/i.test(location)) {
+        return "jsonl";
+    }
+    if (/\.csv$/i.test(location)) {
+        return "csv";
+    }
+    throw new Error(`Cannot tell the format of '${location}'; specify one of ${TRANSFER_FORMATS.join(", ")}`);
+}
+
+function checkFormat(format) {
+    if (!TRANSFER_FORMATS.includes(format)) {
+        throw new Error(`Unknown format '${format}', expected one of ${TRANSFER_FORMATS.join(", ")}`);
+    }
+}
+
+function encodeItems(items, format, columns) {
+    switch (format) {
+        case "jsonl":
+            return items.map((item) => `${JSON.stringify(unmarshall(item), jsonReplacer)}\n`).join("");
+        case "csv":
+            return `${formatCsv(items.map((item) => unmarshall(item)), { columns, header: false })}\n`;
+        default:
+            return items.map((item) => `${JSON.stringify({ Item: item })}\n`).join("");
+    }
+}
+
+/**
+ * JSON.stringify replacer that writes sets (string, number and binary set
+ * attributes) as arrays.
+ */
+export function jsonReplacer(key, value) {
+    return value instanceof Set ? [...value] : value;
+}
+
+async function* readRecords(stream, format) {
+    if (format === "csv") {
+        const parser = new CsvParser({ columns: true });
+        stream.setEncoding("utf8");
+        for await (const chunk of stream) {
+            for (const record of parser.push(chunk)) {
+                yield { record };
+            }
+        }
+        for (const record of parser.end()) {
+            yield { record };
+        }
+        return;
+    }
+    let line = 0;
+    for await (const text of createInterface({ input: stream, crlfDelay: Infinity })) {
+        line++;
+        if (text.trim() === "") {
+            continue;
+        }
+        try {
+            yield { record: JSON.parse(text), line };
+        } catch (error) {
+            yield { line, error: `invalid JSON: ${error.message}` };
+        }
+    }
+}
+
+function fromDynamoDbJson(record) {
+    const item = record?.Item;
+    if (item === null || typeof item !== "object" || Array.isArray(item)) {
+        return { errors: ["expected an object with an 'Item' in attribute value format"] };
+    }
+    return { item };
+}
+
+/**
+ * Rename the attributes of a plain record; empty CSV fields are left out.
+ *
+ * @param {object} record A parsed jsonl or csv record
+ * @param {object} renames Source names mapped to attribute names
+ * @param {string} format The format the record was read from
+ * @returns {object} The renamed record (anything but an object is returned as is)
+ */
+export function renameAttributes(record, renames, format) {
+    if (record === null || typeof record !== "object" || Array.isArray(record)) {
+        return record;
+    }
+    const renamed = {};
+    for (const [name, value] of Object.entries(record)) {
+        if (format === "csv" && value === "") {
+            continue;
+        }
+        renamed[renames[name] ?? name] = value;
+    }
+    return renamed;
+}
+
+async function openSource(location, s3Client) {
+    const { bucket, key, file } = parseLocation(location);
+    if (file) {
+        const stream = createReadStream(file);
+        // Surface a missing file here rather than halfway through the import
+        await once(stream, "open");
+        return stream;
+    }
+    const response = await (s3Client ?? instrumentClient(new S3Client({}))).send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return response.Body;
+}
+
+async function openTarget(location, { format, s3Client }) {
+    const { bucket, key, file } = parseLocation(location);
+    if (file) {
+        const temporaryFile = `${file}.part`;
+        const stream = createWriteStream(temporaryFile);
+        await once(stream, "open");
+        // Write errors are picked up by write() and finish() through stream.errored
+        stream.on("error", () => {});
+        return {
+            stream,
+            async finish() {
+                if (stream.errored) {
+                    throw stream.errored;
+                }
+                stream.end();
+                await once(stream, "finish");
+                await rename(temporaryFile, file);
+            },
+            async abort(error) {
+                stream.destroy(error);
+                await rm(temporaryFile, { force: true });
+            },
+        };
+    }
+    const stream = new PassThrough();
+    stream.on("error", () => {});
+    const upload = new Upload({
+        client: s3Client ?? instrumentClient(new S3Client({})),
+        params: { Bucket: bucket, Key: key, Body: stream, ContentType: CONTENT_TYPES[format] },
+    });
+    // The upload reads the stream while the scan writes to it; if the upload
+    // fails, fail the pending writes too instead of waiting for them forever
+    const done = upload.done();
+    done.catch((error) => stream.destroy(error));
+    return {
+        stream,
+        async finish() {
+            stream.end();
+            await done;
+        },
+        async abort(error) {
+            stream.destroy(error);
+            await upload.abort().catch(() => {});
+            await done.catch(() => {});
+        },
+    };
+}
+
+async function write(stream, text) {
+    if (stream.destroyed) {
+        throw stream.errored ?? new Error("The export was aborted");
+    }
+    if (!stream.write(text)) {
+        await once(stream, "drain");
+    }
+}
+
+/**
+ * Read a checkpoint file and check that it belongs to the same job.
+ *
+ * @param {string} file The checkpoint file
+ * @param {object} expected Values the checkpoint must have, e.g. {location, tableName}
+ * @returns {Promise<object|undefined>} The saved state, or undefined if there is no checkpoint
+ * @throws {Error} If the file cannot be read or is for another job
+ */
+export async function readCheckpoint(file, expected) {
+    let saved;
+    try {
+        saved = JSON.parse(await readFile(file, "utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return undefined;
+        }
+        throw new Error(`Cannot read checkpoint ${file}: ${error.message}`, { cause: error });
+    }
+    for (const [name, value] of Object.entries(expected)) {
+        if (saved[name] !== value) {
+            throw new Error(`Checkpoint ${file} is for ${name} '${saved[name]}', not '${value}'`);
+        }
+    }
+    return saved;
+}
+
+/**
+ * Save a checkpoint atomically.
+ *
+ * @param {string} file The checkpoint file
+ * @param {object} state The state to save
+ */
+export async function writeCheckpoint(file, state) {
+    // Write a new file and rename it so an interrupted write cannot corrupt the checkpoint
+    await writeFile(`${file}.tmp`, `${JSON.stringify(state, null, 2)}\n`);
+    await rename(`${file}.tmp`, file);
+}
@@ -0,0 +1,182 @@
+/**
+ * Transactions over notes.
+ *
+ * A transaction groups puts, updates, deletes and condition checks into one
+ * TransactWriteItems call: either all of them are applied or none is. Each
+ * operation follows the same rules as the single-note methods of
+ * NotesRepository (create-only puts, updates that require the note to exist,
+ * versions), and a transaction may touch each note at most once. Writes to
+ * other tables, such as the entries NotesService keeps in its index table,
+ * can be committed together with the notes.
+ */
+import { TransactWriteItemsCommand, DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { TransactionCanceledError } from "./errors.js";
+
+/**
+ * TransactWriteItems and TransactGetItems accept at most 100 items.
+ */
+export const MAX_TRANSACTION_ITEMS = 100;
+
+/**
+ * A transaction being assembled; create it with `NotesRepository.transaction()`.
+ *
+ *     await repository.transaction({ clientRequestToken: requestId })
+ *         .delete("alice", 5, { expectedVersion: 3 })
+ *         .put({ ...note, UserId: "bob" })
+ *         .commit();
+ */
+export class NotesTransaction {
+    #client;
+    #writes;
+    #operations = [];
+    #keys = new Set();
+
+    /**
+     * @param {DynamoDBClient} client Initialized client
+     * @param {object} writes Builders for the write requests and conflict errors, supplied by NotesRepository
+     * @param {object} [options]
+     * @param {string} [options.clientRequestToken] Idempotency token: committing again with the same
+     *     token within 10 minutes succeeds without applying the writes twice
+     */
+    constructor(client, writes, { clientRequestToken } = {}) {
+        this.#client = client;
+        this.#writes = writes;
+        this.clientRequestToken = clientRequestToken;
+    }
+
+    /**
+     * The number of operations added so far.
+     */
+    get size() {
+        return this.#operations.length;
+    }
+
+    /**
+     * Insert a note; create-only unless `overwrite` is set.
+     *
+     * @param {object} note The note, validated against the repository schema
+     * @param {object} [options] As for NotesRepository.insertNote
+     * @returns {NotesTransaction}
+     */
+    put(note, options = {}) {
+        return this.#add("put", "Put", this.#writes.put(note, options));
+    }
+
+    /**
+     * Update a note that must exist (unless `upsert` is set).
+     *
+     * @param {string} userId
+     * @param {number} noteId
+     * @param {object|UpdateBuilder} changes Attributes to set, or the update to apply
+     * @param {object} [options] As for NotesRepository.updateNote
+     * @returns {NotesTransaction}
+     */
+    update(userId, noteId, changes, options = {}) {
+        return this.#add("update", "Update", this.#writes.update(userId, noteId, changes, options));
+    }
+
+    /**
+     * Delete a note.
+     *
+     * @param {string} userId
+     * @param {number} noteId
+     * @param {object} [options] As for NotesRepository.deleteNote
+     * @returns {NotesTransaction}
+     */
+    delete(userId, noteId, options = {}) {
+        return this.#add("delete", "Delete", this.#writes.delete(userId, noteId, options));
+    }
+
+    /**
+     * Require a condition on a note that the transaction does not change.
+     *
+     * @param {string} userId
+     * @param {number} noteId
+     * @param {object} options
+     * @param {Condition} [options.condition] The condition that must hold
+     * @param {number} [options.expectedVersion] The version the note must have
+     * @returns {NotesTransaction}
+     */
+    conditionCheck(userId, noteId, options) {
+        return this.#add("conditionCheck", "ConditionCheck", this.#writes.conditionCheck(userId, noteId, options));
+    }
+
+    /**
+     * Add a write to another table, committed together with the notes.
+     *
+     * @param {object} item A TransactWriteItems item: {Put}, {Update}, {Delete} or {ConditionCheck}
+     *     with its TableName
+     * @param {object} [key] Identifies the item in results and errors, e.g. {PK, SK}
+     * @returns {NotesTransaction}
+     */
+    addItem(item, key = {}) {
+        const [itemType, input] = Object.entries(item)[0] ?? [];
+        if (!["Put", "Update", "Delete", "ConditionCheck"].includes(itemType) || !input?.TableName) {
+            throw new Error("addItem needs a Put, Update, Delete or ConditionCheck item with a TableName");
+        }
+        if (this.#operations.length >= MAX_TRANSACTION_ITEMS) {
+            throw new Error(`A transaction can have at most ${MAX_TRANSACTION_ITEMS} operations`);
+        }
+        const type = itemType[0].toLowerCase() + itemType.slice(1);
+        this.#operations.push({ type, write: { key, table: input.TableName }, item });
+        return this;
+    }
+
+    /**
+     * Apply all operations atomically.
+     *
+     * @returns {Promise<{operations: Array<{type: string, key: object}>, notes: object[]}>}
+     *     The operations applied and the notes written by puts
+     * @throws {TransactionCanceledError} If DynamoDB cancelled the transaction
+     */
+    async commit() {
+        if (this.#operations.length === 0) {
+            throw new Error("A transaction needs at least one operation");
+        }
+        try {
+            await this.#client.send(new TransactWriteItemsCommand({
+                TransactItems: this.#operations.map(({ item }) => item),
+                ClientRequestToken: this.clientRequestToken,
+            }));
+        } catch (error) {
+            if (error.name !== "TransactionCanceledException") {
+                throw error;
+            }
+            throw new TransactionCanceledError(this.#decodeReasons(error), error);
+        }
+        return {
+            operations: this.#operations.map(({ type, write }) => ({ type, key: write.key })),
+            notes: this.#operations.filter(({ write }) => write.note).map(({ write }) => write.note),
+        };
+    }
+
+    #add(type, itemType, write) {
+        if (this.#operations.length >= MAX_TRANSACTION_ITEMS) {
+            throw new Error(`A transaction can have at most ${MAX_TRANSACTION_ITEMS} operations`);
+        }
+        const id = `${write.key.UserId}/${write.key.NoteId}`;
+        if (this.#keys.has(id)) {
+            throw new Error(`A transaction can only include note ${id} once`);
+        }
+        this.#keys.add(id);
+        this.#operations.push({ type, write, item: { [itemType]: write.input } });
+        return this;
+    }
+
+    /**
+     * Match the CancellationReasons to the operations, turning failed
+     * conditions into ConditionalCheckFailedErrors.
+     */
+    #decodeReasons(error) {
+        const reasons = error.CancellationReasons ?? [];
+        return this.#operations.map(({ type, write }, index) => {
+            const reason = reasons[index] ?? { Code: "Unknown" };
+            const decoded = { index, type, key: write.key, code: reason.Code ?? "None", message: reason.Message };
+            if (reason.Code === "ConditionalCheckFailed" && !write.table) {
+                decoded.error = this.#writes.conflict(write, reason.Item ? unmarshall(reason.Item) : undefined, error);
+            }
+            return decoded;
+        });
+    }
+}
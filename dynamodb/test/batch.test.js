@@ -0,0 +1,145 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { BatchGetItemCommand, BatchWriteItemCommand, DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { marshall } from "@aws-sdk/util-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import { GET_BATCH_SIZE, WRITE_BATCH_SIZE, batchGetItems, batchWriteItems } from "../index.js";
+
+// Command-level stubs: client.send never reaches the network
+const dynamodb = mockClient(DynamoDBClient);
+const client = new DynamoDBClient({ region: "us-east-1", credentials: { accessKeyId: "a", secretAccessKey: "b" } });
+
+// Keep the retries fast
+const FAST = { baseDelay: 1, maxDelay: 1 };
+
+function keyOf(noteId) {
+    return marshall({ UserId: "student", NoteId: noteId });
+}
+
+function putOf(noteId) {
+    return { PutRequest: { Item: marshall({ UserId: "student", NoteId: noteId, Note: `note ${noteId}` }) } };
+}
+
+function range(count) {
+    return Array.from({ length: count }, (_, i) => i + 1);
+}
+
+beforeEach(() => {
+    dynamodb.reset();
+});
+
+describe("batchWriteItems", () => {
+    test(`sends at most ${WRITE_BATCH_SIZE} requests per call`, async () => {
+        dynamodb.on(BatchWriteItemCommand).resolves({});
+
+        const summary = await batchWriteItems(client, "Notes", range(60).map(putOf), FAST);
+
+        assert.deepEqual(summary, { succeeded: 60, failed: [] });
+        assert.deepEqual(dynamodb.commandCalls(BatchWriteItemCommand)
+            .map((call) => call.args[0].input.RequestItems.Notes.length).sort(), [10, 25, 25]);
+    });
+
+    test("retries the unprocessed items until they are written", async () => {
+        const requests = range(3).map(putOf);
+        let calls = 0;
+        dynamodb.on(BatchWriteItemCommand).callsFake(({ RequestItems }) => {
+            calls++;
+            // Accept one request per call
+            return { UnprocessedItems: calls < 3 ? { Notes: RequestItems.Notes.slice(1) } : {} };
+        });
+
+        const summary = await batchWriteItems(client, "Notes", requests, FAST);
+
+        assert.deepEqual(summary, { succeeded: 3, failed: [] });
+        assert.deepEqual(dynamodb.commandCalls(BatchWriteItemCommand)
+            .map((call) => call.args[0].input.RequestItems.Notes), [requests, requests.slice(1), requests.slice(2)]);
+    });
+
+    test("gives up on items still unprocessed after maxAttempts", async () => {
+        const requests = range(2).map(putOf);
+        // The last request is never accepted
+        dynamodb.on(BatchWriteItemCommand).callsFake(({ RequestItems }) => ({
+            UnprocessedItems: { Notes: RequestItems.Notes.slice(-1) },
+        }));
+
+        const summary = await batchWriteItems(client, "Notes", requests, { ...FAST, maxAttempts: 3 });
+
+        assert.equal(summary.succeeded, 1);
+        assert.deepEqual(summary.failed, [{ request: requests[1], error: "Still unprocessed after 3 attempts" }]);
+        assert.equal(dynamodb.commandCalls(BatchWriteItemCommand).length, 3);
+    });
+
+    test("reports a rejected batch as failed without retrying it", async () => {
+        dynamodb.on(BatchWriteItemCommand)
+            .rejectsOnce(new Error("Item size has exceeded the maximum allowed size"))
+            .resolves({});
+
+        const summary = await batchWriteItems(client, "Notes", range(30).map(putOf), { ...FAST, concurrency: 1 });
+
+        assert.equal(summary.succeeded, 5);
+        assert.equal(summary.failed.length, 25);
+        assert.equal(summary.failed[0].error, "Item size has exceeded the maximum allowed size");
+        assert.equal(dynamodb.commandCalls(BatchWriteItemCommand).length, 2);
+    });
+});
+
+describe("batchGetItems", () => {
+    test(`asks for at most ${GET_BATCH_SIZE} keys per call with the read options`, async () => {
+        dynamodb.on(BatchGetItemCommand).callsFake(({ RequestItems }) => ({
+            Responses: { Notes: RequestItems.Notes.Keys },
+        }));
+
+        const summary = await batchGetItems(client, "Notes", range(250).map(keyOf), {
+            ...FAST,
+            consistentRead: true,
+            projectionExpression: "#note",
+            expressionAttributeNames: { "#note": "Note" },
+        });
+
+        assert.equal(summary.items.length, 250);
+        assert.deepEqual(summary.failed, []);
+        const inputs = dynamodb.commandCalls(BatchGetItemCommand).map((call) => call.args[0].input.RequestItems.Notes);
+        assert.deepEqual(inputs.map(({ Keys }) => Keys.length).sort(), [100, 100, 50]);
+        assert.equal(inputs[0].ConsistentRead, true);
+        assert.equal(inputs[0].ProjectionExpression, "#note");
+        assert.deepEqual(inputs[0].ExpressionAttributeNames, { "#note": "Note" });
+    });
+
+    test("retries the unprocessed keys and collects the items of every attempt", async () => {
+        const keys = range(3).map(keyOf);
+        dynamodb.on(BatchGetItemCommand).callsFake(({ RequestItems }) => {
+            const [first, ...rest] = RequestItems.Notes.Keys;
+            return {
+                Responses: { Notes: [first] },
+                UnprocessedKeys: rest.length > 0 ? { Notes: { Keys: rest } } : {},
+            };
+        });
+
+        const summary = await batchGetItems(client, "Notes", keys, FAST);
+
+        assert.deepEqual(summary, { items: keys, failed: [] });
+        assert.equal(dynamodb.commandCalls(BatchGetItemCommand).length, 3);
+    });
+
+    test("gives up on keys still unprocessed after maxAttempts", async () => {
+        const keys = range(2).map(keyOf);
+        dynamodb.on(BatchGetItemCommand).callsFake(({ RequestItems }) => ({
+            UnprocessedKeys: { Notes: { Keys: RequestItems.Notes.Keys } },
+        }));
+
+        const summary = await batchGetItems(client, "Notes", keys, { ...FAST, maxAttempts: 2 });
+
+        assert.deepEqual(summary.items, []);
+        assert.deepEqual(summary.failed, keys.map((key) => ({ key, error: "Still unprocessed after 2 attempts" })));
+        assert.equal(dynamodb.commandCalls(BatchGetItemCommand).length, 2);
+    });
+
+    test("reports the keys of a rejected batch as failed", async () => {
+        dynamodb.on(BatchGetItemCommand).rejects(new Error("Requested resource not found"));
+
+        const summary = await batchGetItems(client, "Notes", [keyOf(1)], FAST);
+
+        assert.deepEqual(summary.failed, [{ key: keyOf(1), error: "Requested resource not found" }]);
+        assert.equal(dynamodb.commandCalls(BatchGetItemCommand).length, 1);
+    });
+});
@@ -0,0 +1,58 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { DynamoDBClient, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall } from "@aws-sdk/util-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import { NotesRepository } from "../index.js";
+import { run } from "../lib/cli.js";
+
+// Command-level stubs: client.send never reaches the network
+const dynamodb = mockClient(DynamoDBClient);
+
+function output() {
+    const chunks = [];
+    return { write: (chunk) => chunks.push(chunk), text: () => chunks.join("") };
+}
+
+async function runNotes(...argv) {
+    const stdout = output();
+    const stderr = output();
+    const client = new DynamoDBClient({ region: "us-east-1", credentials: { accessKeyId: "a", secretAccessKey: "b" } });
+    const code = await run(argv, { stdout, stderr, createRepository: async () => new NotesRepository({ client }) });
+    return { code, stdout: stdout.text(), stderr: stderr.text() };
+}
+
+beforeEach(() => {
+    dynamodb.reset();
+});
+
+describe("notes update", () => {
+    test("coerces --set values to the schema types", async () => {
+        dynamodb.on(UpdateItemCommand).resolves({
+            Attributes: marshall({ UserId: "student", NoteId: 5, Note: "x", Is_Incomplete: "No", Version: 2 }),
+        });
+
+        const { code } = await runNotes("notes", "update", "student", "5", "--set", "Is_Incomplete=No", "--add", "Edits=1");
+
+        assert.equal(code, 0);
+        const input = dynamodb.commandCalls(UpdateItemCommand)[0].args[0].input;
+        assert.match(input.UpdateExpression, /^SET #n0 = :v0 ADD #n1 :v1, #n2 :v2$/);
+        assert.deepEqual(input.ExpressionAttributeValues[":v0"], { S: "No" });
+    });
+
+    for (const [argv, message] of [
+        [["--set", "Note=42"], /attribute 'Note' must be a string, got number/],
+        [["--set", "NoteId=6"], /key attribute 'NoteId' cannot be updated/],
+        [["--set", "Version=7"], /'Version' is maintained by the repository/],
+        [["--remove", "Note"], /required attribute 'Note' cannot be removed/],
+        [["--set", "Is_Incomplete=Yes", "--upsert"], /an upsert must set required attribute 'Note'/],
+    ]) {
+        test(`rejects ${argv.join(" ")} without calling DynamoDB`, async () => {
+            const { code, stderr } = await runNotes("notes", "update", "student", "5", ...argv);
+
+            assert.equal(code, 1);
+            assert.match(stderr, message);
+            assert.equal(dynamodb.calls().length, 0);
+        });
+    }
+});
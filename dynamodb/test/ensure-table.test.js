@@ -0,0 +1,176 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    CreateTableCommand,
+    DescribeTableCommand,
+    DescribeTimeToLiveCommand,
+    DynamoDBClient,
+    ResourceNotFoundException,
+    UpdateTableCommand,
+    UpdateTimeToLiveCommand,
+} from "@aws-sdk/client-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import { TableDefinitionError, ensureTable } from "../index.js";
+
+// Command-level stubs: client.send never reaches the network
+const dynamodb = mockClient(DynamoDBClient);
+const client = new DynamoDBClient({ region: "us-east-1", credentials: { accessKeyId: "a", secretAccessKey: "b" } });
+
+const DEFINITION = {
+    tableName: "Notes",
+    attributes: { UserId: "S", NoteId: "N" },
+    key: { partition: "UserId", sort: "NoteId" },
+    billing: { mode: "PAY_PER_REQUEST" },
+};
+
+function liveTable(overrides = {}) {
+    return {
+        TableName: "Notes",
+        TableStatus: "ACTIVE",
+        TableArn: "arn:aws:dynamodb:us-east-1:123456789012:table/Notes",
+        KeySchema: [
+            { AttributeName: "UserId", KeyType: "HASH" },
+            { AttributeName: "NoteId", KeyType: "RANGE" },
+        ],
+        AttributeDefinitions: [
+            { AttributeName: "UserId", AttributeType: "S" },
+            { AttributeName: "NoteId", AttributeType: "N" },
+        ],
+        BillingModeSummary: { BillingMode: "PAY_PER_REQUEST" },
+        ...overrides,
+    };
+}
+
+function actionsOf(result) {
+    return result.changes.map(({ action }) => action);
+}
+
+beforeEach(() => {
+    dynamodb.reset();
+});
+
+describe("ensureTable", () => {
+    test("plans the creation of a missing table and its TTL", async () => {
+        dynamodb.on(DescribeTableCommand).rejects(new ResourceNotFoundException({ message: "not found", $metadata: {} }));
+
+        const result = await ensureTable(client, { ...DEFINITION, ttl: "ExpiresAt" }, { dryRun: true });
+
+        assert.equal(result.created, true);
+        assert.deepEqual(actionsOf(result), ["create-table", "enable-ttl"]);
+        assert.equal(dynamodb.commandCalls(CreateTableCommand).length, 0);
+    });
+
+    test("plans nothing for a table that matches the definition", async () => {
+        dynamodb.on(DescribeTableCommand).resolves({ Table: liveTable() });
+
+        const result = await ensureTable(client, DEFINITION, { dryRun: true });
+
+        assert.deepEqual(result.changes, []);
+    });
+
+    test("switches billing and recreates an index whose key changed", async () => {
+        dynamodb.on(DescribeTableCommand).resolves({
+            Table: liveTable({
+                BillingModeSummary: { BillingMode: "PROVISIONED" },
+                ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 },
+                GlobalSecondaryIndexes: [{
+                    IndexName: "IncompleteNotes",
+                    IndexStatus: "ACTIVE",
+                    KeySchema: [{ AttributeName: "Is_Incomplete", KeyType: "HASH" }],
+                    Projection: { ProjectionType: "KEYS_ONLY" },
+                }],
+            }),
+        });
+
+        const result = await ensureTable(client, {
+            ...DEFINITION,
+            attributes: { ...DEFINITION.attributes, Is_Incomplete: "S" },
+            globalIndexes: [{
+                name: "IncompleteNotes",
+                key: { partition: "Is_Incomplete", sort: "NoteId" },
+                projection: "KEYS_ONLY",
+            }],
+        }, { dryRun: true });
+
+        assert.deepEqual(actionsOf(result), ["update-billing", "delete-index", "create-index"]);
+        assert.equal(dynamodb.commandCalls(UpdateTableCommand).length, 0);
+    });
+
+    test("rejects a different key schema before changing anything", async () => {
+        dynamodb.on(DescribeTableCommand).resolves({ Table: liveTable() });
+
+        await assert.rejects(ensureTable(client, { ...DEFINITION, key: { partition: "NoteId", sort: "UserId" } }),
+            (error) => error instanceof TableDefinitionError && /key schema of Notes cannot change/.test(error.message));
+        assert.equal(dynamodb.commandCalls(UpdateTableCommand).length, 0);
+    });
+
+    test("applies each step and waits for the table to become active", async () => {
+        let updating = 0;
+        dynamodb.on(DescribeTableCommand).callsFake(() => ({
+            Table: liveTable({ TableStatus: updating-- > 0 ? "UPDATING" : "ACTIVE" }),
+        }));
+        dynamodb.on(UpdateTableCommand).callsFake(() => {
+            updating = 2;
+            return {};
+        });
+
+        const result = await ensureTable(client, { ...DEFINITION, stream: "NEW_IMAGE" }, { pollInterval: 1 });
+
+        assert.deepEqual(actionsOf(result), ["enable-stream"]);
+        assert.deepEqual(dynamodb.commandCalls(UpdateTableCommand)[0].args[0].input.StreamSpecification,
+            { StreamEnabled: true, StreamViewType: "NEW_IMAGE" });
+        assert.equal(dynamodb.commandCalls(DescribeTableCommand).length, 4);
+    });
+});
+
+describe("ensureTable TTL", () => {
+    function liveTtl(status, attributeName) {
+        dynamodb.on(DescribeTableCommand).resolves({ Table: liveTable() });
+        dynamodb.on(DescribeTimeToLiveCommand).resolves({
+            TimeToLiveDescription: { TimeToLiveStatus: status, AttributeName: attributeName },
+        });
+    }
+
+    test("enables TTL that is off", async () => {
+        liveTtl("DISABLED");
+
+        const result = await ensureTable(client, { ...DEFINITION, ttl: "ExpiresAt" });
+
+        assert.deepEqual(actionsOf(result), ["enable-ttl"]);
+        assert.deepEqual(dynamodb.commandCalls(UpdateTimeToLiveCommand)[0].args[0].input.TimeToLiveSpecification,
+            { AttributeName: "ExpiresAt", Enabled: true });
+    });
+
+    test("disables TTL when the definition turns it off", async () => {
+        liveTtl("ENABLED", "ExpiresAt");
+
+        const result = await ensureTable(client, { ...DEFINITION, ttl: null }, { dryRun: true });
+
+        assert.deepEqual(actionsOf(result), ["disable-ttl"]);
+    });
+
+    test("leaves TTL that is being disabled alone when the definition turns it off", async () => {
+        liveTtl("DISABLING", "ExpiresAt");
+
+        const result = await ensureTable(client, { ...DEFINITION, ttl: null }, { dryRun: true });
+
+        assert.deepEqual(result.changes, []);
+    });
+
+    test("refuses to move TTL to another attribute in one run", async () => {
+        liveTtl("ENABLED", "ExpiresAt");
+
+        await assert.rejects(ensureTable(client, { ...DEFINITION, ttl: "DeleteAt" }),
+            (error) => error instanceof TableDefinitionError &&
+                /enabled on ExpiresAt; moving it to DeleteAt takes two changes/.test(error.message));
+        assert.equal(dynamodb.commandCalls(UpdateTimeToLiveCommand).length, 0);
+    });
+
+    test("refuses to enable TTL while it is still being disabled", async () => {
+        liveTtl("DISABLING", "ExpiresAt");
+
+        await assert.rejects(ensureTable(client, { ...DEFINITION, ttl: "DeleteAt" }),
+            /still being disabled; run again to enable it on DeleteAt/);
+        assert.equal(dynamodb.commandCalls(UpdateTimeToLiveCommand).length, 0);
+    });
+});
@@ -0,0 +1,29 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { attr, buildExpressions, update } from "../index.js";
+
+describe("attribute paths", () => {
+    test("splits strings into document paths and keeps array segments as names", () => {
+        const input = buildExpressions({
+            update: update().set("Details.Tags[0]", "exam").set(["Details", "a.b", "Tags", 1], "draft"),
+            condition: attr(["a.b"]).exists(),
+        });
+
+        assert.equal(input.UpdateExpression, "SET #n0.#n1[0] = :v0, #n0.#n2.#n1[1] = :v1");
+        assert.equal(input.ConditionExpression, "attribute_exists(#n2)");
+        assert.deepEqual(input.ExpressionAttributeNames, { "#n0": "Details", "#n1": "Tags", "#n2": "a.b" });
+    });
+
+    test("sets the keys of a plain object as top-level names", () => {
+        const input = buildExpressions({ update: update().setAll({ "a.b": 1, "Tags[0]": 2 }) });
+
+        assert.equal(input.UpdateExpression, "SET #n0 = :v0, #n1 = :v1");
+        assert.deepEqual(input.ExpressionAttributeNames, { "#n0": "a.b", "#n1": "Tags[0]" });
+    });
+
+    test("rejects empty segments and indexes without a name", () => {
+        assert.throws(() => attr([]), /Invalid attribute path/);
+        assert.throws(() => attr([0, "Tags"]), /Invalid attribute path/);
+        assert.throws(() => attr(["Tags", ""]), /Invalid attribute path/);
+    });
+});
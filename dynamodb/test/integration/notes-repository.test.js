@@ -0,0 +1,51 @@
+/**
+ * Runs the repository against DynamoDB Local (or any DynamoDB-compatible
+ * endpoint) when DYNAMODB_TEST_ENDPOINT is set, e.g.
+ *
+ *     docker run -p 8000:8000 amazon/dynamodb-local
+ *     DYNAMODB_TEST_ENDPOINT=http://localhost:8000 npm run test:integration
+ *
+ * Each run creates its own table and deletes it at the end.
+ */
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ConditionalCheckFailedError, NotesRepository } from "../../index.js";
+
+const endpoint = process.env.DYNAMODB_TEST_ENDPOINT;
+
+describe("NotesRepository on DynamoDB Local", { skip: !endpoint && "DYNAMODB_TEST_ENDPOINT is not set" }, () => {
+    let notes;
+
+    before(async () => {
+        notes = new NotesRepository({
+            tableName: `NotesTest-${Date.now()}`,
+            clientConfig: {
+                endpoint,
+                region: process.env.AWS_REGION ?? "us-east-1",
+                credentials: { accessKeyId: "test", secretAccessKey: "test" },
+            },
+        });
+        await notes.createTable();
+        await notes.waitUntilTableExists(60);
+    });
+
+    after(async () => {
+        await notes?.deleteTable();
+    });
+
+    test("inserts, updates and reads notes back", async () => {
+        await notes.insertNote({ UserId: "student", NoteId: 1, Note: "First" });
+        await notes.insertNote({ UserId: "student", NoteId: 2, Note: "Second" });
+        await assert.rejects(notes.insertNote({ UserId: "student", NoteId: 1, Note: "Again" }), ConditionalCheckFailedError);
+
+        const updated = await notes.updateNote("student", 2, { Is_Incomplete: "No" }, { expectedVersion: 1 });
+        assert.equal(updated.Is_Incomplete, "No");
+        assert.equal(updated.Version, 2);
+
+        const listed = await notes.queryNotes("student", { projection: null, consistentRead: true });
+        assert.deepEqual(listed.map((note) => [note.NoteId, note.Note]), [[1, "First"], [2, "Second"]]);
+
+        const [found] = await notes.partiqlQuery("student", 2, { consistentRead: true });
+        assert.equal(found.Version, 2);
+    });
+});
@@ -0,0 +1,284 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    ConditionalCheckFailedException,
+    CreateTableCommand,
+    DynamoDBClient,
+    ExecuteStatementCommand,
+    PutItemCommand,
+    QueryCommand,
+    UpdateItemCommand,
+} from "@aws-sdk/client-dynamodb";
+import { marshall } from "@aws-sdk/util-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import { ConditionalCheckFailedError, NoteValidationError, NotesRepository, update } from "../index.js";
+
+// Command-level stubs: client.send never reaches the network
+const dynamodb = mockClient(DynamoDBClient);
+
+function createRepository(options = {}) {
+    const client = new DynamoDBClient({ region: "us-east-1", credentials: { accessKeyId: "a", secretAccessKey: "b" } });
+    return new NotesRepository({ client, ...options });
+}
+
+function inputOf(command, index = 0) {
+    return dynamodb.commandCalls(command)[index].args[0].input;
+}
+
+beforeEach(() => {
+    dynamodb.reset();
+});
+
+describe("createTable", () => {
+    test("creates the table from the default definition", async () => {
+        dynamodb.on(CreateTableCommand).resolves({});
+        await createRepository({ tableName: "TestNotes" }).createTable();
+
+        const input = inputOf(CreateTableCommand);
+        assert.equal(input.TableName, "TestNotes");
+        assert.deepEqual(input.KeySchema, [
+            { AttributeName: "UserId", KeyType: "HASH" },
+            { AttributeName: "NoteId", KeyType: "RANGE" },
+        ]);
+        assert.deepEqual(input.AttributeDefinitions, [
+            { AttributeName: "UserId", AttributeType: "S" },
+            { AttributeName: "NoteId", AttributeType: "N" },
+        ]);
+        assert.deepEqual(input.ProvisionedThroughput, { ReadCapacityUnits: 5, WriteCapacityUnits: 5 });
+    });
+
+    test("uses the billing mode of a custom definition", async () => {
+        dynamodb.on(CreateTableCommand).resolves({});
+        const tableDefinition = {
+            tableName: "Ignored",
+            attributes: { UserId: "S", NoteId: "N" },
+            key: { partition: "UserId", sort: "NoteId" },
+            billing: { mode: "PAY_PER_REQUEST" },
+        };
+        await createRepository({ tableDefinition }).createTable();
+
+        const input = inputOf(CreateTableCommand);
+        assert.equal(input.TableName, "Notes");
+        assert.equal(input.BillingMode, "PAY_PER_REQUEST");
+        assert.equal(input.ProvisionedThroughput, undefined);
+    });
+});
+
+describe("insertNote", () => {
+    test("writes a create-only note at version 1", async () => {
+        dynamodb.on(PutItemCommand).resolves({});
+        const note = await createRepository().insertNote({ UserId: "student", NoteId: "005", Note: "Hello" });
+
+        assert.deepEqual(note, { UserId: "student", NoteId: 5, Note: "Hello", Version: 1 });
+        const input = inputOf(PutItemCommand);
+        assert.equal(input.TableName, "Notes");
+        assert.deepEqual(input.Item, marshall(note));
+        assert.match(input.ConditionExpression, /attribute_not_exists/);
+    });
+
+    test("rejects an existing note with the stored copy", async () => {
+        const stored = { UserId: "student", NoteId: 5, Note: "Older", Version: 3 };
+        dynamodb.on(PutItemCommand).rejects(new ConditionalCheckFailedException({
+            message: "The conditional request failed",
+            $metadata: {},
+            Item: marshall(stored),
+        }));
+
+        await assert.rejects(
+            createRepository().insertNote({ UserId: "student", NoteId: 5, Note: "Hello" }),
+            (error) => {
+                assert.ok(error instanceof ConditionalCheckFailedError);
+                assert.match(error.message, /already exists/);
+                assert.deepEqual(error.current, stored);
+                return true;
+            },
+        );
+    });
+
+    test("validates the note before sending anything", async () => {
+        await assert.rejects(createRepository().insertNote({ UserId: "student", NoteId: "five" }), NoteValidationError);
+        assert.equal(dynamodb.calls().length, 0);
+    });
+
+    test("overwrites unconditionally with overwrite", async () => {
+        dynamodb.on(PutItemCommand).resolves({});
+        const note = await createRepository().insertNote(
+            { UserId: "student", NoteId: 5, Note: "Hello", Version: 2 },
+            { overwrite: true },
+        );
+
+        assert.equal(note.Version, 3);
+        assert.equal(inputOf(PutItemCommand).ConditionExpression, undefined);
+    });
+});
+
+describe("updateNote", () => {
+    test("sets attributes of an existing note and returns the new note", async () => {
+        const updated = { UserId: "student", NoteId: 5, Note: "Hello", Is_Incomplete: "No", Version: 2 };
+        dynamodb.on(UpdateItemCommand).resolves({ Attributes: marshall(updated) });
+
+        const note = await createRepository().updateNote("student", 5, { Is_Incomplete: "No" });
+
+        assert.deepEqual(note, updated);
+        const input = inputOf(UpdateItemCommand);
+        assert.deepEqual(input.Key, marshall({ UserId: "student", NoteId: 5 }));
+        assert.equal(input.ReturnValues, "ALL_NEW");
+        assert.match(input.UpdateExpression, /^SET /);
+        assert.match(input.ConditionExpression, /attribute_exists/);
+        assert.ok(Object.values(input.ExpressionAttributeNames).includes("Is_Incomplete"));
+        assert.ok(Object.values(input.ExpressionAttributeValues).some((value) => value.S === "No"));
+    });
+
+    test("coerces set values to the schema types", async () => {
+        dynamodb.on(UpdateItemCommand).resolves({ Attributes: marshall({ UserId: "student", NoteId: 5, Note: "x" }) });
+
+        await createRepository().updateNote("student", 5, { Priority: 2, Is_Incomplete: "No" });
+        await assert.rejects(createRepository().updateNote("student", 5, { Note: 123 }),
+            (error) => error instanceof NoteValidationError && /attribute 'Note' must be a string/.test(error.message));
+
+        assert.equal(dynamodb.commandCalls(UpdateItemCommand).length, 1);
+    });
+
+    test("sets attribute names containing dots as top-level attributes", async () => {
+        dynamodb.on(UpdateItemCommand).resolves({ Attributes: marshall({ UserId: "student", NoteId: 5, Note: "x" }) });
+
+        await createRepository().updateNote("student", 5, { "a.b": 1 });
+
+        const input = inputOf(UpdateItemCommand);
+        assert.match(input.UpdateExpression, /^SET #n0 = :v0 ADD/);
+        assert.equal(input.ExpressionAttributeNames["#n0"], "a.b");
+    });
+
+    test("rejects changes to key attributes and the version before sending anything", async () => {
+        const repository = createRepository();
+
+        await assert.rejects(repository.updateNote("student", 5, { NoteId: "x" }),
+            /key attribute 'NoteId' cannot be updated/);
+        await assert.rejects(repository.updateNote("student", 5, { Note: "Changed", Version: 3 }),
+            /'Version' is maintained by the repository/);
+        assert.equal(dynamodb.calls().length, 0);
+    });
+
+    test("checks update expressions against the schema", async () => {
+        dynamodb.on(UpdateItemCommand).resolves({ Attributes: marshall({ UserId: "student", NoteId: 5, Note: "x" }) });
+        const repository = createRepository();
+
+        await repository.updateNote("student", 5, update().set("Note", "text").set("Priority", "2").add("Edits", 1));
+        await assert.rejects(repository.updateNote("student", 5, update().set("Note", 42)),
+            /attribute 'Note' must be a string, got number/);
+        await assert.rejects(repository.updateNote("student", 5, update().set("NoteId", 6)),
+            /key attribute 'NoteId' cannot be updated/);
+        await assert.rejects(repository.updateNote("student", 5, update().add("Version", 1)),
+            /'Version' is maintained by the repository/);
+        await assert.rejects(repository.updateNote("student", 5, update().remove("Note")),
+            /required attribute 'Note' cannot be removed/);
+        await assert.rejects(repository.updateNote("student", 5, update().add("Note", 1)),
+            /'Note' of type S cannot be used with ADD/);
+        await assert.rejects(repository.updateNote("student", 5, update().set("Note[0]", "x")),
+            /'Note' is not a list or map/);
+        await assert.rejects(repository.updateNote("student", 6, update().set("Is_Incomplete", "Yes"), { upsert: true }),
+            /an upsert must set required attribute 'Note'/);
+
+        assert.equal(dynamodb.commandCalls(UpdateItemCommand).length, 1);
+        const input = inputOf(UpdateItemCommand);
+        assert.equal(input.UpdateExpression, "SET #n0 = :v0, #n1 = :v1 ADD #n2 :v2, #n3 :v3");
+        assert.deepEqual(input.ExpressionAttributeValues[":v1"], { S: "2" });
+    });
+
+    test("reports a version conflict", async () => {
+        dynamodb.on(UpdateItemCommand).rejects(new ConditionalCheckFailedException({
+            message: "The conditional request failed",
+            $metadata: {},
+            Item: marshall({ UserId: "student", NoteId: 5, Note: "Hello", Version: 4 }),
+        }));
+
+        await assert.rejects(
+            createRepository().updateNote("student", 5, { Note: "Changed" }, { expectedVersion: 3 }),
+            /expected version 3, found 4/,
+        );
+    });
+
+    test("reports a missing note", async () => {
+        dynamodb.on(UpdateItemCommand).rejects(new ConditionalCheckFailedException({
+            message: "The conditional request failed",
+            $metadata: {},
+        }));
+
+        await assert.rejects(createRepository().updateNote("student", 99), /does not exist/);
+    });
+});
+
+describe("queryNotes", () => {
+    test("follows LastEvaluatedKey across pages", async () => {
+        dynamodb.on(QueryCommand)
+            .resolvesOnce({
+                Items: [marshall({ NoteId: 1, Note: "One" })],
+                LastEvaluatedKey: marshall({ UserId: "student", NoteId: 1 }),
+            })
+            .resolvesOnce({ Items: [marshall({ NoteId: 2, Note: "Two" })] });
+
+        const notes = await createRepository().queryNotes("student");
+
+        assert.deepEqual(notes, [{ NoteId: 1, Note: "One" }, { NoteId: 2, Note: "Two" }]);
+        assert.equal(dynamodb.commandCalls(QueryCommand).length, 2);
+        const first = inputOf(QueryCommand, 0);
+        assert.equal(first.TableName, "Notes");
+        assert.equal(first.ExclusiveStartKey, undefined);
+        assert.ok(Object.values(first.ExpressionAttributeValues).some((value) => value.S === "student"));
+        assert.deepEqual(inputOf(QueryCommand, 1).ExclusiveStartKey, marshall({ UserId: "student", NoteId: 1 }));
+    });
+
+    test("queries a NoteId range newest first", async () => {
+        dynamodb.on(QueryCommand).resolves({ Items: [] });
+
+        await createRepository().queryNotes("student", { noteId: { between: [1, 10] }, scanIndexForward: false });
+
+        const input = inputOf(QueryCommand);
+        assert.match(input.KeyConditionExpression, / AND .* BETWEEN /);
+        assert.equal(input.ScanIndexForward, false);
+    });
+
+    test("fills a page up to the limit and returns a token for the next one", async () => {
+        dynamodb.on(QueryCommand)
+            .resolvesOnce({
+                Items: [marshall({ NoteId: 1 })],
+                LastEvaluatedKey: marshall({ UserId: "student", NoteId: 1 }),
+            })
+            .resolvesOnce({
+                Items: [marshall({ NoteId: 2 })],
+                LastEvaluatedKey: marshall({ UserId: "student", NoteId: 2 }),
+            });
+
+        const repository = createRepository();
+        const page = await repository.queryNotesPage("student", { limit: 2 });
+
+        assert.deepEqual(page.notes, [{ NoteId: 1 }, { NoteId: 2 }]);
+        assert.equal(inputOf(QueryCommand, 1).Limit, 1);
+        assert.ok(page.nextToken);
+        await assert.rejects(repository.queryNotesPage("teacher", { nextToken: page.nextToken }));
+    });
+});
+
+describe("partiqlQuery", () => {
+    test("binds the key as parameters", async () => {
+        dynamodb.on(ExecuteStatementCommand).resolves({ Items: [marshall({ UserId: "student", NoteId: 5 })] });
+
+        const notes = await createRepository().partiqlQuery("student", "5");
+
+        assert.deepEqual(notes, [{ UserId: "student", NoteId: 5 }]);
+        const input = inputOf(ExecuteStatementCommand);
+        assert.equal(input.Statement, 'SELECT * FROM "Notes" WHERE UserId = ? AND NoteId = ?');
+        assert.deepEqual(input.Parameters, [{ S: "student" }, { N: "5" }]);
+    });
+
+    test("collects every page", async () => {
+        dynamodb.on(ExecuteStatementCommand)
+            .resolvesOnce({ Items: [marshall({ NoteId: 5 })], NextToken: "next" })
+            .resolvesOnce({ Items: [] });
+
+        const notes = await createRepository().partiqlQuery("student", 5);
+
+        assert.deepEqual(notes, [{ NoteId: 5 }]);
+        assert.equal(inputOf(ExecuteStatementCommand, 1).NextToken, "next");
+    });
+});
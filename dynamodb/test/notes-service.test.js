@@ -0,0 +1,388 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    BatchGetItemCommand,
+    CreateTableCommand,
+    DescribeTableCommand,
+    DynamoDBClient,
+    GetItemCommand,
+    QueryCommand,
+    ResourceNotFoundException,
+    TransactionCanceledException,
+    TransactWriteItemsCommand,
+} from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import {
+    ConditionalCheckFailedError,
+    NoteValidationError,
+    NotesRepository,
+    NotesService,
+    tokenize,
+} from "../index.js";
+
+// Command-level stubs: client.send never reaches the network
+const dynamodb = mockClient(DynamoDBClient);
+
+const NOW = new Date("2024-05-10T12:00:00.000Z");
+
+function createService(options = {}) {
+    const client = new DynamoDBClient({ region: "us-east-1", credentials: { accessKeyId: "a", secretAccessKey: "b" } });
+    return new NotesService({ repository: new NotesRepository({ client }), now: () => NOW, ...options });
+}
+
+function inputsOf(command) {
+    return dynamodb.commandCalls(command).map((call) => call.args[0].input);
+}
+
+// The transaction items as [operation, table, key or item] with plain values
+function itemsOf(input) {
+    return input.TransactItems.map((item) => {
+        const [type, body] = Object.entries(item)[0];
+        return [type, body.TableName, unmarshall(body.Item ?? body.Key)];
+    });
+}
+
+function storedNote(note = {}) {
+    return {
+        UserId: "student",
+        NoteId: 5,
+        Note: "Partition keys spread the load",
+        Tags: ["exam"],
+        Is_Incomplete: "Yes",
+        CreatedAt: "2024-05-01T08:00:00.000Z",
+        UpdatedAt: "2024-05-01T08:00:00.000Z",
+        UpdatedDay: "2024-05-01",
+        Version: 2,
+        ...note,
+    };
+}
+
+function cancelled(code) {
+    return new TransactionCanceledException({
+        message: "Transaction cancelled",
+        $metadata: {},
+        CancellationReasons: [{ Code: code }, { Code: "None" }],
+    });
+}
+
+beforeEach(() => {
+    dynamodb.reset();
+});
+
+describe("tokenize", () => {
+    test("lowercases, strips accents and skips short and common words", () => {
+        assert.deepEqual(tokenize("The Café opens at 9, the CAFÉ closes at 17:30"), ["cafe", "opens", "closes", "17", "30"]);
+        assert.deepEqual(tokenize("a an the"), []);
+    });
+});
+
+describe("createNote", () => {
+    test("writes the note, its tag and word entries and the user's counters in one transaction", async () => {
+        dynamodb.on(TransactWriteItemsCommand).resolves({});
+
+        const note = await createService().createNote({
+            UserId: "student",
+            NoteId: 5,
+            Note: "Partition keys spread the load",
+            Tags: ["Exam", "design", "exam"],
+        });
+
+        assert.deepEqual(note, {
+            UserId: "student",
+            NoteId: 5,
+            Note: "Partition keys spread the load",
+            Tags: ["design", "exam"],
+            Status: "incomplete",
+            CreatedAt: NOW.toISOString(),
+            UpdatedAt: NOW.toISOString(),
+            Version: 1,
+        });
+        const [input] = inputsOf(TransactWriteItemsCommand);
+        const items = itemsOf(input);
+        assert.equal(items[0][1], "Notes");
+        assert.equal(items[0][2].Is_Incomplete, "Yes");
+        assert.equal(items[0][2].UpdatedDay, "2024-05-10");
+        assert.deepEqual(items.slice(1, -1).map(([type, table, { PK, SK }]) => [type, table, PK, SK]), [
+            ["Put", "NotesIndex", "NOTE#student#5", "TAG#design"],
+            ["Put", "NotesIndex", "NOTE#student#5", "TAG#exam"],
+            ["Put", "NotesIndex", "NOTE#student#5", "TOKEN#partition"],
+            ["Put", "NotesIndex", "NOTE#student#5", "TOKEN#keys"],
+            ["Put", "NotesIndex", "NOTE#student#5", "TOKEN#spread"],
+            ["Put", "NotesIndex", "NOTE#student#5", "TOKEN#load"],
+        ]);
+        const stats = input.TransactItems.at(-1).Update;
+        assert.deepEqual(unmarshall(stats.Key), { PK: "USER#student", SK: "STATS" });
+        assert.match(stats.UpdateExpression, /ADD/);
+        assert.deepEqual(Object.values(unmarshall(stats.ExpressionAttributeValues)).sort(), [1, 1, "student"].sort());
+    });
+
+    test("keys the entries by the coerced NoteId", async () => {
+        dynamodb.on(TransactWriteItemsCommand).resolves({});
+
+        const note = await createService().createNote({ UserId: "student", NoteId: "005", Note: "Partition keys" });
+
+        assert.equal(note.NoteId, 5);
+        const items = itemsOf(inputsOf(TransactWriteItemsCommand)[0]);
+        assert.equal(items[0][2].NoteId, 5);
+        assert.deepEqual(items.slice(1, -1).map(([, , { PK, NoteId }]) => [PK, NoteId]), [
+            ["NOTE#student#5", 5],
+            ["NOTE#student#5", 5],
+        ]);
+    });
+
+    test("rejects unknown statuses and too many tags before writing", async () => {
+        const service = createService();
+
+        await assert.rejects(service.createNote({ UserId: "student", NoteId: 5, Note: "x", Status: "done" }),
+            NoteValidationError);
+        await assert.rejects(service.createNote({
+            UserId: "student", NoteId: 5, Note: "x", Tags: ["a", "b", "c", "d", "e", "f", "g", "h", "i"],
+        }), /at most 8 tags, got 9/);
+        assert.equal(inputsOf(TransactWriteItemsCommand).length, 0);
+    });
+
+    test("rejects user ids containing '#', which would mix up the index entries of users", async () => {
+        await assert.rejects(createService().createNote({ UserId: "a#b", NoteId: 5, Note: "x" }),
+            (error) => error instanceof NoteValidationError && /UserId must not contain '#'/.test(error.message));
+        assert.equal(inputsOf(TransactWriteItemsCommand).length, 0);
+    });
+});
+
+describe("updateNote", () => {
+    test("writes only the entries that changed and moves the note out of the incomplete count", async () => {
+        dynamodb.on(GetItemCommand).resolves({ Item: marshall(storedNote()) });
+        dynamodb.on(TransactWriteItemsCommand).resolves({});
+
+        const note = await createService().updateNote("student", 5, {
+            Note: "Partition keys spread the writes",
+            Tags: ["exam", "design"],
+            Status: "complete",
+        });
+
+        assert.equal(note.Status, "complete");
+        assert.equal(note.Version, 3);
+        assert.equal(note.CreatedAt, "2024-05-01T08:00:00.000Z");
+        const [input] = inputsOf(TransactWriteItemsCommand);
+        const [put] = input.TransactItems;
+        assert.deepEqual(unmarshall(put.Put.ExpressionAttributeValues), { ":v0": 2 });
+        assert.deepEqual(itemsOf(input).slice(1, -1).map(([type, , { SK }]) => [type, SK]), [
+            ["Delete", "TOKEN#load"],
+            ["Put", "TAG#design"],
+            ["Put", "TOKEN#writes"],
+        ]);
+        const stats = unmarshall(input.TransactItems.at(-1).Update.ExpressionAttributeValues);
+        assert.deepEqual(Object.values(stats).sort(), [-1, 0, "student"].sort());
+    });
+
+    test("retries on the new version when the note changes between the read and the write", async () => {
+        let reads = 0;
+        dynamodb.on(GetItemCommand).callsFake(() => {
+            reads++;
+            return { Item: marshall(storedNote({ Version: reads + 1 })) };
+        });
+        let commits = 0;
+        dynamodb.on(TransactWriteItemsCommand).callsFake(() => {
+            commits++;
+            if (commits === 1) {
+                throw cancelled("ConditionalCheckFailed");
+            }
+            return {};
+        });
+
+        const note = await createService().setStatus("student", 5, "complete");
+
+        assert.equal(reads, 2);
+        assert.equal(note.Version, 4);
+        const inputs = inputsOf(TransactWriteItemsCommand);
+        assert.deepEqual(unmarshall(inputs[1].TransactItems[0].Put.ExpressionAttributeValues), { ":v0": 3 });
+    });
+
+    test("commits again with the same token when a concurrent transaction conflicts", async () => {
+        dynamodb.on(GetItemCommand).resolves({ Item: marshall(storedNote()) });
+        let commits = 0;
+        dynamodb.on(TransactWriteItemsCommand).callsFake(() => {
+            commits++;
+            if (commits < 3) {
+                throw new TransactionCanceledException({
+                    message: "Transaction cancelled",
+                    $metadata: {},
+                    CancellationReasons: [{ Code: "None" }, { Code: "TransactionConflict" }],
+                });
+            }
+            return {};
+        });
+
+        const note = await createService().setStatus("student", 5, "complete");
+
+        assert.equal(note.Version, 3);
+        assert.equal(inputsOf(GetItemCommand).length, 1);
+        const tokens = inputsOf(TransactWriteItemsCommand).map((input) => input.ClientRequestToken);
+        assert.equal(tokens.length, 3);
+        assert.ok(tokens[0]);
+        assert.equal(new Set(tokens).size, 1);
+    });
+
+    test("gives up on transaction conflicts after maxAttempts", async () => {
+        dynamodb.on(GetItemCommand).resolves({ Item: marshall(storedNote()) });
+        dynamodb.on(TransactWriteItemsCommand).rejects(cancelled("TransactionConflict"));
+
+        await assert.rejects(createService({ maxAttempts: 2 }).setStatus("student", 5, "complete"),
+            /TransactionConflict/);
+        assert.equal(inputsOf(TransactWriteItemsCommand).length, 2);
+    });
+
+    test("does not retry or write when the note has another version than expected", async () => {
+        dynamodb.on(GetItemCommand).resolves({ Item: marshall(storedNote()) });
+
+        await assert.rejects(createService().updateNote("student", 5, { Status: "complete" }, { expectedVersion: 1 }),
+            (error) => error instanceof ConditionalCheckFailedError && error.current.Version === 2);
+        assert.equal(inputsOf(TransactWriteItemsCommand).length, 0);
+    });
+
+    test("indexes a note written without the service as if it were new", async () => {
+        dynamodb.on(GetItemCommand).resolves({
+            Item: marshall({ UserId: "student", NoteId: 5, Note: "Sort keys", Is_Incomplete: "No", Version: 1 }),
+        });
+        dynamodb.on(TransactWriteItemsCommand).resolves({});
+
+        const note = await createService().updateNote("student", 5, { Tags: ["exam"] });
+
+        assert.equal(note.CreatedAt, NOW.toISOString());
+        const [input] = inputsOf(TransactWriteItemsCommand);
+        assert.deepEqual(itemsOf(input).slice(1, -1).map(([type, , { SK }]) => [type, SK]), [
+            ["Put", "TAG#exam"],
+            ["Put", "TOKEN#sort"],
+            ["Put", "TOKEN#keys"],
+        ]);
+        const stats = unmarshall(input.TransactItems.at(-1).Update.ExpressionAttributeValues);
+        assert.deepEqual(Object.values(stats).sort(), [0, 1, "student"].sort());
+    });
+});
+
+describe("deleteNote", () => {
+    test("deletes the note with its entries and decrements the counters", async () => {
+        dynamodb.on(GetItemCommand).resolves({ Item: marshall(storedNote({ Note: "Sort keys" })) });
+        dynamodb.on(TransactWriteItemsCommand).resolves({});
+
+        const note = await createService().deleteNote("student", 5);
+
+        assert.equal(note.NoteId, 5);
+        const [input] = inputsOf(TransactWriteItemsCommand);
+        assert.deepEqual(itemsOf(input).slice(0, -1).map(([type, table, { SK }]) => [type, table, SK]), [
+            ["Delete", "Notes", undefined],
+            ["Delete", "NotesIndex", "TAG#exam"],
+            ["Delete", "NotesIndex", "TOKEN#sort"],
+            ["Delete", "NotesIndex", "TOKEN#keys"],
+        ]);
+        const stats = unmarshall(input.TransactItems.at(-1).Update.ExpressionAttributeValues);
+        assert.deepEqual(Object.values(stats).sort(), [-1, -1, "student"].sort());
+    });
+
+    test("returns undefined for a note that does not exist", async () => {
+        dynamodb.on(GetItemCommand).resolves({});
+
+        assert.equal(await createService().deleteNote("student", 5), undefined);
+        assert.equal(inputsOf(TransactWriteItemsCommand).length, 0);
+    });
+});
+
+describe("queries", () => {
+    test("searchNotes intersects the notes of every word and returns the newest first", async () => {
+        const entry = (userId, noteId) => marshall({ PK: `NOTE#${userId}#${noteId}`, UserId: userId, NoteId: noteId });
+        dynamodb.on(QueryCommand).callsFake((input) => {
+            const term = unmarshall(input.ExpressionAttributeValues)[":v0"];
+            return term === "TOKEN#partition"
+                ? { Items: [entry("student", 1), entry("student", 2), entry("student", 3)] }
+                : { Items: [entry("student", 2), entry("student", 3)] };
+        });
+        dynamodb.on(BatchGetItemCommand).resolves({
+            Responses: {
+                Notes: [
+                    marshall(storedNote({ NoteId: 2, UpdatedAt: "2024-05-02T00:00:00.000Z" })),
+                    marshall(storedNote({ NoteId: 3, UpdatedAt: "2024-05-03T00:00:00.000Z" })),
+                ],
+            },
+        });
+
+        const result = await createService().searchNotes("Partition the LOAD", { userId: "student" });
+
+        assert.deepEqual(result.tokens, ["partition", "load"]);
+        assert.equal(result.matches, 2);
+        assert.deepEqual(result.notes.map(({ NoteId }) => NoteId), [3, 2]);
+        const [query] = inputsOf(QueryCommand);
+        assert.equal(query.IndexName, "ByTerm");
+        assert.equal(query.KeyConditionExpression, "#n0 = :v0 AND begins_with(#n1, :v1)");
+        assert.equal(unmarshall(query.ExpressionAttributeValues)[":v1"], "NOTE#student#");
+    });
+
+    test("refuses to search the notes of a user id containing '#'", async () => {
+        await assert.rejects(createService().notesByTag("exam", { userId: "a#b" }), /UserId must not contain '#'/);
+        assert.equal(inputsOf(QueryCommand).length, 0);
+    });
+
+    test("recentNotes walks back a day at a time until it has enough notes", async () => {
+        dynamodb.on(QueryCommand).callsFake((input) => {
+            const day = unmarshall(input.ExpressionAttributeValues)[":v0"];
+            return day === "2024-05-10"
+                ? { Items: [marshall(storedNote({ NoteId: 1, UpdatedDay: day }))] }
+                : { Items: [marshall(storedNote({ NoteId: 2, UpdatedDay: day }))] };
+        });
+
+        const notes = await createService().recentNotes({ limit: 2 });
+
+        assert.deepEqual(notes.map(({ NoteId }) => NoteId), [1, 2]);
+        const queries = inputsOf(QueryCommand);
+        assert.deepEqual(queries.map((input) => [input.IndexName, input.Limit, input.ScanIndexForward]), [
+            ["RecentNotes", 2, false],
+            ["RecentNotes", 1, false],
+        ]);
+        assert.equal(unmarshall(queries[1].ExpressionAttributeValues)[":v0"], "2024-05-09");
+    });
+
+    test("userStats reports zeros for a user without notes", async () => {
+        dynamodb.on(GetItemCommand).resolves({});
+
+        assert.deepEqual(await createService().userStats("student"),
+            { UserId: "student", Total: 0, Incomplete: 0, Complete: 0 });
+        assert.deepEqual(unmarshall(inputsOf(GetItemCommand)[0].Key), { PK: "USER#student", SK: "STATS" });
+    });
+});
+
+describe("ensureTables", () => {
+    test("creates the notes table with both indexes and the index table with its inverted index", async () => {
+        const created = new Map();
+        dynamodb.on(DescribeTableCommand).callsFake(({ TableName }) => {
+            const table = created.get(TableName);
+            if (!table) {
+                throw new ResourceNotFoundException({ message: "not found", $metadata: {} });
+            }
+            return {
+                Table: {
+                    TableName,
+                    TableStatus: "ACTIVE",
+                    GlobalSecondaryIndexes: table.GlobalSecondaryIndexes.map(({ IndexName }) => ({
+                        IndexName, IndexStatus: "ACTIVE",
+                    })),
+                },
+            };
+        });
+        dynamodb.on(CreateTableCommand).callsFake((input) => {
+            created.set(input.TableName, input);
+            return {};
+        });
+
+        await createService().ensureTables({ pollInterval: 1 });
+
+        const [notes, index] = inputsOf(CreateTableCommand);
+        assert.equal(notes.TableName, "Notes");
+        assert.deepEqual(notes.GlobalSecondaryIndexes.map(({ IndexName, KeySchema }) =>
+            [IndexName, ...KeySchema.map(({ AttributeName }) => AttributeName)]), [
+            ["IncompleteNotes", "Is_Incomplete", "UpdatedAt"],
+            ["RecentNotes", "UpdatedDay", "UpdatedAt"],
+        ]);
+        assert.equal(index.TableName, "NotesIndex");
+        assert.deepEqual(index.GlobalSecondaryIndexes[0].Projection,
+            { ProjectionType: "INCLUDE", NonKeyAttributes: ["UserId", "NoteId"] });
+    });
+});
@@ -0,0 +1,200 @@
+import { test, describe, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Readable } from "stream";
+import { BatchWriteItemCommand, DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+    GetObjectCommand,
+    HeadObjectCommand,
+    PutObjectCommand,
+    S3Client,
+} from "@aws-sdk/client-s3";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import { IngestInterruptedError, NotesRepository } from "../index.js";
+
+// Command-level stubs: client.send never reaches the network
+const dynamodb = mockClient(DynamoDBClient);
+const s3 = mockClient(S3Client);
+const credentials = { accessKeyId: "a", secretAccessKey: "b" };
+const workDir = mkdtempSync(join(tmpdir(), "s3-ingest-test-"));
+
+function createRepository() {
+    return new NotesRepository({
+        client: new DynamoDBClient({ region: "us-east-1", credentials }),
+        s3Client: new S3Client({ region: "us-east-1", credentials }),
+    });
+}
+
+// Serve `text` as the object, honouring ranged GETs, in small chunks so rows span them
+function stubObject(text, { etag = '"v1"' } = {}) {
+    const body = Buffer.from(text);
+    s3.on(HeadObjectCommand).resolves({ ETag: etag, ContentLength: body.length });
+    s3.on(GetObjectCommand).callsFake((input) => {
+        const start = Number(/^bytes=(\d+)-$/.exec(input.Range)[1]);
+        const chunks = [];
+        for (let i = start; i < body.length; i += 7) {
+            chunks.push(body.subarray(i, Math.min(i + 7, body.length)));
+        }
+        return { Body: Readable.from(chunks) };
+    });
+    s3.on(PutObjectCommand).resolves({ ETag: '"errors"' });
+}
+
+function writtenNotes() {
+    return dynamodb.commandCalls(BatchWriteItemCommand)
+        .flatMap((call) => call.args[0].input.RequestItems.Notes)
+        .map((request) => unmarshall(request.PutRequest.Item));
+}
+
+function uploadedErrors() {
+    const [call] = s3.commandCalls(PutObjectCommand);
+    return call && { key: call.args[0].input.Key, body: call.args[0].input.Body };
+}
+
+// The upload sends small bodies in one buffer, read from the spooled errors file
+async function readBody(body) {
+    const chunks = [];
+    for await (const chunk of body instanceof Uint8Array ? [body] : body) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString().trim().split("\n").map((line) => JSON.parse(line));
+}
+
+beforeEach(() => {
+    dynamodb.reset();
+    s3.reset();
+});
+
+after(() => {
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+describe("ingestNotes", () => {
+    test("renames CSV columns, writes valid rows and uploads rejected ones", async () => {
+        const text = 'UserId,NoteId,Notes\nstudent,1,Hello\nstudent,two,Bad id\nstudent,3,"Multi\nline, quoted"\n';
+        stubObject(text);
+        dynamodb.on(BatchWriteItemCommand).resolves({});
+
+        const result = await createRepository().ingestNotes("s3://uploads/in/notes.csv", { rename: { Notes: "Note" } });
+
+        assert.deepEqual(writtenNotes().map(({ NoteId, Note }) => [NoteId, Note]), [[1, "Hello"], [3, "Multi\nline, quoted"]]);
+        assert.equal(result.format, "csv");
+        assert.equal(result.imported, 2);
+        assert.equal(result.rejected, 1);
+        assert.equal(result.offset, Buffer.byteLength(text));
+        assert.equal(result.errors, "s3://uploads/in/notes.csv.errors.jsonl");
+        const errors = uploadedErrors();
+        assert.equal(errors.key, "in/notes.csv.errors.jsonl");
+        const [rejected] = await readBody(errors.body);
+        assert.equal(rejected.row, "student,two,Bad id");
+        assert.equal(rejected.offset, text.indexOf("student,two"));
+        assert.ok(rejected.errors.length > 0);
+        assert.equal(s3.commandCalls(GetObjectCommand)[0].args[0].input.IfMatch, '"v1"');
+    });
+
+    test("rejects JSON Lines rows that do not parse and uploads nothing without rejects", async () => {
+        stubObject('{"UserId":"student","NoteId":1,"Note":"a"}\n{"UserId":\n');
+        dynamodb.on(BatchWriteItemCommand).resolves({});
+
+        const result = await createRepository().ingestNotes("s3://uploads/notes.jsonl", { errors: "s3://rejects/notes.jsonl" });
+
+        assert.equal(result.imported, 1);
+        assert.equal(result.rejected, 1);
+        assert.equal(result.errors, "s3://rejects/notes.jsonl");
+        const [rejected] = await readBody(uploadedErrors().body);
+        assert.match(rejected.errors[0], /invalid JSON/);
+
+        s3.reset();
+        stubObject('{"UserId":"student","NoteId":1,"Note":"a"}');
+        const clean = await createRepository().ingestNotes("s3://uploads/notes.jsonl");
+        assert.equal(clean.errors, undefined);
+        assert.equal(uploadedErrors(), undefined);
+    });
+
+    test("resumes an interrupted ingest from the saved byte offset", async () => {
+        const text = "UserId,NoteId,Note\nstudent,1,a\nstudent,2,b\nstudent,3,c\nstudent,x,d\nstudent,5,e\n";
+        const checkpoint = join(workDir, "resume.ingest.json");
+        stubObject(text);
+        dynamodb.on(BatchWriteItemCommand)
+            .resolvesOnce({})
+            .rejectsOnce(new Error("Table is being updated"));
+        const options = { checkpoint, checkpointEvery: 2 };
+
+        const error = await createRepository().ingestNotes("s3://uploads/notes.csv", options).catch((e) => e);
+
+        assert.ok(error instanceof IngestInterruptedError);
+        assert.equal(error.offset, text.indexOf("student,3"));
+        assert.equal(error.imported, 2);
+        assert.equal(JSON.parse(readFileSync(checkpoint, "utf8")).header.join(), "UserId,NoteId,Note");
+
+        dynamodb.reset();
+        dynamodb.on(BatchWriteItemCommand).resolves({});
+        s3.resetHistory();
+        const result = await createRepository().ingestNotes("s3://uploads/notes.csv", { ...options, resume: true });
+
+        assert.equal(s3.commandCalls(GetObjectCommand)[0].args[0].input.Range, `bytes=${text.indexOf("student,3")}-`);
+        assert.deepEqual(writtenNotes().map((note) => note.NoteId), [3, 5]);
+        assert.equal(result.resumedFrom, text.indexOf("student,3"));
+        assert.equal(result.imported, 4);
+        assert.equal(result.rejected, 1);
+        assert.equal(existsSync(checkpoint), false);
+        assert.equal(existsSync(`${checkpoint}.errors.jsonl`), false);
+    });
+
+    test("refuses to resume when the object changed", async () => {
+        const checkpoint = join(workDir, "changed.ingest.json");
+        writeFileSync(checkpoint, JSON.stringify({
+            location: "s3://uploads/notes.jsonl",
+            tableName: "Notes",
+            format: "jsonl",
+            select: null,
+            etag: '"v1"',
+            offset: 10,
+        }));
+        stubObject('{"UserId":"student","NoteId":1}\n', { etag: '"v2"' });
+
+        await assert.rejects(
+            createRepository().ingestNotes("s3://uploads/notes.jsonl", { checkpoint, resume: true }),
+            /is for etag '"v1"', not '"v2"'/,
+        );
+    });
+
+    test("queries scan ranges with S3 Select", async () => {
+        // The query is sent with the S3 sample's copy of the SDK, so it takes the default stub
+        s3.callsFake((input) => ({
+            Payload: (async function* () {
+                const noteId = input.ScanRange.Start + 1;
+                yield { Records: { Payload: Buffer.from(`{"UserId":"student","NoteId":"${noteId}","Notes":"n"}\n`) } };
+                yield { End: {} };
+            })(),
+        }));
+        s3.on(HeadObjectCommand).resolves({ ETag: '"v1"', ContentLength: 250 });
+        dynamodb.on(BatchWriteItemCommand).resolves({});
+        const progress = [];
+
+        const result = await createRepository().ingestNotes("s3://uploads/notes.csv", {
+            select: "SELECT * FROM S3Object s WHERE s.UserId = 'student'",
+            rename: { Notes: "Note" },
+            scanRangeSize: 100,
+            onProgress: ({ offset }) => progress.push(offset),
+        });
+
+        const inputs = s3.calls().map((call) => call.args[0].input).filter((input) => input.Expression);
+        assert.deepEqual(inputs.map((input) => input.ScanRange), [
+            { Start: 0, End: 99 },
+            { Start: 100, End: 199 },
+            { Start: 200, End: 249 },
+        ]);
+        assert.equal(inputs[0].InputSerialization.CSV.FileHeaderInfo, "USE");
+        assert.deepEqual(progress, [100, 200, 250]);
+        assert.deepEqual(writtenNotes().map((note) => note.NoteId), [1, 101, 201]);
+        assert.equal(result.imported, 3);
+    });
+
+    test("only reads from S3", async () => {
+        await assert.rejects(createRepository().ingestNotes("notes.csv"), /expected an s3:\/\/bucket\/key location/);
+    });
+});
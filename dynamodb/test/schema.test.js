@@ -0,0 +1,111 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+    NOTE_SCHEMA,
+    NoteValidationError,
+    SourceRecord,
+    parseNotesText,
+    validateChanges,
+    validateNote,
+    validateNotes,
+} from "../index.js";
+
+const SCHEMA = {
+    attributes: {
+        ...NOTE_SCHEMA.attributes,
+        Details: { type: "M" },
+    },
+    allowExtraAttributes: false,
+};
+
+describe("validateNote", () => {
+    test("coerces numeric strings and reports every problem of a record", () => {
+        assert.deepEqual(validateNote({ UserId: "student", NoteId: "007", Note: "n" }).value,
+            { UserId: "student", NoteId: 7, Note: "n" });
+        assert.deepEqual(validateNote({ UserId: "", NoteId: "seven", Extra: 1 }, SCHEMA).errors, [
+            "key attribute 'UserId' must not be empty",
+            "attribute 'NoteId' must be a number or numeric string, got \"seven\"",
+            "missing required attribute 'Note'",
+            "unexpected attribute 'Extra'",
+        ]);
+    });
+
+    test("rejects numeric strings a JavaScript number cannot hold exactly", () => {
+        const note = { UserId: "student", Note: "n" };
+
+        assert.equal(validateNote({ ...note, NoteId: "9007199254740991" }).value.NoteId, Number.MAX_SAFE_INTEGER);
+        assert.equal(validateNote({ ...note, NoteId: "1.5e3" }).value.NoteId, 1500);
+        assert.deepEqual(validateNote({ ...note, NoteId: "9007199254740993" }).errors,
+            ["attribute 'NoteId' must be a number JavaScript can represent exactly, got \"9007199254740993\""]);
+        assert.match(validateNote({ ...note, NoteId: "0.12345678901234567" }).errors[0], /represent exactly/);
+        assert.match(validateNote({ ...note, NoteId: "1e400" }).errors[0], /represent exactly/);
+    });
+});
+
+describe("validateChanges", () => {
+    test("rejects null and lists for map attributes", () => {
+        assert.deepEqual(validateChanges({ Details: null }, SCHEMA).errors, ["attribute 'Details' must be a map, got null"]);
+        assert.deepEqual(validateChanges({ Details: [] }, SCHEMA).errors, ["attribute 'Details' must be a map, got list"]);
+        assert.deepEqual(validateChanges({ Details: { pages: 3 } }, SCHEMA).value, { Details: { pages: 3 } });
+    });
+});
+
+describe("validateNotes", () => {
+    const records = [
+        new SourceRecord({ UserId: "student", NoteId: 1, Note: "a" }, 1),
+        new SourceRecord({ UserId: "student", NoteId: 2 }, 3),
+        { UserId: "student", NoteId: "x", Note: "c" },
+    ];
+
+    test("rejects the whole input and names the line or index of each invalid record", () => {
+        assert.throws(() => validateNotes(records), (error) => {
+            assert.ok(error instanceof NoteValidationError);
+            assert.deepEqual(error.problems.map(({ index, line }) => [index, line]), [[1, 3], [2, undefined]]);
+            assert.match(error.message, /^2 invalid note\(s\):/);
+            assert.match(error.message, /line 3: missing required attribute 'Note'/);
+            assert.match(error.message, /record 2: attribute 'NoteId' must be a number/);
+            return true;
+        });
+    });
+
+    test("skips invalid records and reports them", () => {
+        const { valid, invalid } = validateNotes(records, { onInvalid: "skip" });
+
+        assert.deepEqual(valid, [{ UserId: "student", NoteId: 1, Note: "a" }]);
+        assert.deepEqual(invalid.map(({ index, line, record }) => [index, line, record.NoteId]),
+            [[1, 3, 2], [2, undefined, "x"]]);
+    });
+
+    test("lists at most ten problems in the message", () => {
+        const many = Array.from({ length: 12 }, () => ({ UserId: "student", NoteId: 1 }));
+
+        assert.throws(() => validateNotes(many), /record 9: .*\n {2}\.\.\. and 2 more$/);
+    });
+
+    test("rejects an unknown mode", () => {
+        assert.throws(() => validateNotes([], { onInvalid: "ignore" }), /onInvalid must be 'reject' or 'skip', got 'ignore'/);
+    });
+});
+
+describe("parseNotesText", () => {
+    test("reads a JSON array as plain records", () => {
+        assert.deepEqual(parseNotesText(' [{"NoteId": 1}]'), [{ NoteId: 1 }]);
+        assert.throws(() => parseNotesText("[1"), SyntaxError);
+    });
+
+    test("reads JSON Lines with their line numbers, skipping blank lines", () => {
+        assert.deepEqual(parseNotesText('{"NoteId": 1}\n\n  \n{"NoteId": 2}\n'), [
+            new SourceRecord({ NoteId: 1 }, 1),
+            new SourceRecord({ NoteId: 2 }, 4),
+        ]);
+    });
+
+    test("reports every line that is not valid JSON", () => {
+        assert.throws(() => parseNotesText('{"NoteId": 1}\n{oops\n\n{"NoteId": 3}\nnope'), (error) => {
+            assert.ok(error instanceof NoteValidationError);
+            assert.deepEqual(error.problems.map(({ index, line }) => [index, line]), [[1, 2], [3, 5]]);
+            assert.match(error.message, /line 2: invalid JSON/);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,289 @@
+import { test, describe, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+    CreateTableCommand,
+    DescribeTableCommand,
+    DynamoDBClient,
+    PutItemCommand,
+    QueryCommand,
+    UpdateTableCommand,
+} from "@aws-sdk/client-dynamodb";
+import {
+    DescribeStreamCommand,
+    DynamoDBStreamsClient,
+    GetRecordsCommand,
+    GetShardIteratorCommand,
+} from "@aws-sdk/client-dynamodb-streams";
+import { DeleteObjectCommand, PutObjectCommand, S3Client } from "@aws-sdk/client-s3";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import {
+    NotesRepository,
+    StreamHandlerError,
+    TableCheckpointStore,
+    s3AuditHandler,
+} from "../index.js";
+
+// Command-level stubs: client.send never reaches the network
+const dynamodb = mockClient(DynamoDBClient);
+const streams = mockClient(DynamoDBStreamsClient);
+const s3 = mockClient(S3Client);
+const credentials = { accessKeyId: "a", secretAccessKey: "b" };
+const workDir = mkdtempSync(join(tmpdir(), "stream-consumer-test-"));
+const STREAM_ARN = "arn:aws:dynamodb:us-east-1:123456789012:table/Notes/stream/2026-10-19T00:00:00.000";
+
+function createRepository() {
+    return new NotesRepository({
+        client: new DynamoDBClient({ region: "us-east-1", credentials }),
+        s3Client: new S3Client({ region: "us-east-1", credentials }),
+        streamsClient: new DynamoDBStreamsClient({ region: "us-east-1", credentials }),
+    });
+}
+
+function record(eventName, sequenceNumber, { keys, newImage, oldImage }) {
+    return {
+        eventID: `event-${sequenceNumber}`,
+        eventName,
+        dynamodb: {
+            SequenceNumber: sequenceNumber,
+            ApproximateCreationDateTime: new Date("2026-10-19T12:00:00Z"),
+            Keys: marshall(keys),
+            NewImage: newImage && marshall(newImage),
+            OldImage: oldImage && marshall(oldImage),
+        },
+    };
+}
+
+const note = (noteId, text) => ({ UserId: "student", NoteId: noteId, Note: text });
+
+/**
+ * A closed parent shard and its open child. `pages` maps each shard iterator
+ * to the GetRecords response it returns; the first iterator of a shard is
+ * '<shard>:start'.
+ */
+function stubStream(pages) {
+    dynamodb.on(DescribeTableCommand).resolves({
+        Table: {
+            TableName: "Notes",
+            TableStatus: "ACTIVE",
+            StreamSpecification: { StreamEnabled: true, StreamViewType: "NEW_AND_OLD_IMAGES" },
+            LatestStreamArn: STREAM_ARN,
+        },
+    });
+    streams.on(DescribeStreamCommand).resolves({
+        StreamDescription: {
+            Shards: [
+                // listed child first: lineage, not list order, decides what is read first
+                { ShardId: "child", ParentShardId: "parent", SequenceNumberRange: { StartingSequenceNumber: "200" } },
+                { ShardId: "parent", SequenceNumberRange: { StartingSequenceNumber: "100", EndingSequenceNumber: "199" } },
+            ],
+        },
+    });
+    streams.on(GetShardIteratorCommand).callsFake((input) => ({ ShardIterator: `${input.ShardId}:start` }));
+    streams.on(GetRecordsCommand).callsFake(({ ShardIterator }) => pages[ShardIterator] ?? { Records: [], NextShardIterator: ShardIterator });
+}
+
+const PAGES = {
+    "parent:start": {
+        Records: [record("INSERT", "100", { keys: { UserId: "student", NoteId: 1 }, newImage: note(1, "draft") })],
+        NextShardIterator: "parent:2",
+    },
+    "parent:2": { Records: [], NextShardIterator: "parent:3" },
+    "parent:3": {
+        Records: [record("MODIFY", "150", {
+            keys: { UserId: "student", NoteId: 1 },
+            oldImage: note(1, "draft"),
+            newImage: { ...note(1, "final"), Tags: new Set(["exam"]) },
+        })],
+    },
+    "child:start": {
+        Records: [record("REMOVE", "200", { keys: { UserId: "student", NoteId: 1 }, oldImage: note(1, "final") })],
+        NextShardIterator: "child:2",
+    },
+};
+
+beforeEach(() => {
+    dynamodb.reset();
+    streams.reset();
+    s3.reset();
+});
+
+after(() => {
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+describe("enableStream", () => {
+    test("turns on NEW_AND_OLD_IMAGES and returns the stream ARN", async () => {
+        const enabled = {
+            TableName: "Notes",
+            TableStatus: "ACTIVE",
+            StreamSpecification: { StreamEnabled: true, StreamViewType: "NEW_AND_OLD_IMAGES" },
+            LatestStreamArn: STREAM_ARN,
+        };
+        let updated = false;
+        dynamodb.on(DescribeTableCommand).callsFake(() => ({
+            Table: updated ? enabled : { TableName: "Notes", TableStatus: "ACTIVE" },
+        }));
+        dynamodb.on(UpdateTableCommand).callsFake(() => {
+            updated = true;
+            return {};
+        });
+
+        const result = await createRepository().enableStream();
+
+        assert.deepEqual(dynamodb.commandCalls(UpdateTableCommand)[0].args[0].input.StreamSpecification,
+            { StreamEnabled: true, StreamViewType: "NEW_AND_OLD_IMAGES" });
+        assert.equal(result.streamArn, STREAM_ARN);
+        assert.deepEqual(result.changes.map((change) => change.action), ["enable-stream"]);
+
+        dynamodb.resetHistory();
+        const again = await createRepository().enableStream();
+        assert.deepEqual(again.changes, []);
+        assert.equal(dynamodb.commandCalls(UpdateTableCommand).length, 0);
+    });
+
+    test("replaces a stream with another view type", async () => {
+        dynamodb.on(DescribeTableCommand).resolves({
+            Table: {
+                TableName: "Notes",
+                TableStatus: "ACTIVE",
+                StreamSpecification: { StreamEnabled: true, StreamViewType: "KEYS_ONLY" },
+            },
+        });
+
+        const result = await createRepository().enableStream({ dryRun: true });
+
+        assert.deepEqual(result.changes.map((change) => change.action), ["disable-stream", "enable-stream"]);
+        assert.equal(dynamodb.commandCalls(UpdateTableCommand).length, 0);
+    });
+});
+
+describe("StreamConsumer", () => {
+    test("reads a parent shard to its end before its child and mirrors the notes to S3", async () => {
+        stubStream(PAGES);
+        s3.on(PutObjectCommand).resolves({});
+        s3.on(DeleteObjectCommand).resolves({});
+        const checkpoint = join(workDir, "lineage.stream.json");
+        const seen = [];
+
+        const consumer = createRepository().streamConsumer({ checkpoint, mirror: "s3://mirror" });
+        consumer.on("MODIFY", (event) => seen.push(`modify ${event.oldImage.Note} -> ${event.newImage.Note}`));
+        consumer.on("*", (event) => seen.push(`${event.eventName} ${event.sequenceNumber}`));
+        const summary = await consumer.run();
+
+        assert.deepEqual(seen, ["INSERT 100", "modify draft -> final", "MODIFY 150", "REMOVE 200"]);
+        assert.deepEqual(summary.events, { INSERT: 1, MODIFY: 1, REMOVE: 1 });
+        assert.equal(summary.finishedShards, 1);
+        const puts = s3.commandCalls(PutObjectCommand).map((call) => call.args[0].input);
+        assert.deepEqual(puts.map((input) => input.Key), ["notes/student/1.json", "notes/student/1.json"]);
+        assert.deepEqual(JSON.parse(puts[1].Body), { ...note(1, "final"), Tags: ["exam"] });
+        assert.deepEqual(s3.commandCalls(DeleteObjectCommand)[0].args[0].input, { Bucket: "mirror", Key: "notes/student/1.json" });
+        const saved = JSON.parse(readFileSync(checkpoint, "utf8")).streams[STREAM_ARN];
+        assert.deepEqual(saved, {
+            parent: { sequenceNumber: "150", finished: true },
+            child: { sequenceNumber: "200", finished: false },
+        });
+    });
+
+    test("continues after the checkpointed sequence number", async () => {
+        stubStream({
+            "child:start": {
+                Records: [record("INSERT", "201", { keys: { UserId: "student", NoteId: 2 }, newImage: note(2, "new") })],
+                NextShardIterator: "child:2",
+            },
+        });
+        const checkpoint = join(workDir, "resume.stream.json");
+        writeFileSync(checkpoint, JSON.stringify({
+            streams: { [STREAM_ARN]: { parent: { sequenceNumber: "150", finished: true }, child: { sequenceNumber: "200", finished: false } } },
+        }));
+        const inserted = [];
+
+        const consumer = createRepository().streamConsumer({ checkpoint });
+        consumer.on("INSERT", ({ keys }) => inserted.push(keys));
+        await consumer.run();
+
+        const [iterator] = streams.commandCalls(GetShardIteratorCommand).map((call) => call.args[0].input);
+        assert.equal(iterator.ShardId, "child");
+        assert.equal(iterator.ShardIteratorType, "AFTER_SEQUENCE_NUMBER");
+        assert.equal(iterator.SequenceNumber, "200");
+        assert.deepEqual(inserted, [{ UserId: "student", NoteId: 2 }]);
+    });
+
+    test("stops on a failing handler without checkpointing its page", async () => {
+        stubStream(PAGES);
+        const checkpoint = join(workDir, "failure.stream.json");
+
+        const consumer = createRepository().streamConsumer({ checkpoint });
+        consumer.on("MODIFY", () => {
+            throw new Error("index unavailable");
+        });
+        const error = await consumer.run().catch((e) => e);
+
+        assert.ok(error instanceof StreamHandlerError);
+        assert.equal(error.event.sequenceNumber, "150");
+        assert.match(error.message, /index unavailable/);
+        const saved = JSON.parse(readFileSync(checkpoint, "utf8")).streams[STREAM_ARN];
+        assert.deepEqual(saved, { parent: { sequenceNumber: "100", finished: false } });
+    });
+
+    test("starts open shards at LATEST and skips closed ones", async () => {
+        stubStream(PAGES);
+
+        await createRepository().streamConsumer({ iteratorType: "LATEST" }).run();
+
+        const iterators = streams.commandCalls(GetShardIteratorCommand).map((call) => call.args[0].input);
+        assert.deepEqual(iterators.map(({ ShardId, ShardIteratorType }) => [ShardId, ShardIteratorType]), [["child", "LATEST"]]);
+    });
+
+    test("keeps checkpoints in a table it creates when missing", async () => {
+        const client = new DynamoDBClient({ region: "us-east-1", credentials });
+        const store = new TableCheckpointStore(client, "Checkpoints");
+        dynamodb.on(DescribeTableCommand)
+            .rejectsOnce(Object.assign(new Error("Table not found"), { name: "ResourceNotFoundException" }))
+            .rejectsOnce(Object.assign(new Error("Table not found"), { name: "ResourceNotFoundException" }))
+            .resolves({ Table: { TableName: "Checkpoints", TableStatus: "ACTIVE" } });
+        dynamodb.on(CreateTableCommand).resolves({});
+        dynamodb.on(PutItemCommand).resolves({});
+
+        assert.equal((await store.load(STREAM_ARN)).size, 0);
+        await store.save(STREAM_ARN, "child", { sequenceNumber: "200", finished: false });
+
+        const create = dynamodb.commandCalls(CreateTableCommand)[0].args[0].input;
+        assert.equal(create.TableName, "Checkpoints");
+        assert.equal(create.BillingMode, "PAY_PER_REQUEST");
+        const item = unmarshall(dynamodb.commandCalls(PutItemCommand)[0].args[0].input.Item);
+        assert.equal(item.StreamArn, STREAM_ARN);
+        assert.equal(item.SequenceNumber, "200");
+        assert.equal(item.Finished, false);
+
+        dynamodb.on(QueryCommand).resolves({ Items: [marshall({ StreamArn: STREAM_ARN, ShardId: "child", SequenceNumber: "200", Finished: false })] });
+        assert.deepEqual([...await store.load(STREAM_ARN)], [["child", { sequenceNumber: "200", finished: false }]]);
+    });
+});
+
+describe("s3AuditHandler", () => {
+    test("writes each change with both images under the note's prefix", async () => {
+        s3.on(PutObjectCommand).resolves({});
+        const handler = s3AuditHandler(new S3Client({ region: "us-east-1", credentials }), "audit-bucket");
+
+        await handler({
+            eventName: "MODIFY",
+            eventId: "e1",
+            sequenceNumber: "150",
+            approximateCreationTime: new Date("2026-10-19T12:00:00Z"),
+            keys: { UserId: "student", NoteId: 1 },
+            oldImage: note(1, "draft"),
+            newImage: note(1, "final"),
+            expired: false,
+        });
+
+        const [input] = s3.commandCalls(PutObjectCommand).map((call) => call.args[0].input);
+        assert.equal(input.Key, "audit/student/1/2026-10-19T12:00:00.000Z-150.json");
+        const body = JSON.parse(input.Body);
+        assert.equal(body.oldImage.Note, "draft");
+        assert.equal(body.newImage.Note, "final");
+    });
+});
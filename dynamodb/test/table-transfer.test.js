@@ -0,0 +1,214 @@
+import { test, describe, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { BatchWriteItemCommand, DynamoDBClient, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import { ImportInterruptedError, exportTable, formatFromLocation, importTable, parseLocation } from "../index.js";
+import { readCheckpoint, renameAttributes, writeCheckpoint } from "../lib/table-transfer.js";
+
+// Command-level stubs: client.send never reaches the network
+const dynamodb = mockClient(DynamoDBClient);
+const client = new DynamoDBClient({ region: "us-east-1", credentials: { accessKeyId: "a", secretAccessKey: "b" } });
+const workDir = mkdtempSync(join(tmpdir(), "table-transfer-test-"));
+
+function writtenItems() {
+    return dynamodb.commandCalls(BatchWriteItemCommand)
+        .flatMap((call) => call.args[0].input.RequestItems.Notes)
+        .map(({ PutRequest }) => unmarshall(PutRequest.Item));
+}
+
+// Plain records become items if they have a Note
+function toItem(record) {
+    return typeof record.Note === "string"
+        ? { item: marshall({ ...record, NoteId: Number(record.NoteId) }) }
+        : { errors: ["missing required attribute 'Note'"] };
+}
+
+beforeEach(() => {
+    dynamodb.reset();
+});
+
+after(() => {
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+describe("exportTable", () => {
+    test("scans every segment and page into a JSON Lines file", async () => {
+        dynamodb.on(ScanCommand).callsFake(({ Segment, ExclusiveStartKey }) => {
+            if (Segment === 1) {
+                return { Items: [], ScannedCount: 0 };
+            }
+            return ExclusiveStartKey
+                ? { Items: [marshall({ UserId: "student", NoteId: 2, Note: "b" })], ScannedCount: 1 }
+                : {
+                    Items: [marshall({ UserId: "student", NoteId: 1, Note: "a", Tags: new Set(["exam"]) })],
+                    ScannedCount: 2,
+                    LastEvaluatedKey: marshall({ UserId: "student", NoteId: 1 }),
+                };
+        });
+        const file = join(workDir, "export.jsonl");
+
+        const summary = await exportTable(client, "Notes", file, { segments: 2 });
+
+        assert.deepEqual(summary, { location: file, format: "jsonl", segments: 2, items: 2, scanned: 3 });
+        assert.deepEqual(readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line)), [
+            { UserId: "student", NoteId: 1, Note: "a", Tags: ["exam"] },
+            { UserId: "student", NoteId: 2, Note: "b" },
+        ]);
+        assert.equal(existsSync(`${file}.part`), false);
+        const scans = dynamodb.commandCalls(ScanCommand).map((call) => call.args[0].input);
+        assert.deepEqual(scans.map(({ Segment, TotalSegments }) => [Segment, TotalSegments]).sort(),
+            [[0, 2], [0, 2], [1, 2]]);
+    });
+
+    test("writes CSV with a header line and the requested columns", async () => {
+        dynamodb.on(ScanCommand).resolves({ Items: [marshall({ UserId: "student", NoteId: 1, Note: "a, b" })] });
+        const file = join(workDir, "export.csv");
+
+        await exportTable(client, "Notes", file, { segments: 1, columns: ["UserId", "NoteId", "Note"] });
+
+        assert.equal(readFileSync(file, "utf8"), 'UserId,NoteId,Note\nstudent,1,"a, b"\n');
+    });
+
+    test("writes DynamoDB JSON in attribute value format", async () => {
+        const item = marshall({ UserId: "student", NoteId: 1 });
+        dynamodb.on(ScanCommand).resolves({ Items: [item] });
+        const file = join(workDir, "export.json");
+
+        await exportTable(client, "Notes", file, { segments: 1, format: "dynamodb-json" });
+
+        assert.deepEqual(JSON.parse(readFileSync(file, "utf8")), { Item: item });
+    });
+
+    test("needs columns for CSV and removes the partial file when the scan fails", async () => {
+        await assert.rejects(exportTable(client, "Notes", join(workDir, "no-columns.csv")), /needs the list of columns/);
+
+        dynamodb.on(ScanCommand).rejects(new Error("throttled"));
+        const file = join(workDir, "failed.jsonl");
+        await assert.rejects(exportTable(client, "Notes", file, { segments: 1 }), /throttled/);
+        assert.equal(existsSync(file), false);
+        assert.equal(existsSync(`${file}.part`), false);
+    });
+});
+
+describe("importTable", () => {
+    test("imports JSON Lines records through toItem and reports the invalid ones with their line", async () => {
+        const file = join(workDir, "import.jsonl");
+        writeFileSync(file, [
+            JSON.stringify({ UserId: "student", NoteId: 1, Note: "a" }),
+            "",
+            "{not json",
+            JSON.stringify({ UserId: "student", NoteId: 2 }),
+            JSON.stringify({ UserId: "student", NoteId: 3, Text: "c" }),
+        ].join("\n"));
+        dynamodb.on(BatchWriteItemCommand).resolves({});
+
+        const summary = await importTable(client, "Notes", file, { toItem, rename: { Text: "Note" } });
+
+        assert.equal(summary.imported, 2);
+        assert.equal(summary.position, 4);
+        assert.deepEqual(summary.invalid.map(({ position, line }) => [position, line]), [[2, 3], [3, 4]]);
+        assert.match(summary.invalid[0].errors[0], /^invalid JSON/);
+        assert.deepEqual(writtenItems().map(({ NoteId, Note }) => [NoteId, Note]), [[1, "a"], [3, "c"]]);
+    });
+
+    test("leaves empty CSV fields out and renames columns", async () => {
+        const file = join(workDir, "import.csv");
+        writeFileSync(file, "UserId,NoteId,Notes,Is_Incomplete\nstudent,1,\"a, b\",\nstudent,2,c,Yes\n");
+        dynamodb.on(BatchWriteItemCommand).resolves({});
+
+        await importTable(client, "Notes", file, { toItem, rename: { Notes: "Note" } });
+
+        assert.deepEqual(writtenItems(), [
+            { UserId: "student", NoteId: 1, Note: "a, b" },
+            { UserId: "student", NoteId: 2, Note: "c", Is_Incomplete: "Yes" },
+        ]);
+    });
+
+    test("writes DynamoDB JSON items as they are", async () => {
+        const file = join(workDir, "import.json");
+        const item = { UserId: { S: "student" }, NoteId: { N: "1" }, Tags: { SS: ["exam"] } };
+        writeFileSync(file, `${JSON.stringify({ Item: item })}\n${JSON.stringify({ item })}\n`);
+        dynamodb.on(BatchWriteItemCommand).resolves({});
+
+        const summary = await importTable(client, "Notes", file, { format: "dynamodb-json" });
+
+        assert.deepEqual(dynamodb.commandCalls(BatchWriteItemCommand)[0].args[0].input.RequestItems.Notes,
+            [{ PutRequest: { Item: item } }]);
+        assert.deepEqual(summary.invalid.map(({ line }) => line), [2]);
+    });
+
+    test("saves a checkpoint per chunk, stops on failed writes and resumes from the checkpoint", async () => {
+        const file = join(workDir, "resume.jsonl");
+        const checkpoint = join(workDir, "resume.checkpoint.json");
+        writeFileSync(file, [1, 2, 3, 4, 5].map((NoteId) => JSON.stringify({ UserId: "student", NoteId, Note: `n${NoteId}` }))
+            .join("\n"));
+        let batches = 0;
+        dynamodb.on(BatchWriteItemCommand).callsFake(() => {
+            batches++;
+            if (batches === 2) {
+                throw new Error("table is being updated");
+            }
+            return {};
+        });
+
+        await assert.rejects(importTable(client, "Notes", file, { toItem, checkpoint, checkpointEvery: 2 }), (error) => {
+            assert.ok(error instanceof ImportInterruptedError);
+            assert.equal(error.position, 2);
+            assert.equal(error.checkpoint, checkpoint);
+            assert.deepEqual(error.failed.map(({ item }) => item.NoteId), [3, 4]);
+            return true;
+        });
+        const { location, tableName, format, position, imported } = JSON.parse(readFileSync(checkpoint, "utf8"));
+        assert.deepEqual({ location, tableName, format, position, imported },
+            { location: file, tableName: "Notes", format: "jsonl", position: 2, imported: 2 });
+
+        dynamodb.reset();
+        dynamodb.on(BatchWriteItemCommand).resolves({});
+        const summary = await importTable(client, "Notes", file, { toItem, checkpoint, checkpointEvery: 2, resume: true });
+
+        assert.equal(summary.resumedFrom, 2);
+        assert.equal(summary.imported, 5);
+        assert.deepEqual(writtenItems().map(({ NoteId }) => NoteId), [3, 4, 5]);
+        assert.equal(existsSync(checkpoint), false);
+    });
+
+    test("needs toItem for plain formats", async () => {
+        await assert.rejects(importTable(client, "Notes", join(workDir, "any.jsonl")), /Importing jsonl needs a toItem function/);
+    });
+});
+
+describe("checkpoints", () => {
+    test("round-trip and refuse a checkpoint of another job", async () => {
+        const file = join(workDir, "job.checkpoint.json");
+        await writeCheckpoint(file, { location: "notes.jsonl", tableName: "Notes", position: 10 });
+
+        assert.equal((await readCheckpoint(file, { location: "notes.jsonl", tableName: "Notes" })).position, 10);
+        await assert.rejects(readCheckpoint(file, { location: "notes.jsonl", tableName: "Other" }),
+            /is for tableName 'Notes', not 'Other'/);
+        assert.equal(await readCheckpoint(join(workDir, "missing.json"), {}), undefined);
+        assert.equal(existsSync(`${file}.tmp`), false);
+    });
+});
+
+describe("renameAttributes", () => {
+    test("renames attributes and drops empty fields of CSV records only", () => {
+        assert.deepEqual(renameAttributes({ Notes: "a", Tags: "" }, { Notes: "Note" }, "csv"), { Note: "a" });
+        assert.deepEqual(renameAttributes({ Notes: "a", Tags: "" }, { Notes: "Note" }, "jsonl"), { Note: "a", Tags: "" });
+        assert.equal(renameAttributes("text", {}, "jsonl"), "text");
+    });
+});
+
+describe("locations", () => {
+    test("parse S3 URLs and file names and tell the format from the extension", () => {
+        assert.deepEqual(parseLocation("s3://bucket/exports/notes.csv"), { bucket: "bucket", key: "exports/notes.csv" });
+        assert.deepEqual(parseLocation("notes.jsonl"), { file: "notes.jsonl" });
+        assert.throws(() => parseLocation("s3://bucket"), /must look like s3:\/\/bucket\/key/);
+        assert.equal(formatFromLocation("s3://bucket/notes.NDJSON"), "jsonl");
+        assert.equal(formatFromLocation("notes.csv"), "csv");
+        assert.throws(() => formatFromLocation("notes.json"), /Cannot tell the format/);
+    });
+});
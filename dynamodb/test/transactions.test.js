@@ -0,0 +1,196 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    DynamoDBClient,
+    GetItemCommand,
+    TransactGetItemsCommand,
+    TransactionCanceledException,
+    TransactWriteItemsCommand,
+} from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import {
+    ConditionalCheckFailedError,
+    MAX_TRANSACTION_ITEMS,
+    NotesRepository,
+    TransactionCanceledError,
+    attr,
+} from "../index.js";
+
+// Command-level stubs: client.send never reaches the network
+const dynamodb = mockClient(DynamoDBClient);
+
+function createRepository() {
+    const client = new DynamoDBClient({ region: "us-east-1", credentials: { accessKeyId: "a", secretAccessKey: "b" } });
+    return new NotesRepository({ client });
+}
+
+function transactInput(index = 0) {
+    return dynamodb.commandCalls(TransactWriteItemsCommand)[index].args[0].input;
+}
+
+function cancelled(...reasons) {
+    return new TransactionCanceledException({ message: "Transaction cancelled", $metadata: {}, CancellationReasons: reasons });
+}
+
+beforeEach(() => {
+    dynamodb.reset();
+});
+
+describe("NotesTransaction", () => {
+    test("commits the operations in order with the idempotency token", async () => {
+        dynamodb.on(TransactWriteItemsCommand).resolves({});
+
+        const result = await createRepository().transaction({ clientRequestToken: "request-1" })
+            .put({ UserId: "student", NoteId: 1, Note: "new" })
+            .update("student", 2, { Is_Incomplete: "No" }, { expectedVersion: 3 })
+            .delete("student", 3)
+            .conditionCheck("student", 4, { condition: attr("Is_Incomplete").eq("Yes") })
+            .commit();
+
+        const input = transactInput();
+        assert.equal(input.ClientRequestToken, "request-1");
+        assert.deepEqual(input.TransactItems.map((item) => Object.keys(item)[0]), ["Put", "Update", "Delete", "ConditionCheck"]);
+        assert.match(input.TransactItems[0].Put.ConditionExpression, /attribute_not_exists/);
+        assert.deepEqual(result.operations.map(({ type, key }) => [type, key.NoteId]),
+            [["put", 1], ["update", 2], ["delete", 3], ["conditionCheck", 4]]);
+        assert.deepEqual(result.notes, [{ UserId: "student", NoteId: 1, Note: "new", Version: 1 }]);
+    });
+
+    test(`accepts at most ${MAX_TRANSACTION_ITEMS} operations`, () => {
+        const transaction = createRepository().transaction();
+        for (let noteId = 1; noteId <= MAX_TRANSACTION_ITEMS; noteId++) {
+            transaction.delete("student", noteId);
+        }
+
+        assert.equal(transaction.size, MAX_TRANSACTION_ITEMS);
+        assert.throws(() => transaction.delete("student", 101), /at most 100 operations/);
+        assert.throws(() => transaction.addItem({ Delete: { TableName: "NotesIndex", Key: {} } }), /at most 100 operations/);
+    });
+
+    test("rejects a note that is already part of the transaction", () => {
+        const transaction = createRepository().transaction().update("student", 5, { Is_Incomplete: "No" });
+
+        assert.throws(() => transaction.delete("student", 5), /can only include note student\/5 once/);
+        assert.equal(transaction.size, 1);
+    });
+
+    test("rejects an empty commit and malformed items", async () => {
+        const transaction = createRepository().transaction();
+
+        await assert.rejects(transaction.commit(), /at least one operation/);
+        assert.throws(() => transaction.addItem({ Get: { TableName: "NotesIndex" } }), /Put, Update, Delete or ConditionCheck/);
+        assert.throws(() => transaction.addItem({ Put: { Item: {} } }), /with a TableName/);
+    });
+
+    test("maps the cancellation reasons to the operations and explains failed conditions", async () => {
+        dynamodb.on(TransactWriteItemsCommand).rejects(cancelled(
+            { Code: "None" },
+            { Code: "ConditionalCheckFailed", Item: marshall({ UserId: "student", NoteId: 2, Note: "x", Version: 4 }) },
+            { Code: "ConditionalCheckFailed" },
+            { Code: "ConditionalCheckFailed" },
+        ));
+
+        const transaction = createRepository().transaction()
+            .put({ UserId: "student", NoteId: 1, Note: "new" })
+            .update("student", 2, { Is_Incomplete: "No" }, { expectedVersion: 3 })
+            .delete("student", 3, { expectedVersion: 1 })
+            .addItem({ ConditionCheck: { TableName: "NotesIndex", Key: {}, ConditionExpression: "x" } }, { PK: "USER#student" });
+
+        await assert.rejects(transaction.commit(), (error) => {
+            assert.ok(error instanceof TransactionCanceledError);
+            assert.deepEqual(error.reasons.map(({ code }) => code),
+                ["None", "ConditionalCheckFailed", "ConditionalCheckFailed", "ConditionalCheckFailed"]);
+            assert.deepEqual(error.failures.map(({ index }) => index), [1, 2, 3]);
+            const [changed, missing, other] = error.failures.map((failure) => failure.error);
+            assert.ok(changed instanceof ConditionalCheckFailedError);
+            assert.match(changed.message, /student\/2 was changed by someone else: expected version 3, found 4/);
+            assert.equal(changed.current.Version, 4);
+            assert.match(missing.message, /student\/3 does not exist/);
+            assert.equal(other, undefined);
+            assert.match(error.message, /#3 conditionCheck USER#student: ConditionalCheckFailed/);
+            return true;
+        });
+    });
+
+    test("passes other errors through unchanged", async () => {
+        const failure = new Error("ValidationException");
+        dynamodb.on(TransactWriteItemsCommand).rejects(failure);
+
+        await assert.rejects(createRepository().transaction().delete("student", 1).commit(), (error) => error === failure);
+    });
+});
+
+describe("moveNote", () => {
+    test("deletes the note at the version read and inserts it create-only under the new key", async () => {
+        dynamodb.on(GetItemCommand).resolves({ Item: marshall({ UserId: "alice", NoteId: 5, Note: "moving", Version: 3 }) });
+        dynamodb.on(TransactWriteItemsCommand).resolves({});
+
+        const moved = await createRepository().moveNote("alice", 5, "bob", { toNoteId: 7 });
+
+        assert.deepEqual(moved, { UserId: "bob", NoteId: 7, Note: "moving", Version: 1 });
+        assert.equal(dynamodb.commandCalls(GetItemCommand)[0].args[0].input.ConsistentRead, true);
+        const [remove, put] = transactInput().TransactItems;
+        assert.deepEqual(unmarshall(remove.Delete.Key), { UserId: "alice", NoteId: 5 });
+        assert.deepEqual(Object.values(unmarshall(remove.Delete.ExpressionAttributeValues)), [3]);
+        assert.match(put.Put.ConditionExpression, /attribute_not_exists/);
+        assert.deepEqual(unmarshall(put.Put.Item), { UserId: "bob", NoteId: 7, Note: "moving", Version: 1 });
+    });
+
+    test("fails without a transaction when the note does not exist", async () => {
+        dynamodb.on(GetItemCommand).resolves({});
+
+        await assert.rejects(createRepository().moveNote("alice", 5, "bob"),
+            (error) => error instanceof ConditionalCheckFailedError && /alice\/5 does not exist/.test(error.message));
+        assert.equal(dynamodb.commandCalls(TransactWriteItemsCommand).length, 0);
+    });
+
+    test("reports a target that already exists", async () => {
+        dynamodb.on(GetItemCommand).resolves({ Item: marshall({ UserId: "alice", NoteId: 5, Note: "moving", Version: 3 }) });
+        dynamodb.on(TransactWriteItemsCommand).rejects(cancelled(
+            { Code: "None" },
+            { Code: "ConditionalCheckFailed", Item: marshall({ UserId: "bob", NoteId: 5, Note: "taken" }) },
+        ));
+
+        await assert.rejects(createRepository().moveNote("alice", 5, "bob"),
+            (error) => error instanceof TransactionCanceledError && /bob\/5 already exists/.test(error.message));
+    });
+});
+
+describe("markNotesComplete", () => {
+    test("updates every note in one transaction and reports the missing ones", async () => {
+        dynamodb.on(TransactWriteItemsCommand).rejects(cancelled({ Code: "None" }, { Code: "ConditionalCheckFailed" }));
+        const keys = [{ UserId: "student", NoteId: 1 }, { UserId: "student", NoteId: 2 }];
+
+        await assert.rejects(createRepository().markNotesComplete(keys, { clientRequestToken: "complete-1" }),
+            (error) => error instanceof TransactionCanceledError && /student\/2 does not exist/.test(error.message));
+
+        const input = transactInput();
+        assert.equal(input.ClientRequestToken, "complete-1");
+        assert.deepEqual(input.TransactItems.map(({ Update }) => unmarshall(Update.Key).NoteId), [1, 2]);
+        assert.ok(input.TransactItems.every(({ Update }) => /attribute_exists/.test(Update.ConditionExpression)));
+    });
+});
+
+describe("transactGetNotes", () => {
+    test("returns the notes in the order of the keys, undefined where missing", async () => {
+        dynamodb.on(TransactGetItemsCommand).resolves({
+            Responses: [{ Item: marshall({ UserId: "student", NoteId: 2, Note: "b" }) }, {}],
+        });
+
+        const notes = await createRepository().transactGetNotes([{ UserId: "student", NoteId: 2 }, { UserId: "student", NoteId: 9 }],
+            { projection: ["Note"] });
+
+        assert.deepEqual(notes, [{ UserId: "student", NoteId: 2, Note: "b" }, undefined]);
+        const [get] = dynamodb.commandCalls(TransactGetItemsCommand)[0].args[0].input.TransactItems;
+        assert.equal(get.Get.ProjectionExpression, "#n0");
+    });
+
+    test(`takes between 1 and ${MAX_TRANSACTION_ITEMS} keys`, async () => {
+        const keys = Array.from({ length: MAX_TRANSACTION_ITEMS + 1 }, (_, i) => ({ UserId: "student", NoteId: i }));
+
+        await assert.rejects(createRepository().transactGetNotes([]), /between 1 and 100 keys, got 0/);
+        await assert.rejects(createRepository().transactGetNotes(keys), /between 1 and 100 keys, got 101/);
+        assert.equal(dynamodb.calls().length, 0);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Walkthrough of the S3 sample functions.
+ *
+ * Usage: node demo.js [bucket] [--profile name] [--region region] [--endpoint url] [--max-attempts n]
+ *                     [--log-level level] [--log-format text|json]
+ *
+ * Creates the bucket (a random test bucket name by default) with the
+ * security baseline configuration, uploads
+ * notes.csv, queries it with S3 Select, generates a presigned URL and then
+ * deletes the bucket again. The run ends with a summary of the requests it
+ * made.
+ */
+import { parseArgs } from "util";
+import { configureLogging, getLogger, logMetricsSummary } from "aws-samples-common";
+import {
+    createS3Client,
+    listBuckets,
+    listBucketContents,
+    createBucket,
+    deleteBucket,
+    uploadFile,
+    queryFile,
+    createPresignedUrl,
+    BASELINE_BUCKET_CONFIGURATION,
+} from "./index.js";
+
+configureLogging();
+const logger = getLogger("demo");
+
+/**
+ * Main entry point for the walkthrough.
+ *
+ * This function will exercise the core programmatic capabilities of the Node.js SDK for
+ * creating and managing S3 buckets and their contents.
+ *
+ * The client configuration comes from --profile, --region and --endpoint
+ * flags, AWS_PROFILE / AWS_REGION, or the shared config files.
+ */
+async function main() {
+    const { values, positionals } = parseArgs({
+        options: {
+            profile: { type: "string" },
+            region: { type: "string" },
+            endpoint: { type: "string" },
+            "max-attempts": { type: "string" },
+            "log-level": { type: "string" },
+            "log-format": { type: "string" },
+        },
+        allowPositionals: true,
+    });
+    const newBucket = positionals[0] ?? `notes-sample-${Date.now()}`;
+    const client = await createS3Client({
+        profile: values.profile,
+        region: values.region,
+        endpoint: values.endpoint,
+        retry: { maxAttempts: values["max-attempts"] },
+    });
+
+    // Call S3 to list the buckets
+    await printBuckets(client);
+    const created = await createBucket(client, newBucket, { configuration: BASELINE_BUCKET_CONFIGURATION });
+    logger.info(created.created ? `Bucket created at: ${created.Location}` : "Bucket already exists");
+    logger.info("Bucket configured", { changes: created.changes.map((change) => change.description) });
+    await printBuckets(client);
+
+    const sourceFileName = "notes.csv";
+    const sourceContentType = "text/csv";
+    await uploadFile(client, newBucket, new URL(`./${sourceFileName}`, import.meta.url).pathname,
+        sourceContentType, { "myVal": "Upload Testing" }, sourceFileName);
+    const contents = await listBucketContents(client, newBucket);
+    logger.info(`Contents of bucket: ${newBucket}`, { keys: contents.map((o) => o.Key) });
+
+    // Query the uploaded file
+    logger.info(`Querying file: ${sourceFileName}`);
+    for (const record of await queryFile(client, newBucket, sourceFileName)) {
+        logger.info("Record", { record });
+    }
+
+    // Generate a presigned URL good for an hour (60 seconds * 60 minutes)
+    const url = await createPresignedUrl(client, newBucket, sourceFileName, 3600);
+    logger.info("Presigned URL created", { url });
+
+    logger.info(`Deleting bucket: ${newBucket}`);
+    await deleteBucket(client, newBucket, { force: true });
+}
+
+async function printBuckets(client) {
+    const buckets = await listBuckets(client);
+    logger.info("List of buckets", { buckets: buckets.map((b) => b.Name) });
+}
+
+main()
+    .then(() => {
+        logMetricsSummary();
+        process.exit(0);
+    })
+    .catch((error) => {
+        // A failed step must fail the run, so scripts and CI can detect it
+        logger.error(`${error.name}: ${error.message}`);
+        logMetricsSummary();
+        process.exit(1);
+    });
@@ -0,0 +1,338 @@
+/**
+ * Declarative bucket configuration.
+ *
+ * A configuration describes how a bucket should be set up. It can be written
+ * in JSON or YAML:
+ *
+ *     versioning: Enabled                # or Suspended
+ *     encryption: { algorithm: aws:kms, kmsKeyId: alias/notes, bucketKey: true }
+ *     blockPublicAccess: true            # all four settings, or an object of them
+ *     lifecycle:
+ *       - id: expire-uploads
+ *         prefix: incoming/
+ *         expirationDays: 30
+ *         transitions: [{ days: 7, storageClass: STANDARD_IA }]
+ *         noncurrentExpirationDays: 30
+ *         abortIncompleteMultipartUploadDays: 7
+ *     cors:
+ *       - allowedOrigins: [https://notes.example.com]
+ *         allowedMethods: [GET, PUT]
+ *         allowedHeaders: ["*"]
+ *         exposeHeaders: [ETag]
+ *         maxAgeSeconds: 3000
+ *     tags: { app: notes }
+ *     policy: { Version: "2012-10-17", Statement: [...] }
+ *
+ * Settings are only managed when they are present: `configureBucket` leaves
+ * everything the configuration does not mention as it is. null (or an empty
+ * list) removes the lifecycle rules, CORS rules, tags or policy, and false
+ * turns Block Public Access off. `${bucket}` in the policy is replaced with
+ * the bucket name, so one policy serves every bucket.
+ */
+import { readFile } from "fs/promises";
+import { extname } from "path";
+import YAML from "yaml";
+
+/**
+ * The security baseline for buckets created by the command line tool and
+ * the demo: all public access blocked, SSE-S3 default encryption, requests
+ * without TLS denied and incomplete multipart uploads cleaned up after a
+ * week.
+ */
+export const BASELINE_BUCKET_CONFIGURATION = {
+    encryption: { algorithm: "AES256" },
+    blockPublicAccess: true,
+    lifecycle: [{ id: "abort-incomplete-multipart-uploads", abortIncompleteMultipartUploadDays: 7 }],
+    policy: {
+        Version: "2012-10-17",
+        Statement: [{
+            Sid: "DenyInsecureTransport",
+            Effect: "Deny",
+            Principal: "*",
+            Action: "s3:*",
+            Resource: ["arn:aws:s3:::${bucket}", "arn:aws:s3:::${bucket}/*"],
+            Condition: { Bool: { "aws:SecureTransport": "false" } },
+        }],
+    },
+};
+
+export const VERSIONING_STATUSES = ["Enabled", "Suspended"];
+
+export const ENCRYPTION_ALGORITHMS = ["AES256", "aws:kms", "aws:kms:dsse"];
+
+export const STORAGE_CLASSES = ["STANDARD_IA", "ONEZONE_IA", "INTELLIGENT_TIERING", "GLACIER_IR", "GLACIER", "DEEP_ARCHIVE"];
+
+/**
+ * The settings of a configuration, in the order they are applied.
+ */
+export const BUCKET_SETTINGS = ["versioning", "encryption", "blockPublicAccess", "lifecycle", "cors", "tags", "policy"];
+
+const PUBLIC_ACCESS_BLOCK_FLAGS = ["blockPublicAcls", "ignorePublicAcls", "blockPublicPolicy", "restrictPublicBuckets"];
+const CORS_METHODS = ["GET", "PUT", "POST", "DELETE", "HEAD"];
+const MAX_LIFECYCLE_RULES = 1000;
+const MAX_CORS_RULES = 100;
+const MAX_TAGS = 50;
+
+/**
+ * Raised for a configuration that S3 would not accept, listing every problem.
+ */
+export class BucketConfigurationError extends Error {
+    /**
+     * @param {string[]} problems Everything that is wrong with the configuration
+     */
+    constructor(problems) {
+        super(`Invalid bucket configuration:\n${problems.map((problem) => `  ${problem}`).join("\n")}`);
+        this.name = "BucketConfigurationError";
+        this.problems = problems;
+    }
+}
+
+/**
+ * Read a bucket configuration from a .json, .yaml or .yml file.
+ *
+ * @param {string} fileName
+ * @returns {Promise<object>} The validated configuration (see normalizeBucketConfiguration)
+ * @throws {BucketConfigurationError} If the configuration is invalid
+ */
+export async function loadBucketConfiguration(fileName) {
+    const text = await readFile(fileName, "utf8");
+    let configuration;
+    try {
+        configuration = extname(fileName).toLowerCase() === ".json" ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+        throw new BucketConfigurationError([`${fileName}: ${error.message}`]);
+    }
+    return normalizeBucketConfiguration(configuration);
+}
+
+/**
+ * Validate a configuration and bring it into the form the live settings are
+ * compared in: Block Public Access as all four flags, lifecycle and CORS
+ * rules with their defaults filled in, tag values as strings and the policy
+ * as an object. Settings that are absent stay absent.
+ *
+ * @param {object} configuration
+ * @returns {object} The normalized configuration
+ * @throws {BucketConfigurationError} Listing every problem found
+ */
+export function normalizeBucketConfiguration(configuration) {
+    if (configuration === null || typeof configuration !== "object" || Array.isArray(configuration)) {
+        throw new BucketConfigurationError(["the configuration must be an object"]);
+    }
+    const problems = [];
+    for (const name of Object.keys(configuration)) {
+        if (!BUCKET_SETTINGS.includes(name)) {
+            problems.push(`unknown setting '${name}', expected one of ${BUCKET_SETTINGS.join(", ")}`);
+        }
+    }
+    const normalized = {};
+    const normalizers = {
+        versioning: normalizeVersioning,
+        encryption: normalizeEncryption,
+        blockPublicAccess: normalizePublicAccessBlock,
+        lifecycle: normalizeLifecycle,
+        cors: normalizeCors,
+        tags: normalizeTags,
+        policy: normalizePolicy,
+    };
+    for (const name of BUCKET_SETTINGS) {
+        if (configuration[name] !== undefined) {
+            normalized[name] = normalizers[name](configuration[name], problems);
+        }
+    }
+    if (problems.length > 0) {
+        throw new BucketConfigurationError(problems);
+    }
+    return normalized;
+}
+
+function normalizeVersioning(versioning, problems) {
+    if (typeof versioning === "boolean") {
+        return versioning ? "Enabled" : "Suspended";
+    }
+    if (!VERSIONING_STATUSES.includes(versioning)) {
+        // A bucket that had versioning enabled can only suspend it, never turn it off
+        problems.push(`versioning must be ${VERSIONING_STATUSES.join(" or ")}, got ${JSON.stringify(versioning)}`);
+    }
+    return versioning;
+}
+
+function normalizeEncryption(encryption, problems) {
+    if (encryption === null || typeof encryption !== "object") {
+        problems.push("encryption must be an object with an algorithm; S3 always encrypts new objects, at least with AES256");
+        return encryption;
+    }
+    const { algorithm, kmsKeyId, bucketKey = false } = encryption;
+    if (!ENCRYPTION_ALGORITHMS.includes(algorithm)) {
+        problems.push(`encryption.algorithm must be one of ${ENCRYPTION_ALGORITHMS.join(", ")}, got ${JSON.stringify(algorithm)}`);
+    }
+    if (algorithm === "AES256") {
+        if (kmsKeyId !== undefined || encryption.bucketKey !== undefined) {
+            problems.push("encryption.kmsKeyId and encryption.bucketKey need an aws:kms algorithm");
+        }
+        return { algorithm };
+    }
+    if (kmsKeyId !== undefined && typeof kmsKeyId !== "string") {
+        problems.push("encryption.kmsKeyId must be a key ID, key ARN or alias");
+    }
+    if (typeof bucketKey !== "boolean") {
+        problems.push("encryption.bucketKey must be true or false");
+    }
+    // Without a key ID, S3 uses the AWS managed key aws/s3
+    return kmsKeyId === undefined ? { algorithm, bucketKey } : { algorithm, kmsKeyId, bucketKey };
+}
+
+function normalizePublicAccessBlock(block, problems) {
+    if (typeof block === "boolean" || block === null) {
+        return Object.fromEntries(PUBLIC_ACCESS_BLOCK_FLAGS.map((flag) => [flag, Boolean(block)]));
+    }
+    if (typeof block !== "object" || Array.isArray(block)) {
+        problems.push(`blockPublicAccess must be true, false or an object of ${PUBLIC_ACCESS_BLOCK_FLAGS.join(", ")}`);
+        return block;
+    }
+    for (const [flag, value] of Object.entries(block)) {
+        if (!PUBLIC_ACCESS_BLOCK_FLAGS.includes(flag) || typeof value !== "boolean") {
+            problems.push(`blockPublicAccess.${flag} must be one of ${PUBLIC_ACCESS_BLOCK_FLAGS.join(", ")} set to true or false`);
+        }
+    }
+    return Object.fromEntries(PUBLIC_ACCESS_BLOCK_FLAGS.map((flag) => [flag, block[flag] ?? false]));
+}
+
+function normalizeLifecycle(rules, problems) {
+    return normalizeList(rules ?? [], "lifecycle", MAX_LIFECYCLE_RULES, problems, (rule, path) => {
+        const transitions = rule.transitions ?? [];
+        if (!Array.isArray(transitions)) {
+            problems.push(`${path}.transitions must be a list`);
+        }
+        const normalized = {
+            id: rule.id,
+            prefix: rule.prefix ?? "",
+            enabled: rule.enabled ?? true,
+            expirationDays: rule.expirationDays,
+            transitions: !Array.isArray(transitions) ? transitions : transitions.map((transition, i) => {
+                if (!isDays(transition?.days) || !STORAGE_CLASSES.includes(transition?.storageClass)) {
+                    problems.push(`${path}.transitions[${i}] needs days and a storageClass of ${STORAGE_CLASSES.join(", ")}`);
+                }
+                return { days: transition?.days, storageClass: transition?.storageClass };
+            }),
+            noncurrentExpirationDays: rule.noncurrentExpirationDays,
+            abortIncompleteMultipartUploadDays: rule.abortIncompleteMultipartUploadDays,
+        };
+        if (typeof rule.id !== "string" || rule.id.length === 0 || rule.id.length > 255) {
+            problems.push(`${path}.id must be a name of 1-255 characters`);
+        }
+        if (typeof normalized.prefix !== "string") {
+            problems.push(`${path}.prefix must be a key prefix`);
+        }
+        if (typeof normalized.enabled !== "boolean") {
+            problems.push(`${path}.enabled must be true or false`);
+        }
+        for (const field of ["expirationDays", "noncurrentExpirationDays", "abortIncompleteMultipartUploadDays"]) {
+            if (normalized[field] !== undefined && !isDays(normalized[field])) {
+                problems.push(`${path}.${field} must be a positive number of days`);
+            }
+        }
+        if (normalized.expirationDays === undefined && normalized.transitions.length === 0 &&
+            normalized.noncurrentExpirationDays === undefined && normalized.abortIncompleteMultipartUploadDays === undefined) {
+            problems.push(`${path} needs an expiration, transition, noncurrent expiration or multipart upload abort`);
+        }
+        return compact(normalized);
+    }, (rule) => rule.id);
+}
+
+function normalizeCors(rules, problems) {
+    return normalizeList(rules ?? [], "cors", MAX_CORS_RULES, problems, (rule, path) => {
+        const normalized = {
+            allowedOrigins: rule.allowedOrigins,
+            allowedMethods: rule.allowedMethods?.map?.((method) => String(method).toUpperCase()),
+            allowedHeaders: rule.allowedHeaders ?? [],
+            exposeHeaders: rule.exposeHeaders ?? [],
+            maxAgeSeconds: rule.maxAgeSeconds,
+        };
+        if (!isStringList(normalized.allowedOrigins) || normalized.allowedOrigins.length === 0) {
+            problems.push(`${path}.allowedOrigins must list at least one origin, such as https://example.com or *`);
+        }
+        if (!isStringList(normalized.allowedMethods) || normalized.allowedMethods.length === 0 ||
+            !normalized.allowedMethods.every((method) => CORS_METHODS.includes(method))) {
+            problems.push(`${path}.allowedMethods must list methods of ${CORS_METHODS.join(", ")}`);
+        }
+        for (const field of ["allowedHeaders", "exposeHeaders"]) {
+            if (!isStringList(normalized[field])) {
+                problems.push(`${path}.${field} must list header names`);
+            }
+        }
+        if (normalized.maxAgeSeconds !== undefined && (!Number.isInteger(normalized.maxAgeSeconds) || normalized.maxAgeSeconds < 0)) {
+            problems.push(`${path}.maxAgeSeconds must be a number of seconds`);
+        }
+        return compact(normalized);
+    });
+}
+
+function normalizeTags(tags, problems) {
+    if (tags === null) {
+        return {};
+    }
+    if (typeof tags !== "object" || Array.isArray(tags)) {
+        problems.push("tags must be an object of tag names and values");
+        return tags;
+    }
+    if (Object.keys(tags).length > MAX_TAGS) {
+        problems.push(`a bucket can have at most ${MAX_TAGS} tags`);
+    }
+    return Object.fromEntries(Object.entries(tags).map(([name, value]) => [name, String(value)]));
+}
+
+function normalizePolicy(policy, problems) {
+    if (policy === null) {
+        return null;
+    }
+    let document = policy;
+    if (typeof policy === "string") {
+        try {
+            document = JSON.parse(policy);
+        } catch (error) {
+            problems.push(`policy is not valid JSON: ${error.message}`);
+            return policy;
+        }
+    }
+    if (document === null || typeof document !== "object" || !Array.isArray(document.Statement)) {
+        problems.push("policy must be a policy document with a Statement list, or null to remove the policy");
+    }
+    return document;
+}
+
+function normalizeList(items, path, max, problems, normalizeItem, idOf) {
+    if (!Array.isArray(items)) {
+        problems.push(`${path} must be a list, or null to remove it`);
+        return items;
+    }
+    if (items.length > max) {
+        problems.push(`a bucket can have at most ${max} ${path} rules`);
+    }
+    const normalized = items.map((item, i) => normalizeItem(item ?? {}, `${path}[${i}]`));
+    if (idOf) {
+        const ids = normalized.map(idOf);
+        for (const id of new Set(ids.filter((id, i) => ids.indexOf(id) !== i))) {
+            problems.push(`${path} rule id '${id}' is used more than once`);
+        }
+    }
+    return normalized;
+}
+
+function isDays(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every((item) => typeof item === "string");
+}
+
+/**
+ * Drop undefined fields, so normalized and live settings compare equal.
+ *
+ * @param {object} object
+ * @returns {object}
+ */
+export function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,97 @@
+/**
+ * Checksum helpers matching the additional checksums S3 stores with objects.
+ *
+ * S3 reports checksums as base64 strings. For multipart uploads the object
+ * checksum is a "checksum of checksums": the algorithm applied to the
+ * concatenated raw part checksums, followed by `-<number of parts>`.
+ */
+import { createHash } from "crypto";
+
+/**
+ * Checksum algorithms supported by the transfer helpers.
+ */
+export const CHECKSUM_ALGORITHMS = ["CRC32", "SHA256"];
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class Crc32 {
+    #crc = 0xffffffff;
+
+    update(data) {
+        let crc = this.#crc;
+        for (let i = 0; i < data.length; i++) {
+            crc = CRC32_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        this.#crc = crc;
+        return this;
+    }
+
+    digest() {
+        const value = Buffer.alloc(4);
+        value.writeUInt32BE((this.#crc ^ 0xffffffff) >>> 0);
+        return value;
+    }
+}
+
+/**
+ * Create an incremental checksum for the given algorithm.
+ *
+ * @param {string} algorithm 'CRC32' or 'SHA256'
+ * @returns {{update: function(Buffer): object, digest: function(): Buffer}}
+ */
+export function createChecksum(algorithm) {
+    switch (algorithm) {
+        case "CRC32":
+            return new Crc32();
+        case "SHA256":
+            return createHash("sha256");
+        default:
+            throw new Error(`Unsupported checksum algorithm '${algorithm}'. Expected one of: ${CHECKSUM_ALGORITHMS.join(", ")}`);
+    }
+}
+
+/**
+ * Compute the base64 checksum of a buffer.
+ *
+ * @param {string} algorithm 'CRC32' or 'SHA256'
+ * @param {Buffer} data
+ * @returns {string}
+ */
+export function checksumOf(algorithm, data) {
+    return createChecksum(algorithm).update(data).digest().toString("base64");
+}
+
+/**
+ * Compute the composite checksum S3 reports for a multipart object.
+ *
+ * @param {string} algorithm 'CRC32' or 'SHA256'
+ * @param {string[]} partChecksums The base64 checksum of each part, in part order
+ * @returns {string} The composite checksum, e.g. 'AAAAAA==-3'
+ */
+export function compositeChecksum(algorithm, partChecksums) {
+    const checksum = createChecksum(algorithm);
+    for (const part of partChecksums) {
+        checksum.update(Buffer.from(part, "base64"));
+    }
+    return `${checksum.digest().toString("base64")}-${partChecksums.length}`;
+}
+
+/**
+ * The name of the request/response field carrying a checksum, e.g. 'ChecksumCRC32'.
+ *
+ * @param {string} algorithm
+ * @returns {string}
+ */
+export function checksumField(algorithm) {
+    return `Checksum${algorithm}`;
+}
@@ -0,0 +1,608 @@
+import { parseArgs } from "util";
+import {
+    configureLogging,
+    logMetricsSummary,
+    operationMetrics,
+    UsageError,
+} from "aws-samples-common";
+import {
+    createS3Client,
+    listBuckets,
+    listBucketContents,
+    listFolder,
+    createBucket,
+    deleteBucket,
+} from "./s3-operations.js";
+import { BASELINE_BUCKET_CONFIGURATION, loadBucketConfiguration } from "./bucket-configuration.js";
+import { configureBucket, describeBucketConfiguration } from "./configure-bucket.js";
+import { MAX_PRESIGN_EXPIRY, presignGetObject, presignPost, presignPutObject } from "./presign.js";
+import {
+    copyObject,
+    deleteObjectTags,
+    getObjectTags,
+    headObject,
+    moveObject,
+    moveObjects,
+    putObjectTags,
+    replaceMetadata,
+    tagObjects,
+} from "./object-operations.js";
+import { selectObject } from "./select.js";
+import { uploadObject, downloadObject } from "./transfer.js";
+import { syncToS3, syncFromS3 } from "./sync.js";
+import { CHECKSUM_ALGORITHMS } from "./checksums.js";
+
+export const USAGE = `Usage: s3-sample <command> [options]
+
+Commands:
+  ls [bucket[/prefix]] [--recursive]
+                                    List buckets, or the folders and objects under a prefix;
+                                    --recursive lists every object under the prefix instead
+  mb <bucket> [--config file] [--bare]
+                                    Make a bucket in the client's region and apply the bucket
+                                    configuration (default: the security baseline); --bare
+                                    leaves everything at S3's defaults
+  configure <bucket> [--config file] [--dryrun]
+                                    Change the bucket's versioning, encryption, Block Public
+                                    Access, lifecycle, CORS, tags and policy to match the
+                                    configuration; --dryrun only lists the changes
+  describe <bucket> [--config file] Report where the bucket differs from the configuration
+  rb <bucket> [--force] [--all-versions]
+                                    Remove a bucket; --force deletes its objects first and
+                                    --all-versions also deletes old versions and delete markers
+  put <file> <bucket/key> [--content-type type] [--meta k=v ...] [--resume]
+                                    Upload a local file, using multipart upload for large files;
+                                    --resume continues an interrupted multipart upload
+  get <bucket/key> <file>           Download an object to a local file
+  head <bucket/key> [--version-id id]
+                                    Show an object's content type, size, storage class, ETag,
+                                    version and metadata without downloading it
+  cp <bucket/key> <bucket/key> [--version-id id] [--content-type type] [--meta k=v ...]
+       [--tag k=v ...] [--storage-class class]
+                                    Copy an object inside S3, in parts when it is over 5 GB;
+                                    --content-type and --meta replace the source's metadata
+                                    and --tag its tags
+  mv <bucket/key> <bucket/key> | mv <bucket/prefix> <bucket/prefix> --recursive [--dryrun]
+                                    Move an object, or with --recursive every object under a
+                                    prefix (--concurrency at once), listing each key's result
+  set-metadata <bucket/key> [--content-type type] [--meta k=v ...]
+                                    Replace an object's content type or metadata in place
+  tags <bucket/key> [--version-id id]
+                                    Show an object's tags
+  tag <bucket/key> --tag k=v ... [--merge] | tag <bucket/prefix> --tag k=v ... --recursive
+       [--merge] [--dryrun]
+                                    Replace the tags of an object, or of every object under a
+                                    prefix; --merge keeps existing tags with other names
+  untag <bucket/key> [--version-id id]
+                                    Remove all tags from an object
+  sync <dir> s3://<bucket>[/prefix] | sync s3://<bucket>[/prefix] <dir>
+       [--delete] [--dryrun] [--include glob ...] [--exclude glob ...]
+                                    Upload or download new and changed files; --delete removes
+                                    files that only exist on the destination, --dryrun only
+                                    prints the plan
+  select <bucket/key> "<sql>" [--input-format CSV|JSON|Parquet] [--json-type LINES|DOCUMENT]
+       [--compression NONE|GZIP|BZIP2] [--header USE|IGNORE|NONE] [--delimiter char]
+       [--output-format JSON|CSV] [--stream]
+                                    Query an object with S3 Select (default: CSV with a header);
+                                    --stream prints one record per line as it arrives
+  presign <bucket/key> [<bucket/key> ...] [--expires seconds] [--method GET|PUT|POST]
+       [--response-content-type type] [--response-content-disposition value]
+       [--content-type type] [--meta k=v ...] [--checksum-value base64]
+       [--min-size bytes] [--max-size bytes]
+                                    Generate presigned URLs (default: GET, 3600 seconds, at
+                                    most 7 days). GET can override response headers; PUT fixes
+                                    the content type, metadata and --checksum; POST creates a
+                                    form policy, for any file name under a key ending in '/',
+                                    limited to --min-size..--max-size bytes and to a content
+                                    type, or a content type prefix such as 'image/'
+
+Options:
+  --profile <name>                  Named AWS profile
+  --region <region>                 AWS region
+  --endpoint <url>                  Endpoint override, e.g. http://localhost:9000
+  --max-attempts <n>                Attempts per request before giving up (default: 3,
+                                    or AWS_MAX_ATTEMPTS)
+  --config <file>                   Bucket configuration in JSON or YAML (default: the
+                                    security baseline: public access blocked, SSE-S3, TLS
+                                    only, incomplete multipart uploads aborted after 7 days)
+  --part-size <MiB>                 Multipart part size for put (default: 8)
+  --concurrency <n>                 Parts transferred at once by put, get and cp, or objects
+                                    at once by mv and tag --recursive (default: 4)
+  --checksum CRC32|SHA256           Checksum algorithm for put (default: CRC32)
+  --progress                        Print transfer progress to stderr
+  --log-level <level>               Log level for stderr: debug logs every AWS request and
+                                    info a summary of them at the end (default: warn,
+                                    or LOG_LEVEL)
+  --log-format text|json            Log format (default: text, or LOG_FORMAT)
+  -h, --help                        Show this help
+
+Results are printed to stdout as JSON. Errors are printed to stderr as
+{"error": {"name": ..., "message": ...}}. The exit code is 0 on success,
+1 when the operation fails and 2 for invalid arguments.`;
+
+const OPTIONS = {
+    profile: { type: "string" },
+    region: { type: "string" },
+    endpoint: { type: "string" },
+    "max-attempts": { type: "string" },
+    recursive: { type: "boolean", default: false },
+    config: { type: "string" },
+    bare: { type: "boolean", default: false },
+    force: { type: "boolean", default: false },
+    "all-versions": { type: "boolean", default: false },
+    "content-type": { type: "string" },
+    "response-content-type": { type: "string" },
+    "response-content-disposition": { type: "string" },
+    "checksum-value": { type: "string" },
+    "min-size": { type: "string" },
+    "max-size": { type: "string" },
+    meta: { type: "string", multiple: true },
+    tag: { type: "string", multiple: true },
+    merge: { type: "boolean", default: false },
+    "version-id": { type: "string" },
+    "storage-class": { type: "string" },
+    expires: { type: "string", default: "3600" },
+    method: { type: "string", default: "GET" },
+    "part-size": { type: "string", default: "8" },
+    concurrency: { type: "string", default: "4" },
+    checksum: { type: "string", default: "CRC32" },
+    resume: { type: "boolean", default: false },
+    progress: { type: "boolean", default: false },
+    "log-level": { type: "string" },
+    "log-format": { type: "string" },
+    delete: { type: "boolean", default: false },
+    dryrun: { type: "boolean", default: false },
+    include: { type: "string", multiple: true },
+    exclude: { type: "string", multiple: true },
+    "input-format": { type: "string", default: "CSV" },
+    "json-type": { type: "string", default: "LINES" },
+    compression: { type: "string", default: "NONE" },
+    header: { type: "string", default: "USE" },
+    delimiter: { type: "string" },
+    "output-format": { type: "string", default: "JSON" },
+    stream: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Run the S3 command line tool.
+ *
+ * @param {string[]} argv Command line arguments, without the node binary and script
+ * @param {object} [io]
+ * @param {object} [io.stdout] Stream for results (defaults to process.stdout)
+ * @param {object} [io.stderr] Stream for errors and usage (defaults to process.stderr)
+ * @param {Function} [io.createClient] Factory for the S3 client, given the parsed options
+ * @returns {Promise<number>} The process exit code: 0 on success, 1 on failure, 2 on usage errors
+ */
+export async function run(argv, io = {}) {
+    const {
+        stdout = process.stdout,
+        stderr = process.stderr,
+        createClient = defaultClient,
+    } = io;
+
+    let options;
+    let positionals;
+    try {
+        ({ values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+        // Logs go to stderr so the JSON results on stdout stay machine-readable
+        configureLogging({
+            level: options["log-level"] ?? process.env.LOG_LEVEL ?? "warn",
+            format: options["log-format"],
+            stream: "stderr",
+        }, { argv: [] });
+    } catch (error) {
+        return usageFailure(stderr, error);
+    }
+    if (options.help) {
+        stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    const [command, ...args] = positionals;
+    operationMetrics.reset();
+    try {
+        if (!Object.hasOwn(COMMANDS, command ?? "")) {
+            throw new UsageError(command ? `Unknown command '${command}'` : "Missing command");
+        }
+        const client = await createClient(options);
+        const result = await COMMANDS[command](client, args, options, { stdout, stderr });
+        if (result !== undefined) {
+            stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+        }
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            return usageFailure(stderr, error);
+        }
+        stderr.write(`${JSON.stringify({ error: { name: error.name, message: error.message } })}\n`);
+        return 1;
+    } finally {
+        logMetricsSummary();
+    }
+}
+
+function usageFailure(stderr, error) {
+    stderr.write(`${JSON.stringify({ error: { name: "UsageError", message: error.message } })}\n\n${USAGE}\n`);
+    return 2;
+}
+
+async function defaultClient(options) {
+    return createS3Client({
+        profile: options.profile,
+        region: options.region,
+        endpoint: options.endpoint,
+        retry: { maxAttempts: options["max-attempts"] },
+    });
+}
+
+/**
+ * Command handlers. Each receives the client, the positional arguments after
+ * the command name, the parsed options and the output streams, and returns
+ * the value to print (or undefined when the handler printed its own output).
+ */
+const COMMANDS = {
+    async ls(client, [location], options) {
+        if (!location) {
+            const buckets = await listBuckets(client);
+            return buckets.map(({ Name, CreationDate }) => ({ Name, CreationDate }));
+        }
+        const { bucket, key } = parseS3Path(location, { requireKey: false });
+        const describe = ({ Key, Size, LastModified, ETag }) => ({ Key, Size, LastModified, ETag });
+        if (options.recursive) {
+            return (await listBucketContents(client, bucket, key || undefined)).map(describe);
+        }
+        const { folders, objects } = await listFolder(client, bucket, key);
+        return [...folders.map((Prefix) => ({ Prefix })), ...objects.map(describe)];
+    },
+    async mb(client, [bucket], options) {
+        requireArgs("mb <bucket>", bucket);
+        if (options.bare && options.config !== undefined) {
+            throw new UsageError("--bare and --config cannot be used together");
+        }
+        return createBucket(client, bucket, {
+            configuration: options.bare ? undefined : await bucketConfiguration(options),
+        });
+    },
+    async configure(client, [bucket], options, { stderr }) {
+        requireArgs("configure <bucket> [--config file] [--dryrun]", bucket);
+        return configureBucket(client, bucket, await bucketConfiguration(options), {
+            dryRun: options.dryrun,
+            onStep: (step) => stderr.write(`${step.description}\n`),
+        });
+    },
+    async describe(client, [bucket], options) {
+        requireArgs("describe <bucket> [--config file]", bucket);
+        return describeBucketConfiguration(client, bucket, await bucketConfiguration(options));
+    },
+    async rb(client, [bucket], options) {
+        requireArgs("rb <bucket> [--force] [--all-versions]", bucket);
+        const result = await deleteBucket(client, bucket, {
+            force: options.force,
+            allVersions: options["all-versions"],
+        });
+        return { ...result, deleted: true };
+    },
+    async put(client, [file, location], options, { stderr }) {
+        requireArgs("put <file> <bucket/key>", file, location);
+        const { bucket, key } = parseS3Path(location);
+        return uploadObject(client, bucket, key, file, {
+            ...transferOptions(options, stderr),
+            contentType: options["content-type"],
+            metadata: parsePairs(options.meta, "--meta"),
+            resume: options.resume,
+        });
+    },
+    async get(client, [location, file], options, { stderr }) {
+        requireArgs("get <bucket/key> <file>", location, file);
+        const { bucket, key } = parseS3Path(location);
+        return downloadObject(client, bucket, key, file, transferOptions(options, stderr));
+    },
+    async head(client, [location], options) {
+        requireArgs("head <bucket/key>", location);
+        const { bucket, key } = parseS3Path(location);
+        return headObject(client, bucket, key, { versionId: options["version-id"] });
+    },
+    async cp(client, [from, to], options) {
+        requireArgs("cp <bucket/key> <bucket/key>", from, to);
+        return copyObject(client, objectLocation(from, options), objectLocation(to), copyOptions(options));
+    },
+    async mv(client, [from, to], options) {
+        requireArgs("mv <bucket/key> <bucket/key>", from, to);
+        if (!options.recursive) {
+            return moveObject(client, objectLocation(from, options), objectLocation(to), copyOptions(options));
+        }
+        const source = parseS3Path(from, { requireKey: false });
+        const target = parseS3Path(to, { requireKey: false });
+        return bulkResult(await moveObjects(client, source.bucket, source.key, target.key, {
+            ...copyOptions(options),
+            targetBucket: target.bucket,
+            dryRun: options.dryrun,
+        }), "move");
+    },
+    async "set-metadata"(client, [location], options) {
+        requireArgs("set-metadata <bucket/key> [--content-type type] [--meta k=v ...]", location);
+        const { bucket, key } = parseS3Path(location);
+        if (options["content-type"] === undefined && options.meta === undefined) {
+            throw new UsageError("set-metadata needs --content-type or --meta");
+        }
+        return replaceMetadata(client, bucket, key, {
+            contentType: options["content-type"],
+            metadata: parsePairs(options.meta, "--meta"),
+        });
+    },
+    async tags(client, [location], options) {
+        requireArgs("tags <bucket/key>", location);
+        const { bucket, key } = parseS3Path(location);
+        return getObjectTags(client, bucket, key, { versionId: options["version-id"] });
+    },
+    async tag(client, [location], options) {
+        requireArgs("tag <bucket/key> --tag k=v ...", location, options.tag?.[0]);
+        const tags = parsePairs(options.tag, "--tag");
+        const { bucket, key } = parseS3Path(location, { requireKey: !options.recursive });
+        if (options.recursive) {
+            return bulkResult(await tagObjects(client, bucket, key, tags, {
+                merge: options.merge,
+                concurrency: concurrencyOption(options),
+                dryRun: options.dryrun,
+            }), "tag");
+        }
+        const versionId = options["version-id"];
+        const merged = options.merge ? { ...await getObjectTags(client, bucket, key, { versionId }), ...tags } : tags;
+        return putObjectTags(client, bucket, key, merged, { versionId });
+    },
+    async untag(client, [location], options) {
+        requireArgs("untag <bucket/key>", location);
+        const { bucket, key } = parseS3Path(location);
+        return deleteObjectTags(client, bucket, key, { versionId: options["version-id"] });
+    },
+    async sync(client, [source, destination], options, { stderr }) {
+        requireArgs("sync <source> <destination>", source, destination);
+        const syncOptions = {
+            dryRun: options.dryrun,
+            deleteOrphans: options.delete,
+            include: options.include,
+            exclude: options.exclude,
+            transfer: transferOptions(options, stderr),
+        };
+        let result;
+        if (destination.startsWith("s3://") && !source.startsWith("s3://")) {
+            const { bucket, key } = parseS3Path(destination, { requireKey: false });
+            result = await syncToS3(client, source, bucket, key, syncOptions);
+        } else if (source.startsWith("s3://") && !destination.startsWith("s3://")) {
+            const { bucket, key } = parseS3Path(source, { requireKey: false });
+            result = await syncFromS3(client, bucket, key, destination, syncOptions);
+        } else {
+            throw new UsageError("sync needs exactly one s3://bucket[/prefix] location and one local directory");
+        }
+        if (result.errors.length > 0) {
+            const error = new Error(`${result.errors.length} file(s) failed to sync: ` +
+                result.errors.map((e) => `${e.path ?? e.key} (${e.message})`).join(", "));
+            error.name = "SyncError";
+            throw error;
+        }
+        const { plan, ...summary } = result;
+        return {
+            ...summary,
+            plan: plan.filter((entry) => entry.action !== "skip")
+                .map(({ action, path, key, file, reason }) => ({ action, path, key, file, reason })),
+        };
+    },
+    async select(client, [location, sql], options, { stdout }) {
+        requireArgs('select <bucket/key> "<sql>"', location, sql);
+        const { bucket, key } = parseS3Path(location);
+        const query = selectObject(client, bucket, key, {
+            expression: sql,
+            input: {
+                format: options["input-format"],
+                jsonType: options["json-type"],
+                compression: options.compression,
+                fileHeaderInfo: options.header,
+                fieldDelimiter: options.delimiter,
+            },
+            output: { format: options["output-format"] },
+        });
+        if (!options.stream) {
+            return query.toArray();
+        }
+        for await (const record of query) {
+            stdout.write(`${JSON.stringify(record)}\n`);
+        }
+        return undefined;
+    },
+    async presign(client, locations, options) {
+        requireArgs("presign <bucket/key>", locations[0]);
+        const expires = Number(options.expires);
+        if (!Number.isInteger(expires) || expires <= 0 || expires > MAX_PRESIGN_EXPIRY) {
+            throw new UsageError(`--expires must be 1 to ${MAX_PRESIGN_EXPIRY} seconds (7 days), got '${options.expires}'`);
+        }
+        const method = options.method.toUpperCase();
+        const presign = presignCommand(method, options);
+        const results = [];
+        for (const location of locations) {
+            const { bucket, key } = parseS3Path(location, { requireKey: method !== "POST" });
+            results.push({ ...await presign(client, bucket, key, expires), ExpiresIn: expires });
+        }
+        return locations.length === 1 ? results[0] : results;
+    },
+};
+
+/**
+ * Check the presign options that apply to a method and return the function
+ * that presigns one location with them.
+ *
+ * @param {string} method 'GET', 'PUT' or 'POST'
+ * @param {object} options The parsed command line options
+ * @returns {Function} Called as presign(client, bucket, key, expiresIn)
+ */
+function presignCommand(method, options) {
+    const given = (...names) => names.filter((name) => options[name] !== undefined);
+    const reject = (names) => {
+        if (names.length > 0) {
+            throw new UsageError(`${names.map((name) => `--${name}`).join(", ")} cannot be used with --method ${method}`);
+        }
+    };
+    switch (method) {
+        case "GET": {
+            reject(given("content-type", "meta", "checksum-value", "min-size", "max-size"));
+            const responseHeaders = {
+                ContentType: options["response-content-type"],
+                ContentDisposition: options["response-content-disposition"],
+            };
+            return (client, bucket, key, expiresIn) => presignGetObject(client, bucket, key, {
+                expiresIn,
+                responseHeaders: Object.fromEntries(Object.entries(responseHeaders).filter(([, v]) => v !== undefined)),
+            });
+        }
+        case "PUT": {
+            reject(given("response-content-type", "response-content-disposition", "min-size", "max-size"));
+            const checksum = options["checksum-value"] === undefined
+                ? undefined
+                : { algorithm: options.checksum.toUpperCase(), value: options["checksum-value"] };
+            return (client, bucket, key, expiresIn) => presignPutObject(client, bucket, key, {
+                expiresIn,
+                contentType: options["content-type"],
+                metadata: parsePairs(options.meta, "--meta"),
+                checksum,
+            });
+        }
+        case "POST": {
+            reject(given("response-content-type", "response-content-disposition", "checksum-value"));
+            const sizes = given("min-size", "max-size").length === 0 ? undefined : [
+                options["min-size"] === undefined ? 0 : parseSize(options["min-size"], "--min-size"),
+                options["max-size"] === undefined ? 5 * 1024 ** 3 : parseSize(options["max-size"], "--max-size"),
+            ];
+            const contentType = options["content-type"];
+            return (client, bucket, key, expiresIn) => presignPost(client, bucket, {
+                ...(key === "" || key.endsWith("/") ? { keyPrefix: key } : { key }),
+                expiresIn,
+                contentLengthRange: sizes,
+                ...(contentType?.endsWith("/") ? { contentTypePrefix: contentType } : { contentType }),
+                metadata: parsePairs(options.meta, "--meta"),
+            });
+        }
+        default:
+            throw new UsageError(`--method must be GET, PUT or POST, got '${options.method}'`);
+    }
+}
+
+async function bucketConfiguration(options) {
+    return options.config === undefined ? BASELINE_BUCKET_CONFIGURATION : loadBucketConfiguration(options.config);
+}
+
+function objectLocation(location, options = {}) {
+    const { bucket, key } = parseS3Path(location);
+    return { bucket, key, versionId: options["version-id"] };
+}
+
+function copyOptions(options) {
+    return {
+        contentType: options["content-type"],
+        metadata: parsePairs(options.meta, "--meta"),
+        tags: parsePairs(options.tag, "--tag"),
+        storageClass: options["storage-class"],
+        concurrency: concurrencyOption(options),
+    };
+}
+
+// A bulk operation with failed keys fails the command, naming the keys
+function bulkResult(result, verb) {
+    const failures = result.results.filter((entry) => entry.status === "failed");
+    if (failures.length > 0) {
+        const error = new Error(`${failures.length} object(s) failed to ${verb}: ` +
+            failures.map((entry) => `${entry.Key} (${entry.error})`).join(", "));
+        error.name = "BulkOperationError";
+        throw error;
+    }
+    return result;
+}
+
+function concurrencyOption(options) {
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new UsageError(`--concurrency must be a positive integer, got '${options.concurrency}'`);
+    }
+    return concurrency;
+}
+
+function parseSize(text, flag) {
+    const size = Number(text);
+    if (!Number.isInteger(size) || size < 0) {
+        throw new UsageError(`${flag} must be a number of bytes, got '${text}'`);
+    }
+    return size;
+}
+
+/**
+ * Split a `bucket/key` (optionally prefixed with `s3://`) into its parts.
+ *
+ * @param {string} location The S3 location
+ * @param {object} [options]
+ * @param {boolean} [options.requireKey] Whether a non-empty key is required (default true)
+ * @returns {{bucket: string, key: string}}
+ */
+export function parseS3Path(location, { requireKey = true } = {}) {
+    const path = location.startsWith("s3://") ? location.slice("s3://".length) : location;
+    const separator = path.indexOf("/");
+    const bucket = separator === -1 ? path : path.slice(0, separator);
+    const key = separator === -1 ? "" : path.slice(separator + 1);
+    if (!bucket || (requireKey && !key)) {
+        throw new UsageError(`Expected ${requireKey ? "bucket/key" : "bucket[/prefix]"}, got '${location}'`);
+    }
+    return { bucket, key };
+}
+
+function transferOptions(options, stderr) {
+    const partSize = Number(options["part-size"]);
+    if (!(partSize >= 5)) {
+        throw new UsageError(`--part-size must be at least 5 (MiB), got '${options["part-size"]}'`);
+    }
+    const concurrency = concurrencyOption(options);
+    const checksumAlgorithm = options.checksum.toUpperCase();
+    if (!CHECKSUM_ALGORITHMS.includes(checksumAlgorithm)) {
+        throw new UsageError(`--checksum must be one of: ${CHECKSUM_ALGORITHMS.join(", ")}`);
+    }
+    return {
+        partSize: Math.round(partSize * 1024 * 1024),
+        concurrency,
+        checksumAlgorithm,
+        onProgress: options.progress ? progressPrinter(stderr) : undefined,
+    };
+}
+
+/**
+ * Print progress roughly every percent (or every 8 MiB when the total is
+ * unknown) rather than for every chunk.
+ */
+function progressPrinter(stderr) {
+    let reported = 0;
+    return ({ loaded, total }) => {
+        const step = total ? total / 100 : 8 * 1024 * 1024;
+        if (loaded - reported >= step || loaded === total) {
+            reported = loaded;
+            const percent = total ? ` (${Math.floor((loaded / total) * 100)}%)` : "";
+            stderr.write(`${loaded}${total ? `/${total}` : ""} bytes${percent}\n`);
+        }
+    };
+}
+
+function parsePairs(pairs = [], flag) {
+    if (pairs.length === 0) {
+        return undefined;
+    }
+    const values = {};
+    for (const pair of pairs) {
+        const separator = pair.indexOf("=");
+        if (separator <= 0) {
+            throw new UsageError(`${flag} expects k=v, got '${pair}'`);
+        }
+        values[pair.slice(0, separator)] = pair.slice(separator + 1);
+    }
+    return values;
+}
+
+function requireArgs(synopsis, ...values) {
+    if (values.some((value) => value === undefined || value === "")) {
+        throw new UsageError(`Missing arguments. Usage: s3-sample ${synopsis}`);
+    }
+}
@@ -0,0 +1,338 @@
+/**
+ * Bring a bucket in line with its declarative configuration, or report how
+ * far it is from it.
+ *
+ * Each setting is read from the live bucket with its Get* call and converted
+ * to the normalized form of the configuration, so the two can be compared.
+ * A setting that was never set (S3 answers NoSuchLifecycleConfiguration,
+ * NoSuchTagSet and the like) reads as its empty value. Settings that differ
+ * are changed with the matching Put* call, or Delete* when the configuration
+ * removes them, in the order of BUCKET_SETTINGS.
+ */
+import {
+    DeleteBucketCorsCommand,
+    DeleteBucketLifecycleCommand,
+    DeleteBucketPolicyCommand,
+    DeleteBucketTaggingCommand,
+    GetBucketCorsCommand,
+    GetBucketEncryptionCommand,
+    GetBucketLifecycleConfigurationCommand,
+    GetBucketPolicyCommand,
+    GetBucketTaggingCommand,
+    GetBucketVersioningCommand,
+    GetPublicAccessBlockCommand,
+    HeadBucketCommand,
+    PutBucketCorsCommand,
+    PutBucketEncryptionCommand,
+    PutBucketLifecycleConfigurationCommand,
+    PutBucketPolicyCommand,
+    PutBucketTaggingCommand,
+    PutBucketVersioningCommand,
+    PutPublicAccessBlockCommand,
+    S3Client,
+} from "@aws-sdk/client-s3";
+import { isDeepStrictEqual } from "util";
+import { BUCKET_SETTINGS, compact, normalizeBucketConfiguration } from "./bucket-configuration.js";
+
+/**
+ * Apply a configuration to an existing bucket.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The bucket to configure
+ * @param {object} configuration The bucket configuration (normalized here)
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] Only plan the changes, do not apply them
+ * @param {Function} [options.onStep] Called with each step before it is applied
+ * @returns {Promise<{Bucket: string, dryRun: boolean, changes: Array<{action: string, description: string}>}>}
+ * @throws {BucketConfigurationError} If the configuration is invalid
+ */
+export async function configureBucket(s3client, bucketName, configuration, options = {}) {
+    const { dryRun = false, onStep } = options;
+    const desired = resolveConfiguration(configuration, bucketName);
+    const steps = [];
+    for (const { setting } of await compareSettings(s3client, bucketName, desired)) {
+        steps.push(SETTINGS[setting].step(bucketName, desired[setting]));
+    }
+
+    if (!dryRun) {
+        for (const step of steps) {
+            onStep?.(step);
+            await s3client.send(step.command);
+        }
+    }
+    return {
+        Bucket: bucketName,
+        dryRun,
+        changes: steps.map(({ action, description }) => ({ action, description })),
+    };
+}
+
+/**
+ * Compare a bucket with a configuration.
+ *
+ * Only the settings the configuration mentions are compared. A missing
+ * bucket is reported with `exists: false` and every setting as drifted.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The bucket to compare
+ * @param {object} configuration The bucket configuration (normalized here)
+ * @returns {Promise<{Bucket: string, exists: boolean, inSync: boolean, drift: Array<{setting: string, desired: *, live: *}>}>}
+ * @throws {BucketConfigurationError} If the configuration is invalid
+ */
+export async function describeBucketConfiguration(s3client, bucketName, configuration) {
+    const desired = resolveConfiguration(configuration, bucketName);
+    const exists = await bucketExists(s3client, bucketName);
+    const drift = exists
+        ? await compareSettings(s3client, bucketName, desired)
+        : Object.keys(desired).map((setting) => ({ setting, desired: desired[setting], live: null }));
+    return { Bucket: bucketName, exists, inSync: exists && drift.length === 0, drift };
+}
+
+/**
+ * Check whether a bucket exists and can be reached with the client's credentials.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The bucket
+ * @returns {Promise<boolean>}
+ */
+export async function bucketExists(s3client, bucketName) {
+    try {
+        await s3client.send(new HeadBucketCommand({ Bucket: bucketName }));
+        return true;
+    } catch (error) {
+        // HEAD responses have no body, so S3 can only answer NotFound
+        if (error.name === "NotFound" || error.name === "NoSuchBucket") {
+            return false;
+        }
+        throw error;
+    }
+}
+
+function resolveConfiguration(configuration, bucketName) {
+    const desired = normalizeBucketConfiguration(configuration);
+    if (desired.policy) {
+        desired.policy = JSON.parse(JSON.stringify(desired.policy).replaceAll("${bucket}", bucketName));
+    }
+    return desired;
+}
+
+async function compareSettings(s3client, bucketName, desired) {
+    const drift = [];
+    for (const setting of BUCKET_SETTINGS.filter((name) => Object.hasOwn(desired, name))) {
+        const live = await SETTINGS[setting].read(s3client, bucketName);
+        if (!SETTINGS[setting].same(desired[setting], live)) {
+            drift.push({ setting, desired: desired[setting], live });
+        }
+    }
+    return drift;
+}
+
+// Read a setting, or `empty` if S3 reports it was never set
+async function readSetting(s3client, command, missingCode, empty, convert) {
+    try {
+        return convert(await s3client.send(command));
+    } catch (error) {
+        if (error.name === missingCode) {
+            return empty;
+        }
+        throw error;
+    }
+}
+
+/**
+ * How each setting is read, compared and changed. `step` returns the command
+ * that changes the live setting to the desired one.
+ */
+const SETTINGS = {
+    versioning: {
+        read: async (s3client, bucketName) => {
+            const { Status } = await s3client.send(new GetBucketVersioningCommand({ Bucket: bucketName }));
+            return Status ?? null;
+        },
+        // A bucket that never had versioning behaves like a suspended one
+        same: (desired, live) => desired === (live ?? "Suspended"),
+        step: (bucketName, status) => ({
+            action: status === "Enabled" ? "enable-versioning" : "suspend-versioning",
+            description: `${status === "Enabled" ? "enable" : "suspend"} versioning`,
+            command: new PutBucketVersioningCommand({ Bucket: bucketName, VersioningConfiguration: { Status: status } }),
+        }),
+    },
+    encryption: {
+        read: (s3client, bucketName) => readSetting(s3client, new GetBucketEncryptionCommand({ Bucket: bucketName }),
+            "ServerSideEncryptionConfigurationNotFoundError", null, ({ ServerSideEncryptionConfiguration }) => {
+                const [rule] = ServerSideEncryptionConfiguration?.Rules ?? [];
+                const { SSEAlgorithm, KMSMasterKeyID } = rule?.ApplyServerSideEncryptionByDefault ?? {};
+                if (!SSEAlgorithm) {
+                    return null;
+                }
+                return SSEAlgorithm === "AES256"
+                    ? { algorithm: SSEAlgorithm }
+                    : compact({ algorithm: SSEAlgorithm, kmsKeyId: KMSMasterKeyID, bucketKey: Boolean(rule.BucketKeyEnabled) });
+            }),
+        same: isDeepStrictEqual,
+        step: (bucketName, { algorithm, kmsKeyId, bucketKey }) => ({
+            action: "set-encryption",
+            description: `set default encryption to ${algorithm}${kmsKeyId ? ` with key ${kmsKeyId}` : ""}` +
+                `${bucketKey ? " and an S3 Bucket Key" : ""}`,
+            command: new PutBucketEncryptionCommand({
+                Bucket: bucketName,
+                ServerSideEncryptionConfiguration: {
+                    Rules: [{
+                        ApplyServerSideEncryptionByDefault: { SSEAlgorithm: algorithm, KMSMasterKeyID: kmsKeyId },
+                        BucketKeyEnabled: algorithm === "AES256" ? undefined : bucketKey,
+                    }],
+                },
+            }),
+        }),
+    },
+    blockPublicAccess: {
+        read: (s3client, bucketName) => readSetting(s3client, new GetPublicAccessBlockCommand({ Bucket: bucketName }),
+            "NoSuchPublicAccessBlockConfiguration", publicAccessBlock({}), ({ PublicAccessBlockConfiguration }) =>
+                publicAccessBlock(PublicAccessBlockConfiguration ?? {})),
+        same: isDeepStrictEqual,
+        step: (bucketName, block) => {
+            const blocked = Object.entries(block).filter(([, value]) => value).map(([flag]) => flag);
+            return {
+                action: "set-public-access-block",
+                description: blocked.length === 0 ? "allow public access" : `block public access (${blocked.join(", ")})`,
+                command: new PutPublicAccessBlockCommand({
+                    Bucket: bucketName,
+                    PublicAccessBlockConfiguration: {
+                        BlockPublicAcls: block.blockPublicAcls,
+                        IgnorePublicAcls: block.ignorePublicAcls,
+                        BlockPublicPolicy: block.blockPublicPolicy,
+                        RestrictPublicBuckets: block.restrictPublicBuckets,
+                    },
+                }),
+            };
+        },
+    },
+    lifecycle: {
+        read: (s3client, bucketName) => readSetting(s3client,
+            new GetBucketLifecycleConfigurationCommand({ Bucket: bucketName }), "NoSuchLifecycleConfiguration", [],
+            ({ Rules }) => (Rules ?? []).map((rule) => compact({
+                id: rule.ID,
+                prefix: rule.Filter?.Prefix ?? rule.Prefix ?? "",
+                enabled: rule.Status === "Enabled",
+                expirationDays: rule.Expiration?.Days,
+                transitions: (rule.Transitions ?? []).map(({ Days, StorageClass }) => ({ days: Days, storageClass: StorageClass })),
+                noncurrentExpirationDays: rule.NoncurrentVersionExpiration?.NoncurrentDays,
+                abortIncompleteMultipartUploadDays: rule.AbortIncompleteMultipartUpload?.DaysAfterInitiation,
+            }))),
+        same: (desired, live) => isDeepStrictEqual(sortBy(desired, "id"), sortBy(live, "id")),
+        step: (bucketName, rules) => (rules.length === 0
+            ? {
+                action: "delete-lifecycle",
+                description: "remove the lifecycle rules",
+                command: new DeleteBucketLifecycleCommand({ Bucket: bucketName }),
+            }
+            : {
+                action: "set-lifecycle",
+                description: `set lifecycle rules ${rules.map((rule) => rule.id).join(", ")}`,
+                command: new PutBucketLifecycleConfigurationCommand({
+                    Bucket: bucketName,
+                    LifecycleConfiguration: { Rules: rules.map(lifecycleRuleInput) },
+                }),
+            }),
+    },
+    cors: {
+        read: (s3client, bucketName) => readSetting(s3client, new GetBucketCorsCommand({ Bucket: bucketName }),
+            "NoSuchCORSConfiguration", [], ({ CORSRules }) => (CORSRules ?? []).map((rule) => compact({
+                allowedOrigins: rule.AllowedOrigins ?? [],
+                allowedMethods: rule.AllowedMethods ?? [],
+                allowedHeaders: rule.AllowedHeaders ?? [],
+                exposeHeaders: rule.ExposeHeaders ?? [],
+                maxAgeSeconds: rule.MaxAgeSeconds,
+            }))),
+        same: isDeepStrictEqual,
+        step: (bucketName, rules) => (rules.length === 0
+            ? {
+                action: "delete-cors",
+                description: "remove the CORS rules",
+                command: new DeleteBucketCorsCommand({ Bucket: bucketName }),
+            }
+            : {
+                action: "set-cors",
+                description: `set ${rules.length} CORS rule(s) for ${[...new Set(rules.flatMap((rule) => rule.allowedOrigins))].join(", ")}`,
+                command: new PutBucketCorsCommand({
+                    Bucket: bucketName,
+                    CORSConfiguration: {
+                        CORSRules: rules.map((rule) => ({
+                            AllowedOrigins: rule.allowedOrigins,
+                            AllowedMethods: rule.allowedMethods,
+                            AllowedHeaders: rule.allowedHeaders,
+                            ExposeHeaders: rule.exposeHeaders,
+                            MaxAgeSeconds: rule.maxAgeSeconds,
+                        })),
+                    },
+                }),
+            }),
+    },
+    tags: {
+        read: (s3client, bucketName) => readSetting(s3client, new GetBucketTaggingCommand({ Bucket: bucketName }),
+            "NoSuchTagSet", {}, ({ TagSet }) => Object.fromEntries((TagSet ?? []).map(({ Key, Value }) => [Key, Value]))),
+        same: isDeepStrictEqual,
+        // PutBucketTagging replaces the whole tag set
+        step: (bucketName, tags) => (Object.keys(tags).length === 0
+            ? {
+                action: "delete-tags",
+                description: "remove the tags",
+                command: new DeleteBucketTaggingCommand({ Bucket: bucketName }),
+            }
+            : {
+                action: "set-tags",
+                description: `set tags ${Object.entries(tags).map(([name, value]) => `${name}=${value}`).join(", ")}`,
+                command: new PutBucketTaggingCommand({
+                    Bucket: bucketName,
+                    Tagging: { TagSet: Object.entries(tags).map(([Key, Value]) => ({ Key, Value })) },
+                }),
+            }),
+    },
+    policy: {
+        read: (s3client, bucketName) => readSetting(s3client, new GetBucketPolicyCommand({ Bucket: bucketName }),
+            "NoSuchBucketPolicy", null, ({ Policy }) => (Policy ? JSON.parse(Policy) : null)),
+        same: isDeepStrictEqual,
+        step: (bucketName, policy) => (policy === null
+            ? {
+                action: "delete-policy",
+                description: "remove the bucket policy",
+                command: new DeleteBucketPolicyCommand({ Bucket: bucketName }),
+            }
+            : {
+                action: "set-policy",
+                description: `set the bucket policy (${policy.Statement.map((statement, i) => statement.Sid ?? `statement ${i + 1}`).join(", ")})`,
+                command: new PutBucketPolicyCommand({ Bucket: bucketName, Policy: JSON.stringify(policy) }),
+            }),
+    },
+};
+
+function publicAccessBlock(configuration) {
+    return {
+        blockPublicAcls: configuration.BlockPublicAcls ?? false,
+        ignorePublicAcls: configuration.IgnorePublicAcls ?? false,
+        blockPublicPolicy: configuration.BlockPublicPolicy ?? false,
+        restrictPublicBuckets: configuration.RestrictPublicBuckets ?? false,
+    };
+}
+
+function lifecycleRuleInput(rule) {
+    return compact({
+        ID: rule.id,
+        Status: rule.enabled ? "Enabled" : "Disabled",
+        Filter: { Prefix: rule.prefix },
+        Expiration: rule.expirationDays === undefined ? undefined : { Days: rule.expirationDays },
+        Transitions: rule.transitions.length === 0
+            ? undefined
+            : rule.transitions.map(({ days, storageClass }) => ({ Days: days, StorageClass: storageClass })),
+        NoncurrentVersionExpiration: rule.noncurrentExpirationDays === undefined
+            ? undefined
+            : { NoncurrentDays: rule.noncurrentExpirationDays },
+        AbortIncompleteMultipartUpload: rule.abortIncompleteMultipartUploadDays === undefined
+            ? undefined
+            : { DaysAfterInitiation: rule.abortIncompleteMultipartUploadDays },
+    });
+}
+
+function sortBy(items, field) {
+    return [...items].sort((a, b) => String(a[field]).localeCompare(String(b[field])));
+}
@@ -0,0 +1,55 @@
+/**
+ * Content types for common file extensions, so objects are served with a
+ * useful Content-Type instead of binary/octet-stream.
+ */
+import { extname } from "path";
+
+const CONTENT_TYPES = {
+    ".html": "text/html",
+    ".htm": "text/html",
+    ".css": "text/css",
+    ".js": "text/javascript",
+    ".mjs": "text/javascript",
+    ".json": "application/json",
+    ".jsonl": "application/x-ndjson",
+    ".ndjson": "application/x-ndjson",
+    ".map": "application/json",
+    ".txt": "text/plain",
+    ".md": "text/markdown",
+    ".adoc": "text/plain",
+    ".csv": "text/csv",
+    ".tsv": "text/tab-separated-values",
+    ".xml": "application/xml",
+    ".yaml": "application/yaml",
+    ".yml": "application/yaml",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".ico": "image/x-icon",
+    ".pdf": "application/pdf",
+    ".zip": "application/zip",
+    ".gz": "application/gzip",
+    ".tgz": "application/gzip",
+    ".bz2": "application/x-bzip2",
+    ".tar": "application/x-tar",
+    ".parquet": "application/vnd.apache.parquet",
+    ".wasm": "application/wasm",
+    ".woff": "font/woff",
+    ".woff2": "font/woff2",
+    ".ttf": "font/ttf",
+    ".mp4": "video/mp4",
+    ".mp3": "audio/mpeg",
+};
+
+/**
+ * Infer the content type from a file name or key.
+ *
+ * @param {string} fileName
+ * @returns {string} The content type, or application/octet-stream when unknown
+ */
+export function contentTypeFor(fileName) {
+    return CONTENT_TYPES[extname(fileName).toLowerCase()] ?? "application/octet-stream";
+}
@@ -0,0 +1,71 @@
+/**
+ * Minimal glob matching for relative paths and object keys.
+ *
+ * Supported syntax:
+ *  - `*` matches any characters except '/'
+ *  - `**` matches any characters including '/' (so `**\/` also matches nothing)
+ *  - `?` matches a single character except '/'
+ *  - `{a,b}` matches either alternative
+ * Everything else matches literally. A pattern without a '/' matches the last
+ * path segment, so `*.log` matches `logs/app.log` as well as `app.log`.
+ */
+
+/**
+ * Convert a glob pattern into a regular expression.
+ *
+ * @param {string} pattern The glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === "*") {
+            if (pattern[i + 1] === "*") {
+                const slash = pattern[i + 2] === "/";
+                source += slash ? "(?:.*/)?" : ".*";
+                i += slash ? 2 : 1;
+            } else {
+                source += "[^/]*";
+            }
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "{") {
+            const close = pattern.indexOf("}", i);
+            if (close === -1) {
+                source += "\\{";
+            } else {
+                const alternatives = pattern.slice(i + 1, close).split(",").map(escapeRegExp);
+                source += `(?:${alternatives.join("|")})`;
+                i = close;
+            }
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    const anchor = pattern.includes("/") ? "^" : "(?:^|/)";
+    return new RegExp(`${anchor}${source}$`);
+}
+
+/**
+ * Build a filter from include and exclude globs.
+ *
+ * A path passes when it matches at least one include pattern (or there are
+ * none) and no exclude pattern.
+ *
+ * @param {object} [patterns]
+ * @param {string[]} [patterns.include] Globs a path must match
+ * @param {string[]} [patterns.exclude] Globs a path must not match
+ * @returns {function(string): boolean}
+ */
+export function createPathFilter({ include = [], exclude = [] } = {}) {
+    const includes = include.map(globToRegExp);
+    const excludes = exclude.map(globToRegExp);
+    return (path) =>
+        (includes.length === 0 || includes.some((re) => re.test(path))) &&
+        !excludes.some((re) => re.test(path));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,467 @@
+/**
+ * Object metadata, tags, server-side copies and moves.
+ *
+ * Copies happen inside S3: the data never passes through this process, so
+ * copying or moving an object costs the same whatever its size. CopyObject
+ * copies objects of up to 5 GB in one request; larger objects are copied
+ * with a multipart upload whose parts are UploadPartCopy requests for byte
+ * ranges of the source. S3 does not carry metadata and tags over to a
+ * multipart copy, so they are read from the source and set on the upload.
+ *
+ * S3 has no rename: a move is a copy followed by a delete of the source.
+ * Changing the metadata or content type of an object is a copy onto itself
+ * that replaces them.
+ */
+import {
+    S3Client,
+    AbortMultipartUploadCommand,
+    CompleteMultipartUploadCommand,
+    CopyObjectCommand,
+    CreateMultipartUploadCommand,
+    DeleteObjectCommand,
+    DeleteObjectTaggingCommand,
+    GetObjectTaggingCommand,
+    HeadObjectCommand,
+    PutObjectTaggingCommand,
+    UploadPartCopyCommand,
+} from "@aws-sdk/client-s3";
+import { mapConcurrent } from "aws-samples-common";
+import { listBucketContents, listObjects } from "./s3-operations.js";
+import { partSizeFor } from "./transfer.js";
+
+const GiB = 1024 ** 3;
+
+/**
+ * The largest object CopyObject copies in a single request.
+ */
+export const MAX_COPY_OBJECT_SIZE = 5 * GiB;
+
+/**
+ * S3 allows at most this many tags per object.
+ */
+export const MAX_OBJECT_TAGS = 10;
+
+/**
+ * Defaults for copies and bulk operations.
+ */
+export const COPY_DEFAULTS = {
+    multipartThreshold: MAX_COPY_OBJECT_SIZE,
+    partSize: 512 * 1024 * 1024,
+    concurrency: 4,
+};
+
+// The headers a copy with MetadataDirective REPLACE sets from scratch
+const CONTENT_HEADERS = ["ContentType", "CacheControl", "ContentDisposition", "ContentEncoding", "ContentLanguage"];
+
+/**
+ * Read an object's metadata without downloading it.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket where the object resides
+ * @param {string} objectKey The key of the object
+ * @param {object} [options]
+ * @param {string} [options.versionId] A specific version of the object
+ * @returns {Promise<object>} Bucket, Key, VersionId, ContentLength, ContentType, ETag, LastModified,
+ *     StorageClass, Metadata (user metadata), the other content headers and the encryption
+ */
+export async function headObject(s3client, bucketName, objectKey, options = {}) {
+    const head = await s3client.send(new HeadObjectCommand({
+        Bucket: bucketName,
+        Key: objectKey,
+        VersionId: options.versionId,
+    }));
+    return {
+        Bucket: bucketName,
+        Key: objectKey,
+        VersionId: head.VersionId,
+        ContentLength: head.ContentLength,
+        ContentType: head.ContentType,
+        ETag: head.ETag,
+        LastModified: head.LastModified,
+        // S3 leaves the header out for the STANDARD class
+        StorageClass: head.StorageClass ?? "STANDARD",
+        Metadata: head.Metadata ?? {},
+        CacheControl: head.CacheControl,
+        ContentDisposition: head.ContentDisposition,
+        ContentEncoding: head.ContentEncoding,
+        ContentLanguage: head.ContentLanguage,
+        ServerSideEncryption: head.ServerSideEncryption,
+        SSEKMSKeyId: head.SSEKMSKeyId,
+    };
+}
+
+/**
+ * Copy an object within a bucket or to another bucket.
+ *
+ * By default the copy keeps the source's metadata, content headers and tags.
+ * Giving `metadata` (the complete new set of user metadata) or any of the
+ * content headers replaces them; headers that are not given keep the
+ * source's values. Giving `tags` replaces the tags. S3 refuses a copy onto
+ * itself that changes only the tags; use putObjectTags for that.
+ *
+ * Objects of at least `multipartThreshold` bytes (5 GB, the most a single
+ * CopyObject can copy) are copied in parts of `partSize` bytes, `concurrency`
+ * parts at a time. The copy is pinned to the source's ETag, so an object that
+ * changes while it is copied fails the copy instead of producing a mix.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {{bucket: string, key: string, versionId?: string}} source The object to copy
+ * @param {{bucket: string, key: string}} target Where to copy it to
+ * @param {object} [options]
+ * @param {object} [options.metadata] User metadata replacing the source's
+ * @param {string} [options.contentType] Content type replacing the source's
+ * @param {string} [options.cacheControl] Cache-Control replacing the source's
+ * @param {string} [options.contentDisposition] Content-Disposition replacing the source's
+ * @param {string} [options.contentEncoding] Content-Encoding replacing the source's
+ * @param {string} [options.contentLanguage] Content-Language replacing the source's
+ * @param {object} [options.tags] Tags replacing the source's
+ * @param {string} [options.storageClass] Storage class of the copy (default: STANDARD)
+ * @param {number} [options.multipartThreshold] Objects of at least this size are copied in parts
+ * @param {number} [options.partSize] Bytes per part of a multipart copy
+ * @param {number} [options.concurrency] Maximum parts copied at once
+ * @returns {Promise<object>} Bucket, Key, ETag, VersionId, CopySourceVersionId, ContentLength,
+ *     multipart and parts
+ * @throws {Error} If the tags are invalid, or the copy onto itself would change
+ *     nothing but its tags
+ */
+export async function copyObject(s3client, source, target, options = {}) {
+    const settings = { ...COPY_DEFAULTS, ...options };
+    const replaced = replacedHeaders(settings);
+    const inPlace = source.bucket === target.bucket && source.key === target.key && !source.versionId;
+    if (inPlace && !replaced && !settings.storageClass) {
+        throw new Error(`Copying s3://${source.bucket}/${source.key} onto itself needs new metadata, ` +
+            "content headers or a storage class (use putObjectTags to change only its tags)");
+    }
+    const tagging = settings.tags === undefined ? undefined : encodeTags(settings.tags);
+    const head = await headObject(s3client, source.bucket, source.key, { versionId: source.versionId });
+    const copySource = copySourceOf(source);
+    const headers = replaced ? { ...sourceHeaders(head), ...replaced } : undefined;
+
+    if (head.ContentLength < settings.multipartThreshold) {
+        const response = await s3client.send(new CopyObjectCommand({
+            Bucket: target.bucket,
+            Key: target.key,
+            CopySource: copySource,
+            CopySourceIfMatch: head.ETag,
+            MetadataDirective: headers ? "REPLACE" : "COPY",
+            ...headers,
+            TaggingDirective: tagging === undefined ? "COPY" : "REPLACE",
+            Tagging: tagging,
+            StorageClass: settings.storageClass,
+        }));
+        return {
+            Bucket: target.bucket,
+            Key: target.key,
+            ETag: response.CopyObjectResult?.ETag,
+            VersionId: response.VersionId,
+            CopySourceVersionId: response.CopySourceVersionId ?? head.VersionId,
+            ContentLength: head.ContentLength,
+            multipart: false,
+            parts: 1,
+        };
+    }
+    return copyMultipart(s3client, head, copySource, target, {
+        ...settings,
+        headers: headers ?? sourceHeaders(head),
+        tagging: tagging ?? encodeTags(await getObjectTags(s3client, source.bucket, source.key, {
+            versionId: source.versionId,
+        })),
+    });
+}
+
+/**
+ * Move an object: copy it to the target, then delete the source.
+ *
+ * The source is only deleted once the copy has succeeded. In a versioned
+ * bucket the delete adds a delete marker, and the source's versions remain.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {{bucket: string, key: string}} source The object to move
+ * @param {{bucket: string, key: string}} target Where to move it to
+ * @param {object} [options] See copyObject
+ * @returns {Promise<object>} The result of the copy
+ */
+export async function moveObject(s3client, source, target, options = {}) {
+    if (source.bucket === target.bucket && source.key === target.key) {
+        throw new Error(`Cannot move s3://${source.bucket}/${source.key} onto itself`);
+    }
+    const copied = await copyObject(s3client, source, target, options);
+    await s3client.send(new DeleteObjectCommand({ Bucket: source.bucket, Key: source.key }));
+    return copied;
+}
+
+/**
+ * Replace the metadata or content headers of an object, by copying it onto
+ * itself. The data, tags and storage class stay as they are, but the copy
+ * is a new object: it gets a new LastModified and, in a versioned bucket, a
+ * new version.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket where the object resides
+ * @param {string} objectKey The key of the object
+ * @param {object} changes metadata (the complete new set) and/or content headers, see copyObject
+ * @returns {Promise<object>} The result of the copy
+ */
+export async function replaceMetadata(s3client, bucketName, objectKey, changes) {
+    if (!replacedHeaders(changes)) {
+        throw new Error("replaceMetadata needs metadata or a content header to set");
+    }
+    const { StorageClass } = await headObject(s3client, bucketName, objectKey);
+    const location = { bucket: bucketName, key: objectKey };
+    // A copy without a storage class would move the object to STANDARD
+    return copyObject(s3client, location, location, { ...changes, storageClass: StorageClass });
+}
+
+/**
+ * Read the tags of an object.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket where the object resides
+ * @param {string} objectKey The key of the object
+ * @param {object} [options]
+ * @param {string} [options.versionId] A specific version of the object
+ * @returns {Promise<object>} The tags, as names and values
+ */
+export async function getObjectTags(s3client, bucketName, objectKey, options = {}) {
+    const { TagSet } = await s3client.send(new GetObjectTaggingCommand({
+        Bucket: bucketName,
+        Key: objectKey,
+        VersionId: options.versionId,
+    }));
+    return Object.fromEntries((TagSet ?? []).map(({ Key, Value }) => [Key, Value]));
+}
+
+/**
+ * Replace the tags of an object.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket where the object resides
+ * @param {string} objectKey The key of the object
+ * @param {object} tags The complete new set of tags, as names and values
+ * @param {object} [options]
+ * @param {string} [options.versionId] A specific version of the object
+ * @returns {Promise<{Bucket: string, Key: string, VersionId?: string, Tags: object}>}
+ * @throws {Error} If there are more than 10 tags
+ */
+export async function putObjectTags(s3client, bucketName, objectKey, tags, options = {}) {
+    checkTags(tags);
+    const { VersionId } = await s3client.send(new PutObjectTaggingCommand({
+        Bucket: bucketName,
+        Key: objectKey,
+        VersionId: options.versionId,
+        Tagging: { TagSet: Object.entries(tags).map(([Key, Value]) => ({ Key, Value: String(Value) })) },
+    }));
+    return { Bucket: bucketName, Key: objectKey, VersionId, Tags: tags };
+}
+
+/**
+ * Remove all tags from an object.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket where the object resides
+ * @param {string} objectKey The key of the object
+ * @param {object} [options]
+ * @param {string} [options.versionId] A specific version of the object
+ * @returns {Promise<{Bucket: string, Key: string, VersionId?: string}>}
+ */
+export async function deleteObjectTags(s3client, bucketName, objectKey, options = {}) {
+    const { VersionId } = await s3client.send(new DeleteObjectTaggingCommand({
+        Bucket: bucketName,
+        Key: objectKey,
+        VersionId: options.versionId,
+    }));
+    return { Bucket: bucketName, Key: objectKey, VersionId };
+}
+
+/**
+ * Move every object under a prefix to another prefix, in the same or
+ * another bucket: `reports/2024/a.csv` moved from `reports/` to `archive/`
+ * becomes `archive/2024/a.csv`.
+ *
+ * Up to `concurrency` objects are moved at once. A failed move is recorded
+ * and the others go ahead, so the result lists what happened to every key.
+ * When the target prefix lies inside the source prefix the keys are listed
+ * in full before anything moves, so moved objects are not moved again.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The bucket to move from
+ * @param {string} prefix The prefix to move, e.g. 'reports/'
+ * @param {string} targetPrefix The prefix to move to, e.g. 'archive/reports/'
+ * @param {object} [options] copyObject options and:
+ * @param {string} [options.targetBucket] The bucket to move to (default: the same bucket)
+ * @param {number} [options.concurrency] Maximum objects moved at once
+ * @param {boolean} [options.dryRun] Only list the moves, do not make them
+ * @returns {Promise<{dryRun: boolean, moved: number, failed: number, results: object[]}>} One result per
+ *     key with Key, TargetKey, status ('moved', 'planned' or 'failed'), the copy's ETag and VersionId
+ *     and the error message
+ */
+export async function moveObjects(s3client, bucketName, prefix, targetPrefix, options = {}) {
+    const { targetBucket = bucketName, concurrency = COPY_DEFAULTS.concurrency, dryRun = false, ...copyOptions } = options;
+    if (targetBucket === bucketName && targetPrefix === prefix) {
+        throw new Error(`Cannot move s3://${bucketName}/${prefix} onto itself`);
+    }
+    const objects = targetBucket === bucketName && targetPrefix.startsWith(prefix)
+        ? await listBucketContents(s3client, bucketName, prefix || undefined)
+        : listObjects(s3client, bucketName, { prefix: prefix || undefined });
+    const results = await mapConcurrent(objects, concurrency, async ({ Key }) => {
+        const TargetKey = targetPrefix + Key.slice(prefix.length);
+        if (dryRun) {
+            return { Key, TargetKey, status: "planned" };
+        }
+        return outcome({ Key, TargetKey }, "moved", async () => {
+            const { ETag, VersionId } = await moveObject(s3client,
+                { bucket: bucketName, key: Key },
+                { bucket: targetBucket, key: TargetKey },
+                copyOptions);
+            return { ETag, VersionId };
+        });
+    });
+    return bulkSummary(results, "moved", dryRun);
+}
+
+/**
+ * Set the tags of every object under a prefix.
+ *
+ * Up to `concurrency` objects are tagged at once, and the result lists what
+ * happened to every key. With `merge` the given tags are added to each
+ * object's existing tags (replacing tags of the same name) instead of
+ * replacing them all.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The bucket
+ * @param {string} prefix The prefix of the objects to tag
+ * @param {object} tags The tags, as names and values
+ * @param {object} [options]
+ * @param {boolean} [options.merge] Keep existing tags that are not in `tags`
+ * @param {number} [options.concurrency] Maximum objects tagged at once
+ * @param {boolean} [options.dryRun] Only list the objects, do not tag them
+ * @returns {Promise<{dryRun: boolean, tagged: number, failed: number, results: object[]}>} One result per
+ *     key with Key, status ('tagged', 'planned' or 'failed'), Tags and the error message
+ */
+export async function tagObjects(s3client, bucketName, prefix, tags, options = {}) {
+    const { merge = false, concurrency = COPY_DEFAULTS.concurrency, dryRun = false } = options;
+    checkTags(tags);
+    const results = await mapConcurrent(listObjects(s3client, bucketName, { prefix: prefix || undefined }), concurrency,
+        async ({ Key }) => {
+            if (dryRun) {
+                return { Key, status: "planned" };
+            }
+            return outcome({ Key }, "tagged", async () => {
+                const merged = merge ? { ...await getObjectTags(s3client, bucketName, Key), ...tags } : tags;
+                const { Tags } = await putObjectTags(s3client, bucketName, Key, merged);
+                return { Tags };
+            });
+        });
+    return bulkSummary(results, "tagged", dryRun);
+}
+
+async function copyMultipart(s3client, head, copySource, target, settings) {
+    const { bucket: Bucket, key: Key } = target;
+    const size = head.ContentLength;
+    const partSize = partSizeFor(size, settings.partSize);
+    const { UploadId } = await s3client.send(new CreateMultipartUploadCommand({
+        Bucket,
+        Key,
+        ...settings.headers,
+        Tagging: settings.tagging || undefined,
+        StorageClass: settings.storageClass,
+    }));
+    try {
+        const ranges = Array.from({ length: Math.ceil(size / partSize) }, (_, i) => ({
+            PartNumber: i + 1,
+            start: i * partSize,
+            end: Math.min(size, (i + 1) * partSize) - 1,
+        }));
+        const parts = await mapConcurrent(ranges, settings.concurrency, async ({ PartNumber, start, end }) => {
+            const { CopyPartResult } = await s3client.send(new UploadPartCopyCommand({
+                Bucket,
+                Key,
+                UploadId,
+                PartNumber,
+                CopySource: copySource,
+                CopySourceIfMatch: head.ETag,
+                CopySourceRange: `bytes=${start}-${end}`,
+            }));
+            return { PartNumber, ETag: CopyPartResult.ETag };
+        });
+        const response = await s3client.send(new CompleteMultipartUploadCommand({
+            Bucket,
+            Key,
+            UploadId,
+            MultipartUpload: { Parts: parts },
+        }));
+        return {
+            Bucket,
+            Key,
+            ETag: response.ETag,
+            VersionId: response.VersionId,
+            CopySourceVersionId: head.VersionId,
+            ContentLength: size,
+            multipart: true,
+            parts: parts.length,
+        };
+    } catch (err) {
+        await s3client.send(new AbortMultipartUploadCommand({ Bucket, Key, UploadId })).catch(() => undefined);
+        throw err;
+    }
+}
+
+// The headers and metadata given in the options, or undefined if none are
+function replacedHeaders(options) {
+    const headers = {};
+    for (const header of CONTENT_HEADERS) {
+        const value = options[header[0].toLowerCase() + header.slice(1)];
+        if (value !== undefined) {
+            headers[header] = value;
+        }
+    }
+    if (options.metadata !== undefined) {
+        headers.Metadata = options.metadata;
+    }
+    return Object.keys(headers).length > 0 ? headers : undefined;
+}
+
+function sourceHeaders(head) {
+    const headers = { Metadata: head.Metadata };
+    for (const header of CONTENT_HEADERS) {
+        headers[header] = head[header];
+    }
+    return headers;
+}
+
+// CopySource is the bucket and the URL-encoded key, with the version as a query parameter
+function copySourceOf({ bucket, key, versionId }) {
+    const path = `${bucket}/${encodeURIComponent(key).replace(/%2F/g, "/")}`;
+    return versionId ? `${path}?versionId=${encodeURIComponent(versionId)}` : path;
+}
+
+function checkTags(tags) {
+    if (tags === null || typeof tags !== "object" || Array.isArray(tags)) {
+        throw new Error("Tags must be an object of tag names and values");
+    }
+    if (Object.keys(tags).length > MAX_OBJECT_TAGS) {
+        throw new Error(`An object can have at most ${MAX_OBJECT_TAGS} tags, got ${Object.keys(tags).length}`);
+    }
+}
+
+function encodeTags(tags) {
+    checkTags(tags);
+    return new URLSearchParams(Object.entries(tags).map(([name, value]) => [name, String(value)])).toString();
+}
+
+async function outcome(result, status, action) {
+    try {
+        return { ...result, status, ...await action() };
+    } catch (error) {
+        return { ...result, status: "failed", error: error.message };
+    }
+}
+
+function bulkSummary(results, status, dryRun) {
+    return {
+        dryRun,
+        [status]: results.filter((result) => result.status === status).length,
+        failed: results.filter((result) => result.status === "failed").length,
+        results,
+    };
+}
@@ -0,0 +1,260 @@
+/**
+ * Presigned requests, so that browsers and other clients without AWS
+ * credentials can download from and upload to S3 directly.
+ *
+ * A presigned URL carries a SigV4 signature made with the credentials of the
+ * client that created it, and is valid until it expires (at most 7 days) or
+ * the credentials expire, whichever comes first. Anything that is signed -
+ * the key, the content type and checksum of an upload, the response header
+ * overrides of a download - cannot be changed by the holder of the URL.
+ *
+ * Presigned POST policies serve HTML forms: the browser posts the policy
+ * fields with the file, and the policy limits the key, size and content type
+ * of what it may upload.
+ */
+import { GetObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+import { createPresignedPost } from "@aws-sdk/s3-presigned-post";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { CHECKSUM_ALGORITHMS, checksumField } from "./checksums.js";
+
+/**
+ * The longest a SigV4 presigned request can be valid, in seconds (7 days).
+ */
+export const MAX_PRESIGN_EXPIRY = 7 * 24 * 60 * 60;
+
+/**
+ * Response headers a presigned GET can override, as GetObject input names
+ * without the 'Response' prefix.
+ */
+export const RESPONSE_HEADER_OVERRIDES = [
+    "CacheControl",
+    "ContentDisposition",
+    "ContentEncoding",
+    "ContentLanguage",
+    "ContentType",
+    "Expires",
+];
+
+// The largest object a single PUT or POST can upload
+const MAX_UPLOAD_SIZE = 5 * 1024 ** 3;
+
+/**
+ * Presign a download.
+ *
+ * Response header overrides make S3 answer with those headers instead of the
+ * object's own, e.g. `{ ContentDisposition: 'attachment; filename="notes.csv"' }`
+ * to have browsers save the object under that name.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket where the object resides
+ * @param {string} objectKey The key of the object
+ * @param {object} [options]
+ * @param {number} [options.expiresIn] Seconds until the URL expires (default 3600)
+ * @param {string} [options.versionId] A specific version of the object
+ * @param {object} [options.responseHeaders] Header overrides keyed by RESPONSE_HEADER_OVERRIDES
+ * @returns {Promise<{Bucket: string, Key: string, Method: string, Url: string, ExpiresAt: Date}>}
+ * @throws {Error} If the expiry or an override is invalid
+ */
+export async function presignGetObject(s3client, bucketName, objectKey, options = {}) {
+    const { expiresIn = 3600, versionId, responseHeaders = {} } = options;
+    const ExpiresAt = await expiryFor(s3client, expiresIn);
+    const input = { Bucket: bucketName, Key: objectKey, VersionId: versionId };
+    for (const [header, value] of Object.entries(responseHeaders)) {
+        if (!RESPONSE_HEADER_OVERRIDES.includes(header)) {
+            throw new Error(`Cannot override response header '${header}', expected one of ${RESPONSE_HEADER_OVERRIDES.join(", ")}`);
+        }
+        input[`Response${header}`] = header === "Expires" ? new Date(value) : value;
+    }
+    const Url = await getSignedUrl(s3client, new GetObjectCommand(input), { expiresIn });
+    return { Bucket: bucketName, Key: objectKey, Method: "GET", Url, ExpiresAt };
+}
+
+/**
+ * Presign an upload with PUT.
+ *
+ * The content type and checksum are signed: the uploader must send exactly
+ * the returned `Headers` with the body, or S3 rejects the upload (and with a
+ * checksum, also a body that does not match it). Metadata is part of the URL
+ * itself and stored with the object without the uploader sending anything.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket to upload to
+ * @param {string} objectKey The key of the object to create
+ * @param {object} [options]
+ * @param {number} [options.expiresIn] Seconds until the URL expires (default 3600)
+ * @param {string} [options.contentType] The content type the upload must have
+ * @param {object} [options.metadata] Metadata stored with the object
+ * @param {{algorithm: string, value: string}} [options.checksum] The base64 checksum the body must
+ *     have, with an algorithm from CHECKSUM_ALGORITHMS
+ * @returns {Promise<{Bucket: string, Key: string, Method: string, Url: string, Headers: object, ExpiresAt: Date}>}
+ * @throws {Error} If the expiry or checksum is invalid
+ */
+export async function presignPutObject(s3client, bucketName, objectKey, options = {}) {
+    const { expiresIn = 3600, contentType, metadata, checksum } = options;
+    const ExpiresAt = await expiryFor(s3client, expiresIn);
+    const input = { Bucket: bucketName, Key: objectKey, ContentType: contentType, Metadata: metadata };
+    const Headers = {};
+    const signableHeaders = new Set();
+    const unhoistableHeaders = new Set();
+    if (contentType !== undefined) {
+        Headers["Content-Type"] = contentType;
+        signableHeaders.add("content-type");
+    }
+    if (checksum) {
+        if (!CHECKSUM_ALGORITHMS.includes(checksum.algorithm)) {
+            throw new Error(`Unsupported checksum algorithm '${checksum.algorithm}'. Expected one of: ${CHECKSUM_ALGORITHMS.join(", ")}`);
+        }
+        const header = `x-amz-checksum-${checksum.algorithm.toLowerCase()}`;
+        input[checksumField(checksum.algorithm)] = checksum.value;
+        Headers[header] = checksum.value;
+        // Keep the checksum a header, so it is checked against the body
+        unhoistableHeaders.add(header);
+    }
+    const Url = await getSignedUrl(s3client, new PutObjectCommand(input), {
+        expiresIn,
+        signableHeaders,
+        unhoistableHeaders,
+    });
+    return { Bucket: bucketName, Key: objectKey, Method: "PUT", Url, Headers, ExpiresAt };
+}
+
+/**
+ * Create a presigned POST policy for uploads from an HTML form.
+ *
+ * Give either a `key`, or a `keyPrefix` under which the browser's file name
+ * is used (S3 replaces `${filename}` in the key field). The form must post
+ * every returned field, followed by the file in a field named 'file':
+ *
+ *     const { Url, Fields } = await presignPost(client, "uploads", {
+ *         keyPrefix: "incoming/", contentLengthRange: [1, 10 * 1024 * 1024], contentTypePrefix: "image/",
+ *     });
+ *
+ * With `contentTypePrefix` the form must add a Content-Type field of its own.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket to upload to
+ * @param {object} options
+ * @param {string} [options.key] The exact key of the upload
+ * @param {string} [options.keyPrefix] The prefix the key must start with
+ * @param {number} [options.expiresIn] Seconds until the policy expires (default 3600)
+ * @param {number[]} [options.contentLengthRange] The [minimum, maximum] upload size in bytes
+ * @param {string} [options.contentType] The content type the upload must have
+ * @param {string} [options.contentTypePrefix] The prefix the content type must start with, e.g. 'image/'
+ * @param {object} [options.metadata] Metadata stored with the object
+ * @returns {Promise<{Bucket: string, Key: string, Method: string, Url: string, Fields: object, ExpiresAt: Date}>}
+ * @throws {Error} If the options are invalid
+ */
+export async function presignPost(s3client, bucketName, options = {}) {
+    const {
+        key,
+        keyPrefix,
+        expiresIn = 3600,
+        contentLengthRange,
+        contentType,
+        contentTypePrefix,
+        metadata = {},
+    } = options;
+    if ((key === undefined) === (keyPrefix === undefined)) {
+        throw new Error("A presigned POST needs either a key or a keyPrefix");
+    }
+    if (contentType !== undefined && contentTypePrefix !== undefined) {
+        throw new Error("Give either contentType or contentTypePrefix, not both");
+    }
+    const ExpiresAt = await expiryFor(s3client, expiresIn);
+
+    const Key = key ?? `${keyPrefix}\${filename}`;
+    // The form fields are added as exact-match conditions; the key needs its own
+    const conditions = [key === undefined ? ["starts-with", "$key", keyPrefix] : { key }];
+    const fields = {};
+    if (contentLengthRange) {
+        const [min, max] = contentLengthRange;
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || min > max || max > MAX_UPLOAD_SIZE) {
+            throw new Error(`contentLengthRange must be [min, max] with 0 <= min <= max <= ${MAX_UPLOAD_SIZE}, got [${contentLengthRange}]`);
+        }
+        conditions.push(["content-length-range", min, max]);
+    }
+    if (contentType !== undefined) {
+        fields["Content-Type"] = contentType;
+    }
+    if (contentTypePrefix !== undefined) {
+        conditions.push(["starts-with", "$Content-Type", contentTypePrefix]);
+    }
+    for (const [name, value] of Object.entries(metadata)) {
+        fields[`x-amz-meta-${name}`] = value;
+    }
+    const { url, fields: Fields } = await createPresignedPost(s3client, {
+        Bucket: bucketName,
+        Key,
+        Conditions: conditions,
+        Fields: fields,
+        Expires: expiresIn,
+    });
+    return { Bucket: bucketName, Key, Method: "POST", Url: url, Fields, ExpiresAt };
+}
+
+/**
+ * Presign the same request for many keys, e.g. download links for a listing.
+ *
+ * The expiry is checked before anything is signed; signing happens locally
+ * and makes no requests to S3.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket
+ * @param {Iterable<string>} objectKeys The keys to presign
+ * @param {object} [options]
+ * @param {string} [options.method] 'GET' (default) or 'PUT'
+ * @returns {Promise<object[]>} The presigned requests, in the order of the keys; the other options
+ *     are passed to presignGetObject or presignPutObject
+ */
+export async function presignObjects(s3client, bucketName, objectKeys, options = {}) {
+    const { method = "GET", ...presignOptions } = options;
+    const presign = presignerFor(method);
+    await expiryFor(s3client, presignOptions.expiresIn ?? 3600);
+    const results = [];
+    for (const objectKey of objectKeys) {
+        results.push(await presign(s3client, bucketName, objectKey, presignOptions));
+    }
+    return results;
+}
+
+/**
+ * The presign function for an HTTP method.
+ *
+ * @param {string} method 'GET' or 'PUT'
+ * @returns {Function} presignGetObject or presignPutObject
+ */
+export function presignerFor(method) {
+    switch (method) {
+        case "GET":
+            return presignGetObject;
+        case "PUT":
+            return presignPutObject;
+        default:
+            throw new Error(`Unsupported presign method '${method}', expected GET or PUT`);
+    }
+}
+
+/**
+ * Check an expiry against the SigV4 limit and the lifetime of the client's
+ * credentials: a URL signed with temporary credentials stops working when
+ * they expire, whatever its own expiry says.
+ *
+ * @param {S3Client} s3client
+ * @param {number} expiresIn Seconds
+ * @returns {Promise<Date>} When the presigned request expires
+ */
+async function expiryFor(s3client, expiresIn) {
+    if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_PRESIGN_EXPIRY) {
+        throw new Error(`Presigned requests must expire after 1 to ${MAX_PRESIGN_EXPIRY} seconds ` +
+            `(one week), got ${expiresIn}`);
+    }
+    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+    const credentials = await s3client.config?.credentials?.();
+    if (credentials?.expiration && credentials.expiration < expiresAt) {
+        const remaining = Math.floor((credentials.expiration.getTime() - Date.now()) / 1000);
+        throw new Error(`The session credentials expire at ${credentials.expiration.toISOString()}, before the ` +
+            `presigned request would (${expiresAt.toISOString()}); use an expiry of at most ${Math.max(0, remaining)} ` +
+            "seconds or sign with longer-lived credentials");
+    }
+    return expiresAt;
+}
@@ -0,0 +1,447 @@
+/**
+ * These functions demonstrate the various use cases for managing S3 buckets and
+ * objects.
+ * The S3 client primarily uses the command pattern to perform the various tasks,
+ * which means that the client is responsible for creating the command and then
+ * sending it to the service.
+ * The requester is then responsible for handling the response, which will vary depending
+ * on the request being sent.
+ *
+ * The functions return plain data and let errors propagate, so they can be
+ * used from the demo walkthrough, the command line tool or other code.
+ *
+ * Note: Much of the code for these examples was generated initially by Code Whisperer and
+ * cleaned up and documented by me.
+ */
+import {
+    S3Client,
+    ListBucketsCommand,
+    ListObjectsV2Command,
+    ListObjectVersionsCommand,
+    CreateBucketCommand,
+    DeleteBucketCommand,
+    DeleteObjectsCommand,
+    PutObjectCommand,
+    GetObjectCommand,
+} from "@aws-sdk/client-s3";
+import { instrumentClient, resolveClientConfig } from "aws-samples-common";
+import { readFileSync, createWriteStream } from "fs";
+import { pipeline } from "stream/promises";
+import { normalizeBucketConfiguration } from "./bucket-configuration.js";
+import { configureBucket } from "./configure-bucket.js";
+import { presignerFor } from "./presign.js";
+import { selectObject } from "./select.js";
+
+/**
+ * Create an S3 client from the shared client configuration.
+ *
+ * When an endpoint override is in effect (e.g. a local MinIO server)
+ * path-style addressing is used, since S3-compatible stand-ins rarely support
+ * virtual-hosted bucket names. Failed requests raise the typed errors of
+ * `translateAwsError`, such as NoSuchBucketError or AccessDeniedError, and
+ * every command is recorded in `operationMetrics`.
+ *
+ * @param {object} [options] Explicit profile, region, endpoint, credentials or retry policy, see resolveClientConfig
+ * @returns {Promise<S3Client>} The initialized client
+ */
+export async function createS3Client(options = {}) {
+    const config = await resolveClientConfig({ serviceId: "S3", ...options });
+    return instrumentClient(new S3Client({
+        ...config,
+        forcePathStyle: Boolean(config.endpoint),
+    }));
+}
+
+/**
+ * Lists the buckets for the associated AWS account.
+ *
+ * Uses the AWS S3Client to send a ListBucketCommand.
+ * Note that as of V3, the NodeJS SDK natively uses the
+ * Promise API for all asynchronous calls. This means
+ * that the call to send() returns a Promise and user must use 'await' in front
+ * if expecting the actual returned object.
+ *
+ * @param {S3Client} s3client
+ * @returns {Promise<object[]>} The buckets, each with a Name and CreationDate
+ */
+export async function listBuckets(s3client) {
+    const command = new ListBucketsCommand({});
+
+    // Note additional data can be returned, such as the Owner.
+    const { Buckets } = await s3client.send(command);
+    return Buckets ?? [];
+}
+
+/**
+ * S3 deletes at most this many keys per DeleteObjects request.
+ */
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Raised when some keys could not be deleted while emptying a bucket.
+ */
+export class DeleteObjectsError extends Error {
+    /**
+     * @param {string} bucketName The bucket being emptied
+     * @param {object[]} errors The per-key errors (Key, VersionId, Code, Message) reported by S3
+     */
+    constructor(bucketName, errors) {
+        super(`Failed to delete ${errors.length} object(s) from bucket ${bucketName}: ` +
+            errors.slice(0, 5).map((e) => `${e.Key} (${e.Code})`).join(", ") +
+            (errors.length > 5 ? ", ..." : ""));
+        this.name = "DeleteObjectsError";
+        this.bucketName = bucketName;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Iterate over the pages of a bucket listing.
+ *
+ * ListObjectsV2 returns at most 1000 keys per call; this follows
+ * `NextContinuationToken` until the listing is complete. With a delimiter,
+ * keys that share a prefix up to the delimiter are rolled up into
+ * `CommonPrefixes`, which is how "folders" are browsed.
+ *
+ * @param {S3Client} s3client Reference to S3Client
+ * @param {string} bucketName Name of bucket to list
+ * @param {object} [options]
+ * @param {string} [options.prefix] Only list keys starting with this prefix
+ * @param {string} [options.delimiter] Group keys by this delimiter, usually '/'
+ * @param {number} [options.pageSize] Maximum keys per request (at most 1000)
+ * @yields {{Contents: object[], CommonPrefixes: string[]}} One page of results
+ */
+export async function* listObjectPages(s3client, bucketName, { prefix, delimiter, pageSize } = {}) {
+    let ContinuationToken;
+    do {
+        const response = await s3client.send(new ListObjectsV2Command({
+            Bucket: bucketName,
+            Prefix: prefix,
+            Delimiter: delimiter,
+            MaxKeys: pageSize,
+            ContinuationToken,
+        }));
+        yield {
+            Contents: response.Contents ?? [],
+            CommonPrefixes: (response.CommonPrefixes ?? []).map((p) => p.Prefix),
+        };
+        ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+}
+
+/**
+ * Iterate over every object in a bucket, across all pages.
+ *
+ * @param {S3Client} s3client Reference to S3Client
+ * @param {string} bucketName Name of bucket to list
+ * @param {object} [options] Same as listObjectPages
+ * @yields {object} Each object, with a Key, Size, LastModified and ETag
+ */
+export async function* listObjects(s3client, bucketName, options = {}) {
+    for await (const page of listObjectPages(s3client, bucketName, options)) {
+        yield* page.Contents;
+    }
+}
+
+/**
+ * List the contents of the specified bucket.
+ *
+ * Uses the S3Client to list the contents of the bucket specified, following
+ * continuation tokens so buckets with more than 1000 keys are listed in full.
+ *
+ * @param {S3Client} s3client Reference to S3Client
+ * @param {string} bucketName Name of bucket to list contents of
+ * @param {string} [prefix] Only list keys starting with this prefix
+ * @returns {Promise<object[]>} The objects, each with a Key, Size, LastModified and ETag
+ */
+export async function listBucketContents(s3client, bucketName, prefix) {
+    const contents = [];
+    for await (const object of listObjects(s3client, bucketName, { prefix })) {
+        contents.push(object);
+    }
+    return contents;
+}
+
+/**
+ * List one "folder" level of a bucket.
+ *
+ * Returns the sub-folders (common prefixes) and the objects directly under the
+ * prefix, the way a file browser would show them.
+ *
+ * @param {S3Client} s3client Reference to S3Client
+ * @param {string} bucketName Name of bucket to browse
+ * @param {string} [prefix] The folder to list, e.g. 'reports/2024/'
+ * @param {string} [delimiter] The folder separator
+ * @returns {Promise<{folders: string[], objects: object[]}>}
+ */
+export async function listFolder(s3client, bucketName, prefix = "", delimiter = "/") {
+    const folders = [];
+    const objects = [];
+    for await (const page of listObjectPages(s3client, bucketName, { prefix: prefix || undefined, delimiter })) {
+        folders.push(...page.CommonPrefixes);
+        objects.push(...page.Contents);
+    }
+    return { folders, objects };
+}
+
+/**
+ * Create the specified bucket.
+ *
+ * Use the S3Client to create the specified bucket in the region of the
+ * client; outside us-east-1 S3 needs that region as the LocationConstraint.
+ * A bucket that already exists and is owned by the caller is not treated as
+ * an error.
+ *
+ * With a `configuration` (see bucket-configuration.js) the bucket is then
+ * configured to match it, whether it was just created or already existed;
+ * pass BASELINE_BUCKET_CONFIGURATION for the security baseline.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket to create
+ * @param {object} [options]
+ * @param {object} [options.configuration] The configuration to apply
+ * @returns {Promise<{Bucket: string, Location?: string, created: boolean, changes?: object[]}>} The bucket,
+ *     and with a configuration the changes made to it
+ * @throws {BucketConfigurationError} If the configuration is invalid; nothing is created then
+ */
+export async function createBucket(s3client, bucketName, options = {}) {
+    const { configuration } = options;
+    if (configuration !== undefined) {
+        normalizeBucketConfiguration(configuration);
+    }
+    const region = await s3client.config.region();
+    const command = new CreateBucketCommand({
+        Bucket: bucketName,
+        CreateBucketConfiguration: region && region !== "us-east-1" ? { LocationConstraint: region } : undefined,
+    });
+
+    let result;
+    try {
+        const { Location } = await s3client.send(command);
+        result = { Bucket: bucketName, Location, created: true };
+    } catch (err) {
+        if (err.name !== 'BucketAlreadyOwnedByYou') {
+            throw err;
+        }
+        result = { Bucket: bucketName, created: false };
+    }
+    if (configuration !== undefined) {
+        const { changes } = await configureBucket(s3client, bucketName, configuration);
+        result.changes = changes;
+    }
+    return result;
+}
+
+/**
+ * Delete the specified bucket.
+ *
+ * Use the S3Client to delete the specified bucket. S3 only deletes empty
+ * buckets, so pass `force` to clear the bucket contents first. On a versioned
+ * bucket also pass `allVersions`, otherwise old versions and delete markers
+ * keep the bucket from being deleted.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket to delete
+ * @param {object} [options]
+ * @param {boolean} [options.force] Delete all objects in the bucket before deleting it
+ * @param {boolean} [options.allVersions] With force, delete all object versions and delete markers too
+ * @returns {Promise<{Bucket: string, deletedObjects: number}>} The bucket and how many objects were deleted first
+ * @throws {DeleteObjectsError} If some objects could not be deleted
+ */
+export async function deleteBucket(s3client, bucketName, { force = false, allVersions = false } = {}) {
+    let deletedObjects = 0;
+    if (force) {
+        const { deleted, errors } = await clearBucketContents(s3client, bucketName, { allVersions });
+        if (errors.length > 0) {
+            throw new DeleteObjectsError(bucketName, errors);
+        }
+        deletedObjects = deleted;
+    }
+
+    const command = new DeleteBucketCommand({
+        Bucket: bucketName,
+    });
+    await s3client.send(command);
+    return { Bucket: bucketName, deletedObjects };
+}
+
+/**
+ * Delete all objects in the specified bucket.
+ *
+ * Use the S3Client to delete all objects in the specified bucket.
+ * This is typically used as a precursor to deleting the bucket itself.
+ *
+ * Keys are deleted in batches of 1000 (see deleteObjects). Keys that S3 fails
+ * to delete are collected and returned rather than aborting the run.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket to clear contents for
+ * @param {object} [options]
+ * @param {string} [options.prefix] Only delete keys starting with this prefix
+ * @param {boolean} [options.allVersions] Delete every object version and delete marker, not just current objects
+ * @returns {Promise<{deleted: number, errors: object[]}>} How many keys were deleted and the per-key errors
+ */
+export async function clearBucketContents(s3client, bucketName, { prefix, allVersions = false } = {}) {
+    const identifiers = allVersions
+        ? listObjectVersionIdentifiers(s3client, bucketName, prefix)
+        : listObjectIdentifiers(s3client, bucketName, prefix);
+    return deleteObjects(s3client, bucketName, identifiers);
+}
+
+/**
+ * Delete the specified objects.
+ *
+ * Keys are deleted in batches of 1000, the most a single DeleteObjects
+ * request accepts. Keys that S3 fails to delete are collected and returned.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket to delete from
+ * @param {Iterable|AsyncIterable} identifiers Keys, or {Key, VersionId} objects, to delete
+ * @returns {Promise<{deleted: number, errors: object[]}>} How many keys were deleted and the per-key errors
+ */
+export async function deleteObjects(s3client, bucketName, identifiers) {
+    const summary = { deleted: 0, errors: [] };
+    let batch = [];
+    const flush = async () => {
+        const { Deleted, Errors } = await s3client.send(new DeleteObjectsCommand({
+            Bucket: bucketName,
+            Delete: { Objects: batch, Quiet: true },
+        }));
+        const failed = Errors ?? [];
+        summary.errors.push(...failed);
+        // In quiet mode S3 only reports failures, so count the rest as deleted
+        summary.deleted += Deleted?.length ?? batch.length - failed.length;
+        batch = [];
+    };
+    for await (const identifier of identifiers) {
+        batch.push(typeof identifier === "string" ? { Key: identifier } : identifier);
+        if (batch.length === DELETE_BATCH_SIZE) {
+            await flush();
+        }
+    }
+    if (batch.length > 0) {
+        await flush();
+    }
+    return summary;
+}
+
+async function* listObjectIdentifiers(s3client, bucketName, prefix) {
+    for await (const object of listObjects(s3client, bucketName, { prefix })) {
+        yield { Key: object.Key };
+    }
+}
+
+async function* listObjectVersionIdentifiers(s3client, bucketName, prefix) {
+    let KeyMarker;
+    let VersionIdMarker;
+    do {
+        const response = await s3client.send(new ListObjectVersionsCommand({
+            Bucket: bucketName,
+            Prefix: prefix,
+            KeyMarker,
+            VersionIdMarker,
+        }));
+        for (const entry of [...(response.Versions ?? []), ...(response.DeleteMarkers ?? [])]) {
+            yield { Key: entry.Key, VersionId: entry.VersionId };
+        }
+        KeyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+        VersionIdMarker = response.IsTruncated ? response.NextVersionIdMarker : undefined;
+    } while (KeyMarker);
+}
+
+/**
+ * Upload the specified file to the specified bucket.
+ *
+ * Uses the S3 client to upload the file to the specified bucket.
+ * This approach will use a local file and will read the contents and send
+ * that as the body of the object being uploaded.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket to upload to
+ * @param {string} fileName The name of the source file
+ * @param {string} contentType the content type of the file being uploaded
+ * @param {object} metadata Metadata to associate with the object
+ * @param {string} [objectKey] The key of the object in S3 (defaults to the file name)
+ * @returns {Promise<{Bucket: string, Key: string, ETag: string, VersionId?: string}>}
+ */
+export async function uploadFile(s3client, bucketName, fileName, contentType, metadata, objectKey = fileName) {
+    const command = new PutObjectCommand({
+        Bucket: bucketName,
+        Key: objectKey,
+        Body: readFileSync(fileName),
+        ContentType: contentType,
+        Metadata: metadata
+    });
+
+    const { ETag, VersionId } = await s3client.send(command);
+    return { Bucket: bucketName, Key: objectKey, ETag, VersionId };
+}
+
+/**
+ * Download the specified object to a local file.
+ *
+ * The object body is streamed to disk rather than buffered in memory.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket where the object resides
+ * @param {string} objectKey The key of the object to download
+ * @param {string} fileName The local file to write
+ * @returns {Promise<{Bucket: string, Key: string, File: string, ContentLength?: number, ETag: string}>}
+ */
+export async function downloadFile(s3client, bucketName, objectKey, fileName) {
+    const command = new GetObjectCommand({
+        Bucket: bucketName,
+        Key: objectKey
+    });
+
+    const { Body, ContentLength, ETag } = await s3client.send(command);
+    await pipeline(Body, createWriteStream(fileName));
+    return { Bucket: bucketName, Key: objectKey, File: fileName, ContentLength, ETag };
+}
+
+/**
+ * Query the provided file using S3 Select.
+ *
+ * Runs an SQL expression against the object and collects the matching
+ * records. The object for this example is expected to be a CSV file with a
+ * header line; by default the query finds all rows where the NOTES column
+ * contains 'DynamoDB'. Pass `options` to query JSON or Parquet objects,
+ * compressed objects or to get CSV output; see selectObject. For large
+ * results iterate `selectObject` directly instead of collecting everything.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket where the object resides
+ * @param {string} fileName The key of the object to query
+ * @param {string} [query] The SQL expression to run
+ * @param {object} [options] Input and output serialization, see selectObject
+ * @returns {Promise<Array>} The matching records
+ */
+export async function queryFile(s3client, bucketName, fileName,
+    query = "select * from S3Object s where s.NOTES like '%DynamoDB%'", options = {}) {
+    return selectObject(s3client, bucketName, fileName, { ...options, expression: query }).toArray();
+}
+
+/**
+ * Generate a presigned URL for the specified object.
+ *
+ * Use the S3Client and the helper method `getSignedUrl` to produce a temporary
+ * presigned URL. A GET URL downloads the object; a PUT URL lets the holder
+ * upload the object. The duration may not exceed 7 days, nor the lifetime of
+ * temporary credentials.
+ *
+ * `options` are passed to presignGetObject (response header overrides) or
+ * presignPutObject (content type, metadata and checksum); use those directly
+ * to also get the headers a PUT upload has to send.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket where the object resides
+ * @param {string} objectKey The key to the object to generate the URL for
+ * @param {number} duration The duration of the presigned URL in seconds
+ * @param {string} [method] 'GET' or 'PUT'
+ * @param {object} [options] See presignGetObject and presignPutObject
+ * @returns {Promise<string>} The URL, encoded (presigned)
+ */
+export async function createPresignedUrl(s3client, bucketName, objectKey, duration, method = "GET", options = {}) {
+    const { Url } = await presignerFor(method)(s3client, bucketName, objectKey, { ...options, expiresIn: duration });
+    return Url;
+}
@@ -0,0 +1,221 @@
+/**
+ * S3 Select queries with streaming results.
+ *
+ * S3 Select runs an SQL expression against a CSV, JSON or Parquet object
+ * (optionally gzip or bzip2 compressed) and streams the result back as a
+ * series of event messages:
+ * 1. Records - a chunk of result data; records may span several messages
+ * 2. Stats - bytes scanned, processed and returned, sent once at the end
+ * 3. Progress - the same counters while the query runs (when requested)
+ * 4. Cont - keep-alive messages sent while no records are ready
+ * 5. End - the query completed; a stream without it is incomplete
+ * See https://docs.aws.amazon.com/AmazonS3/latest/API/RESTSelectObjectAppendix.html for
+ * additional details.
+ */
+import { EventEmitter } from "events";
+import { S3Client, SelectObjectContentCommand } from "@aws-sdk/client-s3";
+import { CsvParser } from "aws-samples-common";
+import { TextDecoder } from "util";
+
+/**
+ * Raised when the result stream ends without an End event, which means the
+ * results are incomplete.
+ */
+export class IncompleteSelectError extends Error {
+    constructor(bucketName, objectKey) {
+        super(`S3 Select on s3://${bucketName}/${objectKey} ended before the End event; results are incomplete`);
+        this.name = "IncompleteSelectError";
+    }
+}
+
+/**
+ * A running S3 Select query.
+ *
+ * Iterate it with `for await` to receive the parsed records: objects for JSON
+ * output and arrays of field values for CSV output. The request is sent when
+ * iteration starts, and a query can only be iterated once.
+ *
+ * Events:
+ *  - 'progress' ({BytesScanned, BytesProcessed, BytesReturned}) while the query runs
+ *  - 'stats' ({BytesScanned, BytesProcessed, BytesReturned}) when the query finishes
+ *  - 'continuation' () for keep-alive messages
+ *  - 'end' () once all records were received
+ */
+export class SelectQuery extends EventEmitter {
+    #s3client;
+    #input;
+    #outputFormat;
+    #outputCsv;
+    #started = false;
+
+    /**
+     * @param {S3Client} s3client The initialized S3 client reference
+     * @param {object} input The SelectObjectContent request input
+     */
+    constructor(s3client, input) {
+        super();
+        this.#s3client = s3client;
+        this.#input = input;
+        this.#outputFormat = input.OutputSerialization.CSV ? "CSV" : "JSON";
+        this.#outputCsv = input.OutputSerialization.CSV ?? {};
+        this.stats = undefined;
+    }
+
+    async *[Symbol.asyncIterator]() {
+        if (this.#started) {
+            throw new Error("A SelectQuery can only be iterated once");
+        }
+        this.#started = true;
+
+        const result = await this.#s3client.send(new SelectObjectContentCommand(this.#input));
+        const decoder = new TextDecoder();
+        const parse = this.#createParser();
+        let ended = false;
+        for await (const event of result.Payload ?? []) {
+            if (event.Records) {
+                yield* parse.push(decoder.decode(event.Records.Payload, { stream: true }));
+            } else if (event.Progress) {
+                this.emit("progress", event.Progress.Details);
+            } else if (event.Stats) {
+                this.stats = event.Stats.Details;
+                this.emit("stats", this.stats);
+            } else if (event.Cont) {
+                this.emit("continuation");
+            } else if (event.End) {
+                ended = true;
+            }
+        }
+        if (!ended) {
+            throw new IncompleteSelectError(this.#input.Bucket, this.#input.Key);
+        }
+        yield* parse.push(decoder.decode());
+        yield* parse.end();
+        this.emit("end");
+    }
+
+    /**
+     * Run the query and collect all records.
+     *
+     * @returns {Promise<Array>} The records
+     */
+    async toArray() {
+        const records = [];
+        for await (const record of this) {
+            records.push(record);
+        }
+        return records;
+    }
+
+    #createParser() {
+        if (this.#outputFormat === "CSV") {
+            const parser = new CsvParser({
+                delimiter: this.#outputCsv.FieldDelimiter ?? ",",
+                quote: this.#outputCsv.QuoteCharacter ?? '"',
+            });
+            return { push: (text) => parser.push(text), end: () => parser.end() };
+        }
+        // JSON output is one record per line, terminated by the record delimiter
+        const delimiter = this.#input.OutputSerialization.JSON.RecordDelimiter ?? "\n";
+        let pending = "";
+        const lines = (text) => {
+            const parts = text.split(delimiter);
+            pending = parts.pop();
+            return parts.filter((line) => line.trim() !== "").map((line) => JSON.parse(line));
+        };
+        return {
+            push: (text) => lines(pending + text),
+            end: () => (pending.trim() === "" ? [] : [JSON.parse(pending)]),
+        };
+    }
+}
+
+/**
+ * Start an S3 Select query.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket where the object resides
+ * @param {string} objectKey The key of the object to query
+ * @param {object} options
+ * @param {string} options.expression The SQL expression, e.g. "select * from S3Object s"
+ * @param {object} [options.input] How the object is stored
+ * @param {string} [options.input.format] 'CSV' (default), 'JSON' or 'Parquet'
+ * @param {string} [options.input.compression] 'NONE' (default), 'GZIP' or 'BZIP2'
+ * @param {string} [options.input.fileHeaderInfo] CSV: 'USE' (default), 'IGNORE' or 'NONE'
+ * @param {string} [options.input.fieldDelimiter] CSV: field delimiter (default ',')
+ * @param {string} [options.input.recordDelimiter] CSV: record delimiter (default '\n')
+ * @param {string} [options.input.quoteCharacter] CSV: quote character (default '"')
+ * @param {string} [options.input.quoteEscapeCharacter] CSV: escape for quotes inside quoted values
+ * @param {string} [options.input.comments] CSV: lines starting with this character are skipped
+ * @param {boolean} [options.input.allowQuotedRecordDelimiter] CSV: quoted values may contain record delimiters
+ * @param {string} [options.input.jsonType] JSON: 'LINES' (default) or 'DOCUMENT'
+ * @param {object} [options.output] How results are returned
+ * @param {string} [options.output.format] 'JSON' (default, records are objects) or 'CSV' (records are arrays)
+ * @param {string} [options.output.fieldDelimiter] CSV: field delimiter
+ * @param {string} [options.output.quoteFields] CSV: 'ASNEEDED' (default) or 'ALWAYS'
+ * @param {boolean} [options.requestProgress] Emit 'progress' events while the query runs
+ * @param {{start?: number, end?: number}} [options.scanRange] Only scan this byte range of the object
+ * @returns {SelectQuery} The query; iterate it for records
+ */
+export function selectObject(s3client, bucketName, objectKey, options) {
+    const { expression, input = {}, output = {}, requestProgress = false, scanRange } = options;
+    if (!expression) {
+        throw new Error("selectObject needs an SQL expression");
+    }
+    return new SelectQuery(s3client, {
+        Bucket: bucketName,
+        Key: objectKey,
+        ExpressionType: "SQL",
+        Expression: expression,
+        InputSerialization: inputSerialization(input),
+        OutputSerialization: outputSerialization(output),
+        RequestProgress: requestProgress ? { Enabled: true } : undefined,
+        ScanRange: scanRange ? { Start: scanRange.start, End: scanRange.end } : undefined,
+    });
+}
+
+function inputSerialization(input) {
+    const format = (input.format ?? "CSV").toUpperCase();
+    const serialization = { CompressionType: (input.compression ?? "NONE").toUpperCase() };
+    switch (format) {
+        case "CSV":
+            serialization.CSV = {
+                FileHeaderInfo: (input.fileHeaderInfo ?? "USE").toUpperCase(),
+                FieldDelimiter: input.fieldDelimiter,
+                RecordDelimiter: input.recordDelimiter,
+                QuoteCharacter: input.quoteCharacter,
+                QuoteEscapeCharacter: input.quoteEscapeCharacter,
+                Comments: input.comments,
+                AllowQuotedRecordDelimiter: input.allowQuotedRecordDelimiter,
+            };
+            break;
+        case "JSON":
+            serialization.JSON = { Type: (input.jsonType ?? "LINES").toUpperCase() };
+            break;
+        case "PARQUET":
+            // Parquet objects are compressed internally; S3 rejects a CompressionType for them
+            delete serialization.CompressionType;
+            serialization.Parquet = {};
+            break;
+        default:
+            throw new Error(`Unsupported input format '${input.format}', expected CSV, JSON or Parquet`);
+    }
+    return serialization;
+}
+
+function outputSerialization(output) {
+    const format = (output.format ?? "JSON").toUpperCase();
+    switch (format) {
+        case "JSON":
+            return { JSON: { RecordDelimiter: "\n" } };
+        case "CSV":
+            return {
+                CSV: {
+                    FieldDelimiter: output.fieldDelimiter,
+                    QuoteFields: output.quoteFields,
+                    RecordDelimiter: "\n",
+                },
+            };
+        default:
+            throw new Error(`Unsupported output format '${output.format}', expected JSON or CSV`);
+    }
+}
@@ -0,0 +1,291 @@
+/**
+ * Directory sync between a local folder and an S3 prefix.
+ *
+ * A sync first builds a plan by comparing the two sides and then carries it
+ * out. Files are compared by size and, when the sizes match, by content:
+ * the object's ETag is the MD5 of its content for single-part uploads and the
+ * MD5 of the part MD5s followed by `-<parts>` for multipart uploads. The
+ * multipart form can only be reproduced locally when the part size is known,
+ * so it is computed with the part size `uploadObject` uses; objects uploaded
+ * with a different part size (or encrypted with SSE-KMS, whose ETag is not an
+ * MD5) are treated as changed and transferred again.
+ */
+import { S3Client } from "@aws-sdk/client-s3";
+import { mapConcurrent } from "aws-samples-common";
+import { createHash } from "crypto";
+import { createReadStream } from "fs";
+import { mkdir, readdir, rm, stat } from "fs/promises";
+import { dirname, isAbsolute, join, relative, resolve, sep } from "path";
+import { contentTypeFor } from "./content-types.js";
+import { createPathFilter } from "./glob.js";
+import { deleteObjects, listObjects } from "./s3-operations.js";
+import { downloadObject, partSizeFor, uploadObject } from "./transfer.js";
+
+/**
+ * Sync a local directory to an S3 prefix.
+ *
+ * New and changed files are uploaded with a Content-Type inferred from their
+ * extension. With `deleteOrphans`, objects under the prefix that no longer
+ * exist locally are deleted. Include and exclude globs apply to the path
+ * relative to the directory (which is also the key relative to the prefix).
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} localDir The local directory to upload
+ * @param {string} bucketName The bucket to sync to
+ * @param {string} [prefix] The key prefix to sync to; a trailing '/' is added if missing
+ * @param {SyncOptions} [options]
+ * @returns {Promise<object>} The sync summary (see runPlan)
+ */
+export async function syncToS3(s3client, localDir, bucketName, prefix = "", options = {}) {
+    const keyPrefix = normalizePrefix(prefix);
+    const filter = createPathFilter(options);
+    const [localFiles, remoteObjects] = await Promise.all([
+        listLocalFiles(localDir, filter),
+        listRemoteObjects(s3client, bucketName, keyPrefix, filter),
+    ]);
+
+    const plan = [];
+    for (const [path, file] of localFiles) {
+        const object = remoteObjects.get(path);
+        const reason = object ? await compare(file, object, options) : "new";
+        plan.push({
+            action: reason ? "upload" : "skip",
+            path,
+            key: keyPrefix + path,
+            file: file.file,
+            size: file.size,
+            reason,
+        });
+    }
+    if (options.deleteOrphans) {
+        for (const [path, object] of remoteObjects) {
+            if (!localFiles.has(path)) {
+                plan.push({ action: "delete", path, key: object.Key, size: object.Size, reason: "orphan" });
+            }
+        }
+    }
+
+    return runPlan(plan, options, {
+        upload: (entry) => uploadObject(s3client, bucketName, entry.key, entry.file, {
+            ...options.transfer,
+            contentType: contentTypeFor(entry.file),
+        }),
+        delete: async (entries) => {
+            const { errors } = await deleteObjects(s3client, bucketName, entries.map((entry) => entry.key));
+            return errors.map((error) => ({ key: error.Key, message: `${error.Code}: ${error.Message}` }));
+        },
+    });
+}
+
+/**
+ * Sync an S3 prefix to a local directory.
+ *
+ * New and changed objects are downloaded, creating sub-directories as needed.
+ * With `deleteOrphans`, local files that no longer exist under the prefix are
+ * deleted. Keys that would land outside the directory, such as
+ * `prefix/../../.bashrc`, are skipped and reported in `errors`.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The bucket to sync from
+ * @param {string} prefix The key prefix to sync from; a trailing '/' is added if missing
+ * @param {string} localDir The local directory to write to
+ * @param {SyncOptions} [options]
+ * @returns {Promise<object>} The sync summary (see runPlan)
+ */
+export async function syncFromS3(s3client, bucketName, prefix, localDir, options = {}) {
+    const keyPrefix = normalizePrefix(prefix);
+    const filter = createPathFilter(options);
+    const [localFiles, remoteObjects] = await Promise.all([
+        listLocalFiles(localDir, filter),
+        listRemoteObjects(s3client, bucketName, keyPrefix, filter),
+    ]);
+
+    const root = resolve(localDir);
+    const plan = [];
+    const outside = [];
+    for (const [path, object] of remoteObjects) {
+        const target = join(localDir, ...path.split("/"));
+        if (!isInside(root, target)) {
+            plan.push({ action: "skip", path, key: object.Key, size: object.Size, reason: "outside the directory" });
+            outside.push({ path, action: "download", message: `Key ${object.Key} resolves outside ${root}` });
+            continue;
+        }
+        const file = localFiles.get(path);
+        const reason = file ? await compare(file, object, options) : "new";
+        plan.push({
+            action: reason ? "download" : "skip",
+            path,
+            key: object.Key,
+            file: target,
+            size: object.Size,
+            reason,
+        });
+    }
+    if (options.deleteOrphans) {
+        for (const [path, file] of localFiles) {
+            if (!remoteObjects.has(path)) {
+                plan.push({ action: "delete", path, file: file.file, size: file.size, reason: "orphan" });
+            }
+        }
+    }
+
+    const summary = await runPlan(plan, options, {
+        download: async (entry) => {
+            await mkdir(dirname(entry.file), { recursive: true });
+            return downloadObject(s3client, bucketName, entry.key, entry.file, options.transfer);
+        },
+        delete: async (entries) => {
+            const errors = [];
+            for (const entry of entries) {
+                await rm(entry.file).catch((error) => errors.push({ path: entry.path, message: error.message }));
+            }
+            return errors;
+        },
+    });
+    summary.errors.unshift(...outside);
+    return summary;
+}
+
+/**
+ * @typedef {object} SyncOptions
+ * @property {boolean} [dryRun] Only build and return the plan, do not change anything
+ * @property {boolean} [deleteOrphans] Delete files or objects that only exist on the destination
+ * @property {string[]} [include] Only sync paths matching one of these globs
+ * @property {string[]} [exclude] Skip paths matching any of these globs
+ * @property {number} [concurrency] Files transferred at once (default 4)
+ * @property {object} [transfer] Options passed to uploadObject / downloadObject
+ */
+
+/**
+ * Carry out a sync plan.
+ *
+ * Transfers run concurrently; a failed transfer is recorded and the rest of
+ * the plan still runs. Deletes run last, after all transfers.
+ *
+ * @param {object[]} plan The planned actions
+ * @param {SyncOptions} options The sync options
+ * @param {object} handlers Functions for the 'upload', 'download' and 'delete' actions
+ * @returns {Promise<{dryRun: boolean, plan: object[], counts: object, errors: object[]}>}
+ */
+async function runPlan(plan, options, handlers) {
+    const counts = { upload: 0, download: 0, delete: 0, skip: 0 };
+    for (const entry of plan) {
+        counts[entry.action]++;
+    }
+    const summary = { dryRun: Boolean(options.dryRun), plan, counts, errors: [] };
+    if (options.dryRun) {
+        return summary;
+    }
+
+    const transfers = plan.filter((entry) => entry.action === "upload" || entry.action === "download");
+    await mapConcurrent(transfers, options.concurrency ?? 4, async (entry) => {
+        try {
+            await handlers[entry.action](entry);
+        } catch (error) {
+            summary.errors.push({ path: entry.path, action: entry.action, message: error.message });
+        }
+    });
+
+    const deletions = plan.filter((entry) => entry.action === "delete");
+    if (deletions.length > 0) {
+        const failures = await handlers.delete(deletions);
+        summary.errors.push(...failures.map((failure) => ({ ...failure, action: "delete" })));
+    }
+    return summary;
+}
+
+/**
+ * Decide whether a local file and an object differ.
+ *
+ * @returns {Promise<string|undefined>} The reason they differ, or undefined if they are the same
+ */
+async function compare(file, object, options) {
+    if (file.size !== object.Size) {
+        return "size";
+    }
+    const etag = (object.ETag ?? "").replace(/"/g, "");
+    const partSize = partSizeFor(file.size, options.transfer?.partSize);
+    const local = etag.includes("-")
+        ? await multipartEtag(file.file, partSize)
+        : await md5Hex(createReadStream(file.file));
+    return local === etag ? undefined : "content";
+}
+
+async function md5Hex(stream) {
+    const hash = createHash("md5");
+    for await (const chunk of stream) {
+        hash.update(chunk);
+    }
+    return hash.digest("hex");
+}
+
+async function multipartEtag(fileName, partSize) {
+    const { size } = await stat(fileName);
+    const digests = [];
+    for (let start = 0; start < size; start += partSize) {
+        const part = createReadStream(fileName, { start, end: Math.min(start + partSize, size) - 1 });
+        digests.push(Buffer.from(await md5Hex(part), "hex"));
+    }
+    return `${createHash("md5").update(Buffer.concat(digests)).digest("hex")}-${digests.length}`;
+}
+
+/**
+ * Recursively list the files below a directory.
+ *
+ * @returns {Promise<Map<string, {file: string, size: number}>>} Files by '/'-separated relative path
+ */
+async function listLocalFiles(localDir, filter) {
+    const files = new Map();
+    let entries;
+    try {
+        entries = await readdir(localDir, { recursive: true, withFileTypes: true });
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return files;
+        }
+        throw error;
+    }
+    for (const entry of entries) {
+        if (!entry.isFile()) {
+            continue;
+        }
+        const file = join(entry.parentPath ?? entry.path, entry.name);
+        const path = relative(localDir, file).split(sep).join("/");
+        if (filter(path)) {
+            files.set(path, { file, size: (await stat(file)).size });
+        }
+    }
+    return files;
+}
+
+/**
+ * List the objects below a prefix, skipping "folder" placeholder keys.
+ *
+ * @returns {Promise<Map<string, object>>} Objects by key relative to the prefix
+ */
+async function listRemoteObjects(s3client, bucketName, keyPrefix, filter) {
+    const objects = new Map();
+    for await (const object of listObjects(s3client, bucketName, { prefix: keyPrefix || undefined })) {
+        const path = object.Key.slice(keyPrefix.length);
+        if (path && !path.endsWith("/") && filter(path)) {
+            objects.set(path, object);
+        }
+    }
+    return objects;
+}
+
+/**
+ * Check that a path resolves to somewhere below a directory.
+ *
+ * @param {string} root The resolved directory
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isInside(root, file) {
+    const path = relative(root, resolve(file));
+    return path !== "" && path !== ".." && !path.startsWith(`..${sep}`) && !isAbsolute(path);
+}
+
+function normalizePrefix(prefix) {
+    return prefix && !prefix.endsWith("/") ? `${prefix}/` : prefix;
+}
@@ -0,0 +1,490 @@
+/**
+ * Streaming transfers for large objects.
+ *
+ * `uploadObject` sends small sources with a single PutObject and switches to
+ * a multipart upload above a configurable threshold, uploading parts
+ * concurrently. `downloadObject` streams an object to disk, fetching the parts
+ * of multipart objects concurrently. Both verify CRC32 or SHA-256 checksums
+ * and report progress through a callback.
+ */
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    ListMultipartUploadsCommand,
+    ListPartsCommand,
+} from "@aws-sdk/client-s3";
+import { mapConcurrent } from "aws-samples-common";
+import { createWriteStream } from "fs";
+import { open, readFile, rename, rm, stat } from "fs/promises";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { checksumField, checksumOf, compositeChecksum, createChecksum } from "./checksums.js";
+
+const MiB = 1024 * 1024;
+
+/**
+ * S3 rejects multipart parts smaller than this, except for the last part.
+ */
+const MIN_PART_SIZE = 5 * MiB;
+
+/**
+ * S3 allows at most this many parts per multipart upload.
+ */
+const MAX_PARTS = 10000;
+
+/**
+ * Defaults for the transfer options.
+ */
+export const TRANSFER_DEFAULTS = {
+    partSize: 8 * MiB,
+    multipartThreshold: 16 * MiB,
+    concurrency: 4,
+    checksumAlgorithm: "CRC32",
+};
+
+/**
+ * Raised when the checksum S3 reports does not match the data sent or received.
+ */
+export class ChecksumMismatchError extends Error {
+    /**
+     * @param {string} what Which object or part was checked
+     * @param {string} expected The checksum computed locally
+     * @param {string} actual The checksum reported by S3
+     */
+    constructor(what, expected, actual) {
+        super(`Checksum mismatch for ${what}: expected ${expected}, got ${actual}`);
+        this.name = "ChecksumMismatchError";
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * Upload a local file or a readable stream to S3.
+ *
+ * Sources smaller than `multipartThreshold` are sent with a single
+ * PutObject. Larger sources use a multipart upload with up to `concurrency`
+ * parts in flight; only those parts are held in memory. Every request carries
+ * a checksum that S3 verifies on receipt, and the checksum S3 reports for the
+ * completed object is compared with the one computed locally.
+ *
+ * If a multipart upload fails it is aborted so no orphaned parts are left
+ * behind, unless `resume` is set. With `resume` an unfinished upload of the
+ * same key is picked up again: parts already uploaded with the same size and
+ * checksum are kept and only the missing parts are sent. Resuming needs a file
+ * source and the same part size as the interrupted run.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket to upload to
+ * @param {string} objectKey The key of the object
+ * @param {string|import("stream").Readable} source A file name or a readable stream
+ * @param {object} [options]
+ * @param {string} [options.contentType] The content type of the object
+ * @param {object} [options.metadata] User metadata to associate with the object
+ * @param {number} [options.partSize] Bytes per part (at least 5 MiB)
+ * @param {number} [options.multipartThreshold] Sources of at least this size use multipart upload
+ * @param {number} [options.concurrency] Maximum parts uploaded at once
+ * @param {string} [options.checksumAlgorithm] 'CRC32' or 'SHA256'
+ * @param {boolean} [options.resume] Continue an unfinished upload and keep it if this run fails
+ * @param {Function} [options.onProgress] Called with {loaded, total} as data is sent; total is undefined for streams
+ * @returns {Promise<object>} Bucket, Key, ETag, VersionId, Checksum, ChecksumAlgorithm, multipart, parts and resumedParts
+ * @throws {ChecksumMismatchError} If S3 reports a different checksum than the one computed locally
+ */
+export async function uploadObject(s3client, bucketName, objectKey, source, options = {}) {
+    const settings = { ...TRANSFER_DEFAULTS, ...options };
+    const target = {
+        Bucket: bucketName,
+        Key: objectKey,
+        ContentType: settings.contentType,
+        Metadata: settings.metadata,
+    };
+
+    if (typeof source === "string") {
+        const { size } = await stat(source);
+        if (size < settings.multipartThreshold) {
+            return putSingle(s3client, target, await readFile(source), settings);
+        }
+        const partSize = partSizeFor(size, settings.partSize);
+        return uploadMultipart(s3client, target, fileParts(source, size, partSize), { ...settings, total: size });
+    }
+
+    if (settings.resume) {
+        throw new Error("Resuming an upload needs a file source; streams cannot be re-read");
+    }
+    const partSize = Math.max(settings.partSize, MIN_PART_SIZE);
+    const chunks = chunkStream(source, partSize);
+    // Buffer up to the threshold to decide between a single put and multipart
+    const head = [];
+    let buffered = 0;
+    let ended = false;
+    while (buffered < settings.multipartThreshold) {
+        const { value, done } = await chunks.next();
+        if (done) {
+            ended = true;
+            break;
+        }
+        head.push(value);
+        buffered += value.length;
+    }
+    if (ended) {
+        return putSingle(s3client, target, Buffer.concat(head), settings);
+    }
+    return uploadMultipart(s3client, target, streamParts(head, chunks), settings);
+}
+
+/**
+ * Download an object to a local file.
+ *
+ * Objects that were uploaded in several parts are fetched part by part, up
+ * to `concurrency` parts at once, and written into place; other objects are
+ * streamed with a single GetObject. The data is written to `<fileName>.part`
+ * and renamed once it is complete, so a failed download never leaves a
+ * truncated file behind.
+ *
+ * When S3 has a CRC32 or SHA-256 checksum for the object, the checksum of the
+ * downloaded data is compared with it.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The name of the bucket where the object resides
+ * @param {string} objectKey The key of the object to download
+ * @param {string} fileName The local file to write
+ * @param {object} [options]
+ * @param {number} [options.multipartThreshold] Multipart objects of at least this size are fetched part by part
+ * @param {number} [options.concurrency] Maximum parts downloaded at once
+ * @param {Function} [options.onProgress] Called with {loaded, total} as data arrives
+ * @returns {Promise<object>} Bucket, Key, File, ContentLength, ETag, Checksum, ChecksumAlgorithm and checksumVerified
+ * @throws {ChecksumMismatchError} If the downloaded data does not match the checksum S3 reports
+ */
+export async function downloadObject(s3client, bucketName, objectKey, fileName, options = {}) {
+    const settings = { ...TRANSFER_DEFAULTS, ...options };
+    const head = await s3client.send(new HeadObjectCommand({
+        Bucket: bucketName,
+        Key: objectKey,
+        ChecksumMode: "ENABLED",
+    }));
+    const total = head.ContentLength;
+    const partsCount = Number(/-(\d+)"?$/.exec(head.ETag ?? "")?.[1] ?? 1);
+    const algorithm = ["CRC32", "SHA256"].find((name) => head[checksumField(name)]);
+    const expected = algorithm ? head[checksumField(algorithm)] : undefined;
+    const progress = progressReporter(settings.onProgress, total);
+    const request = { Bucket: bucketName, Key: objectKey, IfMatch: head.ETag, ChecksumMode: "ENABLED" };
+    const temporaryFile = `${fileName}.part`;
+
+    let actual;
+    try {
+        if (partsCount > 1 && total >= settings.multipartThreshold) {
+            actual = await downloadParts(s3client, request, partsCount, temporaryFile, algorithm,
+                settings.concurrency, progress);
+        } else {
+            actual = await downloadSingle(s3client, request, temporaryFile, algorithm, progress);
+        }
+        // Objects uploaded with a full-object multipart checksum cannot be
+        // compared part by part; only compare like with like.
+        const comparable = expected !== undefined && expected.includes("-") === (actual ?? "").includes("-");
+        if (comparable && actual !== expected) {
+            throw new ChecksumMismatchError(`s3://${bucketName}/${objectKey}`, expected, actual);
+        }
+        await rename(temporaryFile, fileName);
+        return {
+            Bucket: bucketName,
+            Key: objectKey,
+            File: fileName,
+            ContentLength: total,
+            ETag: head.ETag,
+            Checksum: expected,
+            ChecksumAlgorithm: algorithm,
+            checksumVerified: comparable,
+        };
+    } catch (err) {
+        await rm(temporaryFile, { force: true });
+        throw err;
+    }
+}
+
+/**
+ * The part size uploadObject uses for a file of the given size: the requested
+ * size, raised to S3's 5 MiB minimum and to what fits in 10000 parts.
+ *
+ * @param {number} size The size of the file in bytes
+ * @param {number} [partSize] The requested part size
+ * @returns {number}
+ */
+export function partSizeFor(size, partSize = TRANSFER_DEFAULTS.partSize) {
+    return Math.max(partSize, MIN_PART_SIZE, Math.ceil(size / MAX_PARTS));
+}
+
+/**
+ * Find the most recent unfinished multipart upload for a key.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The bucket of the upload
+ * @param {string} objectKey The key of the upload
+ * @param {string} [checksumAlgorithm] Only consider uploads created with this checksum algorithm
+ * @returns {Promise<object|undefined>} The upload (UploadId, Initiated, ...) or undefined
+ */
+export async function findMultipartUpload(s3client, bucketName, objectKey, checksumAlgorithm) {
+    let latest;
+    let KeyMarker;
+    let UploadIdMarker;
+    do {
+        const response = await s3client.send(new ListMultipartUploadsCommand({
+            Bucket: bucketName,
+            Prefix: objectKey,
+            KeyMarker,
+            UploadIdMarker,
+        }));
+        for (const upload of response.Uploads ?? []) {
+            const matches = upload.Key === objectKey &&
+                (!checksumAlgorithm || upload.ChecksumAlgorithm === checksumAlgorithm);
+            if (matches && (!latest || upload.Initiated > latest.Initiated)) {
+                latest = upload;
+            }
+        }
+        KeyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+        UploadIdMarker = response.IsTruncated ? response.NextUploadIdMarker : undefined;
+    } while (KeyMarker);
+    return latest;
+}
+
+/**
+ * List the parts already uploaded for a multipart upload.
+ *
+ * @param {S3Client} s3client The initialized S3 client reference
+ * @param {string} bucketName The bucket of the upload
+ * @param {string} objectKey The key of the upload
+ * @param {string} uploadId The upload to list
+ * @returns {Promise<Map<number, object>>} The parts (PartNumber, ETag, Size, checksums) by part number
+ */
+export async function listUploadedParts(s3client, bucketName, objectKey, uploadId) {
+    const parts = new Map();
+    let PartNumberMarker;
+    do {
+        const response = await s3client.send(new ListPartsCommand({
+            Bucket: bucketName,
+            Key: objectKey,
+            UploadId: uploadId,
+            PartNumberMarker,
+        }));
+        for (const part of response.Parts ?? []) {
+            parts.set(part.PartNumber, part);
+        }
+        PartNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+    } while (PartNumberMarker);
+    return parts;
+}
+
+async function putSingle(s3client, target, body, settings) {
+    const algorithm = settings.checksumAlgorithm;
+    const field = checksumField(algorithm);
+    const checksum = checksumOf(algorithm, body);
+    const response = await s3client.send(new PutObjectCommand({
+        ...target,
+        Body: body,
+        ContentLength: body.length,
+        ChecksumAlgorithm: algorithm,
+        [field]: checksum,
+    }));
+    if (response[field] && response[field] !== checksum) {
+        throw new ChecksumMismatchError(`s3://${target.Bucket}/${target.Key}`, checksum, response[field]);
+    }
+    settings.onProgress?.({ loaded: body.length, total: body.length });
+    return {
+        Bucket: target.Bucket,
+        Key: target.Key,
+        ETag: response.ETag,
+        VersionId: response.VersionId,
+        Checksum: checksum,
+        ChecksumAlgorithm: algorithm,
+        multipart: false,
+        parts: 1,
+        resumedParts: 0,
+    };
+}
+
+async function uploadMultipart(s3client, target, parts, settings) {
+    const algorithm = settings.checksumAlgorithm;
+    const field = checksumField(algorithm);
+    const { Bucket, Key } = target;
+    const progress = progressReporter(settings.onProgress, settings.total);
+
+    let uploadId;
+    let uploadedParts = new Map();
+    if (settings.resume) {
+        const existing = await findMultipartUpload(s3client, Bucket, Key, algorithm);
+        if (existing) {
+            uploadId = existing.UploadId;
+            uploadedParts = await listUploadedParts(s3client, Bucket, Key, uploadId);
+        }
+    }
+    if (!uploadId) {
+        const created = await s3client.send(new CreateMultipartUploadCommand({
+            ...target,
+            ChecksumAlgorithm: algorithm,
+        }));
+        uploadId = created.UploadId;
+    }
+
+    let resumedParts = 0;
+    try {
+        const completed = await mapConcurrent(parts, settings.concurrency, async ({ PartNumber, read }) => {
+            const body = await read();
+            const checksum = checksumOf(algorithm, body);
+            const previous = uploadedParts.get(PartNumber);
+            let ETag;
+            if (previous && previous.Size === body.length && previous[field] === checksum) {
+                ETag = previous.ETag;
+                resumedParts++;
+            } else {
+                const response = await s3client.send(new UploadPartCommand({
+                    Bucket,
+                    Key,
+                    UploadId: uploadId,
+                    PartNumber,
+                    Body: body,
+                    ContentLength: body.length,
+                    ChecksumAlgorithm: algorithm,
+                    [field]: checksum,
+                }));
+                if (response[field] && response[field] !== checksum) {
+                    throw new ChecksumMismatchError(`part ${PartNumber} of s3://${Bucket}/${Key}`, checksum, response[field]);
+                }
+                ETag = response.ETag;
+            }
+            progress(body.length);
+            return { PartNumber, ETag, [field]: checksum };
+        });
+
+        const response = await s3client.send(new CompleteMultipartUploadCommand({
+            Bucket,
+            Key,
+            UploadId: uploadId,
+            MultipartUpload: { Parts: completed },
+        }));
+        const expected = compositeChecksum(algorithm, completed.map((part) => part[field]));
+        if (response[field] && response[field] !== expected) {
+            throw new ChecksumMismatchError(`s3://${Bucket}/${Key}`, expected, response[field]);
+        }
+        return {
+            Bucket,
+            Key,
+            ETag: response.ETag,
+            VersionId: response.VersionId,
+            Checksum: expected,
+            ChecksumAlgorithm: algorithm,
+            multipart: true,
+            parts: completed.length,
+            resumedParts,
+        };
+    } catch (err) {
+        if (!settings.resume) {
+            await s3client.send(new AbortMultipartUploadCommand({ Bucket, Key, UploadId: uploadId }))
+                .catch(() => undefined);
+        }
+        throw err;
+    }
+}
+
+async function downloadSingle(s3client, request, fileName, algorithm, progress) {
+    const { Body } = await s3client.send(new GetObjectCommand(request));
+    const checksum = algorithm ? createChecksum(algorithm) : undefined;
+    const observer = new Transform({
+        transform(chunk, encoding, callback) {
+            checksum?.update(chunk);
+            progress(chunk.length);
+            callback(null, chunk);
+        },
+    });
+    await pipeline(Body, observer, createWriteStream(fileName));
+    return checksum?.digest().toString("base64");
+}
+
+async function downloadParts(s3client, request, partsCount, fileName, algorithm, concurrency, progress) {
+    const file = await open(fileName, "w");
+    try {
+        const partNumbers = Array.from({ length: partsCount }, (_, i) => i + 1);
+        const checksums = await mapConcurrent(partNumbers, concurrency, async (PartNumber) => {
+            const response = await s3client.send(new GetObjectCommand({ ...request, PartNumber }));
+            const body = Buffer.from(await response.Body.transformToByteArray());
+            const start = Number(/^bytes (\d+)-/.exec(response.ContentRange ?? "")?.[1]);
+            if (!Number.isFinite(start)) {
+                throw new Error(`Missing Content-Range for part ${PartNumber} of s3://${request.Bucket}/${request.Key}`);
+            }
+            await file.write(body, 0, body.length, start);
+            progress(body.length);
+            return algorithm ? checksumOf(algorithm, body) : undefined;
+        });
+        return algorithm ? compositeChecksum(algorithm, checksums) : undefined;
+    } finally {
+        await file.close();
+    }
+}
+
+function progressReporter(onProgress, total) {
+    let loaded = 0;
+    return (bytes) => {
+        loaded += bytes;
+        onProgress?.({ loaded, total });
+    };
+}
+
+function* fileParts(fileName, size, partSize) {
+    const count = Math.ceil(size / partSize);
+    for (let i = 0; i < count; i++) {
+        const start = i * partSize;
+        const length = Math.min(partSize, size - start);
+        yield {
+            PartNumber: i + 1,
+            read: async () => {
+                const file = await open(fileName, "r");
+                try {
+                    const buffer = Buffer.alloc(length);
+                    const { bytesRead } = await file.read(buffer, 0, length, start);
+                    if (bytesRead !== length) {
+                        throw new Error(`${fileName} changed while it was being uploaded`);
+                    }
+                    return buffer;
+                } finally {
+                    await file.close();
+                }
+            },
+        };
+    }
+}
+
+async function* streamParts(head, chunks) {
+    let PartNumber = 1;
+    for (const chunk of head) {
+        yield { PartNumber: PartNumber++, read: async () => chunk };
+    }
+    for await (const chunk of chunks) {
+        if (PartNumber > MAX_PARTS) {
+            throw new Error(`Stream needs more than ${MAX_PARTS} parts; use a larger part size`);
+        }
+        yield { PartNumber: PartNumber++, read: async () => chunk };
+    }
+}
+
+async function* chunkStream(readable, size) {
+    let pending = [];
+    let length = 0;
+    for await (const data of readable) {
+        const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        pending.push(chunk);
+        length += chunk.length;
+        while (length >= size) {
+            const buffer = Buffer.concat(pending, length);
+            yield buffer.subarray(0, size);
+            pending = [buffer.subarray(size)];
+            length -= size;
+        }
+    }
+    if (length > 0) {
+        yield Buffer.concat(pending, length);
+    }
+}
@@ -0,0 +1,266 @@
+import { test, describe, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+    CreateBucketCommand,
+    DeleteBucketCorsCommand,
+    GetBucketCorsCommand,
+    GetBucketEncryptionCommand,
+    GetBucketLifecycleConfigurationCommand,
+    GetBucketPolicyCommand,
+    GetBucketTaggingCommand,
+    GetBucketVersioningCommand,
+    GetPublicAccessBlockCommand,
+    HeadBucketCommand,
+    PutBucketEncryptionCommand,
+    PutBucketLifecycleConfigurationCommand,
+    PutBucketPolicyCommand,
+    PutBucketTaggingCommand,
+    PutPublicAccessBlockCommand,
+    S3Client,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import {
+    BASELINE_BUCKET_CONFIGURATION,
+    BucketConfigurationError,
+    configureBucket,
+    createBucket,
+    describeBucketConfiguration,
+    loadBucketConfiguration,
+    normalizeBucketConfiguration,
+} from "../index.js";
+
+// Command-level stubs: client.send never reaches the network
+const s3 = mockClient(S3Client);
+const workDir = mkdtempSync(join(tmpdir(), "bucket-configuration-test-"));
+
+function createClient(region = "us-east-1") {
+    return new S3Client({ region, credentials: { accessKeyId: "a", secretAccessKey: "b" } });
+}
+
+function serviceError(name) {
+    return Object.assign(new Error(name), { name });
+}
+
+function inputOf(command, index = 0) {
+    return s3.commandCalls(command)[index].args[0].input;
+}
+
+// A bucket as S3 creates it today: SSE-S3, public access blocked, nothing else set
+function stubNewBucket() {
+    s3.on(GetBucketVersioningCommand).resolves({});
+    s3.on(GetBucketEncryptionCommand).resolves({
+        ServerSideEncryptionConfiguration: {
+            Rules: [{ ApplyServerSideEncryptionByDefault: { SSEAlgorithm: "AES256" }, BucketKeyEnabled: false }],
+        },
+    });
+    s3.on(GetPublicAccessBlockCommand).resolves({
+        PublicAccessBlockConfiguration: {
+            BlockPublicAcls: true,
+            IgnorePublicAcls: true,
+            BlockPublicPolicy: true,
+            RestrictPublicBuckets: true,
+        },
+    });
+    s3.on(GetBucketLifecycleConfigurationCommand).rejects(serviceError("NoSuchLifecycleConfiguration"));
+    s3.on(GetBucketCorsCommand).rejects(serviceError("NoSuchCORSConfiguration"));
+    s3.on(GetBucketTaggingCommand).rejects(serviceError("NoSuchTagSet"));
+    s3.on(GetBucketPolicyCommand).rejects(serviceError("NoSuchBucketPolicy"));
+}
+
+beforeEach(() => {
+    s3.reset();
+});
+
+after(() => {
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+describe("normalizeBucketConfiguration", () => {
+    test("fills in defaults", () => {
+        const normalized = normalizeBucketConfiguration({
+            versioning: true,
+            encryption: { algorithm: "aws:kms", kmsKeyId: "alias/notes" },
+            blockPublicAccess: { blockPublicPolicy: true },
+            lifecycle: [{ id: "tmp", prefix: "tmp/", expirationDays: 1 }],
+            cors: [{ allowedOrigins: ["*"], allowedMethods: ["get"] }],
+            tags: { app: "notes", version: 2 },
+            policy: '{"Version":"2012-10-17","Statement":[]}',
+        });
+
+        assert.deepEqual(normalized, {
+            versioning: "Enabled",
+            encryption: { algorithm: "aws:kms", kmsKeyId: "alias/notes", bucketKey: false },
+            blockPublicAccess: {
+                blockPublicAcls: false,
+                ignorePublicAcls: false,
+                blockPublicPolicy: true,
+                restrictPublicBuckets: false,
+            },
+            lifecycle: [{ id: "tmp", prefix: "tmp/", enabled: true, expirationDays: 1, transitions: [] }],
+            cors: [{ allowedOrigins: ["*"], allowedMethods: ["GET"], allowedHeaders: [], exposeHeaders: [] }],
+            tags: { app: "notes", version: "2" },
+            policy: { Version: "2012-10-17", Statement: [] },
+        });
+    });
+
+    test("lists every problem", () => {
+        assert.throws(() => normalizeBucketConfiguration({
+            versioning: "Off",
+            encryption: { algorithm: "AES256", kmsKeyId: "alias/notes" },
+            lifecycle: [{ id: "a", expirationDays: 1 }, { id: "a", transitions: [{ days: 30, storageClass: "COLD" }] }, {}],
+            cors: [{ allowedMethods: ["PATCH"] }],
+            website: {},
+        }), (error) => {
+            assert.ok(error instanceof BucketConfigurationError);
+            assert.deepEqual(error.problems, [
+                "unknown setting 'website', expected one of versioning, encryption, blockPublicAccess, lifecycle, cors, tags, policy",
+                'versioning must be Enabled or Suspended, got "Off"',
+                "encryption.kmsKeyId and encryption.bucketKey need an aws:kms algorithm",
+                "lifecycle[1].transitions[0] needs days and a storageClass of STANDARD_IA, ONEZONE_IA, INTELLIGENT_TIERING, GLACIER_IR, GLACIER, DEEP_ARCHIVE",
+                "lifecycle[2].id must be a name of 1-255 characters",
+                "lifecycle[2] needs an expiration, transition, noncurrent expiration or multipart upload abort",
+                "lifecycle rule id 'a' is used more than once",
+                "cors[0].allowedOrigins must list at least one origin, such as https://example.com or *",
+                "cors[0].allowedMethods must list methods of GET, PUT, POST, DELETE, HEAD",
+            ]);
+            return true;
+        });
+    });
+
+    test("reports transitions that are not a list", () => {
+        assert.throws(() => normalizeBucketConfiguration({
+            lifecycle: [{ id: "a", transitions: { days: 7, storageClass: "GLACIER" } }],
+        }), (error) => {
+            assert.ok(error instanceof BucketConfigurationError);
+            assert.deepEqual(error.problems, ["lifecycle[0].transitions must be a list"]);
+            return true;
+        });
+    });
+
+    test("loads YAML files", async () => {
+        const fileName = join(workDir, "bucket.yaml");
+        writeFileSync(fileName, "versioning: Suspended\ntags: { app: notes }\n");
+
+        assert.deepEqual(await loadBucketConfiguration(fileName), { versioning: "Suspended", tags: { app: "notes" } });
+    });
+});
+
+describe("createBucket", () => {
+    test("sends the client's region as the location constraint", async () => {
+        s3.on(CreateBucketCommand).resolves({ Location: "http://notes.s3.amazonaws.com/" });
+
+        await createBucket(createClient("eu-west-1"), "notes");
+        await createBucket(createClient("us-east-1"), "notes");
+
+        assert.deepEqual(inputOf(CreateBucketCommand, 0).CreateBucketConfiguration, { LocationConstraint: "eu-west-1" });
+        assert.equal(inputOf(CreateBucketCommand, 1).CreateBucketConfiguration, undefined);
+    });
+
+    test("applies the baseline to a new bucket", async () => {
+        s3.on(CreateBucketCommand).resolves({ Location: "/notes" });
+        stubNewBucket();
+
+        const result = await createBucket(createClient(), "notes", { configuration: BASELINE_BUCKET_CONFIGURATION });
+
+        assert.equal(result.created, true);
+        assert.deepEqual(result.changes.map((change) => change.action), ["set-lifecycle", "set-policy"]);
+        assert.deepEqual(inputOf(PutBucketLifecycleConfigurationCommand).LifecycleConfiguration.Rules, [{
+            ID: "abort-incomplete-multipart-uploads",
+            Status: "Enabled",
+            Filter: { Prefix: "" },
+            AbortIncompleteMultipartUpload: { DaysAfterInitiation: 7 },
+        }]);
+        const policy = JSON.parse(inputOf(PutBucketPolicyCommand).Policy);
+        assert.deepEqual(policy.Statement[0].Resource, ["arn:aws:s3:::notes", "arn:aws:s3:::notes/*"]);
+        assert.equal(s3.commandCalls(PutBucketEncryptionCommand).length, 0);
+        assert.equal(s3.commandCalls(PutPublicAccessBlockCommand).length, 0);
+    });
+
+    test("checks the configuration before creating anything", async () => {
+        await assert.rejects(createBucket(createClient(), "notes", { configuration: { versioning: "On" } }),
+            BucketConfigurationError);
+        assert.equal(s3.commandCalls(CreateBucketCommand).length, 0);
+    });
+});
+
+describe("configureBucket", () => {
+    test("changes only what differs", async () => {
+        stubNewBucket();
+        s3.on(GetBucketTaggingCommand).resolves({ TagSet: [{ Key: "app", Value: "notes" }] });
+        s3.on(GetBucketCorsCommand).resolves({ CORSRules: [{ AllowedOrigins: ["*"], AllowedMethods: ["GET"] }] });
+        const steps = [];
+
+        const result = await configureBucket(createClient(), "notes", {
+            encryption: { algorithm: "AES256" },
+            blockPublicAccess: false,
+            cors: null,
+            tags: { app: "notes", team: "samples" },
+        }, { onStep: (step) => steps.push(step.action) });
+
+        assert.deepEqual(result.changes, [
+            { action: "set-public-access-block", description: "allow public access" },
+            { action: "delete-cors", description: "remove the CORS rules" },
+            { action: "set-tags", description: "set tags app=notes, team=samples" },
+        ]);
+        assert.deepEqual(steps, ["set-public-access-block", "delete-cors", "set-tags"]);
+        assert.equal(s3.commandCalls(DeleteBucketCorsCommand).length, 1);
+        assert.deepEqual(inputOf(PutBucketTaggingCommand).Tagging.TagSet, [
+            { Key: "app", Value: "notes" },
+            { Key: "team", Value: "samples" },
+        ]);
+    });
+
+    test("only plans with dryRun", async () => {
+        stubNewBucket();
+
+        const result = await configureBucket(createClient(), "notes", { versioning: "Enabled" }, { dryRun: true });
+
+        assert.deepEqual(result.changes, [{ action: "enable-versioning", description: "enable versioning" }]);
+        assert.equal(s3.commandCalls(PutPublicAccessBlockCommand).length + s3.commandCalls(PutBucketPolicyCommand).length, 0);
+    });
+});
+
+describe("describeBucketConfiguration", () => {
+    test("reports drift between the configuration and the live bucket", async () => {
+        s3.on(HeadBucketCommand).resolves({});
+        stubNewBucket();
+        s3.on(GetBucketEncryptionCommand).resolves({
+            ServerSideEncryptionConfiguration: {
+                Rules: [{
+                    ApplyServerSideEncryptionByDefault: { SSEAlgorithm: "aws:kms", KMSMasterKeyID: "alias/old" },
+                    BucketKeyEnabled: true,
+                }],
+            },
+        });
+
+        const result = await describeBucketConfiguration(createClient(), "notes", {
+            versioning: "Suspended",
+            encryption: { algorithm: "aws:kms", kmsKeyId: "alias/notes", bucketKey: true },
+            blockPublicAccess: true,
+        });
+
+        assert.equal(result.exists, true);
+        assert.equal(result.inSync, false);
+        assert.deepEqual(result.drift, [{
+            setting: "encryption",
+            desired: { algorithm: "aws:kms", kmsKeyId: "alias/notes", bucketKey: true },
+            live: { algorithm: "aws:kms", kmsKeyId: "alias/old", bucketKey: true },
+        }]);
+    });
+
+    test("reports a missing bucket", async () => {
+        s3.on(HeadBucketCommand).rejects(serviceError("NotFound"));
+
+        const result = await describeBucketConfiguration(createClient(), "notes", { tags: { app: "notes" } });
+
+        assert.deepEqual(result, {
+            Bucket: "notes",
+            exists: false,
+            inSync: false,
+            drift: [{ setting: "tags", desired: { app: "notes" }, live: null }],
+        });
+    });
+});
@@ -0,0 +1,42 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "crypto";
+import { checksumField, checksumOf, compositeChecksum, createChecksum } from "../lib/checksums.js";
+
+describe("checksumOf", () => {
+    test("computes the standard CRC32 check value", () => {
+        // CRC32 of "123456789" is 0xCBF43926
+        assert.equal(checksumOf("CRC32", Buffer.from("123456789")), Buffer.from("cbf43926", "hex").toString("base64"));
+        assert.equal(checksumOf("CRC32", Buffer.alloc(0)), "AAAAAA==");
+    });
+
+    test("computes SHA-256 as base64", () => {
+        const data = Buffer.from("hello");
+        assert.equal(checksumOf("SHA256", data), createHash("sha256").update(data).digest("base64"));
+    });
+
+    test("gives the same result when fed in pieces", () => {
+        const data = Buffer.from("The quick brown fox jumps over the lazy dog");
+        const checksum = createChecksum("CRC32").update(data.subarray(0, 10)).update(data.subarray(10));
+        assert.equal(checksum.digest().toString("base64"), checksumOf("CRC32", data));
+    });
+
+    test("rejects unknown algorithms", () => {
+        assert.throws(() => createChecksum("MD5"), /Unsupported checksum algorithm 'MD5'. Expected one of: CRC32, SHA256/);
+    });
+});
+
+describe("compositeChecksum", () => {
+    test("checksums the concatenated raw part checksums and appends the part count", () => {
+        const parts = [Buffer.from("first part"), Buffer.from("second part")].map((part) => checksumOf("CRC32", part));
+        const raw = Buffer.concat(parts.map((part) => Buffer.from(part, "base64")));
+
+        assert.equal(compositeChecksum("CRC32", parts), `${checksumOf("CRC32", raw)}-2`);
+    });
+});
+
+describe("checksumField", () => {
+    test("names the request and response field of an algorithm", () => {
+        assert.equal(checksumField("SHA256"), "ChecksumSHA256");
+    });
+});
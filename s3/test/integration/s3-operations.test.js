@@ -0,0 +1,56 @@
+/**
+ * Runs the bucket and object functions against an S3-compatible server when
+ * S3_TEST_ENDPOINT is set, e.g. MinIO:
+ *
+ *     docker run -p 9000:9000 minio/minio server /data
+ *     S3_TEST_ENDPOINT=http://localhost:9000 AWS_ACCESS_KEY_ID=minioadmin \
+ *         AWS_SECRET_ACCESS_KEY=minioadmin npm run test:integration
+ *
+ * Each run creates its own bucket and deletes it at the end. S3 Select is
+ * not covered, since most stand-ins do not implement it.
+ */
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { readFileSync } from "fs";
+import {
+    clearBucketContents,
+    createBucket,
+    createPresignedUrl,
+    createS3Client,
+    deleteBucket,
+    listBucketContents,
+    uploadFile,
+} from "../../index.js";
+
+const endpoint = process.env.S3_TEST_ENDPOINT;
+const notesFile = fileURLToPath(new URL("../../notes.csv", import.meta.url));
+
+describe("S3 operations on an S3-compatible endpoint", { skip: !endpoint && "S3_TEST_ENDPOINT is not set" }, () => {
+    const bucket = `notes-test-${Date.now()}`;
+    let client;
+
+    before(async () => {
+        client = await createS3Client({ endpoint, region: process.env.AWS_REGION ?? "us-east-1" });
+        await createBucket(client, bucket);
+    });
+
+    after(async () => {
+        if (client) {
+            await deleteBucket(client, bucket, { force: true });
+        }
+    });
+
+    test("uploads, presigns and clears objects", async () => {
+        await uploadFile(client, bucket, notesFile, "text/csv", { source: "test" }, "a/notes.csv");
+        await uploadFile(client, bucket, notesFile, "text/csv", {}, "b/notes.csv");
+        assert.deepEqual((await listBucketContents(client, bucket)).map((o) => o.Key), ["a/notes.csv", "b/notes.csv"]);
+
+        const response = await fetch(await createPresignedUrl(client, bucket, "a/notes.csv", 60));
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), readFileSync(notesFile, "utf8"));
+
+        assert.deepEqual(await clearBucketContents(client, bucket, { prefix: "a/" }), { deleted: 1, errors: [] });
+        assert.deepEqual((await listBucketContents(client, bucket)).map((o) => o.Key), ["b/notes.csv"]);
+    });
+});
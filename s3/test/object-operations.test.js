@@ -0,0 +1,248 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    AbortMultipartUploadCommand,
+    CompleteMultipartUploadCommand,
+    CopyObjectCommand,
+    CreateMultipartUploadCommand,
+    DeleteObjectCommand,
+    GetObjectTaggingCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+    PutObjectTaggingCommand,
+    S3Client,
+    UploadPartCopyCommand,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import {
+    copyObject,
+    headObject,
+    moveObject,
+    moveObjects,
+    putObjectTags,
+    replaceMetadata,
+    tagObjects,
+} from "../index.js";
+
+// Command-level stubs: client.send never reaches the network
+const s3 = mockClient(S3Client);
+
+function createClient() {
+    return new S3Client({ region: "us-east-1", credentials: { accessKeyId: "a", secretAccessKey: "b" } });
+}
+
+function stubHead(head = {}) {
+    s3.on(HeadObjectCommand).resolves({
+        ContentLength: 100,
+        ContentType: "text/csv",
+        CacheControl: "max-age=60",
+        ETag: '"source"',
+        Metadata: { owner: "student" },
+        ...head,
+    });
+}
+
+function inputsOf(command) {
+    return s3.commandCalls(command).map((call) => call.args[0].input);
+}
+
+beforeEach(() => {
+    s3.reset();
+});
+
+describe("headObject", () => {
+    test("reports STANDARD when S3 leaves out the storage class", async () => {
+        stubHead({ VersionId: "v1", LastModified: new Date(0) });
+
+        const head = await headObject(createClient(), "notes-bucket", "notes.csv", { versionId: "v1" });
+
+        assert.equal(head.StorageClass, "STANDARD");
+        assert.equal(head.VersionId, "v1");
+        assert.deepEqual(head.Metadata, { owner: "student" });
+        assert.equal(inputsOf(HeadObjectCommand)[0].VersionId, "v1");
+    });
+});
+
+describe("copyObject", () => {
+    test("copies metadata and tags by default, pinned to the source ETag", async () => {
+        stubHead();
+        s3.on(CopyObjectCommand).resolves({ CopyObjectResult: { ETag: '"copy"' } });
+
+        const result = await copyObject(createClient(),
+            { bucket: "notes-bucket", key: "in/my notes.csv", versionId: "v1" },
+            { bucket: "archive", key: "notes.csv" });
+
+        const [input] = inputsOf(CopyObjectCommand);
+        assert.equal(input.CopySource, "notes-bucket/in/my%20notes.csv?versionId=v1");
+        assert.equal(input.CopySourceIfMatch, '"source"');
+        assert.equal(input.MetadataDirective, "COPY");
+        assert.equal(input.TaggingDirective, "COPY");
+        assert.equal(input.Metadata, undefined);
+        assert.equal(result.ETag, '"copy"');
+        assert.equal(result.multipart, false);
+    });
+
+    test("keeps the source's other headers when replacing the content type", async () => {
+        stubHead();
+        s3.on(CopyObjectCommand).resolves({ CopyObjectResult: { ETag: '"copy"' } });
+
+        await copyObject(createClient(), { bucket: "b", key: "a.txt" }, { bucket: "b", key: "b.csv" }, {
+            contentType: "text/plain",
+            tags: { team: "notes", stage: "raw data" },
+        });
+
+        const [input] = inputsOf(CopyObjectCommand);
+        assert.equal(input.MetadataDirective, "REPLACE");
+        assert.equal(input.ContentType, "text/plain");
+        assert.equal(input.CacheControl, "max-age=60");
+        assert.deepEqual(input.Metadata, { owner: "student" });
+        assert.equal(input.TaggingDirective, "REPLACE");
+        assert.equal(input.Tagging, "team=notes&stage=raw+data");
+    });
+
+    test("copies objects over the threshold in ranged parts with the source's metadata and tags", async () => {
+        stubHead({ ContentLength: 12 * 1024 * 1024 });
+        s3.on(GetObjectTaggingCommand).resolves({ TagSet: [{ Key: "team", Value: "notes" }] });
+        s3.on(CreateMultipartUploadCommand).resolves({ UploadId: "upload-1" });
+        s3.on(UploadPartCopyCommand).callsFake((input) => ({ CopyPartResult: { ETag: `"part-${input.PartNumber}"` } }));
+        s3.on(CompleteMultipartUploadCommand).resolves({ ETag: '"multipart-3"' });
+
+        const result = await copyObject(createClient(), { bucket: "b", key: "big.bin" }, { bucket: "c", key: "big.bin" }, {
+            multipartThreshold: 10 * 1024 * 1024,
+            partSize: 5 * 1024 * 1024,
+        });
+
+        const [create] = inputsOf(CreateMultipartUploadCommand);
+        assert.equal(create.ContentType, "text/csv");
+        assert.deepEqual(create.Metadata, { owner: "student" });
+        assert.equal(create.Tagging, "team=notes");
+        assert.deepEqual(inputsOf(UploadPartCopyCommand).map((input) => input.CopySourceRange), [
+            "bytes=0-5242879",
+            "bytes=5242880-10485759",
+            "bytes=10485760-12582911",
+        ]);
+        assert.deepEqual(inputsOf(CompleteMultipartUploadCommand)[0].MultipartUpload.Parts.map((part) => part.ETag),
+            ['"part-1"', '"part-2"', '"part-3"']);
+        assert.equal(result.multipart, true);
+        assert.equal(result.parts, 3);
+    });
+
+    test("aborts the multipart copy when a part fails", async () => {
+        stubHead({ ContentLength: 12 * 1024 * 1024 });
+        s3.on(GetObjectTaggingCommand).resolves({ TagSet: [] });
+        s3.on(CreateMultipartUploadCommand).resolves({ UploadId: "upload-1" });
+        s3.on(UploadPartCopyCommand).rejects(new Error("PreconditionFailed"));
+        s3.on(AbortMultipartUploadCommand).resolves({});
+
+        await assert.rejects(copyObject(createClient(), { bucket: "b", key: "big.bin" }, { bucket: "c", key: "big.bin" }, {
+            multipartThreshold: 10 * 1024 * 1024,
+        }), /PreconditionFailed/);
+        assert.equal(inputsOf(AbortMultipartUploadCommand)[0].UploadId, "upload-1");
+        assert.equal(inputsOf(CompleteMultipartUploadCommand).length, 0);
+    });
+
+    test("refuses to copy an object onto itself without changing it", async () => {
+        await assert.rejects(copyObject(createClient(), { bucket: "b", key: "a" }, { bucket: "b", key: "a" }),
+            /onto itself needs new metadata/);
+        assert.equal(s3.calls().length, 0);
+    });
+
+    test("refuses to copy an object onto itself that only changes its tags", async () => {
+        await assert.rejects(copyObject(createClient(), { bucket: "b", key: "a" }, { bucket: "b", key: "a" }, {
+            tags: { team: "data" },
+        }), /use putObjectTags/);
+        assert.equal(s3.calls().length, 0);
+    });
+});
+
+describe("replaceMetadata", () => {
+    test("copies the object onto itself in its current storage class", async () => {
+        stubHead({ StorageClass: "STANDARD_IA" });
+        s3.on(CopyObjectCommand).resolves({ CopyObjectResult: { ETag: '"copy"' } });
+
+        await replaceMetadata(createClient(), "b", "a.csv", { metadata: { owner: "teacher" } });
+
+        const [input] = inputsOf(CopyObjectCommand);
+        assert.equal(input.CopySource, "b/a.csv");
+        assert.equal(input.Key, "a.csv");
+        assert.equal(input.MetadataDirective, "REPLACE");
+        assert.deepEqual(input.Metadata, { owner: "teacher" });
+        assert.equal(input.ContentType, "text/csv");
+        assert.equal(input.StorageClass, "STANDARD_IA");
+    });
+});
+
+describe("moveObject", () => {
+    test("deletes the source only after the copy succeeds", async () => {
+        stubHead();
+        s3.on(CopyObjectCommand).rejectsOnce(new Error("AccessDenied")).resolves({ CopyObjectResult: {} });
+        s3.on(DeleteObjectCommand).resolves({});
+        const source = { bucket: "b", key: "a.csv" };
+        const target = { bucket: "c", key: "a.csv" };
+
+        await assert.rejects(moveObject(createClient(), source, target), /AccessDenied/);
+        assert.equal(inputsOf(DeleteObjectCommand).length, 0);
+
+        await moveObject(createClient(), source, target);
+        assert.deepEqual(inputsOf(DeleteObjectCommand), [{ Bucket: "b", Key: "a.csv" }]);
+    });
+});
+
+describe("moveObjects", () => {
+    test("reports each key and lists first when the target is inside the prefix", async () => {
+        s3.on(ListObjectsV2Command).resolves({
+            Contents: [{ Key: "reports/a.csv" }, { Key: "reports/b.csv" }, { Key: "reports/c.csv" }],
+        });
+        stubHead();
+        s3.on(CopyObjectCommand).callsFake((input) => {
+            if (input.Key.endsWith("b.csv")) {
+                throw new Error("AccessDenied");
+            }
+            return { CopyObjectResult: {} };
+        });
+        s3.on(DeleteObjectCommand).resolves({});
+
+        const result = await moveObjects(createClient(), "b", "reports/", "reports/old/", { concurrency: 2 });
+
+        assert.equal(result.moved, 2);
+        assert.equal(result.failed, 1);
+        assert.deepEqual(result.results.map(({ Key, TargetKey, status, error }) => [Key, TargetKey, status, error]), [
+            ["reports/a.csv", "reports/old/a.csv", "moved", undefined],
+            ["reports/b.csv", "reports/old/b.csv", "failed", "AccessDenied"],
+            ["reports/c.csv", "reports/old/c.csv", "moved", undefined],
+        ]);
+        assert.deepEqual(inputsOf(DeleteObjectCommand).map((input) => input.Key), ["reports/a.csv", "reports/c.csv"]);
+    });
+
+    test("only plans the moves in a dry run", async () => {
+        s3.on(ListObjectsV2Command).resolves({ Contents: [{ Key: "in/a.csv" }] });
+
+        const result = await moveObjects(createClient(), "b", "in/", "", { targetBucket: "c", dryRun: true });
+
+        assert.deepEqual(result.results, [{ Key: "in/a.csv", TargetKey: "a.csv", status: "planned" }]);
+        assert.equal(inputsOf(CopyObjectCommand).length, 0);
+    });
+});
+
+describe("tags", () => {
+    test("tagObjects merges the new tags into each object's tags", async () => {
+        s3.on(ListObjectsV2Command).resolves({ Contents: [{ Key: "a.csv" }, { Key: "b.csv" }] });
+        s3.on(GetObjectTaggingCommand).resolves({ TagSet: [{ Key: "team", Value: "old" }, { Key: "keep", Value: "1" }] });
+        s3.on(PutObjectTaggingCommand).resolves({});
+
+        const result = await tagObjects(createClient(), "b", "", { team: "notes" }, { merge: true });
+
+        assert.equal(result.tagged, 2);
+        assert.deepEqual(inputsOf(PutObjectTaggingCommand)[0].Tagging.TagSet, [
+            { Key: "team", Value: "notes" },
+            { Key: "keep", Value: "1" },
+        ]);
+        assert.deepEqual(result.results[0].Tags, { team: "notes", keep: "1" });
+    });
+
+    test("putObjectTags rejects more than 10 tags", async () => {
+        const tags = Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`tag${i}`, "x"]));
+
+        await assert.rejects(putObjectTags(createClient(), "b", "a.csv", tags), /at most 10 tags, got 11/);
+    });
+});
@@ -0,0 +1,164 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { S3Client } from "@aws-sdk/client-s3";
+import {
+    MAX_PRESIGN_EXPIRY,
+    createPresignedUrl,
+    presignGetObject,
+    presignObjects,
+    presignPost,
+    presignPutObject,
+} from "../index.js";
+
+// Presigning happens locally, so a real client with fixed credentials needs no network
+function createClient(credentials = {}) {
+    return new S3Client({
+        region: "us-east-1",
+        credentials: { accessKeyId: "AKIDEXAMPLE", secretAccessKey: "secret", ...credentials },
+    });
+}
+
+function policyOf(fields) {
+    return JSON.parse(Buffer.from(fields.Policy, "base64").toString());
+}
+
+describe("presignGetObject", () => {
+    test("signs response header overrides into the URL", async () => {
+        const result = await presignGetObject(createClient(), "notes-bucket", "notes.csv", {
+            expiresIn: 300,
+            responseHeaders: { ContentDisposition: 'attachment; filename="notes.csv"', ContentType: "text/csv" },
+        });
+
+        assert.equal(result.Method, "GET");
+        const url = new URL(result.Url);
+        assert.equal(url.searchParams.get("response-content-disposition"), 'attachment; filename="notes.csv"');
+        assert.equal(url.searchParams.get("response-content-type"), "text/csv");
+        assert.equal(url.searchParams.get("X-Amz-Expires"), "300");
+        assert.ok(Math.abs(result.ExpiresAt.getTime() - (Date.now() + 300 * 1000)) < 5000);
+    });
+
+    test("rejects unknown overrides", async () => {
+        await assert.rejects(
+            presignGetObject(createClient(), "notes-bucket", "a", { responseHeaders: { ETag: "x" } }),
+            /Cannot override response header 'ETag'/,
+        );
+    });
+});
+
+describe("presignPutObject", () => {
+    test("signs the content type and checksum and returns them as headers", async () => {
+        const result = await presignPutObject(createClient(), "notes-bucket", "upload.csv", {
+            contentType: "text/csv",
+            metadata: { owner: "student" },
+            checksum: { algorithm: "SHA256", value: "n4bQgYhMfWWaL+qgxVrQFaO/TxsrC4Is0V1sFbDwCgg=" },
+        });
+
+        assert.deepEqual(result.Headers, {
+            "Content-Type": "text/csv",
+            "x-amz-checksum-sha256": "n4bQgYhMfWWaL+qgxVrQFaO/TxsrC4Is0V1sFbDwCgg=",
+        });
+        const url = new URL(result.Url);
+        assert.deepEqual(url.searchParams.get("X-Amz-SignedHeaders").split(";"),
+            ["content-type", "host", "x-amz-checksum-sha256"]);
+        // Metadata travels in the signed URL; the checksum has to be sent as a header
+        assert.equal(url.searchParams.get("x-amz-meta-owner"), "student");
+        assert.equal(url.searchParams.get("x-amz-checksum-sha256"), null);
+    });
+
+    test("rejects unsupported checksum algorithms", async () => {
+        await assert.rejects(
+            presignPutObject(createClient(), "notes-bucket", "a", { checksum: { algorithm: "MD5", value: "x" } }),
+            /Unsupported checksum algorithm 'MD5'/,
+        );
+    });
+
+    test("is used by createPresignedUrl", async () => {
+        const url = new URL(await createPresignedUrl(createClient(), "notes-bucket", "a.txt", 60, "PUT", {
+            contentType: "text/plain",
+        }));
+
+        assert.equal(url.searchParams.get("x-id"), "PutObject");
+        assert.equal(url.searchParams.get("X-Amz-SignedHeaders"), "content-type;host");
+    });
+});
+
+describe("presignPost", () => {
+    test("limits uploads to a key prefix, size range and content type prefix", async () => {
+        const result = await presignPost(createClient(), "notes-bucket", {
+            keyPrefix: "incoming/",
+            contentLengthRange: [1, 1024],
+            contentTypePrefix: "image/",
+            metadata: { owner: "student" },
+            expiresIn: 600,
+        });
+
+        assert.equal(result.Method, "POST");
+        assert.equal(result.Key, "incoming/${filename}");
+        assert.equal(result.Fields.key, "incoming/${filename}");
+        assert.equal(result.Fields["x-amz-meta-owner"], "student");
+        const policy = policyOf(result.Fields);
+        assert.deepEqual(policy.conditions.slice(0, 3), [
+            ["starts-with", "$key", "incoming/"],
+            ["content-length-range", 1, 1024],
+            ["starts-with", "$Content-Type", "image/"],
+        ]);
+        assert.ok(policy.conditions.some((condition) => condition["x-amz-meta-owner"] === "student"));
+        assert.ok(Math.abs(Date.parse(policy.expiration) - result.ExpiresAt.getTime()) < 5000);
+    });
+
+    test("pins an exact key and content type", async () => {
+        const { Fields } = await presignPost(createClient(), "notes-bucket", { key: "avatar.png", contentType: "image/png" });
+
+        const { conditions } = policyOf(Fields);
+        assert.ok(conditions.some((condition) => condition.key === "avatar.png"));
+        assert.ok(conditions.some((condition) => condition["Content-Type"] === "image/png"));
+        assert.equal(Fields["Content-Type"], "image/png");
+    });
+
+    test("checks its options", async () => {
+        const client = createClient();
+        await assert.rejects(presignPost(client, "b", {}), /either a key or a keyPrefix/);
+        await assert.rejects(presignPost(client, "b", { key: "a", keyPrefix: "p/" }), /either a key or a keyPrefix/);
+        await assert.rejects(presignPost(client, "b", { key: "a", contentLengthRange: [10, 1] }), /contentLengthRange/);
+        await assert.rejects(presignPost(client, "b", { key: "a", contentType: "a/b", contentTypePrefix: "a/" }), /not both/);
+    });
+});
+
+describe("expiry", () => {
+    test("is limited to seven days", async () => {
+        const client = createClient();
+        await presignGetObject(client, "b", "a", { expiresIn: MAX_PRESIGN_EXPIRY });
+        await assert.rejects(presignGetObject(client, "b", "a", { expiresIn: MAX_PRESIGN_EXPIRY + 1 }), /one week/);
+        await assert.rejects(presignPost(client, "b", { key: "a", expiresIn: 0 }), /one week/);
+        await assert.rejects(presignPutObject(client, "b", "a", { expiresIn: 1.5 }), /one week/);
+    });
+
+    test("may not outlive temporary credentials", async () => {
+        const client = createClient({ sessionToken: "token", expiration: new Date(Date.now() + 600 * 1000) });
+
+        const { Url } = await presignGetObject(client, "b", "a", { expiresIn: 300 });
+        assert.equal(new URL(Url).searchParams.get("X-Amz-Security-Token"), "token");
+        await assert.rejects(
+            presignGetObject(client, "b", "a", { expiresIn: 3600 }),
+            /session credentials expire at .*at most (59\d|600) seconds/,
+        );
+    });
+});
+
+describe("presignObjects", () => {
+    test("presigns every key in order", async () => {
+        const results = await presignObjects(createClient(), "notes-bucket", ["a.csv", "b.csv", "c d.csv"], {
+            method: "PUT",
+            contentType: "text/csv",
+        });
+
+        assert.deepEqual(results.map((result) => result.Key), ["a.csv", "b.csv", "c d.csv"]);
+        assert.deepEqual(results.map((result) => new URL(result.Url).pathname), ["/a.csv", "/b.csv", "/c%20d.csv"]);
+        assert.ok(results.every((result) => result.Method === "PUT" && result.Headers["Content-Type"] === "text/csv"));
+    });
+
+    test("checks the expiry before signing anything", async () => {
+        await assert.rejects(presignObjects(createClient(), "b", ["a"], { expiresIn: MAX_PRESIGN_EXPIRY + 1 }), /one week/);
+        await assert.rejects(presignObjects(createClient(), "b", ["a"], { method: "DELETE" }), /Unsupported presign method/);
+    });
+});
@@ -0,0 +1,225 @@
+import { test, describe, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createHash, createHmac } from "crypto";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+    DeleteObjectsCommand,
+    ListObjectVersionsCommand,
+    ListObjectsV2Command,
+    PutObjectCommand,
+    S3Client,
+    SelectObjectContentCommand,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import {
+    IncompleteSelectError,
+    clearBucketContents,
+    createPresignedUrl,
+    queryFile,
+    uploadFile,
+} from "../index.js";
+
+const CREDENTIALS = { accessKeyId: "AKIDEXAMPLE", secretAccessKey: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY" };
+
+// Command-level stubs: client.send never reaches the network
+const s3 = mockClient(S3Client);
+const client = new S3Client({ region: "us-east-1", credentials: CREDENTIALS });
+const workDir = mkdtempSync(join(tmpdir(), "s3-operations-test-"));
+
+function inputOf(command, index = 0) {
+    return s3.commandCalls(command)[index].args[0].input;
+}
+
+beforeEach(() => {
+    s3.reset();
+});
+
+after(() => {
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+describe("clearBucketContents", () => {
+    test("deletes every listed key in batches of 1000", async () => {
+        const keys = Array.from({ length: 1001 }, (_, i) => ({ Key: `notes/${i}.txt` }));
+        s3.on(ListObjectsV2Command)
+            .resolvesOnce({ Contents: keys.slice(0, 600), IsTruncated: true, NextContinuationToken: "page-2" })
+            .resolvesOnce({ Contents: keys.slice(600), IsTruncated: false });
+        s3.on(DeleteObjectsCommand).resolves({});
+
+        const result = await clearBucketContents(client, "notes-bucket", { prefix: "notes/" });
+
+        assert.deepEqual(result, { deleted: 1001, errors: [] });
+        assert.equal(inputOf(ListObjectsV2Command, 0).Prefix, "notes/");
+        assert.equal(inputOf(ListObjectsV2Command, 1).ContinuationToken, "page-2");
+        const batches = s3.commandCalls(DeleteObjectsCommand).map((call) => call.args[0].input);
+        assert.deepEqual(batches.map((input) => input.Delete.Objects.length), [1000, 1]);
+        assert.equal(batches[0].Bucket, "notes-bucket");
+        assert.equal(batches[0].Delete.Quiet, true);
+        assert.deepEqual(batches[1].Delete.Objects, [{ Key: "notes/1000.txt" }]);
+    });
+
+    test("returns the keys S3 failed to delete", async () => {
+        s3.on(ListObjectsV2Command).resolves({ Contents: [{ Key: "a" }, { Key: "b" }] });
+        const failure = { Key: "b", Code: "AccessDenied", Message: "Access Denied" };
+        s3.on(DeleteObjectsCommand).resolves({ Errors: [failure] });
+
+        assert.deepEqual(await clearBucketContents(client, "notes-bucket"), { deleted: 1, errors: [failure] });
+    });
+
+    test("deletes versions and delete markers with allVersions", async () => {
+        s3.on(ListObjectVersionsCommand).resolves({
+            Versions: [{ Key: "a", VersionId: "v1" }, { Key: "a", VersionId: "v2" }],
+            DeleteMarkers: [{ Key: "b", VersionId: "m1" }],
+        });
+        s3.on(DeleteObjectsCommand).resolves({});
+
+        const result = await clearBucketContents(client, "notes-bucket", { allVersions: true });
+
+        assert.equal(result.deleted, 3);
+        assert.deepEqual(inputOf(DeleteObjectsCommand).Delete.Objects, [
+            { Key: "a", VersionId: "v1" },
+            { Key: "a", VersionId: "v2" },
+            { Key: "b", VersionId: "m1" },
+        ]);
+        assert.equal(s3.commandCalls(ListObjectsV2Command).length, 0);
+    });
+});
+
+describe("uploadFile", () => {
+    test("sends the file contents with content type and metadata", async () => {
+        const fileName = join(workDir, "notes.csv");
+        writeFileSync(fileName, "USERID,NOTEID,NOTES\nstudent,1,Hello\n");
+        s3.on(PutObjectCommand).resolves({ ETag: '"abc"', VersionId: "v1" });
+
+        const result = await uploadFile(client, "notes-bucket", fileName, "text/csv", { source: "test" }, "in/notes.csv");
+
+        assert.deepEqual(result, { Bucket: "notes-bucket", Key: "in/notes.csv", ETag: '"abc"', VersionId: "v1" });
+        const input = inputOf(PutObjectCommand);
+        assert.equal(input.Bucket, "notes-bucket");
+        assert.equal(input.Key, "in/notes.csv");
+        assert.equal(input.ContentType, "text/csv");
+        assert.deepEqual(input.Metadata, { source: "test" });
+        assert.equal(Buffer.from(input.Body).toString(), "USERID,NOTEID,NOTES\nstudent,1,Hello\n");
+    });
+
+    test("uses the file name as key by default", async () => {
+        const fileName = join(workDir, "empty.txt");
+        writeFileSync(fileName, "");
+        s3.on(PutObjectCommand).resolves({ ETag: '"d41d8cd9"' });
+
+        const { Key } = await uploadFile(client, "notes-bucket", fileName, "text/plain", {});
+
+        assert.equal(Key, fileName);
+    });
+});
+
+describe("queryFile", () => {
+    // An event stream like the one the SDK decodes from a SelectObjectContent response
+    function selectResponse(chunks, { end = true } = {}) {
+        return {
+            Payload: (async function* () {
+                for (const chunk of chunks) {
+                    yield { Records: { Payload: typeof chunk === "string" ? Buffer.from(chunk) : chunk } };
+                }
+                yield { Cont: {} };
+                yield { Stats: { Details: { BytesScanned: 100, BytesProcessed: 100, BytesReturned: 60 } } };
+                if (end) {
+                    yield { End: {} };
+                }
+            })(),
+        };
+    }
+
+    test("decodes JSON records split across messages", async () => {
+        const text = Buffer.from('{"NOTES":"DynamoDB über alles"}\n{"NOTES":"DynamoDB streams"}\n');
+        // Split inside the second record and inside the two-byte 'ü'
+        const split = text.indexOf("ü") + 1;
+        s3.on(SelectObjectContentCommand).resolves(selectResponse([text.subarray(0, split), text.subarray(split, 40),
+            text.subarray(40)]));
+
+        const records = await queryFile(client, "notes-bucket", "notes.csv");
+
+        assert.deepEqual(records, [{ NOTES: "DynamoDB über alles" }, { NOTES: "DynamoDB streams" }]);
+        const input = inputOf(SelectObjectContentCommand);
+        assert.equal(input.Expression, "select * from S3Object s where s.NOTES like '%DynamoDB%'");
+        assert.equal(input.InputSerialization.CSV.FileHeaderInfo, "USE");
+        assert.ok(input.OutputSerialization.JSON);
+    });
+
+    test("parses CSV output into arrays", async () => {
+        s3.on(SelectObjectContentCommand).resolves(selectResponse(['student,1,"Hello, ', 'world"\nstudent,2,Bye\n']));
+
+        const records = await queryFile(client, "notes-bucket", "notes.csv", "select * from S3Object s", {
+            output: { format: "CSV" },
+        });
+
+        assert.deepEqual(records, [["student", "1", "Hello, world"], ["student", "2", "Bye"]]);
+    });
+
+    test("fails when the stream ends without an End event", async () => {
+        s3.on(SelectObjectContentCommand).resolves(selectResponse(['{"NOTES":"DynamoDB"}\n'], { end: false }));
+
+        await assert.rejects(queryFile(client, "notes-bucket", "notes.csv"), IncompleteSelectError);
+    });
+});
+
+describe("createPresignedUrl", () => {
+    // Recompute the SigV4 query string signature the way S3 checks it
+    function expectedSignature(url, method) {
+        const [, query] = url.href.split("?");
+        const canonicalQuery = query.split("&")
+            .filter((pair) => !pair.startsWith("X-Amz-Signature="))
+            .sort()
+            .join("&");
+        const signedHeaders = url.searchParams.get("X-Amz-SignedHeaders");
+        assert.equal(signedHeaders, "host");
+        const canonicalRequest = [method, url.pathname, canonicalQuery, `host:${url.host}`, "", signedHeaders,
+            "UNSIGNED-PAYLOAD"].join("\n");
+        const [, date, region, service] = url.searchParams.get("X-Amz-Credential").split("/");
+        const stringToSign = ["AWS4-HMAC-SHA256", url.searchParams.get("X-Amz-Date"),
+            `${date}/${region}/${service}/aws4_request`,
+            createHash("sha256").update(canonicalRequest).digest("hex")].join("\n");
+        let key = `AWS4${CREDENTIALS.secretAccessKey}`;
+        for (const part of [date, region, service, "aws4_request"]) {
+            key = createHmac("sha256", key).update(part).digest();
+        }
+        return createHmac("sha256", key).update(stringToSign).digest("hex");
+    }
+
+    function expiryOf(url) {
+        const [, y, mo, d, h, mi, s] = url.searchParams.get("X-Amz-Date").match(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/);
+        return Date.UTC(y, mo - 1, d, h, mi, s) + Number(url.searchParams.get("X-Amz-Expires")) * 1000;
+    }
+
+    test("signs a GET URL that expires after the given duration", async () => {
+        const before = Date.now();
+        const url = new URL(await createPresignedUrl(client, "notes-bucket", "reports/notes 2024.csv", 3600));
+
+        assert.equal(url.host, "notes-bucket.s3.us-east-1.amazonaws.com");
+        assert.equal(url.pathname, "/reports/notes%202024.csv");
+        assert.equal(url.searchParams.get("X-Amz-Algorithm"), "AWS4-HMAC-SHA256");
+        assert.match(url.searchParams.get("X-Amz-Credential"), /^AKIDEXAMPLE\/\d{8}\/us-east-1\/s3\/aws4_request$/);
+        assert.equal(url.searchParams.get("X-Amz-Expires"), "3600");
+        const expiry = expiryOf(url);
+        assert.ok(expiry >= before - 1000 + 3600 * 1000 && expiry <= Date.now() + 3600 * 1000);
+        assert.equal(url.searchParams.get("X-Amz-Signature"), expectedSignature(url, "GET"));
+    });
+
+    test("signs a PUT URL", async () => {
+        const url = new URL(await createPresignedUrl(client, "notes-bucket", "upload.csv", 60, "PUT"));
+
+        assert.equal(url.searchParams.get("X-Amz-Expires"), "60");
+        assert.equal(url.searchParams.get("X-Amz-Signature"), expectedSignature(url, "PUT"));
+        assert.notEqual(url.searchParams.get("X-Amz-Signature"), expectedSignature(url, "GET"));
+    });
+
+    test("rejects other methods", async () => {
+        await assert.rejects(createPresignedUrl(client, "notes-bucket", "a", 60, "DELETE"), /Unsupported presign method/);
+    });
+
+    test("rejects an expiry beyond seven days", async () => {
+        await assert.rejects(createPresignedUrl(client, "notes-bucket", "a", 7 * 24 * 3600 + 1), /one week/);
+    });
+});
@@ -0,0 +1,46 @@
+import { test, describe, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Readable } from "stream";
+import { GetObjectCommand, HeadObjectCommand, ListObjectsV2Command, S3Client } from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import { syncFromS3 } from "../index.js";
+
+// Command-level stubs: client.send never reaches the network
+const s3 = mockClient(S3Client);
+const client = new S3Client({ region: "us-east-1", credentials: { accessKeyId: "a", secretAccessKey: "b" } });
+const workDir = mkdtempSync(join(tmpdir(), "sync-test-"));
+
+beforeEach(() => {
+    s3.reset();
+});
+
+after(() => {
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+describe("syncFromS3", () => {
+    test("skips and reports keys that resolve outside the local directory", async () => {
+        const localDir = join(workDir, "down", "notes");
+        s3.on(ListObjectsV2Command).resolves({
+            Contents: [
+                { Key: "notes/a.txt", Size: 5 },
+                { Key: "notes/../../escaped.txt", Size: 5 },
+            ],
+        });
+        s3.on(HeadObjectCommand).resolves({ ContentLength: 5, ETag: '"etag"' });
+        s3.on(GetObjectCommand).callsFake(() => ({ Body: Readable.from([Buffer.from("hello")]), ContentLength: 5 }));
+
+        const summary = await syncFromS3(client, "notes-bucket", "notes", localDir);
+
+        assert.equal(readFileSync(join(localDir, "a.txt"), "utf8"), "hello");
+        assert.equal(existsSync(join(workDir, "escaped.txt")), false);
+        assert.equal(s3.commandCalls(GetObjectCommand).length, 1);
+        assert.deepEqual(summary.counts, { upload: 0, download: 1, delete: 0, skip: 1 });
+        assert.equal(summary.errors.length, 1);
+        assert.equal(summary.errors[0].path, "../../escaped.txt");
+        assert.match(summary.errors[0].message, /resolves outside/);
+    });
+});
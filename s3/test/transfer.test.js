@@ -0,0 +1,289 @@
+import { test, describe, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Readable } from "stream";
+import {
+    AbortMultipartUploadCommand,
+    CompleteMultipartUploadCommand,
+    CreateMultipartUploadCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    ListMultipartUploadsCommand,
+    ListPartsCommand,
+    PutObjectCommand,
+    S3Client,
+    UploadPartCommand,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import { ChecksumMismatchError, downloadObject, partSizeFor, uploadObject } from "../index.js";
+import { checksumOf, compositeChecksum } from "../lib/checksums.js";
+
+// Command-level stubs: client.send never reaches the network
+const s3 = mockClient(S3Client);
+const client = new S3Client({ region: "us-east-1", credentials: { accessKeyId: "a", secretAccessKey: "b" } });
+const workDir = mkdtempSync(join(tmpdir(), "transfer-test-"));
+
+const MiB = 1024 * 1024;
+const PART_SIZE = 5 * MiB;
+// three parts of 5, 5 and 1 MiB
+const LARGE = Buffer.alloc(11 * MiB, "abcdefghijklmnopqrstuvwxyz");
+const LARGE_FILE = join(workDir, "large.bin");
+writeFileSync(LARGE_FILE, LARGE);
+
+function partsOf(data) {
+    return [0, 1, 2].map((i) => data.subarray(i * PART_SIZE, (i + 1) * PART_SIZE));
+}
+
+function inputsOf(command) {
+    return s3.commandCalls(command).map((call) => call.args[0].input);
+}
+
+function stubMultipart() {
+    s3.on(CreateMultipartUploadCommand).resolves({ UploadId: "upload-1" });
+    s3.on(UploadPartCommand).callsFake(({ PartNumber }) => ({ ETag: `"part-${PartNumber}"` }));
+    s3.on(CompleteMultipartUploadCommand).resolves({ ETag: '"complete-3"' });
+}
+
+beforeEach(() => {
+    s3.reset();
+});
+
+after(() => {
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+describe("uploadObject", () => {
+    test("sends a small file with a single PutObject carrying its checksum", async () => {
+        const fileName = join(workDir, "small.txt");
+        writeFileSync(fileName, "hello");
+        s3.on(PutObjectCommand).resolves({ ETag: '"etag"', ChecksumCRC32: checksumOf("CRC32", Buffer.from("hello")) });
+        const progress = [];
+
+        const result = await uploadObject(client, "notes-bucket", "small.txt", fileName, {
+            contentType: "text/plain",
+            onProgress: (event) => progress.push(event),
+        });
+
+        assert.equal(result.multipart, false);
+        assert.equal(result.Checksum, checksumOf("CRC32", Buffer.from("hello")));
+        const [input] = inputsOf(PutObjectCommand);
+        assert.equal(input.ContentType, "text/plain");
+        assert.equal(input.ChecksumAlgorithm, "CRC32");
+        assert.equal(input.ChecksumCRC32, result.Checksum);
+        assert.deepEqual(progress, [{ loaded: 5, total: 5 }]);
+        assert.equal(inputsOf(CreateMultipartUploadCommand).length, 0);
+    });
+
+    test("rejects a single put whose checksum S3 reports differently", async () => {
+        const fileName = join(workDir, "mismatch.txt");
+        writeFileSync(fileName, "hello");
+        s3.on(PutObjectCommand).resolves({ ChecksumSHA256: "d3Jvbmc=" });
+
+        await assert.rejects(uploadObject(client, "notes-bucket", "mismatch.txt", fileName, { checksumAlgorithm: "SHA256" }),
+            (error) => error instanceof ChecksumMismatchError && error.actual === "d3Jvbmc=");
+    });
+
+    test("uploads a file at the threshold in parts and checks the composite checksum", async () => {
+        stubMultipart();
+        const checksums = partsOf(LARGE).map((part) => checksumOf("CRC32", part));
+        s3.on(CompleteMultipartUploadCommand).resolves({
+            ETag: '"complete-3"',
+            ChecksumCRC32: compositeChecksum("CRC32", checksums),
+        });
+        const progress = [];
+
+        const result = await uploadObject(client, "notes-bucket", "large.bin", LARGE_FILE, {
+            partSize: PART_SIZE,
+            multipartThreshold: LARGE.length,
+            concurrency: 2,
+            onProgress: (event) => progress.push(event),
+        });
+
+        assert.equal(result.multipart, true);
+        assert.equal(result.parts, 3);
+        assert.equal(result.Checksum, compositeChecksum("CRC32", checksums));
+        const uploads = inputsOf(UploadPartCommand).sort((a, b) => a.PartNumber - b.PartNumber);
+        assert.deepEqual(uploads.map(({ PartNumber, ContentLength, ChecksumCRC32 }) => [PartNumber, ContentLength, ChecksumCRC32]),
+            [[1, PART_SIZE, checksums[0]], [2, PART_SIZE, checksums[1]], [3, MiB, checksums[2]]]);
+        assert.deepEqual(inputsOf(CompleteMultipartUploadCommand)[0].MultipartUpload.Parts.map(({ PartNumber, ETag }) =>
+            [PartNumber, ETag]), [[1, '"part-1"'], [2, '"part-2"'], [3, '"part-3"']]);
+        assert.deepEqual(progress.at(-1), { loaded: LARGE.length, total: LARGE.length });
+    });
+
+    test("aborts the multipart upload when a part fails", async () => {
+        stubMultipart();
+        s3.on(UploadPartCommand).callsFake(({ PartNumber }) => {
+            if (PartNumber === 2) {
+                throw new Error("connection reset");
+            }
+            return { ETag: `"part-${PartNumber}"` };
+        });
+        s3.on(AbortMultipartUploadCommand).resolves({});
+
+        await assert.rejects(uploadObject(client, "notes-bucket", "large.bin", LARGE_FILE, {
+            partSize: PART_SIZE,
+            multipartThreshold: MiB,
+        }), /connection reset/);
+
+        assert.deepEqual(inputsOf(AbortMultipartUploadCommand),
+            [{ Bucket: "notes-bucket", Key: "large.bin", UploadId: "upload-1" }]);
+        assert.equal(inputsOf(CompleteMultipartUploadCommand).length, 0);
+    });
+
+    test("aborts the upload when S3 reports another checksum for a part", async () => {
+        stubMultipart();
+        s3.on(UploadPartCommand).resolves({ ETag: '"part"', ChecksumCRC32: "AAAAAA==" });
+        s3.on(AbortMultipartUploadCommand).resolves({});
+
+        await assert.rejects(uploadObject(client, "notes-bucket", "large.bin", LARGE_FILE, {
+            partSize: PART_SIZE,
+            multipartThreshold: MiB,
+        }), (error) => error instanceof ChecksumMismatchError && /part \d of s3:\/\/notes-bucket\/large.bin/.test(error.message));
+        assert.equal(inputsOf(AbortMultipartUploadCommand).length, 1);
+    });
+
+    test("resumes an unfinished upload, reusing only the parts that still match", async () => {
+        stubMultipart();
+        const checksums = partsOf(LARGE).map((part) => checksumOf("CRC32", part));
+        s3.on(ListMultipartUploadsCommand).resolves({
+            Uploads: [
+                { Key: "large.bin", UploadId: "older", Initiated: new Date("2024-05-01"), ChecksumAlgorithm: "CRC32" },
+                { Key: "large.bin", UploadId: "latest", Initiated: new Date("2024-05-02"), ChecksumAlgorithm: "CRC32" },
+                { Key: "large.bin.bak", UploadId: "other", Initiated: new Date("2024-05-03"), ChecksumAlgorithm: "CRC32" },
+            ],
+        });
+        s3.on(ListPartsCommand).resolves({
+            Parts: [
+                { PartNumber: 1, ETag: '"kept-1"', Size: PART_SIZE, ChecksumCRC32: checksums[0] },
+                { PartNumber: 2, ETag: '"stale-2"', Size: PART_SIZE, ChecksumCRC32: checksums[2] },
+            ],
+        });
+
+        const result = await uploadObject(client, "notes-bucket", "large.bin", LARGE_FILE, {
+            partSize: PART_SIZE,
+            multipartThreshold: MiB,
+            resume: true,
+        });
+
+        assert.equal(result.resumedParts, 1);
+        assert.equal(inputsOf(CreateMultipartUploadCommand).length, 0);
+        assert.equal(inputsOf(ListPartsCommand)[0].UploadId, "latest");
+        assert.deepEqual(inputsOf(UploadPartCommand).map(({ PartNumber, UploadId }) => [PartNumber, UploadId]).sort(),
+            [[2, "latest"], [3, "latest"]]);
+        assert.equal(inputsOf(CompleteMultipartUploadCommand)[0].MultipartUpload.Parts[0].ETag, '"kept-1"');
+    });
+
+    test("keeps the upload for a later resume when a resumed run fails", async () => {
+        stubMultipart();
+        s3.on(ListMultipartUploadsCommand).resolves({ Uploads: [] });
+        s3.on(UploadPartCommand).rejects(new Error("connection reset"));
+
+        await assert.rejects(uploadObject(client, "notes-bucket", "large.bin", LARGE_FILE, {
+            partSize: PART_SIZE,
+            multipartThreshold: MiB,
+            resume: true,
+        }), /connection reset/);
+        assert.equal(inputsOf(CreateMultipartUploadCommand).length, 1);
+        assert.equal(inputsOf(AbortMultipartUploadCommand).length, 0);
+    });
+
+    test("puts a stream that ends below the threshold with a single PutObject", async () => {
+        s3.on(PutObjectCommand).resolves({ ETag: '"etag"' });
+
+        const result = await uploadObject(client, "notes-bucket", "stream.txt", Readable.from(["hel", "lo"]));
+
+        assert.equal(result.multipart, false);
+        assert.deepEqual(inputsOf(PutObjectCommand)[0].Body, Buffer.from("hello"));
+    });
+
+    test("refuses to resume a stream upload", async () => {
+        await assert.rejects(uploadObject(client, "notes-bucket", "stream.txt", Readable.from(["x"]), { resume: true }),
+            /needs a file source/);
+        assert.equal(s3.calls().length, 0);
+    });
+});
+
+describe("partSizeFor", () => {
+    test("raises the part size to the minimum and to what fits in 10000 parts", () => {
+        assert.equal(partSizeFor(100 * MiB, MiB), PART_SIZE);
+        assert.equal(partSizeFor(100000 * MiB, PART_SIZE), 10 * MiB);
+    });
+});
+
+describe("downloadObject", () => {
+    test("streams a single-part object to the file and verifies its checksum", async () => {
+        const data = Buffer.from("hello, notes");
+        s3.on(HeadObjectCommand).resolves({
+            ContentLength: data.length,
+            ETag: '"etag"',
+            ChecksumSHA256: checksumOf("SHA256", data),
+        });
+        s3.on(GetObjectCommand).callsFake(() => ({ Body: Readable.from([data.subarray(0, 5), data.subarray(5)]) }));
+        const fileName = join(workDir, "single.txt");
+        const progress = [];
+
+        const result = await downloadObject(client, "notes-bucket", "single.txt", fileName, {
+            onProgress: (event) => progress.push(event),
+        });
+
+        assert.equal(result.checksumVerified, true);
+        assert.equal(result.ChecksumAlgorithm, "SHA256");
+        assert.deepEqual(readFileSync(fileName), data);
+        assert.equal(existsSync(`${fileName}.part`), false);
+        assert.equal(inputsOf(GetObjectCommand)[0].IfMatch, '"etag"');
+        assert.deepEqual(progress.at(-1), { loaded: data.length, total: data.length });
+    });
+
+    test("removes the partial file when the checksum does not match", async () => {
+        const data = Buffer.from("hello, notes");
+        s3.on(HeadObjectCommand).resolves({ ContentLength: data.length, ETag: '"etag"', ChecksumCRC32: "AAAAAA==" });
+        s3.on(GetObjectCommand).callsFake(() => ({ Body: Readable.from([data]) }));
+        const fileName = join(workDir, "corrupt.txt");
+
+        await assert.rejects(downloadObject(client, "notes-bucket", "corrupt.txt", fileName),
+            (error) => error instanceof ChecksumMismatchError && error.expected === "AAAAAA==");
+        assert.equal(existsSync(fileName), false);
+        assert.equal(existsSync(`${fileName}.part`), false);
+    });
+
+    test("fetches the parts of a multipart object and compares the composite checksum", async () => {
+        const parts = partsOf(LARGE);
+        s3.on(HeadObjectCommand).resolves({
+            ContentLength: LARGE.length,
+            ETag: '"abc-3"',
+            ChecksumCRC32: compositeChecksum("CRC32", parts.map((part) => checksumOf("CRC32", part))),
+        });
+        s3.on(GetObjectCommand).callsFake(({ PartNumber }) => {
+            const start = (PartNumber - 1) * PART_SIZE;
+            const body = parts[PartNumber - 1];
+            return {
+                Body: { transformToByteArray: async () => new Uint8Array(body) },
+                ContentRange: `bytes ${start}-${start + body.length - 1}/${LARGE.length}`,
+            };
+        });
+        const fileName = join(workDir, "multipart.bin");
+
+        const result = await downloadObject(client, "notes-bucket", "large.bin", fileName, { multipartThreshold: MiB });
+
+        assert.equal(result.checksumVerified, true);
+        assert.deepEqual(inputsOf(GetObjectCommand).map(({ PartNumber }) => PartNumber).sort(), [1, 2, 3]);
+        assert.ok(readFileSync(fileName).equals(LARGE));
+    });
+
+    test("does not compare a full-object checksum with a composite one", async () => {
+        const parts = partsOf(LARGE);
+        s3.on(HeadObjectCommand).resolves({ ContentLength: LARGE.length, ETag: '"abc-3"', ChecksumCRC32: "AAAAAA==" });
+        s3.on(GetObjectCommand).callsFake(({ PartNumber }) => ({
+            Body: { transformToByteArray: async () => new Uint8Array(parts[PartNumber - 1]) },
+            ContentRange: `bytes ${(PartNumber - 1) * PART_SIZE}-0/0`,
+        }));
+
+        const result = await downloadObject(client, "notes-bucket", "large.bin", join(workDir, "full.bin"), {
+            multipartThreshold: MiB,
+        });
+
+        assert.equal(result.checksumVerified, false);
+    });
+});